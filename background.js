@@ -7,7 +7,7 @@
 // Background service worker for handling API calls
 
 // Import scripts at top level for service worker
-importScripts('database.js');
+importScripts('url-canonicalizer.js', 'database.js');
 
 console.log('Background service worker starting...');
 
@@ -15,6 +15,9 @@ console.log('Background service worker starting...');
 let isPopupOpen = false;
 let popupPort = null;
 
+// Abort controllers for in-flight categorization runs (cancelled when the popup closes)
+const activeCategorizations = new Set();
+
 // Remove state storage - popup will fetch data directly
 // Background only handles API calls and message passing
 
@@ -54,6 +57,13 @@ chrome.runtime.onConnect.addListener((port) => {
       console.log('Background: Popup disconnected');
       popupPort = null;
       isPopupOpen = false;
+      
+      // Nobody is waiting for the result any more - stop spending requests
+      if (activeCategorizations.size > 0) {
+        console.log('Background: Cancelling', activeCategorizations.size, 'categorization run(s)');
+        activeCategorizations.forEach(controller => controller.abort());
+        activeCategorizations.clear();
+      }
     });
   }
 });
@@ -66,6 +76,28 @@ try {
   console.error('Failed to load config:', error);
 }
 
+// LLM response parsing/validation, request retry, verdict cache, privacy redaction,
+// prompt templates, usage tracking and tab snooze helpers
+importScripts(
+  'src/background/llm-response.js',
+  'src/background/provider-request.js',
+  'src/background/llm-cache.js',
+  'src/background/privacy-redaction.js',
+  'src/background/prompt-template.js',
+  'src/background/usage-tracker.js',
+  'src/background/tab-snooze.js'
+);
+
+// Reopen tabs snoozed by rules when their time comes
+chrome.alarms.onAlarm.addListener((alarm) => {
+  handleSnoozeAlarm(alarm).catch(error => {
+    console.error('Background: Error reopening snoozed tab:', error);
+  });
+});
+restoreSnoozeAlarms().catch(error => {
+  console.error('Background: Error restoring snoozed tabs:', error);
+});
+
 // Listen for messages from popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   console.log('Background received message:', request.action);
@@ -119,6 +151,46 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true; // Will respond asynchronously
   }
   
+  if (request.action === 'previewLLMPayload') {
+    handlePreviewLLMPayload(request.data)
+      .then(result => sendResponse(result))
+      .catch(error => {
+        console.error('Background error building LLM preview:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true; // Will respond asynchronously
+  }
+  
+  if (request.action === 'getUsageSummary') {
+    getUsageSummary()
+      .then(summary => sendResponse({ success: true, summary }))
+      .catch(error => {
+        console.error('Background error reading usage:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true; // Will respond asynchronously
+  }
+  
+  if (request.action === 'snoozeTab') {
+    snoozeTab(request.data)
+      .then(snoozeId => sendResponse({ success: true, snoozeId }))
+      .catch(error => {
+        console.error('Background error snoozing tab:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true; // Will respond asynchronously
+  }
+  
+  if (request.action === 'wakeSnoozedTab') {
+    wakeSnoozedTab(request.data.snoozeId)
+      .then(reopened => sendResponse({ success: true, reopened }))
+      .catch(error => {
+        console.error('Background error reopening snoozed tab:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true; // Will respond asynchronously
+  }
+  
   if (request.action === 'fetchModels') {
     handleFetchModels(request.data)
       .then(result => {
@@ -186,6 +258,22 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   }
 });
 
+// Function to notify popup of categorization progress (shown via showStatus)
+function notifyPopupOfProgress(message, type = 'loading') {
+  if (!isPopupOpen || !popupPort) {
+    return;
+  }
+  
+  try {
+    popupPort.postMessage({
+      action: 'categorizationProgress',
+      data: { message, type, timestamp: Date.now() }
+    });
+  } catch (error) {
+    console.log('Background: Error sending progress notification:', error);
+  }
+}
+
 // Function to notify popup of tab changes
 function notifyPopupOfTabChange(action, tabInfo) {
   if (!isPopupOpen || !popupPort) {
@@ -211,14 +299,19 @@ function notifyPopupOfTabChange(action, tabInfo) {
   }
 }
 
-async function handleCategorizeTabs({ tabs, apiKey, provider, model, customPrompt, savedUrls = [] }) {
+async function handleCategorizeTabs({ tabs, apiKey, provider, model, customPrompt, savedUrls = [], baseUrl = '', fallbackProviders = [], monthlyBudget = 0, explain = false, privacy = {}, promptContext = {} }) {
   console.log('Background: Categorizing tabs with', provider, model, tabs.length, 'tabs');
+  console.log('Fallback providers:', fallbackProviders.map(p => p.provider));
   console.log('Using custom prompt:', !!customPrompt);
+  console.log('Explain mode:', explain);
   console.log('Saved URLs to exclude from LLM:', savedUrls.length);
   if (savedUrls.length > 0) {
     console.log('Sample saved URLs:', savedUrls.slice(0, 5));
   }
   
+  const controller = new AbortController();
+  activeCategorizations.add(controller);
+  
   try {
     // Convert saved URLs array to Set for faster lookup
     const savedUrlsSet = new Set(savedUrls);
@@ -230,33 +323,118 @@ async function handleCategorizeTabs({ tabs, apiKey, provider, model, customPromp
     // If no tabs to categorize after filtering, return empty result
     if (deduplicatedTabs.length === 0) {
       console.log('No new tabs to categorize after filtering saved URLs');
-      return { success: true, data: { 1: [], 2: [], 3: [] } };
+      return { success: true, data: createLLMResultBuckets(getLLMCategories(promptContext)) };
     }
     
-    let categorized;
+    // Denylisted domains never leave the machine - they stay uncategorized for rules/ML
+    const privacySettings = getPrivacySettings(privacy);
+    const { llmTabs, withheldTabs } = splitWithheldTabs(deduplicatedTabs, privacySettings);
+    if (withheldTabs.length > 0) {
+      console.log(`Privacy: ${withheldTabs.length} denylisted tabs withheld from the LLM`);
+    }
     
-    switch (provider) {
-      case 'Claude':
-        categorized = await callClaudeAPI(deduplicatedTabs, apiKey, model, customPrompt);
-        break;
-      case 'OpenAI':
-        categorized = await callOpenAIAPI(deduplicatedTabs, apiKey, model, customPrompt);
-        break;
-      case 'Gemini':
-        categorized = await callGeminiAPI(deduplicatedTabs, apiKey, model, customPrompt);
-        break;
-      case 'DeepSeek':
-        categorized = await callDeepSeekAPI(deduplicatedTabs, apiKey, model, customPrompt);
-        break;
-      case 'Grok':
-        categorized = await callGrokAPI(deduplicatedTabs, apiKey, model, customPrompt);
-        break;
-      default:
-        throw new Error(`Unknown provider: ${provider}`);
+    if (!CONFIG.PROVIDERS[provider]) {
+      throw new Error(`Unknown provider: ${provider}`);
+    }
+    
+    // Primary provider first, then the user's fallbacks. Fallbacks use the main
+    // prompt unless the user assigned them their own.
+    const providerChain = [
+      { provider, apiKey, model, baseUrl },
+      ...fallbackProviders.filter(p => CONFIG.PROVIDERS[p.provider] && p.provider !== provider)
+    ].map(settings => {
+      const providerPrompt = settings.customPrompt || customPrompt;
+      return {
+        ...settings,
+        customPrompt: providerPrompt,
+        promptKey: getPromptCacheKey(providerPrompt, promptContext.customCategories),
+        promptContext,
+        explain,
+        privacy: privacySettings,
+        signal: controller.signal
+      };
+    });
+    
+    // Reuse verdicts the LLM already gave for these tabs - only cache misses are sent
+    let cacheHits = [];
+    let tabsToSend = llmTabs;
+    if (CONFIG.LLM_CACHE.enabled && llmTabs.length > 0) {
+      try {
+        await pruneLLMCache(providerChain.map(settings => settings.promptKey));
+        ({ hits: cacheHits, misses: tabsToSend } = await lookupCachedVerdicts(llmTabs, providerChain, explain));
+        // A cached verdict the user has since corrected is stale - ask again with the correction as an example
+        const correctedCategories = new Map((promptContext.corrections || []).map(c => [normalizeCacheUrl(c.url), c.category]));
+        const staleHits = cacheHits.filter(hit => {
+          const corrected = correctedCategories.get(normalizeCacheUrl(hit.tab.url));
+          return corrected !== undefined && corrected !== hit.category;
+        });
+        if (staleHits.length > 0) {
+          cacheHits = cacheHits.filter(hit => !staleHits.includes(hit));
+          tabsToSend = [...tabsToSend, ...staleHits.map(hit => hit.tab)];
+        }
+        console.log(`LLM cache: ${cacheHits.length} hits, ${tabsToSend.length} misses`);
+      } catch (error) {
+        console.error('Background: LLM cache lookup failed:', error);
+        cacheHits = [];
+        tabsToSend = llmTabs;
+      }
+    }
+    
+    // Over budget, cached verdicts still count - they cost nothing. Only the
+    // misses are left to rules and ML, unless there is nothing to keep.
+    let overBudgetTabs = [];
+    let budgetWarning = null;
+    if (tabsToSend.length > 0) {
+      try {
+        await checkMonthlyBudget(monthlyBudget, cacheHits.length > 0
+          ? `${cacheHits.length} tabs categorized from cached AI verdicts, the rest with rules and ML`
+          : undefined);
+      } catch (error) {
+        if (!error.budgetExceeded || cacheHits.length === 0) throw error;
+        budgetWarning = error.message;
+        overBudgetTabs = tabsToSend;
+        tabsToSend = [];
+      }
     }
     
+    let categorized = createLLMResultBuckets(getLLMCategories(promptContext));
+    let batches;
+    let providers = [];
+    if (tabsToSend.length > 0) {
+      ({ categorized, batches, providers } = await categorizeWithFallback(tabsToSend, providerChain));
+      
+      if (CONFIG.LLM_CACHE.enabled) {
+        try {
+          const stored = await storeCachedVerdicts(categorized, providerChain);
+          console.log(`LLM cache: stored ${stored} verdicts`);
+        } catch (error) {
+          console.error('Background: LLM cache write failed:', error);
+        }
+      }
+    } else {
+      console.log('No tabs to send - all answered from the LLM cache or withheld');
+    }
+    
+    withheldTabs.forEach(tab => {
+      categorized[0].push({ ...tab, withheldFromLLM: true });
+    });
+    
+    overBudgetTabs.forEach(tab => {
+      categorized[0].push({ ...tab, overBudget: true });
+    });
+    
+    cacheHits.forEach(({ tab, category, provider, model, reason }) => {
+      categorized[category].push({
+        ...tab,
+        llmProvider: provider,
+        llmModel: model,
+        ...(reason ? { llmReason: reason } : {}),
+        fromCache: true
+      });
+    });
+    
     // Map categorized results back to all original tabs
-    const expandedCategorized = expandCategorizedResults(categorized, urlToOriginalTabs);
+    const expandedCategorized = expandCategorizedResults(categorized, urlToOriginalTabs, getLLMCategories(promptContext));
     
     // Add saved tabs to category 1 (can be closed) so they show up in the UI
     savedTabsMap.forEach((tabs, url) => {
@@ -297,33 +475,464 @@ async function handleCategorizeTabs({ tabs, apiKey, provider, model, customPromp
       console.error('Background: Error saving to database:', error);
     }
     
-    // Build urlToDuplicateIds for the response
+    // Build urlToDuplicateIds for the response, keyed by the URL of the tab shown
     const urlToDuplicateIds = {};
-    urlToOriginalTabs.forEach((tabs, url) => {
+    urlToOriginalTabs.forEach((tabs) => {
       if (tabs.length > 1) {
-        urlToDuplicateIds[url] = tabs.map(t => t.id);
+        urlToDuplicateIds[tabs[0].url] = tabs.map(t => t.id);
       }
     });
     
-    return { success: true, data: expandedCategorized, urlToDuplicateIds };
+    const cache = { hits: cacheHits.length, misses: tabsToSend.length + overBudgetTabs.length };
+    return { success: true, data: expandedCategorized, urlToDuplicateIds, batches, providers, cache, withheld: withheldTabs.length, budgetWarning };
   } catch (error) {
     console.error('Background: API error', error);
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, budgetExceeded: !!error.budgetExceeded };
+  } finally {
+    activeCategorizations.delete(controller);
   }
 }
 
-// Deduplicate tabs by URL, keeping track of all tabs with the same URL
+// Split deduplicated tabs into those that may be sent to the LLM and denylisted ones
+function splitWithheldTabs(tabs, privacySettings) {
+  const llmTabs = [];
+  const withheldTabs = [];
+  tabs.forEach(tab => {
+    (isWithheldFromLLM(tab, privacySettings) ? withheldTabs : llmTabs).push(tab);
+  });
+  return { llmTabs, withheldTabs };
+}
+
+// Show exactly what a categorization run would send (after dedup, denylist and
+// redaction) so the popup can ask before the first call to a provider
+async function handlePreviewLLMPayload({ tabs, savedUrls = [], privacy = {} }) {
+  const privacySettings = getPrivacySettings(privacy);
+  const { deduplicatedTabs } = deduplicateTabs(tabs, new Set(savedUrls));
+  const { llmTabs, withheldTabs } = splitWithheldTabs(deduplicatedTabs, privacySettings);
+  
+  return {
+    success: true,
+    tabs: llmTabs.map((tab, index) => {
+      const { title, url } = toMinimalTab(tab, index, privacySettings);
+      return { title, url };
+    }),
+    withheld: withheldTabs.length
+  };
+}
+
+// Run a single categorization request: prompt -> completion -> validated categorization.
+// Tabs the model skipped or answered invalidly get one repair request before
+// falling back to uncategorized. In explain mode tabs come back with llmReason.
+async function callProvider(providerSettings, tabs) {
+  const { provider, customPrompt, explain, privacy, promptContext } = providerSettings;
+  const categories = getLLMCategories(promptContext);
+  const buildPrompt = (promptTabs, tabIndexes) => {
+    const prompt = getCategorizationPrompt(promptTabs, customPrompt, privacy, promptContext, tabIndexes);
+    return explain ? buildExplainPrompt(prompt) : prompt;
+  };
+  
+  // Safety check - don't call API if no tabs
+  if (!tabs || tabs.length === 0) {
+    console.log(`No tabs to categorize, skipping ${provider} API call`);
+    return createLLMResultBuckets(categories);
+  }
+  
+  const expectedIds = tabs.map((tab, index) => String(toMinimalTab(tab, index).id));
+  const prompt = buildPrompt(tabs);
+  const content = await requestCompletion(providerSettings, prompt);
+  
+  let result;
+  try {
+    result = normalizeCategorizationResponse(content, expectedIds, categories);
+  } catch (parseError) {
+    console.error(`Failed to parse ${provider} response:`, parseError.message);
+    throw new Error(`Invalid JSON in ${provider} response: ${parseError.message}`);
+  }
+  logNormalizationIssues(provider, result);
+  
+  const categorization = result.categorization;
+  const reasons = result.reasons;
+  
+  if (result.missingIds.length > 0) {
+    const missing = new Set(result.missingIds);
+    const missingIndexes = expectedIds.flatMap((id, index) => (missing.has(id) ? [index] : []));
+    const missingTabs = missingIndexes.map(index => tabs[index]);
+    console.log(`Requesting ${provider} repair for ${missingTabs.length} missing tabs`);
+    
+    try {
+      // Keep the first prompt's IDs - tabs without one are numbered by their position in it
+      const repairPrompt = buildRepairPrompt(buildPrompt(missingTabs, missingIndexes), categories);
+      const repairContent = await requestCompletion(providerSettings, repairPrompt);
+      const repaired = normalizeCategorizationResponse(repairContent, result.missingIds, categories);
+      logNormalizationIssues(`${provider} repair`, repaired);
+      Object.assign(categorization, repaired.categorization);
+      Object.assign(reasons, repaired.reasons);
+    } catch (repairError) {
+      if (repairError.name === 'AbortError') {
+        throw repairError;
+      }
+      // Keep what we have - remaining tabs end up uncategorized
+      console.warn(`${provider} repair request failed:`, repairError.message);
+    }
+  }
+  
+  console.log('Successfully parsed categorization for', Object.keys(categorization).length, 'of', tabs.length, 'tabs');
+  
+  const explainedTabs = explain
+    ? tabs.map((tab, index) => reasons[expectedIds[index]] ? { ...tab, llmReason: reasons[expectedIds[index]] } : tab)
+    : tabs;
+  
+  return organizeTabs(explainedTabs, categorization, categories);
+}
+
+// Send a prompt to the selected provider and return its raw answer
+// (text, or the tool input object for tool-calling providers)
+async function requestCompletion({ provider, apiKey, model, baseUrl, signal, onUsage, explain, promptContext }, prompt) {
+  // Retries are reported to the popup status bar, token usage to the caller's accumulator
+  const requestOptions = {
+    signal,
+    onUsage,
+    explain,
+    categories: getLLMCategories(promptContext),
+    onRetry: ({ status, attempt, maxAttempts, delayMs }) => {
+      const reason = status ? `busy (${status})` : 'unreachable';
+      notifyPopupOfProgress(`${provider} is ${reason} - retrying in ${Math.ceil(delayMs / 1000)}s ` +
+        `(attempt ${attempt} of ${maxAttempts})...`);
+    }
+  };
+  
+  switch (provider) {
+    case 'Claude':
+      return requestClaudeCompletion(prompt, apiKey, model, requestOptions);
+    case 'Gemini':
+      return requestGeminiCompletion(prompt, apiKey, model, requestOptions);
+    case 'OpenAI':
+    case 'DeepSeek':
+    case 'Grok':
+      return requestOpenAICompatibleCompletion(provider, prompt, apiKey, model, requestOptions);
+    case 'Custom':
+      // Self-hosted servers (Ollama, llama.cpp, vLLM, LM Studio...) via their OpenAI-compatible API
+      return requestOpenAICompatibleCompletion('Custom', prompt, apiKey, model, {
+        ...requestOptions,
+        apiUrl: resolveProviderUrl('Custom', 'apiUrl', baseUrl)
+      });
+    default:
+      throw new Error(`Unknown provider: ${provider}`);
+  }
+}
+
+// Log what validation had to drop so prompt/model problems are visible
+function logNormalizationIssues(label, { missingIds, unknownIds, invalidIds }) {
+  if (unknownIds.length > 0) {
+    console.warn(`${label}: ignored ${unknownIds.length} unknown tab IDs:`, unknownIds.slice(0, 10));
+  }
+  if (invalidIds.length > 0) {
+    console.warn(`${label}: ${invalidIds.length} tabs had invalid categories:`, invalidIds.slice(0, 10));
+  }
+  if (missingIds.length > 0) {
+    console.warn(`${label}: ${missingIds.length} tabs missing from response`);
+  }
+}
+
+// Rough token estimate (~4 characters per token for English/URLs)
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// Report one request's token usage through requestOptions.onUsage. Servers that omit
+// usage (common for self-hosted ones) get an estimate from the prompt/answer size.
+function reportUsage(requestOptions, inputTokens, outputTokens, prompt, output) {
+  if (!requestOptions.onUsage) return;
+  
+  if (Number.isFinite(inputTokens)) {
+    requestOptions.onUsage({ inputTokens, outputTokens: Number.isFinite(outputTokens) ? outputTokens : 0 });
+    return;
+  }
+  
+  requestOptions.onUsage({
+    inputTokens: estimateTokens(prompt),
+    outputTokens: estimateTokens(typeof output === 'string' ? output : JSON.stringify(output || '')),
+    estimated: true
+  });
+}
+
+// Refuse to call providers once this month's estimated spend reaches the user's cap.
+// fallbackNote tells the user what was done instead.
+async function checkMonthlyBudget(monthlyBudget, fallbackNote = 'categorized with rules and ML only') {
+  if (!(monthlyBudget > 0)) return;
+  
+  let spent;
+  try {
+    spent = await getMonthlySpend();
+  } catch (error) {
+    console.error('Background: Could not read usage for budget check:', error);
+    return;
+  }
+  
+  if (spent >= monthlyBudget) {
+    const error = new Error(`Monthly AI budget of $${monthlyBudget.toFixed(2)} reached ` +
+      `($${spent.toFixed(2)} spent) - ${fallbackNote}.`);
+    error.budgetExceeded = true;
+    throw error;
+  }
+}
+
+// Persist token usage, estimated cost and latency for each provider used in a run
+async function logProviderUsage(providers) {
+  const runId = Date.now();
+  const records = providers
+    .filter(entry => entry.usage.requests > 0)
+    .map(entry => ({
+      runId,
+      timestamp: runId,
+      provider: entry.provider,
+      model: entry.model,
+      tabs: entry.categorized || 0,
+      failedTabs: entry.failed || 0,
+      requests: entry.usage.requests,
+      inputTokens: entry.usage.inputTokens,
+      outputTokens: entry.usage.outputTokens,
+      estimatedTokens: entry.usage.estimated,
+      cost: entry.usage.cost,
+      latencyMs: entry.latencyMs
+    }));
+  
+  try {
+    await recordUsageRuns(records);
+  } catch (error) {
+    console.error('Background: Error recording usage:', error);
+  }
+}
+
+// Split tabs into batches that fit the prompt token budget and output size cap
+// (explain mode answers are several times longer per tab)
+function createTabBatches(tabs, { customPrompt, explain = false, privacy = getPrivacySettings(), promptContext = {} } = {}) {
+  const { maxPromptTokens } = CONFIG.BATCHING;
+  const maxTabsPerBatch = explain ? CONFIG.BATCHING.maxTabsPerBatchExplained : CONFIG.BATCHING.maxTabsPerBatch;
+  const template = renderPromptTemplate(getPromptTemplate(customPrompt), buildPromptVariables(promptContext, '', privacy));
+  const tabBudget = Math.max(maxPromptTokens - estimateTokens(template), 1000);
+  
+  const batches = [];
+  let current = [];
+  let currentTokens = 0;
+  
+  tabs.forEach((tab, index) => {
+    const tabTokens = estimateTokens(JSON.stringify(toMinimalTab(tab, index), null, 2));
+    
+    if (current.length > 0 &&
+        (current.length >= maxTabsPerBatch || currentTokens + tabTokens > tabBudget)) {
+      batches.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+    
+    current.push(tab);
+    currentTokens += tabTokens;
+  });
+  
+  if (current.length > 0) {
+    batches.push(current);
+  }
+  
+  return batches;
+}
+
+// Run async tasks with at most `limit` in flight, spacing out task starts
+async function runWithConcurrency(tasks, limit, minIntervalMs = 0) {
+  const results = new Array(tasks.length);
+  let nextIndex = 0;
+  let lastStart = 0;
+  
+  async function worker() {
+    while (nextIndex < tasks.length) {
+      const index = nextIndex++;
+      
+      // Keep request starts at least minIntervalMs apart across all workers
+      const wait = lastStart + minIntervalMs - Date.now();
+      lastStart = Math.max(Date.now(), lastStart + minIntervalMs);
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+      
+      try {
+        results[index] = { status: 'fulfilled', value: await tasks[index]() };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  }
+  
+  const workers = Array.from({ length: Math.min(limit, tasks.length) }, () => worker());
+  await Promise.all(workers);
+  return results;
+}
+
+// Categorize tabs batch by batch, merging results and keeping partial successes
+async function categorizeInBatches(tabs, providerSettings) {
+  const batches = createTabBatches(tabs, providerSettings);
+  console.log(`Background: Categorizing ${tabs.length} tabs in ${batches.length} batch(es)`);
+  
+  let completed = 0;
+  const tasks = batches.map((batchTabs, index) => async () => {
+    const result = await callProvider(providerSettings, batchTabs);
+    completed++;
+    if (batches.length > 1) {
+      notifyPopupOfProgress(`Categorizing tabs... batch ${completed} of ${batches.length} done`);
+    }
+    return result;
+  });
+  
+  if (batches.length > 1) {
+    notifyPopupOfProgress(`Categorizing ${tabs.length} tabs in ${batches.length} batches...`);
+  }
+  
+  const results = await runWithConcurrency(
+    tasks,
+    CONFIG.BATCHING.maxConcurrentRequests,
+    CONFIG.BATCHING.minRequestIntervalMs
+  );
+  
+  // Popup closed mid-run - drop partial results instead of saving them
+  if (providerSettings.signal?.aborted) {
+    throw createCancelledError();
+  }
+  
+  // Merge per-batch results; tabs from failed batches stay uncategorized (0)
+  const merged = createLLMResultBuckets(getLLMCategories(providerSettings.promptContext));
+  const failed = [];
+  
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      Object.keys(merged).forEach(category => {
+        merged[category].push(...(result.value[category] || []));
+      });
+    } else {
+      console.error(`Background: Batch ${index + 1}/${batches.length} failed:`, result.reason);
+      failed.push({ index, tabCount: batches[index].length, error: result.reason.message });
+      merged[0].push(...batches[index]);
+    }
+  });
+  
+  // Nothing succeeded - surface the error like a single request would
+  if (failed.length === batches.length) {
+    throw results[0].reason;
+  }
+  
+  return {
+    categorized: merged,
+    failedTabs: failed.flatMap(f => batches[f.index]),
+    batches: {
+      total: batches.length,
+      failed: failed.length,
+      uncategorizedTabs: failed.reduce((sum, f) => sum + f.tabCount, 0),
+      errors: failed.map(f => f.error)
+    }
+  };
+}
+
+// Walk the provider chain: each provider only gets the tabs its predecessors
+// failed on (whole-run or per-batch failures). Categorized tabs are tagged with
+// the provider/model that answered so accuracy can be attributed per provider.
+// Token usage of every provider tried is recorded, even when the run fails.
+async function categorizeWithFallback(tabs, providerChain) {
+  const categories = getLLMCategories(providerChain[0]?.promptContext);
+  const merged = createLLMResultBuckets(categories);
+  const providers = [];
+  let remaining = tabs;
+  let lastBatches = null;
+  let lastError = null;
+  
+  try {
+    for (let i = 0; i < providerChain.length && remaining.length > 0; i++) {
+      const settings = providerChain[i];
+      
+      if (i > 0) {
+        console.log(`Background: Falling back to ${settings.provider} for ${remaining.length} tabs`);
+        notifyPopupOfProgress(`${providerChain[i - 1].provider} failed - trying ${settings.provider}...`);
+      }
+      
+      const usage = createUsageAccumulator();
+      const startedAt = Date.now();
+      const entry = { provider: settings.provider, model: settings.model, usage: usage.totals };
+      providers.push(entry);
+      
+      try {
+        const { categorized, failedTabs, batches } = await categorizeInBatches(remaining, { ...settings, onUsage: usage.add });
+        const failedSet = new Set(failedTabs);
+        
+        categories.forEach(category => {
+          categorized[category].forEach(tab => {
+            merged[category].push({ ...tab, llmProvider: settings.provider, llmModel: settings.model });
+          });
+        });
+        // Tabs the model answered without a category are not retried elsewhere
+        merged[0].push(...categorized[0].filter(tab => !failedSet.has(tab)));
+        
+        Object.assign(entry, {
+          categorized: remaining.length - failedTabs.length,
+          failed: failedTabs.length,
+          errors: batches.errors
+        });
+        lastBatches = batches;
+        remaining = failedTabs;
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          throw error;
+        }
+        console.error(`Background: ${settings.provider} failed:`, error);
+        Object.assign(entry, {
+          categorized: 0,
+          failed: remaining.length,
+          errors: [error.message]
+        });
+        lastError = error;
+      } finally {
+        entry.latencyMs = Date.now() - startedAt;
+        usage.totals.cost = estimateCost(settings.provider, settings.model,
+          usage.totals.inputTokens, usage.totals.outputTokens);
+      }
+    }
+  } finally {
+    // Tokens are billed whether or not the run succeeded
+    await logProviderUsage(providers);
+  }
+  
+  // Every provider failed outright - surface the last error so the popup can use rules/ML only
+  if (!lastBatches) {
+    if (providerChain.length > 1) {
+      throw new Error(`All providers failed (${providers.map(p => p.provider).join(', ')}): ${lastError.message}`);
+    }
+    throw lastError;
+  }
+  
+  merged[0].push(...remaining);
+  
+  return {
+    categorized: merged,
+    providers,
+    batches: {
+      total: lastBatches.total,
+      failed: remaining.length > 0 ? lastBatches.failed : 0,
+      uncategorizedTabs: remaining.length,
+      errors: remaining.length > 0 ? lastBatches.errors : []
+    }
+  };
+}
+
+// Deduplicate tabs by canonical URL (see url-canonicalizer.js), keeping track of all
+// tabs with the same URL - maps are keyed by canonical URL
 function deduplicateTabs(tabs, savedUrls = new Set()) {
   const urlToOriginalTabs = new Map();
   const savedTabsMap = new Map(); // Track tabs that match saved URLs
   const deduplicatedTabs = [];
   let excludedCount = 0;
+  const savedCanonicalUrls = new Set([...savedUrls].map(url => canonicalizeUrl(url)));
   
   tabs.forEach((tab, index) => {
-    const url = tab.url;
+    const url = canonicalizeUrl(tab.url);
     
     // Check if URL is already saved
-    if (savedUrls.has(url)) {
+    if (savedCanonicalUrls.has(url)) {
       excludedCount++;
       // Track saved tabs separately so we can still display them
       if (!savedTabsMap.has(url)) {
@@ -365,13 +974,13 @@ function deduplicateTabs(tabs, savedUrls = new Set()) {
 }
 
 // Expand categorized results to show deduplicated tabs but track all duplicate IDs
-function expandCategorizedResults(categorized, urlToOriginalTabs) {
-  const expanded = { 0: [], 1: [], 2: [], 3: [] };
+function expandCategorizedResults(categorized, urlToOriginalTabs, categories) {
+  const expanded = createLLMResultBuckets(categories);
   
-  [0, 1, 2, 3].forEach(category => {
+  Object.keys(expanded).forEach(category => {
     if (categorized[category]) {
       categorized[category].forEach(deduplicatedTab => {
-        const originalTabs = urlToOriginalTabs.get(deduplicatedTab.url) || [];
+        const originalTabs = urlToOriginalTabs.get(canonicalizeUrl(deduplicatedTab.url)) || [];
         if (originalTabs.length > 0) {
           // Use the first tab as the representative, but include all duplicate IDs
           const representativeTab = { ...originalTabs[0] };
@@ -386,6 +995,21 @@ function expandCategorizedResults(categorized, urlToOriginalTabs) {
             representativeTab.duplicateCount = originalTabs.length;
           }
           
+          // Keep track of which provider answered
+          if (deduplicatedTab.llmProvider) {
+            representativeTab.llmProvider = deduplicatedTab.llmProvider;
+            representativeTab.llmModel = deduplicatedTab.llmModel;
+          }
+          if (deduplicatedTab.llmReason) {
+            representativeTab.llmReason = deduplicatedTab.llmReason;
+          }
+          if (deduplicatedTab.fromCache) {
+            representativeTab.fromCache = true;
+          }
+          if (deduplicatedTab.withheldFromLLM) {
+            representativeTab.withheldFromLLM = true;
+          }
+          
           expanded[category].push(representativeTab);
         }
       });
@@ -395,49 +1019,46 @@ function expandCategorizedResults(categorized, urlToOriginalTabs) {
   return expanded;
 }
 
-// Common prompt for all LLMs
-function getCategorizationPrompt(tabs, customPrompt) {
-  // Use custom prompt if provided and different from default
-  const promptToUse = (customPrompt && customPrompt !== CONFIG.DEFAULT_PROMPT) ? customPrompt : CONFIG.DEFAULT_PROMPT;
+// Use custom prompt if provided and different from default
+function getPromptTemplate(customPrompt) {
+  return (customPrompt && customPrompt !== CONFIG.DEFAULT_PROMPT) ? customPrompt : CONFIG.DEFAULT_PROMPT;
+}
+
+// Minimal tab data for LLM - only what's needed for categorization,
+// redacted when privacy settings are given
+function toMinimalTab(tab, index, privacy = null) {
+  const { title, url } = privacy ? redactTabForLLM(tab, privacy) : tab;
+  return {
+    id: tab.deduplicatedId || tab.id || tab.tempId || index,
+    title,
+    url: url.length > 128 ? url.substring(0, 128) + '...' : url
+  };
+}
+
+// Common prompt for all LLMs: the template with its variables filled in.
+// tabIndexes gives each tab's position in the original request when only some are sent.
+function getCategorizationPrompt(tabs, customPrompt, privacy = getPrivacySettings(), promptContext = {}, tabIndexes = null) {
+  const promptToUse = getPromptTemplate(customPrompt);
   
   // Prepare minimal tab data for LLM - only what's needed for categorization
-  const minimalTabs = tabs.map(tab => {
-    // Create minimal tab object with only necessary fields
-    const minimalTab = {
-      id: tab.deduplicatedId || tab.id || tab.tempId || tabs.indexOf(tab),
-      title: tab.title,
-      url: tab.url.length > 128 ? tab.url.substring(0, 128) + '...' : tab.url
-    };
-    
-    return minimalTab;
-  });
+  const minimalTabs = tabs.map((tab, index) => toMinimalTab(tab, tabIndexes ? tabIndexes[index] : index, privacy));
   
   console.log('Minimal tabs for LLM:', minimalTabs.length, 'tabs');
   console.log('Sample minimal tab:', minimalTabs[0]);
   
-  // Replace placeholders in the prompt
-  return promptToUse
-    .replace('{FREQUENT_DOMAINS}', CONFIG.FREQUENT_DOMAINS.join(', '))
-    .replace('{TABS_DATA}', JSON.stringify(minimalTabs, null, 2));
+  return renderPromptTemplate(
+    promptToUse,
+    buildPromptVariables(promptContext, JSON.stringify(minimalTabs, null, 2), privacy)
+  );
 }
 
-async function callClaudeAPI(tabs, apiKey, model, customPrompt) {
-  console.log('callClaudeAPI started with model:', model);
-  
-  // Safety check - don't call API if no tabs
-  if (!tabs || tabs.length === 0) {
-    console.log('No tabs to categorize, skipping Claude API call');
-    return { 1: [], 2: [], 3: [] };
-  }
+async function requestClaudeCompletion(prompt, apiKey, model, requestOptions = {}) {
+  console.log('requestClaudeCompletion started with model:', model);
   
   try {
-    const prompt = getCategorizationPrompt(tabs, customPrompt);
-    console.log('Calling Claude API with', tabs.length, 'tabs');
-    
     // Log the exact prompt being sent
     console.log('=== CLAUDE API REQUEST ===');
     console.log('Model:', model);
-    console.log('Number of tabs:', tabs.length);
     console.log('Prompt length:', prompt.length);
     console.log('Full prompt:', prompt);
     console.log('=== END CLAUDE API REQUEST ===');
@@ -458,30 +1079,29 @@ async function callClaudeAPI(tabs, apiKey, model, customPrompt) {
       content: prompt
     }]
   };
+  
+  // Force a tool call so the answer arrives as schema-shaped JSON
+  if (CONFIG.PROVIDERS.Claude.structuredOutput === 'tool') {
+    const tool = getCategorizationTool(requestOptions.explain, requestOptions.categories);
+    requestBody.tools = [tool];
+    requestBody.tool_choice = { type: 'tool', name: tool.name };
+  }
 
   console.log('Request URL:', CONFIG.PROVIDERS.Claude.apiUrl);
-  console.log('Request headers:', requestHeaders);
   console.log('API Key length:', apiKey.length);
-  console.log('API Key starts with:', apiKey.substring(0, 10) + '...');
   
   // Log the complete request body
   console.log('=== CLAUDE API REQUEST BODY ===');
   console.log('Request body:', JSON.stringify(requestBody, null, 2));
   console.log('=== END CLAUDE API REQUEST BODY ===');
 
-  let response;
-  try {
-    console.log('Sending fetch request...');
-    response = await fetch(CONFIG.PROVIDERS.Claude.apiUrl, {
-      method: 'POST',
-      headers: requestHeaders,
-      body: JSON.stringify(requestBody)
-    });
-    console.log('Fetch completed, status:', response.status);
-  } catch (fetchError) {
-    console.error('Fetch failed:', fetchError);
-    throw new Error(`Network error: ${fetchError.message}`);
-  }
+  console.log('Sending fetch request...');
+  const response = await fetchWithRetry('Claude', CONFIG.PROVIDERS.Claude.apiUrl, {
+    method: 'POST',
+    headers: requestHeaders,
+    body: JSON.stringify(requestBody)
+  }, requestOptions);
+  console.log('Fetch completed, status:', response.status);
 
   if (!response.ok) {
     let errorText;
@@ -495,109 +1115,70 @@ async function callClaudeAPI(tabs, apiKey, model, customPrompt) {
   }
 
   const data = await response.json();
+  reportUsage(requestOptions, data.usage?.input_tokens, data.usage?.output_tokens, prompt, data.content);
   
   console.log('=== CLAUDE API RESPONSE ===');
   console.log('Response status:', response.status);
-  console.log('Response headers:', response.headers);
   console.log('Raw response data structure:', JSON.stringify(data, null, 2).substring(0, 500) + '...');
   
-  if (!data.content || !data.content[0] || !data.content[0].text) {
+  if (!Array.isArray(data.content) || data.content.length === 0) {
     throw new Error('Invalid response format from Claude');
   }
   
-  const content = data.content[0].text;
-  console.log('Content length:', content.length);
-  console.log('Full content:', content);
-  console.log('=== END CLAUDE API RESPONSE ===');
-
-  // Extract JSON from response
-  let categorization;
-  try {
-    // Clean the content first - remove any potential whitespace or newlines
-    const cleanedContent = content.trim();
-    
-    // Try to parse the entire response as JSON first
-    categorization = JSON.parse(cleanedContent);
-  } catch (e) {
-    console.log('Direct JSON parse failed, trying extraction methods...');
-    
-    // Method 1: Try to find JSON object boundaries
-    const firstBrace = content.indexOf('{');
-    const lastBrace = content.lastIndexOf('}');
-    
-    if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-      const jsonString = content.substring(firstBrace, lastBrace + 1).trim();
-      
-      try {
-        categorization = JSON.parse(jsonString);
-        console.log('Successfully parsed JSON using brace extraction');
-      } catch (parseError) {
-        console.error('Failed to parse extracted JSON:', parseError.message);
-        
-        // Method 2: Try line-by-line parsing for potential formatting issues
-        try {
-          // Remove any markdown code blocks if present
-          const cleanJson = jsonString
-            .replace(/^```json\s*/i, '')
-            .replace(/^```\s*/i, '')
-            .replace(/\s*```$/i, '')
-            .trim();
-          
-          categorization = JSON.parse(cleanJson);
-          console.log('Successfully parsed JSON after cleaning markdown');
-        } catch (cleanError) {
-          console.error('All parsing methods failed');
-          console.error('First 500 chars of extracted string:', jsonString.substring(0, 500));
-          console.error('Last 100 chars of extracted string:', jsonString.substring(jsonString.length - 100));
-          throw new Error('Invalid JSON in Claude response');
-        }
-      }
-    } else {
-      throw new Error('No JSON object found in Claude response');
-    }
+  // Prefer the tool call; fall back to text blocks if the model answered in prose
+  const toolUse = data.content.find(block => block.type === 'tool_use' && block.input);
+  if (toolUse) {
+    console.log('Tool input received with', Object.keys(toolUse.input.categories || toolUse.input).length, 'entries');
+    console.log('=== END CLAUDE API RESPONSE ===');
+    return toolUse.input;
   }
-
-  // Validate the categorization object
-  if (!categorization || typeof categorization !== 'object') {
-    throw new Error('Invalid categorization result');
+  
+  const content = data.content
+    .filter(block => block.type === 'text' && block.text)
+    .map(block => block.text)
+    .join('');
+  if (!content) {
+    throw new Error('Invalid response format from Claude');
   }
   
-  console.log('Successfully parsed categorization for', Object.keys(categorization).length, 'items');
+  console.log('Content length:', content.length);
+  console.log('Full content:', content);
+  console.log('=== END CLAUDE API RESPONSE ===');
   
-  return organizeTabs(tabs, categorization);
+  return content;
   
   } catch (error) {
-    console.error('Error in callClaudeAPI:', error);
+    console.error('Error in requestClaudeCompletion:', error);
     throw error;
   }
 }
 
-// OpenAI API implementation
-async function callOpenAIAPI(tabs, apiKey, model, customPrompt) {
-  console.log('callOpenAIAPI started with model:', model);
+// Shared client for providers speaking the OpenAI chat/completions dialect.
+// Base URL and extra headers come from CONFIG.PROVIDERS[providerName];
+// options.apiUrl overrides the URL for user-configured endpoints; the rest goes to fetchWithRetry.
+async function requestOpenAICompatibleCompletion(providerName, prompt, apiKey, model, options = {}) {
+  console.log(`requestOpenAICompatibleCompletion (${providerName}) started with model:`, model);
   
-  // Safety check - don't call API if no tabs
-  if (!tabs || tabs.length === 0) {
-    console.log('No tabs to categorize, skipping OpenAI API call');
-    return { 1: [], 2: [], 3: [] };
+  const providerConfig = CONFIG.PROVIDERS[providerName];
+  if (!providerConfig || !providerConfig.apiUrl) {
+    throw new Error(`Unknown provider: ${providerName}`);
   }
+  const { apiUrl = providerConfig.apiUrl, ...requestOptions } = options;
   
   try {
-    const prompt = getCategorizationPrompt(tabs, customPrompt);
-    
     // Log the exact prompt being sent
-    console.log('=== OPENAI API REQUEST ===');
+    console.log(`=== ${providerName.toUpperCase()} API REQUEST ===`);
     console.log('Model:', model);
-    console.log('Number of tabs:', tabs.length);
     console.log('Prompt length:', prompt.length);
     console.log('Full prompt:', prompt);
-    console.log('=== END OPENAI API REQUEST ===');
+    console.log(`=== END ${providerName.toUpperCase()} API REQUEST ===`);
     
     const requestBody = {
       model: model,
       messages: [{
         role: 'system',
-        content: 'You are a helpful assistant that categorizes browser tabs.'
+        // JSON mode requires the word "JSON" somewhere in the messages
+        content: 'You are a helpful assistant that categorizes browser tabs. Respond with a single JSON object.'
       }, {
         role: 'user',
         content: prompt
@@ -606,19 +1187,20 @@ async function callOpenAIAPI(tabs, apiKey, model, customPrompt) {
       max_tokens: 4096
     };
     
-    // Log the complete request body
-    console.log('=== OPENAI API REQUEST BODY ===');
-    console.log('Request body:', JSON.stringify(requestBody, null, 2));
-    console.log('=== END OPENAI API REQUEST BODY ===');
+    if (providerConfig.structuredOutput === 'json_object') {
+      requestBody.response_format = { type: 'json_object' };
+    }
     
-    const response = await fetch(CONFIG.PROVIDERS.OpenAI.apiUrl, {
+    const response = await fetchWithRetry(providerName, apiUrl, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
+        // Local servers usually run without a key
+        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+        ...providerConfig.headers
       },
       body: JSON.stringify(requestBody)
-    });
+    }, requestOptions);
     
     if (!response.ok) {
       const errorText = await response.text();
@@ -626,38 +1208,42 @@ async function callOpenAIAPI(tabs, apiKey, model, customPrompt) {
     }
     
     const data = await response.json();
+    reportUsage(requestOptions, data.usage?.prompt_tokens, data.usage?.completion_tokens,
+      prompt, data.choices?.[0]?.message?.content);
     
     // Log the complete response
-    console.log('=== OPENAI API RESPONSE ===');
+    console.log(`=== ${providerName.toUpperCase()} API RESPONSE ===`);
     console.log('Response status:', response.status);
     console.log('Response data structure:', JSON.stringify(data, null, 2).substring(0, 500) + '...');
     
     if (!data.choices || !data.choices[0] || !data.choices[0].message || !data.choices[0].message.content) {
-      throw new Error('Invalid response format from OpenAI');
+      throw new Error(`Invalid response format from ${providerName}`);
     }
     
     const content = data.choices[0].message.content;
     console.log('Content length:', content.length);
     console.log('Full content:', content);
-    console.log('=== END OPENAI API RESPONSE ===');
+    console.log(`=== END ${providerName.toUpperCase()} API RESPONSE ===`);
     
-    const categorization = JSON.parse(content);
+    if (data.choices[0].finish_reason === 'length') {
+      console.warn(`${providerName} response hit max_tokens, result may be incomplete`);
+    }
     
-    return organizeTabs(tabs, categorization);
+    return content;
   } catch (error) {
-    console.error('Error in callOpenAIAPI:', error);
+    console.error(`Error in requestOpenAICompatibleCompletion (${providerName}):`, error);
     throw error;
   }
 }
 
 // Helper function to organize tabs
-function organizeTabs(tabs, categorization) {
+function organizeTabs(tabs, categorization, categories) {
   console.log('organizeTabs called with', tabs.length, 'tabs');
   console.log('Sample tab:', tabs[0]);
   console.log('Categorization type:', typeof categorization);
   console.log('Categorization keys:', Object.keys(categorization || {}).slice(0, 10));
   
-  const organized = { 0: [], 1: [], 2: [], 3: [] };  // Include category 0 for uncategorized
+  const organized = createLLMResultBuckets(categories);  // Includes category 0 for uncategorized
   
   tabs.forEach((tab, index) => {
     // Check for categorization by tab ID (for regular tabs) or by index (for imported tabs)
@@ -687,7 +1273,7 @@ function organizeTabs(tabs, categorization) {
       }
       
       // Ensure category is valid
-      if (![0, 1, 2, 3].includes(category)) {
+      if (!organized[category]) {
         console.warn(`Invalid category ${category} for tab at index ${index}, marking as uncategorized`);
         category = 0;
       }
@@ -717,24 +1303,188 @@ function organizeTabs(tabs, categorization) {
   return organized;
 }
 
-// Placeholder functions for other providers
-async function callGeminiAPI(tabs, apiKey, model, customPrompt) {
-  throw new Error('Gemini API not implemented yet');
+// Gemini API implementation (generateContent)
+async function requestGeminiCompletion(prompt, apiKey, model, requestOptions = {}) {
+  console.log('requestGeminiCompletion started with model:', model);
+
+  try {
+    console.log('=== GEMINI API REQUEST ===');
+    console.log('Model:', model);
+    console.log('Prompt length:', prompt.length);
+    console.log('=== END GEMINI API REQUEST ===');
+
+    const requestBody = buildGeminiRequestBody(prompt);
+
+    // Model IDs come from fetchGeminiModels without the "models/" prefix
+    const modelId = model.replace(/^models\//, '');
+    const requestUrl = CONFIG.PROVIDERS.Gemini.apiUrl.replace('{model}', encodeURIComponent(modelId)) +
+      `?key=${encodeURIComponent(apiKey)}`;
+
+    const response = await fetchWithRetry('Gemini', requestUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...CONFIG.PROVIDERS.Gemini.headers
+      },
+      body: JSON.stringify(requestBody)
+    }, requestOptions);
+
+    if (!response.ok) {
+      let errorText;
+      try {
+        errorText = await response.text();
+      } catch (e) {
+        errorText = 'Unable to read error response';
+      }
+      console.error('Gemini API error response:', response.status, errorText);
+      throw mapGeminiError(response.status, errorText);
+    }
+
+    const data = await response.json();
+    reportUsage(requestOptions, data.usageMetadata?.promptTokenCount, data.usageMetadata?.candidatesTokenCount,
+      prompt, data.candidates?.[0]?.content);
+
+    console.log('=== GEMINI API RESPONSE ===');
+    console.log('Response status:', response.status);
+    console.log('Response data structure:', JSON.stringify(data, null, 2).substring(0, 500) + '...');
+
+    const content = extractGeminiText(data);
+    console.log('Content length:', content.length);
+    console.log('Full content:', content);
+    console.log('=== END GEMINI API RESPONSE ===');
+
+    return content;
+  } catch (error) {
+    console.error('Error in requestGeminiCompletion:', error);
+    throw error;
+  }
+}
+
+// Build a generateContent request body for a categorization prompt
+function buildGeminiRequestBody(prompt) {
+  return {
+    systemInstruction: {
+      parts: [{ text: 'You are a helpful assistant that categorizes browser tabs.' }]
+    },
+    contents: [{
+      role: 'user',
+      parts: [{ text: prompt }]
+    }],
+    generationConfig: {
+      temperature: 0.3,
+      maxOutputTokens: 4096,
+      ...(CONFIG.PROVIDERS.Gemini.structuredOutput === 'json_mime' ? { responseMimeType: 'application/json' } : {})
+    }
+  };
+}
+
+// Pull the generated text out of a generateContent response, surfacing blocks
+function extractGeminiText(data) {
+  // The whole prompt was rejected before generation
+  const blockReason = data?.promptFeedback?.blockReason;
+  if (blockReason) {
+    throw new Error(`Gemini blocked the request (${blockReason}). Try removing sensitive tabs or use another provider.`);
+  }
+
+  const candidate = data?.candidates?.[0];
+  if (!candidate) {
+    throw new Error('Invalid response format from Gemini');
+  }
+
+  const text = (candidate.content?.parts || [])
+    .map(part => part.text || '')
+    .join('');
+
+  if (!text) {
+    switch (candidate.finishReason) {
+      case 'SAFETY':
+      case 'PROHIBITED_CONTENT':
+      case 'BLOCKLIST':
+      case 'SPII':
+        throw new Error(`Gemini blocked the response (${candidate.finishReason}). Try removing sensitive tabs or use another provider.`);
+      case 'RECITATION':
+        throw new Error('Gemini stopped the response due to recitation checks');
+      case 'MAX_TOKENS':
+        throw new Error('Gemini response was truncated (MAX_TOKENS) - too many tabs for one request');
+      default:
+        throw new Error('Invalid response format from Gemini');
+    }
+  }
+
+  if (candidate.finishReason === 'MAX_TOKENS') {
+    console.warn('Gemini response hit MAX_TOKENS, result may be incomplete');
+  }
+
+  return text;
+}
+
+// Map Gemini HTTP errors to user-facing messages
+function mapGeminiError(status, errorText) {
+  let apiStatus = '';
+  let apiMessage = errorText;
+  try {
+    const parsed = JSON.parse(errorText);
+    apiStatus = parsed?.error?.status || '';
+    apiMessage = parsed?.error?.message || errorText;
+  } catch (e) {
+    // Not JSON - keep raw text
+  }
+
+  let message;
+  if (status === 429 || apiStatus === 'RESOURCE_EXHAUSTED') {
+    message = `Gemini quota exceeded: ${apiMessage}`;
+  } else if (status === 403 || apiStatus === 'PERMISSION_DENIED' ||
+             /API key not valid/i.test(apiMessage)) {
+    message = `Gemini rejected the API key: ${apiMessage}`;
+  } else if (status === 404 || apiStatus === 'NOT_FOUND') {
+    message = `Gemini model not found: ${apiMessage}`;
+  } else {
+    message = `API request failed: ${status} - ${apiMessage}`;
+  }
+
+  const error = new Error(message);
+  error.status = status;
+  error.apiStatus = apiStatus;
+  return error;
 }
 
-async function callDeepSeekAPI(tabs, apiKey, model, customPrompt) {
-  throw new Error('DeepSeek API not implemented yet');
+// Normalize a user-supplied server root: trim, drop trailing slashes and a trailing /v1
+function normalizeBaseUrl(baseUrl) {
+  const trimmed = (baseUrl || '').trim().replace(/\/+$/, '').replace(/\/v1$/, '');
+  if (!trimmed) {
+    throw new Error('Custom endpoint URL is not configured');
+  }
+  
+  let parsed;
+  try {
+    parsed = new URL(trimmed);
+  } catch {
+    throw new Error(`Invalid custom endpoint URL: ${baseUrl}`);
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error(`Custom endpoint must use http or https: ${baseUrl}`);
+  }
+  
+  return trimmed;
 }
 
-async function callGrokAPI(tabs, apiKey, model, customPrompt) {
-  throw new Error('Grok API not implemented yet');
+// Fill the {baseUrl} placeholder of a provider URL template
+function resolveProviderUrl(providerName, urlKey, baseUrl) {
+  const template = CONFIG.PROVIDERS[providerName][urlKey];
+  if (!template.includes('{baseUrl}')) {
+    return template;
+  }
+  return template.replace('{baseUrl}', normalizeBaseUrl(baseUrl));
 }
 
 // Handle fetching models for a provider
-async function handleFetchModels({ provider, apiKey }) {
+async function handleFetchModels({ provider, apiKey, baseUrl = '' }) {
   console.log('Fetching models for', provider);
   
   const providerConfig = CONFIG.PROVIDERS[provider];
+  if (!providerConfig) {
+    return { success: false, models: [], error: `Unknown provider: ${provider}` };
+  }
   
   // If no models URL, return empty array
   if (!providerConfig.modelsUrl) {
@@ -742,8 +1492,14 @@ async function handleFetchModels({ provider, apiKey }) {
     return { success: true, models: [] };
   }
   
+  // Self-hosted providers need an endpoint before anything can be listed
+  if (providerConfig.requiresBaseUrl && !baseUrl) {
+    console.log('No endpoint URL for', provider, 'cannot fetch models');
+    return { success: true, models: [], needsBaseUrl: true };
+  }
+  
   // If no API key, return empty array (user needs to add API key first)
-  if (!apiKey) {
+  if (!apiKey && !providerConfig.apiKeyOptional) {
     console.log('No API key for', provider, 'cannot fetch models');
     return { success: true, models: [], needsApiKey: true };
   }
@@ -767,6 +1523,9 @@ async function handleFetchModels({ provider, apiKey }) {
       case 'Grok':
         models = await fetchGrokModels(apiKey);
         break;
+      case 'Custom':
+        models = await fetchCustomEndpointModels(apiKey, baseUrl);
+        break;
       default:
         models = providerConfig.models;
     }
@@ -897,39 +1656,46 @@ async function fetchGeminiModels(apiKey) {
   }
 }
 
-// Placeholder functions for other providers
+// DeepSeek and Grok list models in the OpenAI format
 async function fetchDeepSeekModels(apiKey) {
-  // DeepSeek uses OpenAI-compatible API
+  return fetchOpenAICompatibleModels('DeepSeek', apiKey);
+}
+
+async function fetchGrokModels(apiKey) {
+  return fetchOpenAICompatibleModels('Grok', apiKey);
+}
+
+// Fetch models from a self-hosted endpoint, falling back to Ollama's native listing
+async function fetchCustomEndpointModels(apiKey, baseUrl) {
+  const modelsUrl = resolveProviderUrl('Custom', 'modelsUrl', baseUrl);
+  
   try {
-    const response = await fetch(CONFIG.PROVIDERS.DeepSeek.modelsUrl, {
-      headers: {
-        'Authorization': `Bearer ${apiKey}`
-      }
-    });
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch models: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    const models = data.data.map(model => ({
-      id: model.id,
-      name: model.id
-    }));
-    
-    return models;
+    return await fetchOpenAICompatibleModels('Custom', apiKey, modelsUrl);
   } catch (error) {
-    console.error('Error fetching DeepSeek models:', error);
-    throw error;
+    console.log('OpenAI-compatible model listing failed, trying Ollama /api/tags:', error.message);
+  }
+  
+  const response = await fetch(resolveProviderUrl('Custom', 'ollamaTagsUrl', baseUrl));
+  if (!response.ok) {
+    throw new Error(`Failed to fetch models: ${response.status}`);
   }
+  
+  const data = await response.json();
+  return (data.models || []).map(model => ({
+    id: model.name,
+    name: model.name
+  }));
 }
 
-async function fetchGrokModels(apiKey) {
-  // Similar to OpenAI format
+// Fetch models from an OpenAI-compatible /models endpoint
+async function fetchOpenAICompatibleModels(providerName, apiKey, modelsUrl = null) {
+  const providerConfig = CONFIG.PROVIDERS[providerName];
+  
   try {
-    const response = await fetch(CONFIG.PROVIDERS.Grok.modelsUrl, {
+    const response = await fetch(modelsUrl || providerConfig.modelsUrl, {
       headers: {
-        'Authorization': `Bearer ${apiKey}`
+        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+        ...providerConfig.headers
       }
     });
     
@@ -945,7 +1711,7 @@ async function fetchGrokModels(apiKey) {
     
     return models;
   } catch (error) {
-    console.error('Error fetching Grok models:', error);
+    console.error(`Error fetching ${providerName} models:`, error);
     throw error;
   }
-}
\ No newline at end of file
+}
@@ -14,6 +14,7 @@ const CONFIG = {
       modelsUrl: 'https://api.anthropic.com/v1/models',
       apiKeyPlaceholder: 'sk-ant-api03-...',
       apiKeyUrl: 'https://console.anthropic.com/settings/keys',
+      structuredOutput: 'tool',          // Forced tool call with a JSON schema
       headers: {
         'anthropic-version': '2023-06-01',
         'anthropic-dangerous-direct-browser-access': 'true'
@@ -26,6 +27,7 @@ const CONFIG = {
       modelsUrl: 'https://api.openai.com/v1/models',
       apiKeyPlaceholder: 'sk-...',
       apiKeyUrl: 'https://platform.openai.com/api-keys',
+      structuredOutput: 'json_object',   // response_format: { type: 'json_object' }
       headers: {},
       models: [] // Will be fetched dynamically
     },
@@ -35,6 +37,7 @@ const CONFIG = {
       modelsUrl: 'https://generativelanguage.googleapis.com/v1beta/models',
       apiKeyPlaceholder: 'AIza...',
       apiKeyUrl: 'https://aistudio.google.com/app/apikey',
+      structuredOutput: 'json_mime',     // generationConfig.responseMimeType
       headers: {},
       models: [] // Will be fetched dynamically
     },
@@ -44,6 +47,7 @@ const CONFIG = {
       modelsUrl: 'https://api.deepseek.com/v1/models',
       apiKeyPlaceholder: 'sk-...',
       apiKeyUrl: 'https://platform.deepseek.com/api_keys',
+      structuredOutput: 'json_object',
       headers: {},
       models: [] // Will be fetched dynamically
     },
@@ -53,16 +57,150 @@ const CONFIG = {
       modelsUrl: 'https://api.x.ai/v1/models',
       apiKeyPlaceholder: 'xai-...',
       apiKeyUrl: 'https://console.x.ai/team',
+      structuredOutput: 'json_object',
+      headers: {},
+      models: [] // Will be fetched dynamically
+    },
+    Custom: {
+      name: 'Custom endpoint',
+      // {baseUrl} is the user-supplied server root, e.g. Ollama or llama.cpp
+      apiUrl: '{baseUrl}/v1/chat/completions',
+      modelsUrl: '{baseUrl}/v1/models',
+      ollamaTagsUrl: '{baseUrl}/api/tags', // Fallback model listing for older Ollama builds
+      defaultBaseUrl: 'http://localhost:11434',
+      apiKeyPlaceholder: 'Optional - leave empty for local servers',
+      apiKeyUrl: '',
+      apiKeyOptional: true,
+      requiresBaseUrl: true,
+      structuredOutput: 'none',          // Many local servers reject response_format - rely on the prompt
+      maxConcurrentRequests: 1,          // Local servers usually process one request at a time
       headers: {},
       models: [] // Will be fetched dynamically
     }
   },
   
+  // Batching for large tab sets - keeps each request within context and output limits
+  BATCHING: {
+    maxTabsPerBatch: 100,       // Bounded by the JSON answer size (max_tokens: 4096)
+    maxTabsPerBatchExplained: 40, // Explain mode adds a short reason per tab to the answer
+    maxPromptTokens: 12000,     // Estimated input tokens per request, including the prompt template
+    maxConcurrentRequests: 2,   // Batches in flight at once
+    minRequestIntervalMs: 500   // Spacing between request starts to stay under rate limits
+  },
+  
+  // Retry/backoff for transient provider errors (rate limits, overload, 5xx)
+  REQUESTS: {
+    maxRetries: 3,                 // Retries after the first attempt
+    baseDelayMs: 1000,             // Backoff doubles per retry, with jitter
+    maxDelayMs: 30000,             // Cap for computed backoff
+    maxRetryAfterMs: 60000,        // Give up instead of honoring longer retry-after waits
+    retryStatuses: [408, 429, 500, 502, 503, 504, 529],
+    maxConcurrentPerProvider: 2    // Requests in flight per provider unless the provider overrides it
+  },
+  
+  // Cache of LLM verdicts, keyed by normalized URL/title, prompt version and model
+  LLM_CACHE: {
+    enabled: true,
+    ttlMs: 30 * 24 * 60 * 60 * 1000  // Re-ask the model after 30 days
+  },
+  
+  // Redaction applied to tab titles/URLs before they are sent to an LLM provider.
+  // Off by default - the prompt reasons about full URLs - and turned on by the user
+  // in settings (state.settings.privacy), which override these defaults.
+  PRIVACY: {
+    stripQueryParams: false,  // Drop query strings and fragments (tokens, session IDs)
+    maskEmails: false,
+    maskLongIds: false,  // Long tokens containing digits, and UUIDs
+    hashInternalDomains: false,  // Replace intranet hostnames with a stable pseudonym
+    longIdMinLength: 16,
+    internalDomains: [],  // Extra hostnames treated as internal (suffix match)
+    internalSuffixes: ['.local', '.localhost', '.internal', '.intranet', '.corp', '.lan', '.home.arpa'],
+    denylist: []  // Domains whose tabs never leave the machine
+  },
+  
+  // How URLs are reduced to a canonical form to detect duplicate tabs
+  // (see url-canonicalizer.js). Users add their own domain rules in settings.
+  URL_CANONICALIZATION: {
+    // Query parameters that never change the page; a trailing * matches a prefix
+    trackingParams: ['utm_*', 'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'mc_cid', 'mc_eid', 'igshid', '_hsenc', '_hsmi', 'ref_src', 'amp'],
+    // Sites where only these query parameters tell pages apart (matches subdomains too)
+    domainRules: [
+      { domain: 'youtube.com', keepParams: ['v', 'list'] }
+    ]
+  },
+  
+  // Approximate list prices in USD per million tokens, matched by model ID prefix
+  // (longest match wins). Used for cost estimates only - update when providers change prices.
+  MODEL_PRICING: {
+    Claude: [
+      { match: 'claude-opus-4', input: 15, output: 75 },
+      { match: 'claude-sonnet-4', input: 3, output: 15 },
+      { match: 'claude-3-7-sonnet', input: 3, output: 15 },
+      { match: 'claude-3-5-sonnet', input: 3, output: 15 },
+      { match: 'claude-3-5-haiku', input: 0.8, output: 4 },
+      { match: 'claude-3-opus', input: 15, output: 75 },
+      { match: 'claude-3-haiku', input: 0.25, output: 1.25 }
+    ],
+    OpenAI: [
+      { match: 'gpt-4.1-nano', input: 0.1, output: 0.4 },
+      { match: 'gpt-4.1-mini', input: 0.4, output: 1.6 },
+      { match: 'gpt-4.1', input: 2, output: 8 },
+      { match: 'gpt-4o-mini', input: 0.15, output: 0.6 },
+      { match: 'gpt-4o', input: 2.5, output: 10 },
+      { match: 'gpt-4-turbo', input: 10, output: 30 },
+      { match: 'gpt-3.5-turbo', input: 0.5, output: 1.5 },
+      { match: 'o3-mini', input: 1.1, output: 4.4 },
+      { match: 'o4-mini', input: 1.1, output: 4.4 }
+    ],
+    Gemini: [
+      { match: 'gemini-2.5-pro', input: 1.25, output: 10 },
+      { match: 'gemini-2.5-flash', input: 0.3, output: 2.5 },
+      { match: 'gemini-2.0-flash-lite', input: 0.075, output: 0.3 },
+      { match: 'gemini-2.0-flash', input: 0.1, output: 0.4 },
+      { match: 'gemini-1.5-pro', input: 1.25, output: 5 },
+      { match: 'gemini-1.5-flash', input: 0.075, output: 0.3 }
+    ],
+    DeepSeek: [
+      { match: 'deepseek-chat', input: 0.27, output: 1.1 },
+      { match: 'deepseek-reasoner', input: 0.55, output: 2.19 }
+    ],
+    Grok: [
+      { match: 'grok-4', input: 3, output: 15 },
+      { match: 'grok-3-mini', input: 0.3, output: 0.5 },
+      { match: 'grok-3', input: 3, output: 15 },
+      { match: 'grok-2', input: 2, output: 10 }
+    ],
+    Custom: [
+      { match: '', input: 0, output: 0 }  // Self-hosted - no per-token cost
+    ]
+  },
+  
   // Default settings
   DEFAULT_PROVIDER: 'Claude',
   DEFAULT_MODEL: '', // Will be set dynamically
   
-  // Default domains to consider as "frequently opened"
+  // Placeholders available in prompt templates. {NAME} inserts the value;
+  // {#NAME}...{/NAME} keeps the enclosed text only when NAME has a value.
+  PROMPT_VARIABLES: {
+    TABS_DATA: { required: true, description: 'JSON list of the tabs to categorize' },
+    FREQUENT_DOMAINS: { description: 'Domains you reopen most often, topped up with common sites' },
+    CURRENT_DATE: { description: "Today's date (YYYY-MM-DD)" },
+    CATEGORY_NAMES: { description: 'Category numbers and their names, e.g. "1 = Ignore"' },
+    CATEGORY_NUMBERS: { description: 'The category numbers the AI may answer with, e.g. "1, 2, or 3"' },
+    CUSTOM_CATEGORIES: { description: 'Your own categories, one per line with their number and description' },
+    CORRECTION_EXAMPLES: { description: 'Your past corrections most relevant to the tabs being categorized, with the category you chose' }
+  },
+  
+  // How much history goes into {FREQUENT_DOMAINS} and {CORRECTION_EXAMPLES}
+  PROMPT_CONTEXT: {
+    frequentDomainCount: 15,
+    correctionExampleCount: 10,    // Most few-shot examples per request
+    correctionCandidateCount: 200, // Recent corrections considered when picking examples
+    correctionTokenBudget: 400,    // Approximate prompt tokens the examples may use
+    correctionMinSimilarity: 0.3   // Corrections from other domains need this embedding similarity
+  },
+  
+  // Default domains to consider as "frequently opened" (used until there is enough history)
   FREQUENT_DOMAINS: [
     'mail.google.com',
     'gmail.com',
@@ -78,7 +216,7 @@ const CONFIG = {
   ],
   
   // Prompt versioning - increment this when you update the default prompt
-  PROMPT_VERSION: 3,
+  PROMPT_VERSION: 5,
   
   // Default categorization prompt
   DEFAULT_PROMPT: `You are a tab categorization assistant. Categorize browser tabs based on how difficult they would be to find again if closed.
@@ -111,7 +249,10 @@ const CONFIG = {
   - Dynamically generated content or temporary links
   - Pages reached through multiple navigation steps
   - Work in progress or unsaved content
-
+{#CUSTOM_CATEGORIES}
+  The user also defined these categories. When a tab clearly fits one of them, use its number instead of 1, 2 or 3:
+{CUSTOM_CATEGORIES}
+{/CUSTOM_CATEGORIES}
   Key considerations:
   1. Domain familiarity: Is this a domain the average person visits regularly?
   2. URL complexity: Does the URL contain unique IDs, parameters, or session info?
@@ -122,12 +263,15 @@ const CONFIG = {
   - github.com/user/repo → Category 2 (specific but searchable)
   - claude.ai/chat/[unique-id] → Category 3 (specific conversation)
   - youtube.com → Category 1 (well-known homepage)
-
-  For each tab, assign a category (1, 2, or 3) based on the title and URL.
+{#CORRECTION_EXAMPLES}
+  The user has corrected these categorizations before. Treat similar tabs the same way:
+{CORRECTION_EXAMPLES}
+{/CORRECTION_EXAMPLES}
+  For each tab, assign a category ({CATEGORY_NUMBERS}) based on the title and URL.
 
   Tabs data:
   {TABS_DATA}
 
-  Respond with ONLY a JSON object where keys are tab IDs and values are category numbers (1, 2, or 3).
+  Respond with ONLY a JSON object where keys are tab IDs and values are category numbers ({CATEGORY_NUMBERS}).
   Example: {"123": 1, "456": 3, "789": 2}`
 };
\ No newline at end of file
@@ -3,14 +3,166 @@
  * Database - Normalized structure with URL and event tracking
  */
 
+// Name of the database that keeps a copy of the data from before each schema upgrade
+const TAB_DB_BACKUP_NAME = 'AITabManagerDB-backup';
+
+/**
+ * Schema migrations, in version order. When the database is opened at a newer
+ * version, the steps above its old version run in order inside the upgrade
+ * transaction; if one fails the upgrade is rolled back.
+ * To change the schema, add a step with the next version - never edit a released step.
+ */
+const TAB_DB_MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Normalized urls and events stores',
+    upgrade(db) {
+      // Delete old object stores if they exist (for clean migration)
+      const oldStores = ['tabs', 'savedTabs', 'collections', 'migrationStatus'];
+      oldStores.forEach(storeName => {
+        if (db.objectStoreNames.contains(storeName)) {
+          console.log('Deleting old object store:', storeName);
+          db.deleteObjectStore(storeName);
+        }
+      });
+      
+      // URLs table - stores unique URLs with their category
+      if (!db.objectStoreNames.contains('urls')) {
+        console.log('Creating urls object store');
+        const urlStore = db.createObjectStore('urls', { keyPath: 'id', autoIncrement: true });
+        // Composite index for URL + title uniqueness (for backward compatibility)
+        urlStore.createIndex('url_title', ['url', 'title'], { unique: true });
+        // Made unique in version 3
+        urlStore.createIndex('url', 'url', { unique: false });
+        urlStore.createIndex('category', 'category', { unique: false });
+        urlStore.createIndex('domain', 'domain', { unique: false });
+        urlStore.createIndex('lastCategorized', 'lastCategorized', { unique: false });
+      }
+      
+      // Events table - stores open/close events for each URL
+      if (!db.objectStoreNames.contains('events')) {
+        console.log('Creating events object store');
+        const eventStore = db.createObjectStore('events', { keyPath: 'id', autoIncrement: true });
+        eventStore.createIndex('urlId', 'urlId', { unique: false });
+        eventStore.createIndex('openTime', 'openTime', { unique: false });
+        eventStore.createIndex('closeTime', 'closeTime', { unique: false });
+        // Composite index for finding sessions
+        eventStore.createIndex('closeTime_urlId', ['closeTime', 'urlId'], { unique: false });
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'One record per URL',
+    async upgrade(db, transaction) {
+      const urlStore = transaction.objectStore('urls');
+      const eventStore = transaction.objectStore('events');
+      const urls = await idbRequest(urlStore.getAll());
+      
+      // Merge the records that share a URL into one. Every record with a url value
+      // (an empty string too) goes into the unique index, so all of them are merged.
+      const byUrl = new Map();
+      urls.filter(url => url.url !== undefined && url.url !== null).forEach(url => {
+        byUrl.set(url.url, [...(byUrl.get(url.url) || []), url]);
+      });
+      const movedIds = new Map(); // Merged record ID -> ID of the record it was merged into
+      byUrl.forEach(records => {
+        if (records.length < 2) return;
+        const merged = mergeUrlRecords(records);
+        records.filter(record => record.id !== merged.id).forEach(record => {
+          movedIds.set(record.id, merged.id);
+          urlStore.delete(record.id);
+        });
+        urlStore.put(merged);
+      });
+      
+      // Events follow their URL
+      const events = await idbRequest(eventStore.getAll());
+      events.forEach(event => {
+        if (movedIds.has(event.urlId)) {
+          eventStore.put({ ...event, urlId: movedIds.get(event.urlId) });
+        }
+      });
+      
+      urlStore.deleteIndex('url');
+      urlStore.createIndex('url', 'url', { unique: true });
+      console.log(`Merged ${movedIds.size} duplicate URL records`);
+    }
+  },
+  {
+    version: 4,
+    description: 'Canonical URLs for duplicate detection',
+    async upgrade(db, transaction) {
+      const urlStore = transaction.objectStore('urls');
+      const urls = await idbRequest(urlStore.getAll());
+      urls.forEach(url => {
+        urlStore.put({ ...url, canonicalUrl: canonicalizeUrl(url.url) });
+      });
+      // Not unique: records that only now share a canonical URL are merged by mergeDuplicateUrls
+      urlStore.createIndex('canonicalUrl', 'canonicalUrl', { unique: false });
+    }
+  }
+];
+
+/**
+ * Merge records of the same tab into one: the record with the highest category
+ * (most recently categorized on a tie) is kept, with the earliest firstSeen and
+ * every tag and note of the others
+ * @param {Object[]} records - URL records
+ * @returns {Object} The kept record, updated
+ */
+function mergeUrlRecords(records) {
+  const time = value => (value ? new Date(value).getTime() || 0 : 0);
+  const [kept, ...others] = [...records].sort((a, b) =>
+    ((b.category || 0) - (a.category || 0)) || (time(b.lastCategorized) - time(a.lastCategorized))
+  );
+  
+  const firstSeen = records
+    .map(record => record.firstSeen)
+    .filter(Boolean)
+    .sort((a, b) => time(a) - time(b))[0];
+  const notes = [...new Set(records.map(record => (record.notes || '').trim()).filter(Boolean))];
+  
+  return {
+    ...kept,
+    firstSeen: firstSeen || kept.firstSeen,
+    favicon: kept.favicon || others.find(record => record.favicon)?.favicon || null,
+    tags: [...new Set(records.flatMap(record => record.tags || []))],
+    notes: notes.join('\n\n')
+  };
+}
+
+/**
+ * Wait for an IndexedDB request
+ * @param {IDBRequest} request
+ * @returns {Promise<any>} The request's result
+ */
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
 class TabDatabase {
   constructor() {
     this.dbName = 'AITabManagerDB';
-    this.dbVersion = 2; // Match the existing database version
+    this.dbVersion = TAB_DB_MIGRATIONS[TAB_DB_MIGRATIONS.length - 1].version;
     this.db = null;
   }
 
   async init() {
+    // Canonical URLs are computed with the user's domain rules - the upgrade and
+    // the first lookups must not fall back to the built-in rules only
+    await loadUrlCanonicalizationSettings();
+    
+    try {
+      await this.backupBeforeMigration();
+    } catch (error) {
+      // A failed backup should not keep the extension from opening its data
+      console.error('Failed to back up database before upgrade:', error);
+    }
+    
     return new Promise((resolve, reject) => {
       const request = indexedDB.open(this.dbName, this.dbVersion);
 
@@ -19,51 +171,113 @@ class TabDatabase {
         reject(request.error);
       };
 
+      request.onblocked = () => {
+        console.warn('Database upgrade is waiting for other extension pages to close the database');
+      };
+      
       request.onsuccess = () => {
         this.db = request.result;
+        // Let a newer version of the extension upgrade the schema
+        this.db.onversionchange = () => this.db.close();
         resolve();
       };
 
       request.onupgradeneeded = (event) => {
         const db = event.target.result;
+        const transaction = event.target.transaction;
         console.log('Upgrading database schema from version', event.oldVersion, 'to', event.newVersion);
 
-        // Delete old object stores if they exist (for clean migration)
-        const oldStores = ['tabs', 'savedTabs', 'collections', 'migrationStatus'];
-        oldStores.forEach(storeName => {
-          if (db.objectStoreNames.contains(storeName)) {
-            console.log('Deleting old object store:', storeName);
-            db.deleteObjectStore(storeName);
-          }
+        this.runMigrations(db, transaction, event.oldVersion).catch(error => {
+          console.error('Database migration failed:', error);
+          transaction.abort();
         });
-
-        // URLs table - stores unique URLs with their category
-        if (!db.objectStoreNames.contains('urls')) {
-          console.log('Creating urls object store');
-          const urlStore = db.createObjectStore('urls', { keyPath: 'id', autoIncrement: true });
-          // Composite index for URL + title uniqueness (for backward compatibility)
-          urlStore.createIndex('url_title', ['url', 'title'], { unique: true });
-          // URL should be unique - one entry per URL
-          urlStore.createIndex('url', 'url', { unique: false }); // Keep as non-unique for now to avoid migration issues
-          urlStore.createIndex('category', 'category', { unique: false });
-          urlStore.createIndex('domain', 'domain', { unique: false });
-          urlStore.createIndex('lastCategorized', 'lastCategorized', { unique: false });
-        }
-
-        // Events table - stores open/close events for each URL
-        if (!db.objectStoreNames.contains('events')) {
-          console.log('Creating events object store');
-          const eventStore = db.createObjectStore('events', { keyPath: 'id', autoIncrement: true });
-          eventStore.createIndex('urlId', 'urlId', { unique: false });
-          eventStore.createIndex('openTime', 'openTime', { unique: false });
-          eventStore.createIndex('closeTime', 'closeTime', { unique: false });
-          // Composite index for finding sessions
-          eventStore.createIndex('closeTime_urlId', ['closeTime', 'urlId'], { unique: false });
-        }
-
       };
     });
   }
+  
+  /**
+   * Run the migration steps above a version, in order
+   * @param {IDBDatabase} db - Database being upgraded
+   * @param {IDBTransaction} transaction - The upgrade transaction
+   * @param {number} oldVersion - Version the database is at (0 when new)
+   * @returns {Promise<void>}
+   */
+  async runMigrations(db, transaction, oldVersion) {
+    const pending = TAB_DB_MIGRATIONS.filter(migration => migration.version > oldVersion && migration.version <= this.dbVersion);
+    for (const migration of pending) {
+      console.log(`Migrating database to version ${migration.version}: ${migration.description}`);
+      await migration.upgrade(db, transaction);
+    }
+  }
+  
+  /**
+   * Before a schema upgrade, copy every store of the database as it is to the
+   * backup database. One backup is kept per old version.
+   * @returns {Promise<void>}
+   */
+  async backupBeforeMigration() {
+    const databases = indexedDB.databases ? await indexedDB.databases() : [];
+    const existing = databases.find(database => database.name === this.dbName);
+    if (!existing || existing.version >= this.dbVersion) return;
+    
+    // Opening without a version opens the database as it is, without upgrading it
+    const db = await idbRequest(indexedDB.open(this.dbName));
+    const backup = {
+      fromVersion: db.version,
+      toVersion: this.dbVersion,
+      createdAt: new Date().toISOString(),
+      stores: {}
+    };
+    try {
+      const storeNames = Array.from(db.objectStoreNames);
+      if (storeNames.length > 0) {
+        const transaction = db.transaction(storeNames, 'readonly');
+        for (const storeName of storeNames) {
+          backup.stores[storeName] = await idbRequest(transaction.objectStore(storeName).getAll());
+        }
+      }
+    } finally {
+      db.close();
+    }
+    
+    const backupDb = await this.openBackupDatabase();
+    try {
+      await new Promise((resolve, reject) => {
+        const transaction = backupDb.transaction(['backups'], 'readwrite');
+        transaction.objectStore('backups').put(backup);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+      });
+      console.log(`Backed up database version ${backup.fromVersion} before upgrading to ${backup.toVersion}`);
+    } finally {
+      backupDb.close();
+    }
+  }
+  
+  /**
+   * Backups taken before schema upgrades, e.g. to recover data by hand
+   * @returns {Promise<Object[]>} [{ fromVersion, toVersion, createdAt, stores: { storeName: records } }]
+   */
+  async getMigrationBackups() {
+    const backupDb = await this.openBackupDatabase();
+    try {
+      return await idbRequest(backupDb.transaction(['backups'], 'readonly').objectStore('backups').getAll());
+    } finally {
+      backupDb.close();
+    }
+  }
+  
+  /**
+   * Open the database holding the pre-upgrade backups
+   * @returns {Promise<IDBDatabase>}
+   */
+  openBackupDatabase() {
+    const request = indexedDB.open(TAB_DB_BACKUP_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore('backups', { keyPath: 'fromVersion' });
+    };
+    return idbRequest(request);
+  }
 
   /**
    * Find a URL entry by URL and title
@@ -99,17 +313,10 @@ class TabDatabase {
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction(['urls'], 'readwrite');
       const store = transaction.objectStore('urls');
-      const urlIndex = store.index('url');
-
-      // First, try to find existing URL (regardless of title)
-      const urlRequest = urlIndex.getAll(tabData.url);
 
-      urlRequest.onsuccess = () => {
-        const existingRecords = urlRequest.result;
-        
-        if (existingRecords && existingRecords.length > 0) {
-          // URL exists - use the first one (should ideally be only one)
-          const existing = existingRecords[0];
+      // First, try to find existing URL (regardless of title), in any of its variants
+      this.findUrlRecord(store, tabData.url).then(existing => {
+        if (existing) {
           
           // Update the record with new data
           let needsUpdate = false;
@@ -124,6 +331,11 @@ class TabDatabase {
           if (existing.category !== category && category !== 0) {
             existing.category = category;
             existing.lastCategorized = new Date().toISOString();
+            // An old LLM reason no longer explains the new category
+            existing.llmReason = tabData.llmReason || null;
+            needsUpdate = true;
+          } else if (tabData.llmReason && existing.llmReason !== tabData.llmReason) {
+            existing.llmReason = tabData.llmReason;
             needsUpdate = true;
           }
           
@@ -142,24 +354,38 @@ class TabDatabase {
           // Create new URL entry
           const urlData = {
             url: tabData.url,
+            canonicalUrl: canonicalizeUrl(tabData.url),
             title: tabData.title,
             domain: tabData.domain || this.extractDomain(tabData.url),
             category: category,
             firstSeen: new Date().toISOString(),
             lastCategorized: category !== 0 ? new Date().toISOString() : null,
-            favicon: tabData.favIconUrl || null
+            favicon: tabData.favIconUrl || null,
+            llmReason: tabData.llmReason || null, // Why the LLM chose this category (explain mode)
+            tags: [],
+            notes: ''
           };
 
           const addRequest = store.add(urlData);
           addRequest.onsuccess = () => resolve(addRequest.result);
           addRequest.onerror = () => reject(addRequest.error);
         }
-      };
-
-      urlRequest.onerror = () => reject(urlRequest.error);
+      }).catch(reject);
     });
   }
 
+  /**
+   * Find the record of a URL: one with the same canonical URL, or else the exact URL
+   * (a record saved under older canonicalization rules)
+   * @param {IDBObjectStore} store - urls store of an active transaction
+   * @param {string} url - URL
+   * @returns {Promise<Object|null>} URL record
+   */
+  async findUrlRecord(store, url) {
+    const byCanonicalUrl = await idbRequest(store.index('canonicalUrl').get(canonicalizeUrl(url)));
+    return byCanonicalUrl || await idbRequest(store.index('url').get(url)) || null;
+  }
+
   /**
    * Record a tab open event
    * @param {number} urlId - URL ID from urls table
@@ -238,6 +464,11 @@ class TabDatabase {
         try {
           // Get or create URL entry with the category
           const urlId = await this.getOrCreateUrl(tab, parseInt(category));
+          
+          // Imported rows bring their tags and notes along
+          if (tab.tags?.length > 0 || tab.notes) {
+            await this.updateUrlAnnotations(urlId, { tags: tab.tags || [], notes: tab.notes || '' });
+          }
 
           // Record close event for this tab
           if (tab.id) {
@@ -259,21 +490,9 @@ class TabDatabase {
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction(['urls'], 'readonly');
       const store = transaction.objectStore('urls');
-      const index = store.index('url');
 
-      // Use getAll since URL index is not unique (same URL can have different titles)
-      const request = index.getAll(url);
-      request.onsuccess = () => {
-        const results = request.result;
-        if (results.length === 0) {
-          resolve(null);
-        } else {
-          // Return the highest category entry for this URL (Important > Useful > Ignore)
-          const sorted = results.sort((a, b) => b.category - a.category);
-          resolve(sorted[0]);
-        }
-      };
-      request.onerror = () => reject(request.error);
+      // One record per URL, whichever variant of it was saved
+      this.findUrlRecord(store, url).then(resolve, reject);
     });
   }
 
@@ -287,34 +506,29 @@ class TabDatabase {
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction(['urls'], 'readwrite');
       const store = transaction.objectStore('urls');
-      const index = store.index('url');
       
       // Find the URL record
-      const request = index.getAll(url);
-      request.onsuccess = () => {
-        const results = request.result;
-        if (results.length === 0) {
+      this.findUrlRecord(store, url).then(record => {
+        if (!record) {
           resolve(false);
           return;
         }
         
-        // Update the first matching record (or the one with highest category)
-        const sorted = results.sort((a, b) => b.category - a.category);
-        const record = sorted[0];
         record.category = newCategory;
         record.lastCategorized = new Date().toISOString();
+        record.llmReason = null; // Manually recategorized
         
         const updateRequest = store.put(record);
         updateRequest.onsuccess = () => resolve(true);
         updateRequest.onerror = () => reject(updateRequest.error);
-      };
-      request.onerror = () => reject(request.error);
+      }).catch(reject);
     });
   }
 
   /**
    * Get all saved URLs by category
-   * @param {number[]} categories - Array of categories to retrieve (default: [2,3] for save later & important)
+   * @param {number[]|null} categories - Array of categories to retrieve (default: [2,3] for save later & important);
+   *   null for every category but uncategorized, custom categories included
    * @returns {Promise<Object[]>} Array of URL objects
    */
   async getSavedUrls(categories = [2, 3], includeEvents = false) {
@@ -335,7 +549,7 @@ class TabDatabase {
           const record = cursor.value;
           // console.log('Found URL record:', record.id, 'category:', record.category, 'url:', record.url);
           
-          if (categories.includes(cursor.value.category)) {
+          if (categories ? categories.includes(cursor.value.category) : cursor.value.category > 0) {
             const urlData = { ...cursor.value };
             
             // If includeEvents is true, get the most recent close event for this URL
@@ -405,7 +619,7 @@ class TabDatabase {
    * @returns {Promise<Object[]>} Array of saved tab objects
    */
   async getAllSavedTabs(options = {}) {
-    const categories = options.categories || [1, 2, 3]; // All categories by default
+    const categories = options.categories || null; // All categories by default
     return this.getSavedUrls(categories, true);
   }
 
@@ -492,6 +706,38 @@ class TabDatabase {
     });
   }
 
+  /**
+   * Get the domains the user opens most often, counted from open events
+   * @param {number} limit - Maximum number of domains
+   * @returns {Promise<string[]>} Domains, most opened first
+   */
+  async getFrequentDomains(limit = 15) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['events', 'urls'], 'readonly');
+      const eventsRequest = transaction.objectStore('events').getAll();
+      const urlsRequest = transaction.objectStore('urls').getAll();
+
+      transaction.oncomplete = () => {
+        const domainById = new Map(urlsRequest.result.map(url => [url.id, url.domain]));
+        const counts = new Map();
+
+        eventsRequest.result.forEach(event => {
+          const domain = domainById.get(event.urlId);
+          if (domain) {
+            counts.set(domain, (counts.get(domain) || 0) + 1);
+          }
+        });
+
+        resolve(Array.from(counts.entries())
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, limit)
+          .map(([domain]) => domain));
+      };
+
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
   /**
    * Delete a URL and all its events
    * @param {number} urlId - URL ID to delete
@@ -539,6 +785,7 @@ class TabDatabase {
         if (url) {
           url.category = newCategory;
           url.lastCategorized = new Date().toISOString();
+          url.llmReason = null; // Manually recategorized
           const updateRequest = store.put(url);
           updateRequest.onsuccess = () => resolve();
           updateRequest.onerror = () => reject(updateRequest.error);
@@ -552,6 +799,99 @@ class TabDatabase {
   }
 
 
+  /**
+   * Set the tags and notes of a saved URL
+   * @param {number} urlId - URL ID
+   * @param {Object} annotations - { tags, notes }; a field left out keeps its value
+   * @returns {Promise<Object>} { tags, notes } as stored
+   */
+  async updateUrlAnnotations(urlId, { tags, notes } = {}) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['urls'], 'readwrite');
+      const store = transaction.objectStore('urls');
+      
+      const request = store.get(urlId);
+      request.onsuccess = () => {
+        const url = request.result;
+        if (url) {
+          if (tags !== undefined) {
+            url.tags = this.normalizeTags(tags);
+          }
+          if (notes !== undefined) {
+            url.notes = String(notes || '').trim();
+          }
+          const updateRequest = store.put(url);
+          updateRequest.onsuccess = () => resolve({ tags: url.tags || [], notes: url.notes || '' });
+          updateRequest.onerror = () => reject(updateRequest.error);
+        } else {
+          reject(new Error('URL not found'));
+        }
+      };
+      
+      request.onerror = () => reject(request.error);
+    });
+  }
+  
+  /**
+   * Merge saved URLs that are one page under the current canonicalization rules -
+   * saved before the rules existed, or before a domain rule was added - and bring
+   * every record's canonical URL up to date
+   * @param {Object} options - { dryRun: true } only counts what would be merged
+   * @returns {Promise<Object>} { groups, merged } - pages saved more than once, and records merged away
+   */
+  async mergeDuplicateUrls({ dryRun = false } = {}) {
+    const urls = await this.getAllUrls();
+    const byCanonicalUrl = new Map();
+    const staleIds = new Set();
+    urls.forEach(url => {
+      const canonicalUrl = canonicalizeUrl(url.url);
+      if (url.canonicalUrl !== canonicalUrl) {
+        staleIds.add(url.id);
+      }
+      byCanonicalUrl.set(canonicalUrl, [...(byCanonicalUrl.get(canonicalUrl) || []), { ...url, canonicalUrl }]);
+    });
+    
+    const duplicateGroups = [...byCanonicalUrl.values()].filter(records => records.length > 1);
+    const result = {
+      groups: duplicateGroups.length,
+      merged: duplicateGroups.reduce((count, records) => count + records.length - 1, 0)
+    };
+    if (dryRun) return result;
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['urls', 'events'], 'readwrite');
+      const urlStore = transaction.objectStore('urls');
+      const eventStore = transaction.objectStore('events');
+      
+      byCanonicalUrl.forEach(records => {
+        if (records.length === 1) {
+          if (staleIds.has(records[0].id)) {
+            urlStore.put(records[0]);
+          }
+          return;
+        }
+        
+        const merged = mergeUrlRecords(records);
+        records.filter(record => record.id !== merged.id).forEach(record => {
+          urlStore.delete(record.id);
+          // Events follow their URL
+          const eventRequest = eventStore.index('urlId').getAll(record.id);
+          eventRequest.onsuccess = () => {
+            eventRequest.result.forEach(event => eventStore.put({ ...event, urlId: merged.id }));
+          };
+        });
+        urlStore.put(merged);
+      });
+      
+      transaction.oncomplete = () => {
+        console.log(`Merged ${result.merged} duplicate URL records into ${result.groups}`);
+        resolve(result);
+      };
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+  
+  
   // Utility functions
   extractDomain(url) {
     try {
@@ -561,6 +901,19 @@ class TabDatabase {
       return '';
     }
   }
+  
+  /**
+   * Clean up tags: lowercase, no leading '#', spaces joined with '-', no repeats
+   * @param {string|string[]} tags - Array, or a comma or semicolon separated string
+   * @returns {string[]}
+   */
+  normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(/[,;]/);
+    const normalized = list
+      .map(tag => String(tag).trim().toLowerCase().replace(/^#+/, '').replace(/[,;]/g, '').replace(/\s+/g, '-').slice(0, 40))
+      .filter(Boolean);
+    return [...new Set(normalized)];
+  }
 
   async exportData() {
     const urls = await this.getAllUrls();
@@ -578,21 +931,22 @@ class TabDatabase {
   /**
    * Export tabs as CSV
    * @param {number[]} urlIds - Optional array of URL IDs to export (null for all)
+   * @param {Object} options - { customCategories: [{ id, name }] } so their tabs are exported by name
    * @returns {Promise<string>} CSV content
    */
-  async exportAsCSV(urlIds = null) {
+  async exportAsCSV(urlIds = null, { customCategories = [] } = {}) {
     let urls;
     if (urlIds) {
       // Get specific URLs by IDs
       urls = await Promise.all(urlIds.map(id => this.getUrlById(id)));
       urls = urls.filter(url => url !== null);
     } else {
-      // Get all saved URLs (categories 1, 2, 3)
-      urls = await this.getSavedUrls([1, 2, 3], true);
+      // Get all saved URLs (categories 1, 2, 3 and the custom ones)
+      urls = await this.getSavedUrls([1, 2, 3, ...customCategories.map(category => category.id)], true);
     }
     
     // CSV header
-    const headers = ['Title', 'URL', 'Domain', 'Category', 'Saved Date', 'Saved Time', 'Last Closed Date', 'Last Closed Time'];
+    const headers = ['Title', 'URL', 'Domain', 'Category', 'Saved Date', 'Saved Time', 'Last Closed Date', 'Last Closed Time', 'Tags', 'Notes'];
     const rows = [headers];
     
     urls.forEach(url => {
@@ -615,13 +969,16 @@ class TabDatabase {
         2: 'Useful',
         3: 'Important'
       };
+      customCategories.forEach(category => {
+        categoryNames[category.id] = category.name;
+      });
       const categoryName = categoryNames[url.category] || 'Unknown';
       
       // Escape fields that might contain commas or quotes
       const escapeCSV = (field) => {
         if (field === null || field === undefined) return '';
         const str = String(field);
-        if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+        if (str.includes(',') || str.includes('"') || str.includes('\n') || str.includes('\r')) {
           return `"${str.replace(/"/g, '""')}"`;
         }
         return str;
@@ -635,7 +992,9 @@ class TabDatabase {
         escapeCSV(savedDateStr),
         escapeCSV(savedTimeStr),
         escapeCSV(lastClosedDateStr),
-        escapeCSV(lastClosedTimeStr)
+        escapeCSV(lastClosedTimeStr),
+        escapeCSV((url.tags || []).join(', ')),
+        escapeCSV(url.notes)
       ]);
     });
     
@@ -661,7 +1020,7 @@ class TabDatabase {
   /**
    * Import tabs from CSV
    * @param {string} csvContent - CSV content to import
-   * @param {Object} settings - Import settings
+   * @param {Object} settings - Import settings; customCategories: [{ id, name }] maps category names to custom IDs
    * @returns {Promise<Object>} Import results
    */
   async importFromCSV(csvContent, settings = {}) {
@@ -669,7 +1028,18 @@ class TabDatabase {
       throw new Error('Invalid CSV content');
     }
     
-    const lines = csvContent.split('\n').filter(line => line.trim());
+    // Split into rows; a quoted field (such as multi-line notes) can span lines
+    const rows = [];
+    let pendingRow = null;
+    csvContent.split('\n').forEach(line => {
+      const row = pendingRow === null ? line : `${pendingRow}\n${line}`;
+      const inQuotes = (row.match(/"/g) || []).length % 2 === 1;
+      pendingRow = inQuotes ? row : null;
+      if (!inQuotes) rows.push(row);
+    });
+    if (pendingRow !== null) rows.push(pendingRow);
+    
+    const lines = rows.filter(line => line.trim());
     if (lines.length < 2) {
       throw new Error('CSV file must contain headers and at least one data row');
     }
@@ -713,14 +1083,16 @@ class TabDatabase {
     const savedTimeIdx = headers.findIndex(h => h.includes('saved') && h.includes('time'));
     const closedDateIdx = headers.findIndex(h => h.includes('closed') && h.includes('date'));
     const closedTimeIdx = headers.findIndex(h => h.includes('closed') && h.includes('time'));
+    const tagsIdx = headers.findIndex(h => h === 'tags');
+    const notesIdx = headers.findIndex(h => h === 'notes');
     
     if (titleIdx === -1 || urlIdx === -1) {
       throw new Error('CSV must contain at least Title and URL columns');
     }
     
-    // Get existing URLs to check for duplicates
+    // Get existing URLs to check for duplicates, in canonical form so variants of a saved URL count too
     const existingUrls = await this.getAllUrls();
-    const existingUrlSet = new Set(existingUrls.map(url => url.url));
+    const existingUrlSet = new Set(existingUrls.map(url => canonicalizeUrl(url.url)));
     
     // Process data rows
     const imported = [];
@@ -738,8 +1110,9 @@ class TabDatabase {
       
       if (!url) continue; // Skip rows without URL
       
-      // Check for duplicates
-      if (existingUrlSet.has(url)) {
+      // Check for duplicates, including rows earlier in the file
+      const canonicalUrl = canonicalizeUrl(url);
+      if (existingUrlSet.has(canonicalUrl)) {
         duplicates.push({ title, url, line: i + 1 });
         continue;
       }
@@ -773,7 +1146,9 @@ class TabDatabase {
           'save later': 2,
           'important': 3
         };
-        category = categoryMap[categoryStr] || 0;
+        // Custom categories are matched by name
+        const customCategory = (settings.customCategories || []).find(custom => custom.name.toLowerCase() === categoryStr);
+        category = customCategory ? customCategory.id : categoryMap[categoryStr] || 0;
       }
       
       // Parse dates
@@ -797,7 +1172,8 @@ class TabDatabase {
       if (category === 0 && settings.rules && settings.rules.length > 0) {
         const { applyRulesToTabs } = await import('./src/modules/categorization-service.js');
         const tabData = { url, title, domain };
-        const { categorizedByRules: ruleResults } = applyRulesToTabs([tabData], settings.rules);
+        // Imported rows are not browsing - they do not count as rule hits
+        const { categorizedByRules: ruleResults } = applyRulesToTabs([tabData], settings.rules, { recordHits: false });
         
         // Check if any rule matched
         for (const [cat, tabs] of Object.entries(ruleResults)) {
@@ -809,6 +1185,10 @@ class TabDatabase {
         }
       }
       
+      // Tags and notes from an earlier export
+      const tags = tagsIdx !== -1 ? this.normalizeTags(row[tagsIdx]) : [];
+      const notes = notesIdx !== -1 ? row[notesIdx]?.trim() || '' : '';
+      
       try {
         // Only import categorized tabs (1, 2, 3)
         if (category > 0) {
@@ -818,6 +1198,10 @@ class TabDatabase {
             domain: domain
           }, category);
           
+          if (tags.length > 0 || notes) {
+            await this.updateUrlAnnotations(urlId, { tags, notes });
+          }
+          
           // Record a close event if we have close date
           if (closedDateIdx !== -1 && row[closedDateIdx]) {
             try {
@@ -835,8 +1219,10 @@ class TabDatabase {
           }
           
           imported.push({ title, url, category, line: i + 1 });
+          existingUrlSet.add(canonicalUrl);
         } else {
-          needsCategorization.push({ title, url, line: i + 1 });
+          // Tags and notes stay with the row until it is categorized and saved
+          needsCategorization.push({ title, url, tags, notes, line: i + 1 });
         }
       } catch (error) {
         errors.push({ 
@@ -863,50 +1249,6 @@ class TabDatabase {
     };
   }
 
-  /**
-   * Clean up uncategorized (category 0) records from database
-   * @returns {Promise<number>} Number of records deleted
-   */
-  async cleanupUncategorizedRecords() {
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(['urls', 'events'], 'readwrite');
-      const urlStore = transaction.objectStore('urls');
-      const eventStore = transaction.objectStore('events');
-      let deletedCount = 0;
-      
-      const request = urlStore.openCursor();
-      request.onsuccess = async (event) => {
-        const cursor = event.target.result;
-        if (cursor) {
-          if (cursor.value.category === 0) {
-            const urlId = cursor.value.id;
-            
-            // Delete URL record
-            cursor.delete();
-            deletedCount++;
-            
-            // Delete associated events
-            const eventIndex = eventStore.index('urlId');
-            const eventRequest = eventIndex.openCursor(IDBKeyRange.only(urlId));
-            eventRequest.onsuccess = (eventEvent) => {
-              const eventCursor = eventEvent.target.result;
-              if (eventCursor) {
-                eventCursor.delete();
-                eventCursor.continue();
-              }
-            };
-          }
-          cursor.continue();
-        } else {
-          console.log(`Cleanup complete. Deleted ${deletedCount} uncategorized records.`);
-          resolve(deletedCount);
-        }
-      };
-      
-      request.onerror = () => reject(request.error);
-    });
-  }
-
   async importData(data) {
     // Implementation for importing data
     // This would clear existing data and import the new data
@@ -939,7 +1281,8 @@ class TabDatabase {
         const updatedRecord = {
           ...urlRecord,
           category: newCategory,
-          lastCategorized: Date.now()
+          lastCategorized: Date.now(),
+          llmReason: null // Manually recategorized
         };
         
         // Save the updated record
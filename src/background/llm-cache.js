@@ -0,0 +1,234 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * LLM verdict cache - reuses categorizations for tabs a model has already judged
+ * Loaded into the background service worker via importScripts
+ */
+
+const LLM_CACHE_DB_NAME = 'AITabManagerLLMCache';
+const LLM_CACHE_DB_VERSION = 1;
+const LLM_CACHE_STORE = 'verdicts';
+
+let llmCacheDbPromise = null;
+
+/**
+ * Open (once) the cache database
+ * @returns {Promise<IDBDatabase>} Database handle
+ */
+function openLLMCacheDatabase() {
+  if (!llmCacheDbPromise) {
+    llmCacheDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(LLM_CACHE_DB_NAME, LLM_CACHE_DB_VERSION);
+
+      request.onerror = () => {
+        llmCacheDbPromise = null;
+        reject(new Error(`Failed to open LLM cache: ${request.error}`));
+      };
+
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        if (!db.objectStoreNames.contains(LLM_CACHE_STORE)) {
+          const store = db.createObjectStore(LLM_CACHE_STORE, { keyPath: 'key' });
+          store.createIndex('createdAt', 'createdAt', { unique: false });
+          store.createIndex('promptKey', 'promptKey', { unique: false });
+        }
+      };
+    });
+  }
+  return llmCacheDbPromise;
+}
+
+/**
+ * Normalize a URL for cache lookups: lowercase host, no fragment, no trailing slash
+ * @param {string} url - Tab URL
+ * @returns {string} Normalized URL
+ */
+function normalizeCacheUrl(url) {
+  try {
+    const urlObj = new URL(url);
+    urlObj.hash = '';
+    const path = urlObj.pathname.length > 1 ? urlObj.pathname.replace(/\/+$/, '') : '';
+    return `${urlObj.protocol}//${urlObj.host.toLowerCase()}${path}${urlObj.search}`;
+  } catch {
+    return String(url || '').trim();
+  }
+}
+
+/**
+ * Normalize a title for cache lookups: trimmed, collapsed whitespace, lowercase
+ * @param {string} title - Tab title
+ * @returns {string} Normalized title
+ */
+function normalizeCacheTitle(title) {
+  return String(title || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Short stable hash (FNV-1a) used to fingerprint custom prompts
+ * @param {string} text - Text to hash
+ * @returns {string} Hex hash
+ */
+function hashCacheText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+/**
+ * Identify the prompt a verdict was produced with. Editing a custom prompt
+ * changes its fingerprint, so earlier verdicts stop matching. So does changing
+ * the custom categories, which the model could not pick before.
+ * @param {string} customPrompt - Custom prompt from settings (optional)
+ * @param {Array} customCategories - [{ id, name, description }] from the prompt context (optional)
+ * @returns {string} Prompt key
+ */
+function getPromptCacheKey(customPrompt, customCategories = []) {
+  const template = getPromptTemplate(customPrompt);
+  const promptKey = template === CONFIG.DEFAULT_PROMPT
+    ? `v${CONFIG.PROMPT_VERSION}`
+    : `v${CONFIG.PROMPT_VERSION}-custom-${hashCacheText(template)}`;
+  if (customCategories.length === 0) return promptKey;
+  
+  const categories = customCategories.map(({ id, name, description }) => `${id}:${name}:${description || ''}`).join('\n');
+  return `${promptKey}-categories-${hashCacheText(categories)}`;
+}
+
+/**
+ * Build the cache key for a tab judged by a provider/model
+ * @param {Object} tab - Tab with url and title
+ * @param {string} promptKey - From getPromptCacheKey
+ * @param {string} provider - Provider name
+ * @param {string} model - Model ID
+ * @returns {string} Cache key
+ */
+function buildLLMCacheKey(tab, promptKey, provider, model) {
+  return [promptKey, provider, model, normalizeCacheUrl(tab.url), normalizeCacheTitle(tab.title)].join('|');
+}
+
+/**
+ * Split tabs into cached verdicts and tabs that still need the LLM.
+ * Providers are checked in chain order so verdicts from a fallback are reused too.
+ * @param {Array} tabs - Deduplicated tabs
+ * @param {Array} providerChain - [{ provider, model, promptKey }] in preference order
+ * @param {boolean} [requireReason] - Explain mode: verdicts cached without a reason count as misses
+ * @returns {Promise<Object>} { hits: [{ tab, category, provider, model, reason }], misses: [tab] }
+ */
+async function lookupCachedVerdicts(tabs, providerChain, requireReason = false) {
+  const db = await openLLMCacheDatabase();
+  const minCreatedAt = Date.now() - CONFIG.LLM_CACHE.ttlMs;
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([LLM_CACHE_STORE], 'readonly');
+    const store = transaction.objectStore(LLM_CACHE_STORE);
+    const hits = [];
+    const misses = [];
+
+    tabs.forEach(tab => {
+      const keys = providerChain.map(({ provider, model, promptKey }) => buildLLMCacheKey(tab, promptKey, provider, model));
+      const results = new Array(keys.length);
+      let pending = keys.length;
+
+      keys.forEach((key, index) => {
+        const request = store.get(key);
+        request.onsuccess = () => {
+          results[index] = request.result;
+          if (--pending > 0) return;
+
+          const entry = results.find(result => result && result.createdAt >= minCreatedAt &&
+            (!requireReason || result.reason));
+          if (entry) {
+            hits.push({
+              tab,
+              category: entry.category,
+              provider: entry.provider,
+              model: entry.model,
+              reason: entry.reason || null
+            });
+          } else {
+            misses.push(tab);
+          }
+        };
+      });
+    });
+
+    transaction.oncomplete = () => resolve({ hits, misses });
+    transaction.onerror = () => reject(new Error(`Failed to read LLM cache: ${transaction.error}`));
+  });
+}
+
+/**
+ * Store fresh LLM verdicts (tabs tagged with llmProvider/llmModel by the fallback chain,
+ * and llmReason in explain mode)
+ * @param {Object} categorized - { [category]: [tabs] } - uncategorized tabs (0) are not stored
+ * @param {Array} providerChain - [{ provider, promptKey }] - the prompt each provider was sent
+ * @returns {Promise<number>} Number of verdicts stored
+ */
+async function storeCachedVerdicts(categorized, providerChain) {
+  const db = await openLLMCacheDatabase();
+  const createdAt = Date.now();
+  const promptKeys = new Map(providerChain.map(({ provider, promptKey }) => [provider, promptKey]));
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([LLM_CACHE_STORE], 'readwrite');
+    const store = transaction.objectStore(LLM_CACHE_STORE);
+    let stored = 0;
+
+    Object.keys(categorized).map(Number).filter(category => category > 0).forEach(category => {
+      categorized[category].forEach(tab => {
+        const promptKey = promptKeys.get(tab.llmProvider);
+        if (!promptKey || tab.fromCache) return;
+        store.put({
+          key: buildLLMCacheKey(tab, promptKey, tab.llmProvider, tab.llmModel),
+          category,
+          provider: tab.llmProvider,
+          model: tab.llmModel,
+          reason: tab.llmReason || null,
+          promptKey,
+          createdAt
+        });
+        stored++;
+      });
+    });
+
+    transaction.oncomplete = () => resolve(stored);
+    transaction.onerror = () => reject(new Error(`Failed to write LLM cache: ${transaction.error}`));
+  });
+}
+
+/**
+ * Delete expired verdicts and verdicts produced with a different prompt
+ * @param {Array<string>} promptKeys - Prompt keys in use; entries with any other key are removed
+ * @returns {Promise<number>} Number of entries deleted
+ */
+async function pruneLLMCache(promptKeys) {
+  const keep = new Set(promptKeys);
+  const db = await openLLMCacheDatabase();
+  const minCreatedAt = Date.now() - CONFIG.LLM_CACHE.ttlMs;
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([LLM_CACHE_STORE], 'readwrite');
+    const request = transaction.objectStore(LLM_CACHE_STORE).openCursor();
+    let deleted = 0;
+
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+
+      const entry = cursor.value;
+      if (!keep.has(entry.promptKey) || entry.createdAt < minCreatedAt) {
+        cursor.delete();
+        deleted++;
+      }
+      cursor.continue();
+    };
+
+    transaction.oncomplete = () => resolve(deleted);
+    transaction.onerror = () => reject(new Error(`Failed to prune LLM cache: ${transaction.error}`));
+  });
+}
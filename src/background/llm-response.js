@@ -0,0 +1,331 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * LLM response normalization - JSON extraction and schema validation for categorization answers
+ * Loaded into the background service worker via importScripts
+ */
+
+// Built-in categories an LLM is allowed to assign; the user's custom categories are added per request
+const LLM_CATEGORIES = [1, 2, 3];
+
+// Longest reason kept from a model answer (explain mode)
+const MAX_REASON_LENGTH = 200;
+
+/**
+ * Categories the LLM may assign in a request: the built-in ones plus the user's own
+ * @param {Object} promptContext - { customCategories: [{ id, name, description }] } from the popup
+ * @returns {Array<number>} Category numbers
+ */
+function getLLMCategories(promptContext = {}) {
+  const customIds = (promptContext.customCategories || [])
+    .map(category => category.id)
+    .filter(id => Number.isInteger(id) && !LLM_CATEGORIES.includes(id));
+  return [...LLM_CATEGORIES, ...customIds];
+}
+
+/**
+ * Category numbers as a prompt would list them
+ * @param {Array<number>} categories - From getLLMCategories
+ * @returns {string} e.g. "1, 2, or 3"
+ */
+function formatCategoryChoices(categories = LLM_CATEGORIES) {
+  if (categories.length < 2) return categories.join('');
+  return `${categories.slice(0, -1).join(', ')}, or ${categories[categories.length - 1]}`;
+}
+
+/**
+ * Empty result lists for uncategorized (0) and each category
+ * @param {Array<number>} categories - From getLLMCategories
+ * @returns {Object} { 0: [], 1: [], ... }
+ */
+function createLLMResultBuckets(categories = LLM_CATEGORIES) {
+  return Object.fromEntries([0, ...categories].map(category => [category, []]));
+}
+
+/**
+ * Tool definition for the request: explain mode asks for { category, reason } per tab
+ * @param {boolean} explain - Whether per-tab reasons were requested
+ * @param {Array<number>} categories - From getLLMCategories
+ * @returns {Object} Tool definition
+ */
+function getCategorizationTool(explain, categories = LLM_CATEGORIES) {
+  if (!explain) {
+    return {
+      name: 'categorize_tabs',
+      description: 'Record the category assigned to every tab ID from the prompt.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          categories: {
+            type: 'object',
+            description: `Map of tab ID to category number (${formatCategoryChoices(categories)})`,
+            additionalProperties: { type: 'integer', enum: categories }
+          }
+        },
+        required: ['categories']
+      }
+    };
+  }
+
+  return {
+    name: 'categorize_tabs',
+    description: 'Record the category, and a short reason for it, for every tab ID from the prompt.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        categories: {
+          type: 'object',
+          description: 'Map of tab ID to { category, reason }',
+          additionalProperties: {
+            type: 'object',
+            properties: {
+              category: { type: 'integer', enum: categories },
+              reason: { type: 'string', description: 'Why this category, in at most 15 words' }
+            },
+            required: ['category', 'reason']
+          }
+        }
+      },
+      required: ['categories']
+    }
+  };
+}
+
+/**
+ * Find the index of the bracket closing the one at `start`, skipping string contents
+ * @param {string} text - Text to scan
+ * @param {number} start - Index of an opening { or [
+ * @returns {number} Index of the matching closing bracket, or -1
+ */
+function findBalancedEnd(text, start) {
+  const stack = [];
+  let inString = false;
+
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inString) {
+      if (ch === '\\') {
+        i++; // Skip escaped character
+      } else if (ch === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      stack.push(ch === '{' ? '}' : ']');
+    } else if (ch === '}' || ch === ']') {
+      if (stack.pop() !== ch) return -1;
+      if (stack.length === 0) return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Parse JSON, retrying once without trailing commas (a common model mistake)
+ * @param {string} text - Candidate JSON text
+ * @returns {any} Parsed value
+ */
+function parseLenientJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return JSON.parse(text.replace(/,\s*([}\]])/g, '$1'));
+  }
+}
+
+/**
+ * Extract the first JSON value from model output.
+ * Handles bare JSON, markdown code fences and JSON surrounded by prose.
+ * @param {string|Object} content - Raw model output (objects from tool calls pass through)
+ * @returns {any} Parsed JSON value
+ */
+function extractJSONFromText(content) {
+  if (content && typeof content === 'object') {
+    return content;
+  }
+
+  const text = String(content || '').trim();
+  if (!text) {
+    throw new Error('Empty response from model');
+  }
+
+  try {
+    return parseLenientJSON(text);
+  } catch (e) {
+    // Fall through to extraction
+  }
+
+  // Fenced code blocks, e.g. ```json ... ```
+  for (const match of text.matchAll(/```(?:json)?\s*([\s\S]*?)```/gi)) {
+    try {
+      return parseLenientJSON(match[1].trim());
+    } catch (e) {
+      // Try next block
+    }
+  }
+
+  // Balanced object/array anywhere in the prose (bounded number of attempts)
+  let attempts = 0;
+  for (let start = 0; start < text.length && attempts < 20; start++) {
+    if (text[start] !== '{' && text[start] !== '[') continue;
+    attempts++;
+
+    const end = findBalancedEnd(text, start);
+    if (end === -1) continue;
+
+    try {
+      return parseLenientJSON(text.slice(start, end + 1));
+    } catch (e) {
+      // Try next candidate
+    }
+  }
+
+  throw new Error('No JSON object found in model response');
+}
+
+/**
+ * Convert the shapes models actually return into [id, value] entries:
+ * {"id": 2}, {"categories": {...}}, [{"id": ..., "category": ...}] and {"1": [ids], "2": [ids]}
+ * @param {any} parsed - Parsed JSON
+ * @param {Array<number>} categories - From getLLMCategories
+ * @returns {Array<Array>} Entries of [id, value]
+ */
+function toCategorizationEntries(parsed, categories = LLM_CATEGORIES) {
+  if (Array.isArray(parsed)) {
+    return parsed
+      .filter(item => item && typeof item === 'object' && item.id !== undefined)
+      .map(item => [item.id, item]);
+  }
+
+  if (!parsed || typeof parsed !== 'object') {
+    throw new Error('Model response is not a JSON object');
+  }
+
+  // Tool/wrapper objects: { categories: {...} } or { tabs: [...] }
+  const keys = Object.keys(parsed);
+  if (keys.length === 1 && ['categories', 'tabs', 'results'].includes(keys[0]) &&
+      parsed[keys[0]] && typeof parsed[keys[0]] === 'object') {
+    return toCategorizationEntries(parsed[keys[0]], categories);
+  }
+
+  // Grouped form: { "1": ["id", ...], "2": [...] }
+  const isGrouped = keys.length > 0 &&
+    keys.every(key => categories.includes(Number(key)) && Array.isArray(parsed[key]));
+  if (isGrouped) {
+    return keys.flatMap(key => parsed[key].map(id => [id, Number(key)]));
+  }
+
+  return Object.entries(parsed);
+}
+
+/**
+ * Coerce a category value such as 2, "2", "Category 2" or {category: 2}
+ * @param {any} value - Raw value from the model
+ * @param {Array<number>} categories - From getLLMCategories
+ * @returns {number|null} Valid category or null
+ */
+function coerceCategory(value, categories = LLM_CATEGORIES) {
+  if (value && typeof value === 'object') {
+    value = value.category ?? value.cat;
+  }
+
+  let category = value;
+  if (typeof value === 'string') {
+    const match = value.match(/\d+/);
+    category = match ? parseInt(match[0], 10) : NaN;
+  }
+
+  return categories.includes(category) ? category : null;
+}
+
+/**
+ * Pull a short reason out of an explain-mode value such as {category: 2, reason: "..."}
+ * @param {any} value - Raw value from the model
+ * @returns {string|null} Trimmed reason, or null if none was given
+ */
+function extractReason(value) {
+  if (!value || typeof value !== 'object') return null;
+
+  const reason = value.reason ?? value.explanation;
+  if (typeof reason !== 'string' || !reason.trim()) return null;
+
+  const text = reason.replace(/\s+/g, ' ').trim();
+  return text.length > MAX_REASON_LENGTH ? text.slice(0, MAX_REASON_LENGTH - 3) + '...' : text;
+}
+
+/**
+ * Normalize a categorization answer and validate it against the IDs actually sent
+ * @param {string|Object} content - Raw model output
+ * @param {Array<string>} expectedIds - Tab IDs included in the prompt
+ * @param {Array<number>} categories - Categories the model may assign, from getLLMCategories
+ * @returns {Object} { categorization, reasons, missingIds, unknownIds, invalidIds }
+ */
+function normalizeCategorizationResponse(content, expectedIds, categories = LLM_CATEGORIES) {
+  const parsed = extractJSONFromText(content);
+  const entries = toCategorizationEntries(parsed, categories);
+  const expected = new Set(expectedIds.map(String));
+
+  const categorization = {};
+  const reasons = {};
+  const unknownIds = [];
+  const invalidIds = [];
+
+  entries.forEach(([rawId, value]) => {
+    const id = String(rawId).trim();
+
+    // IDs the model invented (or mangled) are dropped
+    if (!expected.has(id)) {
+      unknownIds.push(id);
+      return;
+    }
+
+    const category = coerceCategory(value, categories);
+    if (category === null) {
+      invalidIds.push(id);
+      return;
+    }
+
+    categorization[id] = category;
+
+    const reason = extractReason(value);
+    if (reason) {
+      reasons[id] = reason;
+    }
+  });
+
+  const missingIds = [...expected].filter(id => categorization[id] === undefined);
+
+  return { categorization, reasons, missingIds, unknownIds, invalidIds };
+}
+
+/**
+ * Ask for a short reason per tab on top of the categorization prompt (explain mode)
+ * @param {string} basePrompt - Categorization prompt
+ * @returns {string} Prompt requesting { category, reason } values
+ */
+function buildExplainPrompt(basePrompt) {
+  return `${basePrompt}
+
+IMPORTANT: Also explain each choice. Instead of a bare category number, make each value an object ` +
+    'with the category and a short reason (at most 15 words).\n' +
+    'Example: {"123": {"category": 1, "reason": "Well-known homepage, easy to reopen"}, ' +
+    '"456": {"category": 3, "reason": "Specific chat conversation with a unique ID"}}';
+}
+
+/**
+ * Build the follow-up prompt for tabs the model skipped or answered invalidly
+ * @param {string} basePrompt - Categorization prompt containing only the missing tabs
+ * @param {Array<number>} categories - From getLLMCategories
+ * @returns {string} Repair prompt
+ */
+function buildRepairPrompt(basePrompt, categories = LLM_CATEGORIES) {
+  return `${basePrompt}
+
+IMPORTANT: A previous answer omitted these tabs or gave invalid categories. ` +
+    `Return a category (${formatCategoryChoices(categories)}) for EVERY tab ID listed above, using only those IDs.`;
+}
@@ -0,0 +1,178 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * Privacy redaction - what tab data is allowed to leave the browser for an LLM provider
+ * Loaded into the background service worker via importScripts
+ */
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+(?:@|%40)[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const UUID_PATTERN = /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi;
+
+/**
+ * Merge the user's privacy settings over the CONFIG.PRIVACY defaults
+ * @param {Object} overrides - state.settings.privacy from the popup (optional)
+ * @returns {Object} Complete privacy settings with normalized domain lists
+ */
+function getPrivacySettings(overrides = {}) {
+  const privacy = { ...CONFIG.PRIVACY, ...(overrides || {}) };
+  return {
+    ...privacy,
+    internalDomains: (privacy.internalDomains || []).map(normalizeDomainEntry).filter(Boolean),
+    denylist: (privacy.denylist || []).map(normalizeDomainEntry).filter(Boolean)
+  };
+}
+
+/**
+ * Normalize a user-entered domain ("https://*.Example.com/path" -> "example.com")
+ * @param {string} entry - Domain as typed in settings
+ * @returns {string} Bare lowercase domain, or '' if empty
+ */
+function normalizeDomainEntry(entry) {
+  return String(entry || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^\*\./, '')
+    .replace(/^\./, '')
+    .split(/[/:?#]/)[0];
+}
+
+/**
+ * Check whether a hostname is one of the domains or a subdomain of one
+ * @param {string} hostname - Lowercase hostname
+ * @param {Array<string>} domains - Normalized domains
+ * @returns {boolean}
+ */
+function matchesDomainList(hostname, domains) {
+  return domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+/**
+ * Get the lowercase hostname of a URL
+ * @param {string} url - Tab URL
+ * @returns {string} Hostname, or '' if the URL cannot be parsed
+ */
+function getRedactionHostname(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Loopback hosts reveal nothing about the user's network and stay readable
+ * @param {string} hostname - Lowercase hostname
+ * @returns {boolean}
+ */
+function isLoopbackHost(hostname) {
+  return hostname === 'localhost' || hostname === '[::1]' || /^127\./.test(hostname);
+}
+
+/**
+ * Check whether a hostname belongs to a private network: private IPv4 ranges,
+ * internal suffixes (.corp, .local, ...) and user-listed domains. Single-label
+ * names are only internal when listed - they are also browser pages (chrome://newtab).
+ * @param {string} hostname - Lowercase hostname
+ * @param {Object} privacy - From getPrivacySettings
+ * @returns {boolean}
+ */
+function isInternalHost(hostname, privacy) {
+  if (!hostname || isLoopbackHost(hostname)) return false;
+  if (/^(10\.|192\.168\.|169\.254\.|172\.(1[6-9]|2\d|3[01])\.)/.test(hostname)) return true;
+  if (privacy.internalSuffixes.some(suffix => hostname.endsWith(suffix))) return true;
+  return matchesDomainList(hostname, privacy.internalDomains);
+}
+
+/**
+ * Stable pseudonym for an internal hostname, so the model can still group its tabs
+ * @param {string} hostname - Lowercase hostname
+ * @returns {string} Pseudonymous hostname
+ */
+function pseudonymizeHost(hostname) {
+  return `host-${hashCacheText(hostname)}.internal`;
+}
+
+/**
+ * Mask emails and long identifiers in free text
+ * @param {string} text - Title or URL
+ * @param {Object} privacy - From getPrivacySettings
+ * @returns {string} Masked text
+ */
+function maskSensitiveText(text, privacy) {
+  let masked = String(text || '');
+  if (privacy.maskEmails) {
+    masked = masked.replace(EMAIL_PATTERN, '[email]');
+  }
+  if (privacy.maskLongIds) {
+    // Long tokens are only IDs when they contain digits - plain long words stay
+    const longToken = new RegExp(`[A-Za-z0-9_]{${privacy.longIdMinLength},}`, 'g');
+    masked = masked
+      .replace(UUID_PATTERN, '[id]')
+      .replace(longToken, token => /\d/.test(token) ? '[id]' : token);
+  }
+  return masked;
+}
+
+/**
+ * Redact a URL for the LLM. Credentials are always dropped; query strings,
+ * internal hostnames, emails and IDs depend on the privacy settings.
+ * @param {string} url - Tab URL
+ * @param {Object} privacy - From getPrivacySettings
+ * @returns {string} Redacted URL
+ */
+function redactUrl(url, privacy) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch {
+    return maskSensitiveText(url, privacy);
+  }
+
+  const hostname = urlObj.hostname.toLowerCase();
+  // Browser pages (chrome://extensions, about:blank) name no network host
+  const isWebUrl = urlObj.protocol === 'http:' || urlObj.protocol === 'https:';
+  const host = privacy.hashInternalDomains && isWebUrl && isInternalHost(hostname, privacy)
+    ? pseudonymizeHost(hostname)
+    : urlObj.host;
+  // about:blank and similar URLs have no authority part
+  const origin = String(url).startsWith(`${urlObj.protocol}//`) ? `${urlObj.protocol}//${host}` : urlObj.protocol;
+  const tail = privacy.stripQueryParams ? '' : `${urlObj.search}${urlObj.hash}`;
+
+  return maskSensitiveText(`${origin}${urlObj.pathname}${tail}`, privacy);
+}
+
+/**
+ * Check whether a tab is on the user's denylist and must not be sent at all
+ * @param {Object} tab - Tab with url
+ * @param {Object} privacy - From getPrivacySettings
+ * @returns {boolean}
+ */
+function isWithheldFromLLM(tab, privacy) {
+  const hostname = getRedactionHostname(tab.url);
+  return !!hostname && matchesDomainList(hostname, privacy.denylist);
+}
+
+/**
+ * Title and URL of a tab as they will appear in the prompt
+ * @param {Object} tab - Tab with title and url
+ * @param {Object} privacy - From getPrivacySettings
+ * @returns {Object} { title, url }
+ */
+function redactTabForLLM(tab, privacy) {
+  return {
+    title: maskSensitiveText(tab.title, privacy),
+    url: redactUrl(tab.url, privacy)
+  };
+}
+
+/**
+ * A bare domain as it may appear in the prompt (e.g. in {FREQUENT_DOMAINS})
+ * @param {string} domain - Domain name
+ * @param {Object} privacy - From getPrivacySettings
+ * @returns {string|null} Domain, its pseudonym if internal, or null if denylisted
+ */
+function redactDomainForLLM(domain, privacy) {
+  const hostname = normalizeDomainEntry(domain);
+  if (!hostname || matchesDomainList(hostname, privacy.denylist)) return null;
+  return privacy.hashInternalDomains && isInternalHost(hostname, privacy) ? pseudonymizeHost(hostname) : hostname;
+}
@@ -0,0 +1,110 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * Prompt templates - fills {VARIABLES} and {#SECTIONS} in categorization prompts
+ * Loaded into the background service worker via importScripts
+ */
+
+const PROMPT_SECTION_PATTERN = /\{#([A-Z_]+)\}([\s\S]*?)\{\/\1\}/g;
+const PROMPT_PLACEHOLDER_PATTERN = /\{([A-Z_]+)\}/g;
+
+/**
+ * Render a prompt template. Sections are kept only when their variable has a value;
+ * placeholders are replaced everywhere they appear. Unknown placeholders are left
+ * as written, so JSON examples in the prompt are never touched.
+ * @param {string} template - Prompt template
+ * @param {Object} variables - { NAME: string }
+ * @returns {string} Rendered prompt
+ */
+function renderPromptTemplate(template, variables) {
+  const has = name => Object.prototype.hasOwnProperty.call(variables, name);
+
+  return template
+    .replace(PROMPT_SECTION_PATTERN, (match, name, body) => {
+      if (!has(name)) return match;
+      return variables[name] ? body : '';
+    })
+    .replace(PROMPT_PLACEHOLDER_PATTERN, (match, name) => has(name) ? variables[name] : match);
+}
+
+/**
+ * Today's date in the user's time zone
+ * @param {Date} [now] - Reference time
+ * @returns {string} YYYY-MM-DD
+ */
+function getPromptDate(now = new Date()) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * The user's frequent domains first, topped up with CONFIG.FREQUENT_DOMAINS.
+ * Denylisted domains are dropped and internal ones pseudonymized.
+ * @param {Array<string>} frequentDomains - From the events store, most opened first
+ * @param {Object} privacy - From getPrivacySettings
+ * @returns {string} Comma-separated domains
+ */
+function formatFrequentDomains(frequentDomains = [], privacy) {
+  const { frequentDomainCount } = CONFIG.PROMPT_CONTEXT;
+  const domains = [...new Set([...frequentDomains, ...CONFIG.FREQUENT_DOMAINS])]
+    .map(domain => redactDomainForLLM(domain, privacy))
+    .filter(Boolean);
+  return [...new Set(domains)].slice(0, frequentDomainCount).join(', ');
+}
+
+/**
+ * Category numbers and names, e.g. "1 = Ignore, 2 = Useful, 3 = Important"
+ * @param {Object} categoryNames - { 1: name, 2: name, 3: name, ...custom categories }
+ * @returns {string} Formatted list
+ */
+function formatCategoryNames(categoryNames = {}) {
+  return Object.entries(categoryNames)
+    .map(([category, name]) => `${category} = ${name}`)
+    .join(', ');
+}
+
+/**
+ * The user's own categories, one per line with their description
+ * @param {Array} customCategories - [{ id, name, description }]
+ * @returns {string} e.g. "  4. Research: Papers and notes for my thesis", or '' when there are none
+ */
+function formatCustomCategories(customCategories = []) {
+  return customCategories
+    .map(({ id, name, description }) => `  ${id}. ${name}${description ? `: ${description}` : ''}`)
+    .join('\n');
+}
+
+/**
+ * Past corrections as prompt examples, redacted like the tabs themselves
+ * @param {Array} corrections - [{ title, url, category }]
+ * @param {Object} privacy - From getPrivacySettings
+ * @returns {string} One example per line, or '' when there are none
+ */
+function formatCorrectionExamples(corrections = [], privacy) {
+  return corrections
+    .filter(example => !isWithheldFromLLM(example, privacy))
+    .map(example => {
+      const { title, url } = redactTabForLLM(example, privacy);
+      return `- "${title}" (${url}) → Category ${example.category}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Build template variables for a categorization request
+ * @param {Object} promptContext - { frequentDomains, categoryNames, customCategories, corrections } from the popup
+ * @param {string} tabsData - JSON of the tabs in this request
+ * @param {Object} privacy - From getPrivacySettings
+ * @returns {Object} { TABS_DATA, FREQUENT_DOMAINS, CURRENT_DATE, CATEGORY_NAMES, CATEGORY_NUMBERS,
+ *   CUSTOM_CATEGORIES, CORRECTION_EXAMPLES }
+ */
+function buildPromptVariables(promptContext = {}, tabsData, privacy) {
+  return {
+    TABS_DATA: tabsData,
+    FREQUENT_DOMAINS: formatFrequentDomains(promptContext.frequentDomains, privacy),
+    CURRENT_DATE: getPromptDate(),
+    CATEGORY_NAMES: formatCategoryNames(promptContext.categoryNames),
+    CATEGORY_NUMBERS: formatCategoryChoices(getLLMCategories(promptContext)),
+    CUSTOM_CATEGORIES: formatCustomCategories(promptContext.customCategories),
+    CORRECTION_EXAMPLES: formatCorrectionExamples(promptContext.corrections, privacy)
+  };
+}
@@ -0,0 +1,227 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * Provider request wrapper - retry with backoff, retry-after, per-provider concurrency and cancellation
+ * Loaded into the background service worker via importScripts
+ */
+
+// Active request count and waiting queue per provider
+const providerSlots = new Map();
+
+/**
+ * Error used when a request is cancelled (e.g. the popup was closed)
+ * @returns {Error} Error with name AbortError
+ */
+function createCancelledError() {
+  const error = new Error('Categorization cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Wait for a delay, rejecting early if the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @returns {Promise<void>}
+ */
+function sleepWithSignal(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createCancelledError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createCancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Maximum parallel requests for a provider
+ * @param {string} providerName - Key in CONFIG.PROVIDERS
+ * @returns {number} Concurrency limit
+ */
+function getProviderConcurrency(providerName) {
+  return CONFIG.PROVIDERS[providerName]?.maxConcurrentRequests ||
+    CONFIG.REQUESTS.maxConcurrentPerProvider;
+}
+
+/**
+ * Wait for a free request slot for the provider
+ * @param {string} providerName - Key in CONFIG.PROVIDERS
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @returns {Promise<void>}
+ */
+function acquireProviderSlot(providerName, signal) {
+  if (!providerSlots.has(providerName)) {
+    providerSlots.set(providerName, { active: 0, waiting: [] });
+  }
+  const slots = providerSlots.get(providerName);
+
+  if (signal?.aborted) {
+    return Promise.reject(createCancelledError());
+  }
+
+  if (slots.active < getProviderConcurrency(providerName)) {
+    slots.active++;
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      const index = slots.waiting.indexOf(waiter);
+      if (index !== -1) {
+        slots.waiting.splice(index, 1);
+        reject(createCancelledError());
+      }
+    };
+    // A granted slot no longer needs the abort listener - the signal may outlive many requests
+    const waiter = {
+      resolve: () => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      },
+      reject
+    };
+    slots.waiting.push(waiter);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Release a slot, handing it directly to the next waiting request
+ * @param {string} providerName - Key in CONFIG.PROVIDERS
+ */
+function releaseProviderSlot(providerName) {
+  const slots = providerSlots.get(providerName);
+  if (!slots) return;
+
+  const next = slots.waiting.shift();
+  if (next) {
+    next.resolve();
+  } else {
+    slots.active = Math.max(0, slots.active - 1);
+  }
+}
+
+/**
+ * Read the server-requested wait from retry-after-ms / retry-after (seconds or HTTP date)
+ * @param {Headers} headers - Response headers
+ * @returns {number|null} Delay in milliseconds, or null if absent
+ */
+function parseRetryAfter(headers) {
+  const retryAfterMs = parseFloat(headers.get('retry-after-ms'));
+  if (Number.isFinite(retryAfterMs) && retryAfterMs >= 0) {
+    return retryAfterMs;
+  }
+
+  const retryAfter = headers.get('retry-after');
+  if (!retryAfter) return null;
+
+  const seconds = parseFloat(retryAfter);
+  if (Number.isFinite(seconds) && seconds >= 0) {
+    return seconds * 1000;
+  }
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with jitter: 50-100% of base * 2^attempt, capped
+ * @param {number} attempt - Zero-based retry number
+ * @returns {number} Delay in milliseconds
+ */
+function computeBackoffDelay(attempt) {
+  const { baseDelayMs, maxDelayMs } = CONFIG.REQUESTS;
+  const exponential = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
+  return Math.round(exponential * (0.5 + Math.random() * 0.5));
+}
+
+/**
+ * Read a response body while the request still holds its provider slot, so a slow
+ * stream counts against the concurrency limit until it is done
+ * @param {Response} response - Response with an unread body
+ * @returns {Promise<Response>} Equivalent response with the body in memory
+ */
+async function bufferResponse(response) {
+  // These statuses may not carry a body
+  const body = [204, 205, 304].includes(response.status) ? null : await response.text();
+  return new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  });
+}
+
+/**
+ * fetch() for LLM provider calls. Retries network errors and transient statuses
+ * (429, 529 overload, 5xx) with backoff, honoring retry-after. Non-retryable and
+ * exhausted responses are returned as-is so callers keep their own error mapping;
+ * their body has already been read, so the provider slot covers the whole request.
+ * @param {string} providerName - Key in CONFIG.PROVIDERS (used for concurrency and messages)
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch() options
+ * @param {Object} [options] - { signal, onRetry({ status, attempt, maxAttempts, delayMs }) }
+ * @returns {Promise<Response>} Final response
+ */
+async function fetchWithRetry(providerName, url, init, { signal, onRetry } = {}) {
+  const { maxRetries, maxRetryAfterMs, retryStatuses } = CONFIG.REQUESTS;
+  const maxAttempts = maxRetries + 1;
+
+  for (let attempt = 0; ; attempt++) {
+    await acquireProviderSlot(providerName, signal);
+
+    let response;
+    let networkError = null;
+    try {
+      response = await bufferResponse(await fetch(url, { ...init, signal }));
+    } catch (fetchError) {
+      if (fetchError.name === 'AbortError' || signal?.aborted) {
+        throw createCancelledError();
+      }
+      networkError = fetchError;
+    } finally {
+      releaseProviderSlot(providerName);
+    }
+
+    const isLastAttempt = attempt + 1 >= maxAttempts;
+
+    if (networkError) {
+      console.error(`${providerName} fetch failed (attempt ${attempt + 1}/${maxAttempts}):`, networkError);
+      if (isLastAttempt) {
+        throw new Error(`Network error: ${networkError.message}`);
+      }
+    } else if (!retryStatuses.includes(response.status) || isLastAttempt) {
+      return response;
+    }
+
+    // Decide how long to wait before the next attempt
+    let delayMs = computeBackoffDelay(attempt);
+    if (response) {
+      const retryAfterMs = parseRetryAfter(response.headers);
+      if (retryAfterMs !== null) {
+        if (retryAfterMs > maxRetryAfterMs) {
+          console.warn(`${providerName} asked to retry after ${retryAfterMs}ms - giving up`);
+          return response;
+        }
+        delayMs = retryAfterMs;
+      }
+    }
+
+    const status = response ? response.status : null;
+    console.warn(`${providerName} request failed (${status || 'network error'}), retrying in ${delayMs}ms ` +
+      `(attempt ${attempt + 2}/${maxAttempts})`);
+    if (onRetry) {
+      onRetry({ status, attempt: attempt + 2, maxAttempts, delayMs });
+    }
+
+    await sleepWithSignal(delayMs, signal);
+  }
+}
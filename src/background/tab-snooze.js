@@ -0,0 +1,101 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * Tab snooze - tabs closed by a snooze rule and the alarms that reopen them
+ * Loaded into the background service worker via importScripts
+ */
+
+const SNOOZED_TABS_KEY = 'snoozedTabs';
+const SNOOZE_ALARM_PREFIX = 'snooze:';
+
+// Changes to the snoozed list run one after another, so an alarm, the start-up
+// restore and several snoozes at once cannot overwrite each other's writes
+let snoozedTabsUpdates = Promise.resolve();
+
+/**
+ * Read the snoozed tabs waiting to be reopened
+ * @returns {Promise<Array>} [{ id, url, title, pinned, wakeAt, snoozedAt }]
+ */
+async function getSnoozedTabs() {
+  const data = await chrome.storage.local.get(SNOOZED_TABS_KEY);
+  return data[SNOOZED_TABS_KEY] || [];
+}
+
+/**
+ * Read, change and write back the snoozed list, after any change already queued
+ * @param {Function} update - Gets the list, returns the new list or null to leave it as is
+ * @returns {Promise<void>}
+ */
+function updateSnoozedTabs(update) {
+  const result = snoozedTabsUpdates.then(async () => {
+    const snoozed = update(await getSnoozedTabs());
+    if (snoozed) {
+      await chrome.storage.local.set({ [SNOOZED_TABS_KEY]: snoozed });
+    }
+  });
+  snoozedTabsUpdates = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Remember a tab and schedule the alarm that reopens it. The popup closes the tab itself.
+ * @param {Object} tab - { url, title, pinned, wakeAt } - wakeAt is a timestamp in ms
+ * @returns {Promise<string>} Snooze ID
+ */
+async function snoozeTab({ url, title, pinned = false, wakeAt }) {
+  if (!url || !Number.isFinite(wakeAt)) {
+    throw new Error('A snoozed tab needs a URL and a wake time');
+  }
+  
+  const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  const entry = { id, url, title: title || '', pinned: !!pinned, wakeAt, snoozedAt: Date.now() };
+  await updateSnoozedTabs(snoozed => [...snoozed, entry]);
+  await chrome.alarms.create(`${SNOOZE_ALARM_PREFIX}${id}`, { when: wakeAt });
+  return id;
+}
+
+/**
+ * Reopen a snoozed tab, on its alarm or early when the snooze is undone.
+ * The entry is taken off the list first, so only one caller reopens it.
+ * @param {string} id - Snooze ID
+ * @returns {Promise<boolean>} False if the tab was not snoozed (already reopened)
+ */
+async function wakeSnoozedTab(id) {
+  let entry = null;
+  await updateSnoozedTabs(snoozed => {
+    entry = snoozed.find(tab => tab.id === id) || null;
+    return entry && snoozed.filter(tab => tab.id !== id);
+  });
+  if (!entry) return false;
+  
+  await chrome.alarms.clear(`${SNOOZE_ALARM_PREFIX}${id}`);
+  await chrome.tabs.create({ url: entry.url, pinned: entry.pinned, active: false });
+  return true;
+}
+
+/**
+ * chrome.alarms.onAlarm handler - ignores alarms that are not snoozes
+ * @param {Object} alarm - Chrome alarm
+ */
+async function handleSnoozeAlarm(alarm) {
+  if (!alarm.name.startsWith(SNOOZE_ALARM_PREFIX)) return;
+  await wakeSnoozedTab(alarm.name.slice(SNOOZE_ALARM_PREFIX.length));
+}
+
+/**
+ * Alarms are not guaranteed to survive a browser restart: reopen snoozes
+ * that came due while the browser was closed and reschedule the rest
+ * @returns {Promise<void>}
+ */
+async function restoreSnoozeAlarms() {
+  const snoozed = await getSnoozedTabs();
+  const now = Date.now();
+  
+  for (const entry of snoozed) {
+    const name = `${SNOOZE_ALARM_PREFIX}${entry.id}`;
+    if (entry.wakeAt <= now) {
+      await wakeSnoozedTab(entry.id);
+    } else if (!(await chrome.alarms.get(name))) {
+      await chrome.alarms.create(name, { when: entry.wakeAt });
+    }
+  }
+}
@@ -0,0 +1,197 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * LLM usage tracker - token counts, estimated cost and the monthly budget check
+ * Loaded into the background service worker via importScripts
+ */
+
+const USAGE_DB_NAME = 'AITabManagerUsage';
+const USAGE_DB_VERSION = 1;
+const USAGE_STORE = 'runs';
+
+let usageDbPromise = null;
+
+/**
+ * Open (once) the usage database
+ * @returns {Promise<IDBDatabase>} Database handle
+ */
+function openUsageDatabase() {
+  if (!usageDbPromise) {
+    usageDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(USAGE_DB_NAME, USAGE_DB_VERSION);
+
+      request.onerror = () => {
+        usageDbPromise = null;
+        reject(new Error(`Failed to open usage database: ${request.error}`));
+      };
+
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        if (!db.objectStoreNames.contains(USAGE_STORE)) {
+          const store = db.createObjectStore(USAGE_STORE, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('timestamp', 'timestamp', { unique: false });
+          store.createIndex('provider', 'provider', { unique: false });
+        }
+      };
+    });
+  }
+  return usageDbPromise;
+}
+
+/**
+ * Accumulator for the usage reported by each request of one provider
+ * @returns {Object} { add(usage), totals }
+ */
+function createUsageAccumulator() {
+  const totals = { requests: 0, inputTokens: 0, outputTokens: 0, estimated: false };
+  return {
+    totals,
+    add({ inputTokens = 0, outputTokens = 0, estimated = false }) {
+      totals.requests++;
+      totals.inputTokens += inputTokens;
+      totals.outputTokens += outputTokens;
+      totals.estimated = totals.estimated || estimated;
+    }
+  };
+}
+
+/**
+ * Find the price entry for a model (longest matching model ID prefix wins)
+ * @param {string} provider - Provider name
+ * @param {string} model - Model ID
+ * @returns {Object|null} { match, input, output } in USD per million tokens, or null if unknown
+ */
+function findModelPrice(provider, model) {
+  const prices = CONFIG.MODEL_PRICING[provider] || [];
+  const modelId = String(model || '').replace(/^models\//, '').toLowerCase();
+
+  return prices
+    .filter(price => modelId.startsWith(price.match))
+    .sort((a, b) => b.match.length - a.match.length)[0] || null;
+}
+
+/**
+ * Estimate the cost of a request from the price table
+ * @param {string} provider - Provider name
+ * @param {string} model - Model ID
+ * @param {number} inputTokens - Prompt tokens
+ * @param {number} outputTokens - Completion tokens
+ * @returns {number|null} Cost in USD, or null if the model has no known price
+ */
+function estimateCost(provider, model, inputTokens, outputTokens) {
+  const price = findModelPrice(provider, model);
+  if (!price) return null;
+  return (inputTokens * price.input + outputTokens * price.output) / 1000000;
+}
+
+/**
+ * Store usage records for one categorization run
+ * @param {Array} records - [{ runId, provider, model, tabs, requests, inputTokens, outputTokens, latencyMs, ... }]
+ * @returns {Promise<void>}
+ */
+async function recordUsageRuns(records) {
+  if (records.length === 0) return;
+  const db = await openUsageDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([USAGE_STORE], 'readwrite');
+    const store = transaction.objectStore(USAGE_STORE);
+
+    records.forEach(record => store.add(record));
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(new Error(`Failed to record usage: ${transaction.error}`));
+  });
+}
+
+/**
+ * Load usage records since a point in time
+ * @param {number} since - Timestamp (ms)
+ * @returns {Promise<Array>} Records, oldest first
+ */
+async function getUsageRecordsSince(since) {
+  const db = await openUsageDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([USAGE_STORE], 'readonly');
+    const index = transaction.objectStore(USAGE_STORE).index('timestamp');
+    const request = index.getAll(IDBKeyRange.lowerBound(since));
+
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = () => reject(new Error(`Failed to read usage: ${request.error}`));
+  });
+}
+
+/**
+ * Sum a set of usage records
+ * @param {Array} records - Usage records
+ * @returns {Object} { runs, requests, tabs, inputTokens, outputTokens, cost, unpricedRequests }
+ */
+function summarizeUsage(records) {
+  const totals = { runs: 0, requests: 0, tabs: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpricedRequests: 0 };
+  const runIds = new Set();
+
+  records.forEach(record => {
+    runIds.add(record.runId);
+    totals.requests += record.requests;
+    totals.tabs += record.tabs;
+    totals.inputTokens += record.inputTokens;
+    totals.outputTokens += record.outputTokens;
+    if (record.cost === null) {
+      totals.unpricedRequests += record.requests;
+    } else {
+      totals.cost += record.cost;
+    }
+  });
+  totals.runs = runIds.size;
+
+  return totals;
+}
+
+/**
+ * Start of the current local day and month
+ * @param {Date} [now] - Reference time
+ * @returns {Object} { dayStart, monthStart } timestamps
+ */
+function getUsagePeriodStarts(now = new Date()) {
+  return {
+    dayStart: new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime(),
+    monthStart: new Date(now.getFullYear(), now.getMonth(), 1).getTime()
+  };
+}
+
+/**
+ * Daily and monthly totals for the settings panel
+ * @returns {Promise<Object>} { today, month, byProvider, recent }
+ */
+async function getUsageSummary() {
+  const { dayStart, monthStart } = getUsagePeriodStarts();
+  const records = await getUsageRecordsSince(monthStart);
+
+  const byProvider = {};
+  records.forEach(record => {
+    (byProvider[record.provider] = byProvider[record.provider] || []).push(record);
+  });
+  Object.keys(byProvider).forEach(provider => {
+    byProvider[provider] = summarizeUsage(byProvider[provider]);
+  });
+
+  return {
+    today: summarizeUsage(records.filter(record => record.timestamp >= dayStart)),
+    month: summarizeUsage(records),
+    byProvider,
+    recent: records.slice(-10).reverse()
+  };
+}
+
+/**
+ * Estimated spend since the start of the current month
+ * @returns {Promise<number>} Cost in USD
+ */
+async function getMonthlySpend() {
+  const { monthStart } = getUsagePeriodStarts();
+  return summarizeUsage(await getUsageRecordsSince(monthStart)).cost;
+}
@@ -7,6 +7,7 @@ import virtualContentManager from './virtual-content-manager.js';
 import uiStateManager from './ui-state-manager.js';
 import { displayTabs } from '../modules/tab-display.js';
 import { showSavedTabsContent } from '../modules/saved-tabs-manager.js';
+import { getCategoryIds, getKeptCategoryIds } from '../modules/category-registry.js';
 
 /**
  * Background Rendering Pipeline
@@ -310,7 +311,7 @@ class BackgroundRenderer {
   async getSavedTabsData(grouping, showIgnore) {
     try {
       // Get categories to include
-      const categories = showIgnore ? [1, 2, 3] : [2, 3]; // Include or exclude category 1 (ignore)
+      const categories = showIgnore ? getCategoryIds() : getKeptCategoryIds(); // Include or exclude category 1 (ignore)
       
       // Query database
       const savedUrls = await window.tabDatabase.getSavedUrls(categories);
@@ -326,6 +327,8 @@ class BackgroundRenderer {
         lastAccessedDate: urlInfo.lastCategorized || urlInfo.firstSeen,
         lastCloseTime: urlInfo.lastCloseTime,
         closeEvents: urlInfo.closeEvents,
+        tags: urlInfo.tags || [],
+        notes: urlInfo.notes || '',
         favicon: urlInfo.favicon,
         favIconUrl: urlInfo.favicon
       }));
@@ -9,6 +9,7 @@ import { getFeedbackProcessor } from '../learning/feedback-processor.js';
 import { getPerformanceTracker } from '../trust/performance-tracker.js';
 import { ML_CONFIG } from '../model-config.js';
 import { TAB_CATEGORIES } from '../../utils/constants.js';
+import { createCategoryBuckets } from '../../modules/category-registry.js';
 
 /**
  * ML Categorizer for tab categorization
@@ -167,52 +168,18 @@ export class MLCategorizer {
   async getRulePredictions(tabs, rules) {
     const predictions = {};
     
-    // Import rule application logic
-    const { applyRulesToTabs } = await import('../../modules/categorization-service.js');
-    const { extractDomain } = await import('../../utils/helpers.js');
-    const { RULE_TYPES, RULE_FIELDS } = await import('../../utils/constants.js');
+    const { findMatchingRule } = await import('../../modules/rule-engine.js');
+    const { recordRuleHits } = await import('../../modules/rule-stats.js');
+    const matchedRules = [];
     
     // Apply rules to each tab
     tabs.forEach(tab => {
-      let category = null;
-      let confidence = 1.0; // Rules are deterministic
+      const confidence = 1.0; // Rules are deterministic
       
-      // Check each rule
-      for (const rule of rules) {
-        if (!rule.enabled) continue;
-        
-        let matches = false;
-        
-        switch (rule.type) {
-          case RULE_TYPES.DOMAIN:
-            const tabDomain = extractDomain(tab.url);
-            matches = tabDomain === rule.value;
-            break;
-            
-          case RULE_TYPES.URL_CONTAINS:
-            matches = tab.url.includes(rule.value);
-            break;
-            
-          case RULE_TYPES.TITLE_CONTAINS:
-            matches = tab.title && tab.title.includes(rule.value);
-            break;
-            
-          case RULE_TYPES.REGEX:
-            try {
-              const regex = new RegExp(rule.value);
-              const field = rule.field === RULE_FIELDS.TITLE ? tab.title : tab.url;
-              matches = regex.test(field);
-            } catch (e) {
-              console.error('Invalid regex:', rule.value, e);
-            }
-            break;
-        }
-        
-        if (matches) {
-          category = rule.category;
-          break; // Apply first matching rule only
-        }
-      }
+      // Apply first matching rule only
+      const rule = findMatchingRule(tab, rules);
+      const category = rule ? rule.category : null;
+      matchedRules.push(rule);
       
       // Store prediction if matched
       if (category !== null) {
@@ -224,6 +191,8 @@ export class MLCategorizer {
       }
     });
     
+    recordRuleHits(matchedRules);
+    
     return predictions;
   }
   
@@ -274,7 +243,9 @@ export class MLCategorizer {
         predictions[tab.id] = {
           category: parseInt(category),
           confidence: 0.8, // Default LLM confidence
-          source: 'llm'
+          source: 'llm',
+          provider: tab.llmProvider || null, // Which provider in the fallback chain answered
+          reason: tab.llmReason || null // Short explanation (explain mode)
         };
       });
     });
@@ -286,12 +257,7 @@ export class MLCategorizer {
    * Format final results for categorization service
    */
   formatFinalResults(tabs, votingResults) {
-    const categorized = {
-      [TAB_CATEGORIES.UNCATEGORIZED]: [],
-      [TAB_CATEGORIES.CAN_CLOSE]: [],
-      [TAB_CATEGORIES.SAVE_LATER]: [],
-      [TAB_CATEGORIES.IMPORTANT]: []
-    };
+    const categorized = createCategoryBuckets();
     
     const metadata = votingResults.metadata || {};
     
@@ -304,6 +270,11 @@ export class MLCategorizer {
           ...tab,
           mlMetadata: metadata[tab.id]
         };
+        
+        // Keep the LLM's reason only when it explains the final category
+        if (metadata[tab.id]?.llmReason && metadata[tab.id].predictions?.llm === category) {
+          tabWithMetadata.llmReason = metadata[tab.id].llmReason;
+        }
         categorized[category].push(tabWithMetadata);
       } else {
         // Uncategorized
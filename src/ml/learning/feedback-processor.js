@@ -7,6 +7,46 @@ import { ML_CONFIG } from '../model-config.js';
 import { addTrainingData, recordMetric } from '../storage/ml-database.js';
 import { getTrustManager } from '../trust/trust-manager.js';
 import { getModelTrainer } from '../training/trainer.js';
+import { calculateSimilarity } from '../embeddings/embedding-model.js';
+import { tokenizeURL, tokenizeTitle } from '../features/tokenizer.js';
+import { RULE_TYPES, RULE_FIELDS, RULE_OPERATORS } from '../../utils/constants.js';
+
+// Size of the hashed token vectors used to compare tabs with past corrections
+const EXAMPLE_EMBEDDING_SIZE = 512;
+
+// Corrections needed before a pattern is reported or a rule is suggested
+const MIN_PATTERN_SUPPORT = 3;
+
+// Share of the corrections on a domain or URL pattern that must agree on the category to suggest a rule
+const MIN_SUGGESTION_CONFIDENCE = 0.8;
+
+// Rule conditions for the URL patterns found by extractUrlPatterns
+const URL_PATTERN_CONDITIONS = {
+  search: { type: RULE_TYPES.URL_CONTAINS, value: '/search' },
+  auth: {
+    operator: RULE_OPERATORS.OR,
+    conditions: [
+      { type: RULE_TYPES.URL_CONTAINS, value: '/login' },
+      { type: RULE_TYPES.URL_CONTAINS, value: '/signin' }
+    ]
+  },
+  checkout: {
+    operator: RULE_OPERATORS.OR,
+    conditions: [
+      { type: RULE_TYPES.URL_CONTAINS, value: '/checkout' },
+      { type: RULE_TYPES.URL_CONTAINS, value: '/cart' }
+    ]
+  },
+  docs: {
+    operator: RULE_OPERATORS.OR,
+    conditions: [
+      { type: RULE_TYPES.URL_CONTAINS, value: '/docs' },
+      { type: RULE_TYPES.URL_CONTAINS, value: '/documentation' }
+    ]
+  },
+  date_path: { type: RULE_TYPES.REGEX, value: '/\\d{4}/\\d{2}/', field: RULE_FIELDS.URL },
+  uuid: { type: RULE_TYPES.REGEX, value: '[a-f0-9]{8}-[a-f0-9]{4}', field: RULE_FIELDS.URL }
+};
 
 /**
  * Feedback Processor for continuous learning
@@ -16,6 +56,7 @@ export class FeedbackProcessor {
     this.trustManager = getTrustManager();
     this.pendingFeedback = [];
     this.correctionPatterns = new Map();
+    this.correctionHistory = [];
     this.learningQueue = [];
     this.isProcessing = false;
   }
@@ -78,9 +119,10 @@ export class FeedbackProcessor {
       source: metadata.source || 'unknown'
     };
     
-    // Update trust immediately
-    if (metadata.decision) {
-      await this.trustManager.updateTrust(metadata.decision, newCategory);
+    // Update trust immediately (voting metadata is the decision itself)
+    const decision = metadata.decision || (metadata.predictions ? metadata : null);
+    if (decision) {
+      await this.trustManager.updateTrust(decision, newCategory);
     }
     
     // Add to training data with higher priority
@@ -197,6 +239,21 @@ export class FeedbackProcessor {
     this.pendingFeedback.push(...feedbackBatch);
   }
   
+  /**
+   * Rebuild correction patterns from stored corrections, so patterns and
+   * rule suggestions also cover corrections made in earlier sessions
+   * @param {Array} corrections - From getCorrections, newest first
+   */
+  loadCorrectionHistory(corrections) {
+    this.correctionPatterns.clear();
+    this.correctionHistory = [];
+    
+    // Replay oldest first, as the corrections were made
+    [...corrections].reverse().forEach(correction => {
+      this.trackCorrectionPattern(correction, correction.metadata?.originalCategory ?? 0, correction.category);
+    });
+  }
+  
   /**
    * Track correction patterns to identify systematic issues
    */
@@ -207,8 +264,8 @@ export class FeedbackProcessor {
       this.correctionPatterns.set(pattern, {
         count: 0,
         examples: [],
-        domains: new Set(),
-        urlPatterns: new Set()
+        domains: new Map(),
+        urlPatterns: new Map()
       });
     }
     
@@ -217,16 +274,18 @@ export class FeedbackProcessor {
     patternData.examples.push({ url: tab.url, title: tab.title });
     
     // Extract domain
-    try {
-      const domain = new URL(tab.url).hostname;
-      patternData.domains.add(domain);
-    } catch (e) {
-      // Invalid URL
+    const domain = getExampleDomain(tab.url);
+    if (domain) {
+      patternData.domains.set(domain, (patternData.domains.get(domain) || 0) + 1);
     }
     
     // Look for URL patterns
     const urlPatterns = this.extractUrlPatterns(tab.url);
-    urlPatterns.forEach(p => patternData.urlPatterns.add(p));
+    urlPatterns.forEach(p => patternData.urlPatterns.set(p, (patternData.urlPatterns.get(p) || 0) + 1));
+    
+    // Only the latest correction of a URL counts towards rule suggestions
+    this.correctionHistory = this.correctionHistory.filter(entry => entry.url !== tab.url);
+    this.correctionHistory.push({ url: tab.url, title: tab.title, category: newCategory, domain, urlPatterns });
     
     // Keep only recent examples
     if (patternData.examples.length > 10) {
@@ -316,12 +375,12 @@ export class FeedbackProcessor {
     const patterns = [];
     
     this.correctionPatterns.forEach((data, pattern) => {
-      if (data.count >= 3) { // Significant pattern
+      if (data.count >= MIN_PATTERN_SUPPORT) { // Significant pattern
         patterns.push({
           pattern,
           count: data.count,
-          domains: Array.from(data.domains).slice(0, 5),
-          urlPatterns: Array.from(data.urlPatterns),
+          domains: getKeysByCount(data.domains).slice(0, 5),
+          urlPatterns: getKeysByCount(data.urlPatterns),
           suggestion: this.generateRuleSuggestion(pattern, data)
         });
       }
@@ -341,22 +400,22 @@ export class FeedbackProcessor {
     
     // Check if there's a dominant domain
     if (data.domains.size === 1) {
-      const domain = Array.from(data.domains)[0];
+      const [domain, support] = Array.from(data.domains)[0];
       return {
-        type: 'domain',
-        value: domain,
+        condition: { type: RULE_TYPES.DOMAIN, value: domain },
         category: to,
+        support,
         confidence: 0.9
       };
     }
     
     // Check for URL patterns
     if (data.urlPatterns.size > 0) {
-      const mostCommon = Array.from(data.urlPatterns)[0];
+      const mostCommon = getKeysByCount(data.urlPatterns)[0];
       return {
-        type: 'url_pattern',
-        value: mostCommon,
+        condition: URL_PATTERN_CONDITIONS[mostCommon],
         category: to,
+        support: data.urlPatterns.get(mostCommon),
         confidence: 0.7
       };
     }
@@ -364,6 +423,101 @@ export class FeedbackProcessor {
     return null;
   }
   
+  /**
+   * Suggest rules from corrections: a domain or URL pattern whose corrections
+   * (nearly) all moved tabs to the same category. Each suggestion is a rule condition
+   * with the category, how many corrected URLs support it and what share agreed.
+   * @param {Object} options - { minSupport, minConfidence }
+   * @returns {Array} [{ id, condition, category, support, confidence, examples }], best supported first
+   */
+  getRuleSuggestions({ minSupport = MIN_PATTERN_SUPPORT, minConfidence = MIN_SUGGESTION_CONFIDENCE } = {}) {
+    // Corrections per domain and per URL pattern, split by the category they were moved to
+    const groups = new Map();
+    const addToGroup = (key, condition, correction) => {
+      if (!groups.has(key)) {
+        groups.set(key, { condition, total: 0, byCategory: new Map() });
+      }
+      const group = groups.get(key);
+      group.total++;
+      if (!group.byCategory.has(correction.category)) {
+        group.byCategory.set(correction.category, []);
+      }
+      group.byCategory.get(correction.category).push(correction);
+    };
+    
+    this.correctionHistory.forEach(correction => {
+      // Only web pages have a domain a domain rule can match
+      if (correction.domain && /^https?:/i.test(correction.url)) {
+        addToGroup(`domain:${correction.domain}`, { type: RULE_TYPES.DOMAIN, value: correction.domain }, correction);
+      }
+      correction.urlPatterns.forEach(urlPattern => {
+        addToGroup(`url:${urlPattern}`, URL_PATTERN_CONDITIONS[urlPattern], correction);
+      });
+    });
+    
+    const suggestions = [];
+    groups.forEach(({ condition, total, byCategory }, key) => {
+      byCategory.forEach((corrections, category) => {
+        const confidence = corrections.length / total;
+        if (corrections.length < minSupport || confidence < minConfidence) return;
+        
+        suggestions.push({
+          id: `${key}->${category}`,
+          condition,
+          category,
+          support: corrections.length,
+          confidence,
+          examples: corrections.slice(-3).reverse().map(({ url, title }) => ({ url, title }))
+        });
+      });
+    });
+    
+    // Domains are more specific than URL patterns, so they go first on equal support
+    return suggestions.sort((a, b) => (b.support - a.support) ||
+      (Number(b.id.startsWith('domain:')) - Number(a.id.startsWith('domain:'))));
+  }
+  
+  /**
+   * Pick the past corrections most relevant to the tabs being categorized, to show
+   * the LLM as few-shot examples. Corrections on a domain among the tabs rank first,
+   * then the rest by embedding similarity; examples are added until the token budget is spent.
+   * @param {Array} tabs - Tabs about to be categorized
+   * @param {Array} corrections - Candidate corrections [{ url, title, category }], newest first
+   * @param {Object} options - { maxExamples, tokenBudget, minSimilarity }
+   * @returns {Array} Selected corrections, most relevant first
+   */
+  selectFewShotExamples(tabs, corrections, { maxExamples = 10, tokenBudget = 400, minSimilarity = 0.3 } = {}) {
+    if (!tabs.length || !corrections.length) return [];
+    
+    const tabDomains = new Set(tabs.map(tab => getExampleDomain(tab.url)).filter(Boolean));
+    const tabEmbeddings = tabs.map(embedExample);
+    
+    const ranked = corrections
+      .map((correction, index) => {
+        const embedding = embedExample(correction);
+        const similarity = Math.max(...tabEmbeddings.map(tabEmbedding => calculateSimilarity(embedding, tabEmbedding)));
+        const sameDomain = tabDomains.has(getExampleDomain(correction.url));
+        return { correction, index, similarity, sameDomain };
+      })
+      .filter(candidate => candidate.sameDomain || candidate.similarity >= minSimilarity)
+      .sort((a, b) => (b.sameDomain - a.sameDomain) || (b.similarity - a.similarity) || (a.index - b.index));
+    
+    const selected = [];
+    let tokens = 0;
+    for (const { correction } of ranked) {
+      if (selected.length >= maxExamples) break;
+      
+      // Rough size of the example line in the prompt (~4 characters per token)
+      const cost = Math.ceil(((correction.title || '').length + (correction.url || '').length + 20) / 4);
+      if (tokens + cost > tokenBudget) continue;
+      
+      selected.push(correction);
+      tokens += cost;
+    }
+    
+    return selected;
+  }
+  
   /**
    * Get feedback distribution
    */
@@ -389,7 +543,7 @@ export class FeedbackProcessor {
     
     feedback.forEach(item => {
       if (item.category !== undefined) {
-        distribution[item.category]++;
+        distribution[item.category] = (distribution[item.category] || 0) + 1;
       }
     });
     
@@ -448,6 +602,50 @@ export class FeedbackProcessor {
   }
 }
 
+/**
+ * Keys of a count map, most frequent first
+ * @param {Map} counts - Key -> count
+ * @returns {Array} Keys
+ */
+function getKeysByCount(counts) {
+  return Array.from(counts).sort((a, b) => b[1] - a[1]).map(([key]) => key);
+}
+
+/**
+ * Hostname without "www.", used to match corrections to tabs on the same site
+ * @param {string} url - URL
+ * @returns {string} Hostname, or '' if the URL cannot be parsed
+ */
+function getExampleDomain(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Embed a tab as a hashed bag of its URL and title tokens, for calculateSimilarity.
+ * Works without the trained model, so examples can be picked before it exists.
+ * @param {Object} tab - { url, title }
+ * @returns {Array<number>} Embedding of length EXAMPLE_EMBEDDING_SIZE
+ */
+function embedExample(tab) {
+  const embedding = new Array(EXAMPLE_EMBEDDING_SIZE).fill(0);
+  const tokens = [...tokenizeURL(tab.url || ''), ...tokenizeTitle(tab.title || '')]
+    .filter(token => token !== 'http' && token !== 'https');
+  
+  tokens.forEach(token => {
+    let hash = 0;
+    for (let i = 0; i < token.length; i++) {
+      hash = (hash * 31 + token.charCodeAt(i)) >>> 0;
+    }
+    embedding[hash % EXAMPLE_EMBEDDING_SIZE] += 1;
+  });
+  
+  return embedding;
+}
+
 // Export singleton
 let processorInstance = null;
 
@@ -193,7 +193,7 @@ export class IncrementalTrainer {
       const modelConfig = {
         inputSize: modelSummary.architecture.inputs[0].shape[1],
         hiddenUnits: ML_CONFIG.model.architecture.hiddenUnits,
-        numClasses: ML_CONFIG.model.output.numClasses,
+        numClasses: classifier.getNumClasses(),
         dropout: ML_CONFIG.model.architecture.dropout,
         l2Regularization: ML_CONFIG.model.architecture.l2Regularization,
         learningRate: ML_CONFIG.training.learningRate * 0.1 // Lower learning rate for fine-tuning
@@ -20,7 +20,7 @@ export const ML_CONFIG = {
     },
     
     output: {
-      numClasses: 4,         // Number of categories (0-3)
+      numClasses: 4,         // Built-in categories (0-3); custom categories add more - see getCategoryClassCount()
       activation: 'softmax'  // Output activation
     }
   },
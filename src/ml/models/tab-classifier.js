@@ -8,6 +8,9 @@ import { loadTensorFlow, getTensorFlow } from '../tensorflow-loader.js';
 import { createFeatureEmbedder, prepareEmbeddingInputs } from '../embeddings/embedding-model.js';
 import { saveModel, loadModel } from '../storage/ml-database.js';
 import { getOrCreateVocabulary } from '../features/vocabulary.js';
+import { getCategoryClassCount } from '../../modules/category-registry.js';
+
+const MODEL_URL = 'indexeddb://tab-classifier-model';
 
 /**
  * Tab Classifier Neural Network
@@ -153,9 +156,9 @@ export class TabClassifier {
       x = dropoutLayer.apply(x);
     });
     
-    // Output layer
+    // Output layer - one unit per category ID, custom categories included
     const output = tf.layers.dense({
-      units: ML_CONFIG.model.output.numClasses,
+      units: getCategoryClassCount(),
       activation: ML_CONFIG.model.output.activation,
       name: 'category_output'
     }).apply(x);
@@ -175,6 +178,14 @@ export class TabClassifier {
     this.compile();
   }
   
+  /**
+   * Number of categories the model predicts - the size of its output layer
+   * @returns {number}
+   */
+  getNumClasses() {
+    return this.model.outputs[0].shape[1];
+  }
+  
   /**
    * Compile the model with optimizer and loss
    */
@@ -224,7 +235,7 @@ export class TabClassifier {
     // One-hot encode labels
     const ys = tf.oneHot(
       tf.tensor1d(labels, 'int32'),
-      ML_CONFIG.model.output.numClasses
+      this.getNumClasses()
     );
     
     return { xs, ys };
@@ -378,7 +389,7 @@ export class TabClassifier {
   async save() {
     try {
       // Save the complete model to IndexedDB using TensorFlow.js standard format
-      await this.model.save('indexeddb://tab-classifier-model');
+      await this.model.save(MODEL_URL);
       
       // Save vocabulary and metadata separately using our custom storage
       await saveModel({
@@ -492,7 +503,15 @@ export class TabClassifier {
       if (!tf) return null;
       
       // Try to load the full model from IndexedDB
-      const loadedModel = await tf.loadLayersModel('indexeddb://tab-classifier-model');
+      const loadedModel = await tf.loadLayersModel(MODEL_URL);
+      
+      // A model trained before categories were added or deleted can't be used or fine-tuned
+      if (loadedModel.outputs[0].shape[1] !== getCategoryClassCount()) {
+        console.log('Saved ML model was trained for other categories - discarding it');
+        loadedModel.dispose();
+        await tf.io.removeModel(MODEL_URL);
+        return null;
+      }
       
       // Load vocabulary and metadata separately
       const modelData = await loadModel();
@@ -542,12 +561,30 @@ export class TabClassifier {
       
       // Try to list models in IndexedDB
       const models = await tf.io.listModels();
-      return 'indexeddb://tab-classifier-model' in models;
+      return MODEL_URL in models;
     } catch (error) {
       return false;
     }
   }
   
+  /**
+   * Delete the saved model so the next getTabClassifier() builds a new one
+   */
+  static async discardSavedModel() {
+    classifierInstance = null;
+    try {
+      const { resetMLCategorizerCache } = await import('../categorization/ml-categorizer.js');
+      resetMLCategorizerCache();
+      
+      const tf = await loadTensorFlow();
+      if (tf && MODEL_URL in await tf.io.listModels()) {
+        await tf.io.removeModel(MODEL_URL);
+      }
+    } catch (error) {
+      console.error('Error discarding saved model:', error);
+    }
+  }
+  
   /**
    * Get model summary
    */
@@ -638,7 +675,7 @@ export class TabClassifier {
    * Calculate confusion matrix
    */
   calculateConfusionMatrix(trueLabels, predictions) {
-    const numClasses = ML_CONFIG.model.output.numClasses;
+    const numClasses = this.getNumClasses();
     const matrix = Array(numClasses).fill(null).map(() => Array(numClasses).fill(0));
     
     for (let i = 0; i < trueLabels.length; i++) {
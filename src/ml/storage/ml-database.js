@@ -200,6 +200,43 @@ export async function getTrainingData(limit = null) {
   });
 }
 
+/**
+ * Get the user's category corrections, newest first, one per URL
+ * @param {number} limit - Maximum number of corrections
+ * @returns {Promise<Array>} Training examples with source 'user_correction'
+ */
+export async function getCorrections(limit = 10) {
+  // Ensure database is initialized
+  if (!db) {
+    await initMLDatabase();
+  }
+  
+  const transaction = db.transaction([STORES.TRAINING_DATA], 'readonly');
+  const index = transaction.objectStore(STORES.TRAINING_DATA).index('source');
+  
+  return new Promise((resolve, reject) => {
+    const corrections = [];
+    const seenUrls = new Set();
+    const request = index.openCursor(IDBKeyRange.only('user_correction'), 'prev');
+    
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor && corrections.length < limit) {
+        // A later correction of the same URL overrides earlier ones
+        if (!seenUrls.has(cursor.value.url)) {
+          seenUrls.add(cursor.value.url);
+          corrections.push(cursor.value);
+        }
+        cursor.continue();
+      } else {
+        resolve(corrections);
+      }
+    };
+    
+    request.onerror = () => reject(request.error);
+  });
+}
+
 /**
  * Save vocabulary
  */
@@ -312,6 +349,8 @@ export async function recordPrediction(prediction) {
       model: prediction.model,
       llm: prediction.llm
     },
+    llmProvider: prediction.llmProvider || null,
+    llmReason: prediction.llmReason || null,
     final: prediction.final,
     source: prediction.source,
     confidence: prediction.confidence,
@@ -454,6 +493,7 @@ export default {
   loadModel,
   addTrainingData,
   getTrainingData,
+  getCorrections,
   saveVocabulary,
   loadVocabulary,
   recordMetric,
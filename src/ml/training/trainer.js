@@ -4,12 +4,13 @@
  */
 
 import { ML_CONFIG } from '../model-config.js';
-import { getTabClassifier } from '../models/tab-classifier.js';
+import { TabClassifier, getTabClassifier } from '../models/tab-classifier.js';
 import { getTrainingData, addTrainingData, recordMetric } from '../storage/ml-database.js';
 import { updateVocabulary } from '../features/vocabulary.js';
 import DataGenerator from './data-generator.js';
 import { validateTrainingData } from './validation.js';
 import { state } from '../../modules/state-manager.js';
+import { isValidCategory } from '../../modules/category-registry.js';
 
 /**
  * Get epochs from user settings or fall back to config default
@@ -64,8 +65,9 @@ export class ModelTrainer {
       item.source === 'user_correction' || 
       item.source === 'user_feedback'
     );
-    // Combine saved tabs + corrections (saved tabs are primary source)
-    const allData = [...savedTabsData, ...correctionsData];
+    // Combine saved tabs + corrections (saved tabs are primary source).
+    // Examples for deleted custom categories are left out.
+    const allData = [...savedTabsData, ...correctionsData].filter(item => isValidCategory(item.category));
     
     return allData;
   }
@@ -731,7 +733,27 @@ export async function getModelTrainer() {
   return trainerInstance;
 }
 
+/**
+ * Retrain from scratch after categories were added or deleted. The output layer has
+ * one unit per category, so the saved model is dropped and a new one is trained.
+ * @returns {Promise<Object>} Training results
+ * @throws {Error} If there is not enough training data yet - the model is then
+ *   trained later, like on a new install
+ */
+export async function retrainForCategoryChange() {
+  if (trainerInstance?.isTraining) {
+    throw new Error('Training already in progress');
+  }
+  
+  await TabClassifier.discardSavedModel();
+  trainerInstance = null;
+  
+  const trainer = await getModelTrainer();
+  return trainer.trainWithStoredData();
+}
+
 export default {
   ModelTrainer,
-  getModelTrainer
+  getModelTrainer,
+  retrainForCategoryChange
 };
\ No newline at end of file
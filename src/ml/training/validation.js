@@ -4,6 +4,7 @@
  */
 
 import { ML_CONFIG } from '../model-config.js';
+import { getCategoryClassCount, getCategoryIds } from '../../modules/category-registry.js';
 
 /**
  * Validate training data
@@ -68,7 +69,7 @@ export function validateTrainingData(data) {
     errors.push('No valid categories found in data');
   } else {
     // Check if all categories are present
-    const expectedCategories = [0, 1, 2, 3];
+    const expectedCategories = [0, ...getCategoryIds()];
     const missingCategories = expectedCategories.filter(cat => !categoryCount[cat]);
     
     if (missingCategories.length > 0) {
@@ -152,8 +153,8 @@ function validateExample(example) {
   
   if (example.category === undefined || example.category === null) {
     errors.push('Missing category');
-  } else if (!Number.isInteger(example.category) || example.category < 0 || example.category > 3) {
-    errors.push('Invalid category (must be 0-3)');
+  } else if (!Number.isInteger(example.category) || example.category < 0 || example.category >= getCategoryClassCount()) {
+    errors.push(`Invalid category (must be 0-${getCategoryClassCount() - 1})`);
   }
   
   // Check optional fields
@@ -28,6 +28,9 @@ export class PerformanceTracker {
     // Trust weights (normalized)
     this.trustWeights = { ...ML_CONFIG.trust.initialWeights };
     
+    // LLM predictions broken down by the provider that answered (fallback chain)
+    this.llmProviders = {};
+    
     // Rolling window size
     this.windowSize = ML_CONFIG.trust.accuracyWindow;
     
@@ -59,7 +62,14 @@ export class PerformanceTracker {
           this.predictions[method].recentAccuracy = metrics.map(m => m.value);
         }
       }
-      
+
+      // Rebuild the per-provider LLM breakdown from the stored predictions (kept 30 days), oldest first
+      const llmPredictions = await getMetrics('llm', 'prediction', Infinity);
+      this.llmProviders = {};
+      llmPredictions.reverse()
+        .filter(metric => metric.metadata?.provider)
+        .forEach(metric => this.recordProviderOutcome(metric.metadata.provider, metric.value === 1));
+
       // Recalculate trust weights based on loaded accuracies
       this.updateTrustWeights();
       
@@ -100,6 +110,10 @@ export class PerformanceTracker {
           this.predictions[method].recentAccuracy.shift();
         }
         
+        if (method === 'llm' && prediction.llmProvider) {
+          this.recordProviderOutcome(prediction.llmProvider, isCorrect);
+        }
+        
         // Record metric
         await recordMetric({
           method,
@@ -108,7 +122,8 @@ export class PerformanceTracker {
           metadata: {
             predicted: prediction[method],
             actual: finalCategory,
-            confidence: prediction[`${method}Confidence`] || null
+            confidence: prediction[`${method}Confidence`] || null,
+            provider: method === 'llm' ? (prediction.llmProvider || null) : undefined
           }
         });
       }
@@ -128,6 +143,28 @@ export class PerformanceTracker {
     this.updateTrustWeights();
   }
   
+  /**
+   * Track an LLM outcome for the provider that produced it
+   * @param {string} provider - Provider name (e.g. 'Claude', 'OpenAI')
+   * @param {boolean} isCorrect - Whether the provider's category was kept
+   */
+  recordProviderOutcome(provider, isCorrect) {
+    if (!this.llmProviders[provider]) {
+      this.llmProviders[provider] = { correct: 0, total: 0, recentAccuracy: [] };
+    }
+    
+    const providerData = this.llmProviders[provider];
+    providerData.total++;
+    if (isCorrect) {
+      providerData.correct++;
+    }
+    
+    providerData.recentAccuracy.push(isCorrect ? 1 : 0);
+    if (providerData.recentAccuracy.length > this.windowSize) {
+      providerData.recentAccuracy.shift();
+    }
+  }
+  
   /**
    * Update accuracy calculations for all methods
    */
@@ -233,6 +270,10 @@ export class PerformanceTracker {
           this.predictions[method].recentAccuracy.shift();
         }
         
+        if (method === 'llm' && historyItem.prediction.llmProvider) {
+          this.recordProviderOutcome(historyItem.prediction.llmProvider, false);
+        }
+        
         // Immediate trust reduction
         this.accuracy[method] = Math.max(
           ML_CONFIG.trust.adjustment.minWeight,
@@ -248,6 +289,10 @@ export class PerformanceTracker {
           this.predictions[method].recentAccuracy.shift();
         }
         
+        if (method === 'llm' && historyItem.prediction.llmProvider) {
+          this.recordProviderOutcome(historyItem.prediction.llmProvider, true);
+        }
+        
         // Immediate trust boost
         this.accuracy[method] = Math.min(
           ML_CONFIG.trust.adjustment.maxWeight,
@@ -298,6 +343,16 @@ export class PerformanceTracker {
       }
     }
     
+    // Per-provider breakdown of the LLM numbers
+    metrics.llmProviders = {};
+    for (const [provider, data] of Object.entries(this.llmProviders)) {
+      metrics.llmProviders[provider] = {
+        total: data.total,
+        correct: data.correct,
+        accuracy: data.total > 0 ? data.correct / data.total : 0
+      };
+    }
+    
     return metrics;
   }
   
@@ -479,6 +534,9 @@ export class PerformanceTracker {
     // Reset trust weights to initial values
     this.trustWeights = { ...ML_CONFIG.trust.initialWeights };
     
+    // Reset per-provider LLM stats
+    this.llmProviders = {};
+    
     // Clear prediction history
     this.predictionHistory = [];
     
@@ -500,7 +558,8 @@ export class PerformanceTracker {
       currentState: {
         accuracy: this.accuracy,
         trustWeights: this.trustWeights,
-        predictions: this.predictions
+        predictions: this.predictions,
+        llmProviders: this.llmProviders
       },
       history: this.predictionHistory.slice(-100),
       recentMetrics,
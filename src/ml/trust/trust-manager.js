@@ -130,9 +130,10 @@ export class TrustManager {
    * Make a decision based on predictions from all methods
    * @param {Object} predictions - Predictions from each method
    * @param {Object} confidences - Confidence scores
+   * @param {Object} explanations - Reasons given by methods, e.g. { llm: 'Specific chat conversation' }
    * @returns {Object} Final decision with reasoning
    */
-  async makeDecision(predictions, confidences = {}) {
+  async makeDecision(predictions, confidences = {}, explanations = {}) {
     const systemStats = this.performanceTracker.getSystemStats();
     const strategy = this.determineStrategy(systemStats);
     
@@ -169,12 +170,20 @@ export class TrustManager {
         break;
         
       case 'model_boost':
-        decision = this.modelBoostDecision(predictions, confidences, strategy);
+        decision = this.modelBoostDecision(predictions, confidences, strategy, explanations);
         break;
         
       case 'balanced':
       default:
-        decision = this.balancedDecision(predictions, confidences, strategy);
+        decision = this.balancedDecision(predictions, confidences, strategy, explanations);
+    }
+    
+    // Weighted votes explain themselves via explainVoting; other strategies get the LLM's reason appended
+    if (decision.source !== 'weighted_vote') {
+      decision.reasoning = this.withLLMReason(decision.reasoning, predictions.llm, decision.category, explanations.llm);
+    }
+    if (explanations.llm) {
+      decision.llmReason = explanations.llm;
     }
     
     // Add metadata
@@ -262,7 +271,7 @@ export class TrustManager {
   /**
    * Model boost decision - model is improving
    */
-  modelBoostDecision(predictions, confidences, strategy) {
+  modelBoostDecision(predictions, confidences, strategy, explanations = {}) {
     const modelConfidence = confidences.model || 0;
     
     // Prefer model even with lower confidence
@@ -276,13 +285,13 @@ export class TrustManager {
     }
     
     // Weighted voting as fallback
-    return this.balancedDecision(predictions, confidences, strategy);
+    return this.balancedDecision(predictions, confidences, strategy, explanations);
   }
   
   /**
    * Balanced decision - weighted voting
    */
-  balancedDecision(predictions, confidences, strategy) {
+  balancedDecision(predictions, confidences, strategy, explanations = {}) {
     const weights = strategy.weights;
     const votes = {};
     const voteDetails = [];
@@ -300,7 +309,7 @@ export class TrustManager {
         const weight = weights[method];
         const vote = weight * confidence;
         
-        votes[category] += vote;
+        votes[category] = (votes[category] || 0) + vote; // Custom categories have no preset entry
         
         voteDetails.push({
           method,
@@ -337,7 +346,7 @@ export class TrustManager {
       category: bestCategory,
       source: 'weighted_vote',
       confidence: decisionConfidence,
-      reasoning: this.explainVoting(voteDetails, bestCategory),
+      reasoning: this.explainVoting(voteDetails, bestCategory, explanations),
       votes,
       voteDetails
     };
@@ -432,13 +441,17 @@ export class TrustManager {
   
   /**
    * Explain voting decision
+   * @param {Array} voteDetails - Weighted vote per method
+   * @param {number} winningCategory - Chosen category
+   * @param {Object} explanations - Reasons given by methods (the LLM's in explain mode)
    */
-  explainVoting(voteDetails, winningCategory) {
+  explainVoting(voteDetails, winningCategory, explanations = {}) {
     const categoryVotes = voteDetails.filter(v => v.category === winningCategory);
     const supportingMethods = categoryVotes.map(v => v.method);
+    const llmVote = voteDetails.find(v => v.method === 'llm');
     
     if (supportingMethods.length === 3) {
-      return 'All methods agree on this category';
+      return this.withLLMReason('All methods agree on this category', llmVote?.category, winningCategory, explanations.llm);
     }
     
     const explanation = `Voted by ${supportingMethods.join(' and ')}`;
@@ -446,7 +459,30 @@ export class TrustManager {
     // Add confidence info
     const avgConfidence = categoryVotes.reduce((sum, v) => sum + v.confidence, 0) / categoryVotes.length;
     
-    return `${explanation} with ${(avgConfidence * 100).toFixed(0)}% average confidence`;
+    return this.withLLMReason(
+      `${explanation} with ${(avgConfidence * 100).toFixed(0)}% average confidence`,
+      llmVote?.category,
+      winningCategory,
+      explanations.llm
+    );
+  }
+  
+  /**
+   * Append the LLM's own reason to a decision explanation
+   * @param {string} reasoning - Explanation so far
+   * @param {number} llmCategory - Category the LLM predicted
+   * @param {number} winningCategory - Chosen category
+   * @param {string} reason - The LLM's reason, if it gave one
+   * @returns {string} Explanation including the LLM's reason
+   */
+  withLLMReason(reasoning, llmCategory, winningCategory, reason) {
+    if (!reason || llmCategory === undefined || llmCategory === null) {
+      return reasoning;
+    }
+    
+    return llmCategory === winningCategory
+      ? `${reasoning}. LLM: ${reason}`
+      : `${reasoning}. LLM suggested category ${llmCategory}: ${reason}`;
   }
   
   /**
@@ -460,8 +496,17 @@ export class TrustManager {
     // Update performance tracker
     const predictions = decision.voteDetails ? 
       Object.fromEntries(decision.voteDetails.map(v => [v.method, v.category])) :
+      decision.predictions ? { ...decision.predictions } :
       { [decision.source]: decision.category };
     
+    // Attribute LLM accuracy to the provider that actually answered
+    if (decision.llmProvider) {
+      predictions.llmProvider = decision.llmProvider;
+    }
+    if (decision.llmReason) {
+      predictions.llmReason = decision.llmReason;
+    }
+    
     await this.performanceTracker.recordPrediction(
       predictions,
       actualCategory,
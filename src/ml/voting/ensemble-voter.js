@@ -46,8 +46,13 @@ export class EnsembleVoter {
         llm: llm?.[tabId]?.confidence || 0.8
       };
       
+      // Method-provided reasons (the LLM explains its choice in explain mode)
+      const explanations = {
+        llm: llm?.[tabId]?.reason || null
+      };
+      
       // Make decision using trust manager
-      const decision = await this.trustManager.makeDecision(predictions, confidences);
+      const decision = await this.trustManager.makeDecision(predictions, confidences, explanations);
       
       // Store result
       results[tabId] = decision.category;
@@ -57,6 +62,8 @@ export class EnsembleVoter {
         ...decision,
         predictions,
         confidences,
+        llmProvider: llm?.[tabId]?.provider || null,
+        llmReason: explanations.llm,
         trustWeights: { ...trustWeights }
       };
     }
@@ -17,6 +17,7 @@ import StorageService from '../services/StorageService.js';
 import ChromeAPIService from '../services/ChromeAPIService.js';
 import { getBackgroundMLService } from '../services/BackgroundMLService.js';
 import { initializeAllTabContent, markContentDirty } from './content-manager.js';
+import { createCategoryBuckets } from './category-registry.js';
 
 // Import flicker-free UI for data change notifications
 let flickerFreeUI = null;
@@ -142,6 +143,14 @@ export async function initializeApp() {
     const { initializeSettings } = await import('./settings-manager.js');
     await initializeSettings();
     
+    // Rules that never matched before the rule format migration now do
+    if (state.settings.activatedLegacyRules) {
+      const count = state.settings.activatedLegacyRules;
+      showStatus(`${count} URL/title rule${count === 1 ? '' : 's'} from an older version now categorize tabs - review them under Settings > Rules`, 'info', 10000);
+      delete state.settings.activatedLegacyRules;
+      await StorageService.saveSettings(state.settings);
+    }
+    
     // Use the pre-determined target tab (DOM classes already set by preInitialize)
     let targetTab = window._targetTab || state.popupState?.activeTab || 'categorize';
     
@@ -309,12 +318,7 @@ async function loadCategorizedTabsFromBackground() {
   } catch (error) {
     console.error('Error loading categorized tabs from background:', error);
     // Initialize empty state on error
-    state.categorizedTabs = {
-      0: [], // uncategorized
-      1: [], // can close  
-      2: [], // save later
-      3: []  // important
-    };
+    state.categorizedTabs = createCategoryBuckets();
     state.urlToDuplicateIds = {};
   }
 }
@@ -445,6 +449,9 @@ function setupTabChangeListener() {
   // Set up listeners through tab data source
   const port = setupTabEventListeners((changeData) => {
     handleTabChange(changeData);
+  }, (progress) => {
+    // Long-running categorization (batches, retries) reports progress from background
+    showStatus(progress.message, progress.type || 'loading', progress.type === 'loading' ? 0 : 5000);
   });
   
   // Also expose handler to window for testing
@@ -3,18 +3,26 @@
  * Categorization Service - handles tab categorization using LLMs
  */
 
-import { TAB_CATEGORIES, STATUS_MESSAGES, CATEGORY_NAMES, RULE_TYPES, RULE_FIELDS, DOM_IDS } from '../utils/constants.js';
+import { TAB_CATEGORIES, STATUS_MESSAGES, CATEGORY_NAMES, DOM_IDS } from '../utils/constants.js';
 import { extractDomain, fallbackCategorization, smartConfirm } from '../utils/helpers.js';
 import MessageService from '../services/MessageService.js';
 import ChromeAPIService from '../services/ChromeAPIService.js';
+import StorageService from '../services/StorageService.js';
 import { getUnifiedDatabase } from '../services/UnifiedDatabaseService.js';
 import { state, updateState, clearCategorizedTabs, savePopupState } from './state-manager.js';
 import { showStatus, clearStatus, updateCategorizeBadge, hideApiKeyPrompt } from './ui-manager.js';
 import { getCurrentTabs } from './tab-data-source.js';
 import { markContentDirty, syncHiddenTabContent } from './content-manager.js';
 import { $id } from '../utils/dom-helpers.js';
+import { findMatchingRule, getRuleActions } from './rule-engine.js';
+import { partitionTabsForLLM, runRuleActionsOnCategorize } from './rule-actions.js';
+import { recordRuleHits, recordRuleOverride } from './rule-stats.js';
+import { createCategoryBuckets, getCategoryIds, getCustomCategories } from './category-registry.js';
 // Database is available as window.window.tabDatabase
 
+// Tabs listed in the "what will be sent" preview before the first call to a provider
+const LLM_PREVIEW_SAMPLE_SIZE = 8;
+
 /**
  * Handle categorize button click
  */
@@ -48,14 +56,14 @@ export async function handleCategorize() {
     return;
   }
   
-  // Check for API key if LLM is enabled
-  const apiKey = state.settings.apiKeys[state.settings.provider];
-  const provider = state.settings.provider;
-  const model = state.settings.model || state.settings.selectedModels[provider];
-  const customPrompt = state.settings.customPrompt;
+  // Check for API key (or endpoint for self-hosted providers) if LLM is enabled
+  const llmSettings = getLLMSettings();
   
-  if (!apiKey || !provider || !model) {
-    showStatus(STATUS_MESSAGES.ERROR_NO_API_KEY, 'error', 5000);
+  if (!isLLMConfigured(llmSettings)) {
+    const message = CONFIG.PROVIDERS[llmSettings.provider]?.requiresBaseUrl
+      ? STATUS_MESSAGES.ERROR_NO_ENDPOINT
+      : STATUS_MESSAGES.ERROR_NO_API_KEY;
+    showStatus(message, 'error', 5000);
     enableCategorizeButtons(); // Re-enable buttons on API key error
     return;
   }
@@ -64,66 +72,84 @@ export async function handleCategorize() {
   await categorizeTabs();
 }
 
+/**
+ * Prompt template for a provider: its assigned preset, or the main custom prompt
+ * @param {string} provider - Provider name
+ * @returns {string} Prompt template
+ */
+export function getPromptForProvider(provider) {
+  const presetId = (state.settings.providerPrompts || {})[provider];
+  const preset = presetId && (state.settings.promptPresets || []).find(p => p.id === presetId);
+  return preset ? preset.prompt : state.settings.customPrompt;
+}
+
+/**
+ * Read the LLM provider settings used for categorization requests
+ * @param {string} provider - Provider to read (defaults to the selected provider)
+ * @returns {Object} { provider, apiKey, model, customPrompt, baseUrl }
+ */
+export function getLLMSettings(provider = state.settings.provider) {
+  const isSelected = provider === state.settings.provider;
+  return {
+    provider,
+    apiKey: state.settings.apiKeys[provider] || '',
+    model: (isSelected && state.settings.model) || state.settings.selectedModels[provider],
+    customPrompt: getPromptForProvider(provider),
+    baseUrl: CONFIG.PROVIDERS[provider]?.requiresBaseUrl ? (state.settings.customEndpointUrl || '') : ''
+  };
+}
+
+/**
+ * Configured fallback providers, in the user's order, to try when the selected provider fails
+ * @returns {Array<Object>} { provider, apiKey, model, baseUrl, customPrompt } for each usable fallback
+ */
+export function getFallbackProviders() {
+  return (state.settings.llmFallbackChain || [])
+    .filter(provider => provider !== state.settings.provider && CONFIG.PROVIDERS[provider])
+    .map(provider => getLLMSettings(provider))
+    .filter(settings => isLLMConfigured(settings))
+    .map(({ provider, apiKey, model, baseUrl, customPrompt }) => ({ provider, apiKey, model, baseUrl, customPrompt }));
+}
+
+/**
+ * Check whether LLM settings are complete enough to send a request
+ * @param {Object} llmSettings - Settings from getLLMSettings()
+ * @returns {boolean}
+ */
+export function isLLMConfigured({ provider, apiKey, model, baseUrl }) {
+  const providerConfig = CONFIG.PROVIDERS[provider];
+  if (!providerConfig || !model) return false;
+  if (providerConfig.requiresBaseUrl && !baseUrl) return false;
+  return !!apiKey || !!providerConfig.apiKeyOptional;
+}
+
 /**
  * Apply rules to categorize tabs
  * @param {Array} tabs - Array of tabs to categorize
- * @param {Array} rules - Array of rules to apply
+ * @param {Array} rules - Array of rules to apply; conditions may combine with AND/OR/NOT (see rule-engine.js)
+ * @param {Object} options - { recordHits: false } for previews and imports, which are not rule hits
  * @returns {Object} Object with categorized tabs and remaining uncategorized tabs
  */
-export function applyRulesToTabs(tabs, rules) {
-  const categorizedByRules = {
-    [TAB_CATEGORIES.CAN_CLOSE]: [],
-    [TAB_CATEGORIES.SAVE_LATER]: [],
-    [TAB_CATEGORIES.IMPORTANT]: []
-  };
+export function applyRulesToTabs(tabs, rules, { recordHits = true } = {}) {
+  const categorizedByRules = Object.fromEntries(getCategoryIds().map(id => [id, []]));
   const uncategorizedTabs = [];
+  const matchedRules = [];
   
   tabs.forEach(tab => {
-    let categorized = false;
-    
-    // Check each rule
-    for (const rule of rules) {
-      if (!rule.enabled) continue;
-      
-      let matches = false;
-      
-      switch (rule.type) {
-        case RULE_TYPES.DOMAIN:
-          const tabDomain = extractDomain(tab.url);
-          matches = tabDomain === rule.value;
-          break;
-          
-        case RULE_TYPES.URL_CONTAINS:
-          matches = tab.url.includes(rule.value);
-          break;
-          
-        case RULE_TYPES.TITLE_CONTAINS:
-          matches = tab.title && tab.title.includes(rule.value);
-          break;
-          
-        case RULE_TYPES.REGEX:
-          try {
-            const regex = new RegExp(rule.value);
-            const field = rule.field === RULE_FIELDS.TITLE ? tab.title : tab.url;
-            matches = regex.test(field);
-          } catch (e) {
-            console.error('Invalid regex:', rule.value, e);
-          }
-          break;
-      }
-      
-      if (matches) {
-        categorizedByRules[rule.category].push(tab);
-        categorized = true;
-        break; // Apply first matching rule only
-      }
-    }
-    
-    if (!categorized) {
+    // Apply first matching rule only
+    const rule = findMatchingRule(tab, rules);
+    if (rule) {
+      categorizedByRules[rule.category].push(tab);
+      matchedRules.push(rule);
+    } else {
       uncategorizedTabs.push(tab);
     }
   });
   
+  if (recordHits) {
+    recordRuleHits(matchedRules);
+  }
+  
   return { categorizedByRules, uncategorizedTabs };
 }
 
@@ -149,26 +175,39 @@ async function categorizeWithML(tabs, mlCategorizer) {
       console.error('Error getting saved tabs:', error);
     }
     
+    // Tabs whose rule says "never send to AI" are left to the rules and the model
+    const { allowed: llmTabs } = partitionTabsForLLM(processedTabs, state.settings.rules || []);
+    
     // Prepare LLM results if enabled
     let llmResults = null;
-    if (state.settings.useLLM) {
-      const apiKey = state.settings.apiKeys[state.settings.provider];
-      const provider = state.settings.provider;
-      const model = state.settings.model || state.settings.selectedModels[provider];
-      const customPrompt = state.settings.customPrompt;
+    let llmWarning = null;
+    let cacheNote = '';
+    if (state.settings.useLLM && llmTabs.length > 0) {
+      const llmSettings = getLLMSettings();
       
-      if (apiKey && provider && model) {
+      if (isLLMConfigured(llmSettings)) {
         try {
-          llmResults = await MessageService.categorizeTabs({
-            tabs: processedTabs,
-            apiKey,
-            provider,
-            model,
-            customPrompt,
+          const fallbackProviders = getFallbackProviders();
+          await ensureLLMPreviewApproved(llmTabs, savedUrls, [llmSettings, ...fallbackProviders]);
+          
+          const { data, batches, providers, cache, budgetWarning } = await MessageService.categorizeTabsWithDetails({
+            tabs: llmTabs,
+            ...llmSettings,
+            fallbackProviders,
+            monthlyBudget: state.settings.monthlyBudget || 0,
+            explain: !!state.settings.llmExplain,
+            privacy: state.settings.privacy || {},
+            promptContext: await getPromptContext(llmTabs, [llmSettings, ...fallbackProviders]),
             savedUrls
           });
+          llmResults = data;
+          llmWarning = [budgetWarning, getLLMWarning(batches, providers)].filter(Boolean).join(' ') || null;
+          cacheNote = getCacheNote(cache);
         } catch (error) {
           console.error('Error calling LLM:', error);
+          if (error.budgetExceeded || error.previewDeclined) {
+            llmWarning = error.message;
+          }
         }
       }
     }
@@ -208,16 +247,14 @@ async function categorizeWithML(tabs, mlCategorizer) {
     const existingCategorized = currentState.categorizedTabs || {};
     
     // Merge result - keep existing categorized tabs and add newly categorized ones
-    const mergedResult = {
-      [TAB_CATEGORIES.UNCATEGORIZED]: [], // Clear uncategorized
-      [TAB_CATEGORIES.CAN_CLOSE]: result[TAB_CATEGORIES.CAN_CLOSE] || [],
-      [TAB_CATEGORIES.SAVE_LATER]: result[TAB_CATEGORIES.SAVE_LATER] || [],
-      [TAB_CATEGORIES.IMPORTANT]: result[TAB_CATEGORIES.IMPORTANT] || []
-    };
+    const mergedResult = createCategoryBuckets(); // Uncategorized starts cleared
+    getCategoryIds().forEach(cat => {
+      mergedResult[cat] = result[cat] || [];
+    });
     
     // Keep existing categorized tabs that weren't recategorized
     const processedIds = new Set(tabs.map(t => t.id));
-    [TAB_CATEGORIES.CAN_CLOSE, TAB_CATEGORIES.SAVE_LATER, TAB_CATEGORIES.IMPORTANT].forEach(cat => {
+    getCategoryIds().forEach(cat => {
       const existing = existingCategorized[cat] || [];
       
       // Add existing tabs that weren't in the processed list
@@ -255,16 +292,23 @@ async function categorizeWithML(tabs, mlCategorizer) {
       source: 'llm_categorization'
     }, predictions);
     
+    // Close, pin, group... tabs as their rules say
+    const actionNote = await applyRuleActions(tabs, mergedResult);
+    
     // Update UI
     updateCategorizeBadge();
     
     // Show success with ML info
     const summary = mlResults.summary;
     const mlUsed = summary?.decisionSources?.model > 0;
-    const message = mlUsed 
+    const message = (mlUsed 
       ? `${STATUS_MESSAGES.SUCCESS_CATEGORIZED} (ML: ${Math.round(summary.averageConfidence * 100)}% confidence)`
-      : STATUS_MESSAGES.SUCCESS_CATEGORIZED;
-    showStatus(message, 'success');
+      : STATUS_MESSAGES.SUCCESS_CATEGORIZED) + cacheNote + actionNote;
+    if (llmWarning) {
+      showStatus(llmWarning, 'warning', 8000);
+    } else {
+      showStatus(message, 'success');
+    }
     
     // Save state
     await savePopupState();
@@ -423,28 +467,46 @@ export async function categorizeTabs() {
     }
     
     let categorized;
+    let llmWarning = null;
+    let cacheNote = '';
     
     // Check if LLM is enabled
     if (state.settings.useLLM && tabs.length > 0) {
-      const apiKey = state.settings.apiKeys[state.settings.provider];
-      const provider = state.settings.provider;
-      const model = state.settings.model || state.settings.selectedModels[provider];
-      const customPrompt = state.settings.customPrompt;
-      
       try {
+        const llmSettings = getLLMSettings();
+        const fallbackProviders = getFallbackProviders();
+        await ensureLLMPreviewApproved(processedTabs, savedUrls, [llmSettings, ...fallbackProviders]);
+        
         // Call LLM for categorization
-        categorized = await MessageService.categorizeTabs({
+        const { data, batches, providers, cache, budgetWarning } = await MessageService.categorizeTabsWithDetails({
           tabs: processedTabs,
-          apiKey,
-          provider,
-          model,
-          customPrompt,
+          ...llmSettings,
+          fallbackProviders,
+          monthlyBudget: state.settings.monthlyBudget || 0,
+          explain: !!state.settings.llmExplain,
+          privacy: state.settings.privacy || {},
+          promptContext: await getPromptContext(processedTabs, [llmSettings, ...fallbackProviders]),
           savedUrls
         });
+        categorized = data;
+        
+        // Denylisted tabs, and tabs left over once the monthly budget ran out, never reached the LLM - categorize them locally
+        const withheldTabs = (data[TAB_CATEGORIES.UNCATEGORIZED] || []).filter(tab => tab.withheldFromLLM || tab.overBudget);
+        if (withheldTabs.length > 0) {
+          const local = fallbackCategorization(withheldTabs);
+          [TAB_CATEGORIES.CAN_CLOSE, TAB_CATEGORIES.SAVE_LATER, TAB_CATEGORIES.IMPORTANT].forEach(cat => {
+            categorized[cat] = [...(categorized[cat] || []), ...local[cat]];
+          });
+        }
+        llmWarning = [budgetWarning, getLLMWarning(batches, providers)].filter(Boolean).join(' ') || null;
+        cacheNote = getCacheNote(cache);
         
         console.log('Tabs categorized successfully');
       } catch (error) {
         console.error('Error calling API:', error);
+        if (error.budgetExceeded || error.previewDeclined) {
+          llmWarning = error.message;
+        }
         
         // Use fallback categorization
         console.log('Using fallback categorization');
@@ -469,21 +531,13 @@ export async function categorizeTabs() {
     }
     
     // Merge rule-based and LLM categorizations
-    const result = {
-      [TAB_CATEGORIES.UNCATEGORIZED]: [], // Clear uncategorized after categorization
-      [TAB_CATEGORIES.CAN_CLOSE]: [
-        ...(ruleCategorizedTabs[TAB_CATEGORIES.CAN_CLOSE] || []),
-        ...(categorized[TAB_CATEGORIES.CAN_CLOSE] || [])
-      ],
-      [TAB_CATEGORIES.SAVE_LATER]: [
-        ...(ruleCategorizedTabs[TAB_CATEGORIES.SAVE_LATER] || []),
-        ...(categorized[TAB_CATEGORIES.SAVE_LATER] || [])
-      ],
-      [TAB_CATEGORIES.IMPORTANT]: [
-        ...(ruleCategorizedTabs[TAB_CATEGORIES.IMPORTANT] || []),
-        ...(categorized[TAB_CATEGORIES.IMPORTANT] || [])
-      ]
-    };
+    const result = createCategoryBuckets(); // Uncategorized stays clear after categorization
+    getCategoryIds().forEach(cat => {
+      result[cat] = [
+        ...(ruleCategorizedTabs[cat] || []),
+        ...(categorized[cat] || [])
+      ];
+    });
     
     console.log('Final categorization:', {
       category1: result[TAB_CATEGORIES.CAN_CLOSE].length,
@@ -496,16 +550,14 @@ export async function categorizeTabs() {
     const existingCategorized = currentState.categorizedTabs || {};
     
     // Merge result - keep existing categorized tabs and add newly categorized ones
-    const mergedResult = {
-      [TAB_CATEGORIES.UNCATEGORIZED]: [], // Clear uncategorized
-      [TAB_CATEGORIES.CAN_CLOSE]: result[TAB_CATEGORIES.CAN_CLOSE] || [],
-      [TAB_CATEGORIES.SAVE_LATER]: result[TAB_CATEGORIES.SAVE_LATER] || [],
-      [TAB_CATEGORIES.IMPORTANT]: result[TAB_CATEGORIES.IMPORTANT] || []
-    };
+    const mergedResult = createCategoryBuckets(); // Uncategorized starts cleared
+    getCategoryIds().forEach(cat => {
+      mergedResult[cat] = result[cat] || [];
+    });
     
     // Keep existing categorized tabs that weren't recategorized
     const processedIds = new Set(tabs.map(t => t.id));
-    [TAB_CATEGORIES.CAN_CLOSE, TAB_CATEGORIES.SAVE_LATER, TAB_CATEGORIES.IMPORTANT].forEach(cat => {
+    getCategoryIds().forEach(cat => {
       const existing = existingCategorized[cat] || [];
       
       // Add existing tabs that weren't in the processed list
@@ -537,9 +589,16 @@ export async function categorizeTabs() {
       rulesOnly: true
     });
     
+    // Close, pin, group... tabs as their rules say
+    const actionNote = await applyRuleActions(uncategorizedTabs, mergedResult);
+    
     // Update UI
     updateCategorizeBadge();
-    showStatus(STATUS_MESSAGES.SUCCESS_CATEGORIZED, 'success');
+    if (llmWarning) {
+      showStatus(llmWarning, 'warning', 8000);
+    } else {
+      showStatus(STATUS_MESSAGES.SUCCESS_CATEGORIZED + cacheNote + actionNote, 'success');
+    }
     
     // Save state
     await savePopupState();
@@ -612,6 +671,12 @@ export async function moveTabToCategory(tab, fromCategory, toCategory, type = 'c
         console.log('Could not process ML correction:', error);
       }
     }
+    // The user disagrees with the rule that put the tab in its category
+    const rule = findMatchingRule(tab, state.settings.rules || []);
+    if (rule?.category === fromCategory) {
+      recordRuleOverride(rule);
+    }
+    
     // Update database with user correction using unified service
     const unifiedDB = await getUnifiedDatabase();
     await unifiedDB.updateTabCategory(tab.url, fromCategory, toCategory, 'user_correction');
@@ -632,6 +697,7 @@ export async function moveTabToCategory(tab, fromCategory, toCategory, type = 'c
     const updatedTab = { ...tab };
     updatedTab.knownCategory = toCategory;
     updatedTab.alreadySaved = true; // Mark as saved since we just saved it
+    delete updatedTab.llmReason; // The LLM's reason explained the old category
     categorizedTabs[toCategory].push(updatedTab);
     
     // Update state
@@ -689,18 +755,15 @@ export async function getCategorizationStats() {
   
   const stats = {
     total: 0,
-    byCategory: {
-      [TAB_CATEGORIES.CAN_CLOSE]: categorizedTabs[TAB_CATEGORIES.CAN_CLOSE]?.length || 0,
-      [TAB_CATEGORIES.SAVE_LATER]: categorizedTabs[TAB_CATEGORIES.SAVE_LATER]?.length || 0,
-      [TAB_CATEGORIES.IMPORTANT]: categorizedTabs[TAB_CATEGORIES.IMPORTANT]?.length || 0
-    },
+    byCategory: {},
     duplicates: Object.keys(urlToDuplicateIds).length,
     saved: 0
   };
   
-  stats.total = stats.byCategory[TAB_CATEGORIES.CAN_CLOSE] + 
-                stats.byCategory[TAB_CATEGORIES.SAVE_LATER] + 
-                stats.byCategory[TAB_CATEGORIES.IMPORTANT];
+  getCategoryIds().forEach(cat => {
+    stats.byCategory[cat] = categorizedTabs[cat]?.length || 0;
+    stats.total += stats.byCategory[cat];
+  });
   
   // Count saved tabs
   Object.values(categorizedTabs).forEach(tabs => {
@@ -731,8 +794,8 @@ async function collectPredictions(tabs, categorizedTabs, mlResults) {
     for (const tab of tabs) {
       const predictionData = {};
       
-      // Rules-based prediction
-      const ruleResult = applyRulesToTabs([tab], state.settings.rules);
+      // Rules-based prediction - the ensemble already counted these rule hits
+      const ruleResult = applyRulesToTabs([tab], state.settings.rules, { recordHits: false });
       if (ruleResult.categorizedByRules && Object.keys(ruleResult.categorizedByRules).length > 0) {
         // Find which category this tab was assigned to
         let assignedCategory = null;
@@ -798,6 +861,173 @@ async function collectPredictions(tabs, categorizedTabs, mlResults) {
   return predictions;
 }
 
+/**
+ * Build a status warning for fallback providers or partially failed batched categorization
+ * @param {Object} batches - Batch summary from MessageService.categorizeTabsWithDetails
+ * @param {Array} providers - Providers tried, in order, from MessageService.categorizeTabsWithDetails
+ * @returns {string|null} Warning message, or null if the selected provider handled every batch
+ */
+function getLLMWarning(batches, providers = []) {
+  const messages = [];
+  
+  if (providers.length > 1) {
+    console.warn('LLM fallback used:', providers);
+    const [primary, ...fallbacks] = providers;
+    const usedFallbacks = fallbacks.filter(p => p.categorized > 0).map(p => p.provider);
+    messages.push(`${primary.provider} failed for ${primary.failed} tabs - ` +
+      (usedFallbacks.length > 0 ? `used ${usedFallbacks.join(', ')} instead.` : 'fallback providers failed too.'));
+  }
+  
+  if (batches && batches.failed) {
+    console.warn('LLM categorization partially failed:', batches.errors);
+    messages.push(`${batches.failed} of ${batches.total} batches failed - ` +
+      `${batches.uncategorizedTabs} tabs left uncategorized. Try again to retry them.`);
+  }
+  
+  return messages.length > 0 ? messages.join(' ') : null;
+}
+
+/**
+ * Gather the values for prompt template variables. History lookups only run
+ * when one of the prompts in use references them.
+ * @param {Array} tabs - Tabs being categorized; correction examples are picked for relevance to them
+ * @param {Array<Object>} providerSettings - Providers the run may call, with their customPrompt
+ * @returns {Promise<Object>} { categoryNames, customCategories, frequentDomains, corrections }
+ */
+async function getPromptContext(tabs, providerSettings) {
+  const prompts = providerSettings.map(settings => settings.customPrompt || CONFIG.DEFAULT_PROMPT);
+  const uses = name => prompts.some(prompt => prompt.includes(`{${name}}`) || prompt.includes(`{#${name}}`));
+  
+  const context = {
+    categoryNames: Object.fromEntries(getCategoryIds().map(id => [id, CATEGORY_NAMES[id]])),
+    customCategories: getCustomCategories().map(({ id, name, description }) => ({ id, name, description })),
+    frequentDomains: [],
+    corrections: []
+  };
+  
+  if (uses('FREQUENT_DOMAINS')) {
+    try {
+      context.frequentDomains = await window.tabDatabase.getFrequentDomains(CONFIG.PROMPT_CONTEXT.frequentDomainCount);
+    } catch (error) {
+      console.error('Error loading frequent domains:', error);
+    }
+  }
+  
+  if (uses('CORRECTION_EXAMPLES')) {
+    try {
+      const { getCorrections } = await import('../ml/storage/ml-database.js');
+      const { getFeedbackProcessor } = await import('../ml/learning/feedback-processor.js');
+      const { correctionExampleCount, correctionCandidateCount, correctionTokenBudget, correctionMinSimilarity } = CONFIG.PROMPT_CONTEXT;
+      
+      const candidates = (await getCorrections(correctionCandidateCount))
+        .map(({ url, title, category }) => ({ url, title, category }));
+      context.corrections = getFeedbackProcessor().selectFewShotExamples(tabs, candidates, {
+        maxExamples: correctionExampleCount,
+        tokenBudget: correctionTokenBudget,
+        minSimilarity: correctionMinSimilarity
+      });
+    } catch (error) {
+      console.error('Error loading correction examples:', error);
+    }
+  }
+  
+  return context;
+}
+
+/**
+ * Before the first request to a provider, show the tab data it will receive
+ * (after redaction) and ask the user to confirm. Approved providers are
+ * remembered, so later runs go straight through.
+ * @param {Array} tabs - Tabs about to be sent
+ * @param {Array} savedUrls - Saved URLs the background skips
+ * @param {Array<Object>} providerSettings - Providers the run may call, primary first
+ * @returns {Promise<void>}
+ * @throws {Error} With previewDeclined set when the user cancels
+ */
+async function ensureLLMPreviewApproved(tabs, savedUrls, providerSettings) {
+  const previewed = state.settings.privacyPreviewedProviders || [];
+  const newProviders = providerSettings
+    .map(settings => settings.provider)
+    .filter(provider => !previewed.includes(provider));
+  if (newProviders.length === 0) return;
+  
+  const preview = await MessageService.previewLLMPayload({
+    tabs,
+    savedUrls,
+    privacy: state.settings.privacy || {}
+  });
+  // Nothing would be sent - ask again on a run that actually sends tabs
+  if (preview.tabs.length === 0) return;
+  
+  const sample = preview.tabs.slice(0, LLM_PREVIEW_SAMPLE_SIZE)
+    .map(tab => `• ${tab.title}\n   ${tab.url}`)
+    .join('\n');
+  const more = preview.tabs.length > LLM_PREVIEW_SAMPLE_SIZE
+    ? `\n...and ${preview.tabs.length - LLM_PREVIEW_SAMPLE_SIZE} more`
+    : '';
+  const withheld = preview.withheld > 0 ? `, ${preview.withheld} withheld by your denylist` : '';
+  const message = `First request to ${newProviders.join(', ')}. Only tab titles and URLs are sent ` +
+    `(${preview.tabs.length} tabs${withheld}):\n\n${sample}${more}\n\n` +
+    'Redaction (query strings, emails, IDs, internal hostnames) can be turned on under Settings > Privacy. Send these tabs?';
+  
+  if (!smartConfirm(message, { defaultAnswer: true, testId: 'llm-privacy-preview' })) {
+    const error = new Error('Tabs were not sent to the AI - categorized locally instead.');
+    error.previewDeclined = true;
+    throw error;
+  }
+  
+  state.settings.privacyPreviewedProviders = [...previewed, ...newProviders];
+  await StorageService.saveSettings(state.settings);
+}
+
+/**
+ * Run the actions of the rules that decided freshly categorized tabs, and drop
+ * the tabs those actions closed from the categorized state
+ * @param {Array} tabs - Tabs that were just categorized
+ * @param {Object} categorizedTabs - Merged categorization; updated in place
+ * @returns {Promise<string>} Status suffix, or '' when no rule action ran
+ */
+async function applyRuleActions(tabs, categorizedTabs) {
+  const rules = state.settings.rules || [];
+  if (!rules.some(rule => getRuleActions(rule).length > 0)) return '';
+  
+  // The category each tab ended up in, after the model or the LLM had their say
+  const finalCategories = new Map();
+  Object.entries(categorizedTabs).forEach(([category, categoryTabs]) => {
+    categoryTabs.forEach(tab => finalCategories.set(tab.id, Number(category)));
+  });
+  const decidedTabs = tabs.map(tab => ({ ...tab, category: finalCategories.get(tab.id) }));
+  
+  try {
+    const { count, failed, closedTabIds } = await runRuleActionsOnCategorize(decidedTabs, rules);
+    if (closedTabIds.size > 0) {
+      Object.keys(categorizedTabs).forEach(category => {
+        categorizedTabs[category] = categorizedTabs[category].filter(tab => !closedTabIds.has(tab.id));
+      });
+      updateState('categorizedTabs', categorizedTabs);
+    }
+    
+    const failedNote = failed > 0 ? `, ${failed} failed` : '';
+    return count > 0 || failed > 0
+      ? ` (${count} rule action${count === 1 ? '' : 's'} ran${failedNote} - undo them from the Rules action log in Settings)`
+      : '';
+  } catch (error) {
+    console.error('Error running rule actions:', error);
+    return ` (rule actions failed: ${error.message})`;
+  }
+}
+
+/**
+ * Describe how many LLM verdicts were reused from the cache
+ * @param {Object} cache - { hits, misses } from MessageService.categorizeTabsWithDetails
+ * @returns {string} Status suffix, or '' when nothing came from the cache
+ */
+function getCacheNote(cache) {
+  if (!cache || !cache.hits) return '';
+  console.log('LLM cache:', cache);
+  return ` (${cache.hits} of ${cache.hits + cache.misses} from cache)`;
+}
+
 /**
  * Disable categorize buttons to prevent double-clicking
  */
@@ -846,5 +1076,9 @@ export default {
   moveTabToCategory,
   isTabSaved,
   getCategorizationStats,
-  applyRulesToTabs
+  applyRulesToTabs,
+  getPromptForProvider,
+  getLLMSettings,
+  getFallbackProviders,
+  isLLMConfigured
 };
\ No newline at end of file
@@ -0,0 +1,226 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * Category Registry - the built-in categories plus the user's own, each with a name,
+ * color, icon and description. Custom categories take IDs from 4 up and keep them.
+ */
+
+import { TAB_CATEGORIES, CATEGORY_NAMES } from '../utils/constants.js';
+
+// The first ID handed to a custom category; 0-3 are the built-in ones
+export const FIRST_CUSTOM_CATEGORY_ID = 4;
+
+// Most custom categories a user can define - each one adds an output to the classifier
+export const MAX_CUSTOM_CATEGORIES = 12;
+
+// Color and icon given to a new custom category
+export const DEFAULT_CUSTOM_CATEGORY = { color: '#00897b', icon: '📁' };
+
+// Built-in categories. Their icons are SVGs drawn by the renderers.
+const BUILT_IN_CATEGORIES = [
+  {
+    id: TAB_CATEGORIES.IMPORTANT,
+    name: CATEGORY_NAMES[TAB_CATEGORIES.IMPORTANT],
+    color: '#d32f2f',
+    icon: '',
+    description: 'Hard to find again - takes more than 2 minutes or might be impossible',
+    builtIn: true
+  },
+  {
+    id: TAB_CATEGORIES.SAVE_LATER,
+    name: CATEGORY_NAMES[TAB_CATEGORIES.SAVE_LATER],
+    color: '#1976d2',
+    icon: '',
+    description: 'Takes 10 seconds to 2 minutes to find again',
+    builtIn: true
+  },
+  {
+    id: TAB_CATEGORIES.CAN_CLOSE,
+    name: CATEGORY_NAMES[TAB_CATEGORIES.CAN_CLOSE],
+    color: '#757575',
+    icon: '',
+    description: 'Easy to find again - takes less than 10 seconds',
+    builtIn: true
+  }
+];
+
+// Custom categories from settings, set by setCustomCategories
+let customCategories = [];
+
+/**
+ * Replace the custom categories, e.g. after settings load. CATEGORY_NAMES is
+ * updated too, so code that looks names up by ID sees the custom ones.
+ * @param {Array} categories - state.settings.customCategories
+ */
+export function setCustomCategories(categories = []) {
+  customCategories.forEach(category => {
+    delete CATEGORY_NAMES[category.id];
+  });
+  
+  customCategories = (Array.isArray(categories) ? categories : [])
+    .filter(category => Number.isInteger(category?.id) && category.id >= FIRST_CUSTOM_CATEGORY_ID && category.name)
+    .map(({ id, name, color, icon, description }) => ({
+      id,
+      name: String(name),
+      color: color || DEFAULT_CUSTOM_CATEGORY.color,
+      icon: icon || DEFAULT_CUSTOM_CATEGORY.icon,
+      description: description || '',
+      builtIn: false
+    }));
+  
+  customCategories.forEach(category => {
+    CATEGORY_NAMES[category.id] = category.name;
+  });
+}
+
+/**
+ * The user's custom categories
+ * @returns {Array} [{ id, name, color, icon, description }]
+ */
+export function getCustomCategories() {
+  return customCategories.map(category => ({ ...category }));
+}
+
+/**
+ * Every category a tab can be put in, in display order:
+ * Important, the custom categories, Useful, Ignore
+ * @returns {Array} [{ id, name, color, icon, description, builtIn }]
+ */
+export function getCategories() {
+  const [important, ...rest] = BUILT_IN_CATEGORIES;
+  return [important, ...customCategories, ...rest].map(category => ({ ...category }));
+}
+
+/**
+ * Look up a category
+ * @param {number} id - Category ID
+ * @returns {Object|null} Category, or null for uncategorized and unknown IDs
+ */
+export function getCategory(id) {
+  return getCategories().find(category => category.id === id) || null;
+}
+
+/**
+ * IDs of every category a tab can be put in, in display order
+ * @returns {Array<number>}
+ */
+export function getCategoryIds() {
+  return getCategories().map(category => category.id);
+}
+
+/**
+ * IDs of the categories whose tabs are kept - everything but Ignore
+ * @returns {Array<number>}
+ */
+export function getKeptCategoryIds() {
+  return getCategoryIds().filter(id => id !== TAB_CATEGORIES.CAN_CLOSE);
+}
+
+/**
+ * Check that an ID is a category a tab can be put in (not uncategorized)
+ * @param {number} id - Category ID
+ * @returns {boolean}
+ */
+export function isValidCategory(id) {
+  return getCategoryIds().includes(id);
+}
+
+/**
+ * Check whether a category is one of the user's
+ * @param {number} id - Category ID
+ * @returns {boolean}
+ */
+export function isCustomCategory(id) {
+  return customCategories.some(category => category.id === id);
+}
+
+/**
+ * An empty list per category, uncategorized included
+ * @returns {Object} { 0: [], 1: [], 2: [], 3: [], ...custom IDs }
+ */
+export function createCategoryBuckets() {
+  const buckets = { [TAB_CATEGORIES.UNCATEGORIZED]: [] };
+  getCategoryIds().forEach(id => {
+    buckets[id] = [];
+  });
+  return buckets;
+}
+
+/**
+ * Number of outputs the classifier needs: one per category ID up to the highest,
+ * uncategorized included. IDs of deleted categories keep their (unused) output.
+ * @returns {number}
+ */
+export function getCategoryClassCount() {
+  return Math.max(...getCategoryIds(), TAB_CATEGORIES.IMPORTANT) + 1;
+}
+
+/**
+ * Find a category by name, ignoring case - e.g. for CSV import
+ * @param {string} name - Category name
+ * @returns {Object|null} Category
+ */
+export function findCategoryByName(name) {
+  const wanted = String(name || '').trim().toLowerCase();
+  return getCategories().find(category => category.name.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Create a custom category
+ * @param {Array} categories - Current state.settings.customCategories
+ * @param {number} lastId - Highest custom ID handed out so far; IDs are never reused,
+ *   so tabs saved under a deleted category are not mistaken for a new one
+ * @param {Object} fields - { name, color, icon, description }
+ * @returns {Object} The new category
+ * @throws {Error} If the name is empty or taken, or there are too many categories
+ */
+export function createCustomCategory(categories, lastId, { name, color, icon, description }) {
+  if (categories.length >= MAX_CUSTOM_CATEGORIES) {
+    throw new Error(`You can have at most ${MAX_CUSTOM_CATEGORIES} custom categories`);
+  }
+  
+  const id = Math.max(lastId || 0, FIRST_CUSTOM_CATEGORY_ID - 1, ...categories.map(category => category.id)) + 1;
+  const category = {
+    id,
+    name: String(name || '').trim(),
+    color: color || DEFAULT_CUSTOM_CATEGORY.color,
+    icon: String(icon || '').trim() || DEFAULT_CUSTOM_CATEGORY.icon,
+    description: String(description || '').trim()
+  };
+  validateCategoryName(category.name, id);
+  return category;
+}
+
+/**
+ * Check a category name is usable
+ * @param {string} name - Trimmed name
+ * @param {number} id - ID of the category being named
+ * @throws {Error} If the name is empty or another category has it
+ */
+export function validateCategoryName(name, id) {
+  if (!name) {
+    throw new Error('Enter a category name');
+  }
+  const existing = findCategoryByName(name);
+  if (existing && existing.id !== id) {
+    throw new Error(`There is already a category called "${existing.name}"`);
+  }
+}
+
+export default {
+  FIRST_CUSTOM_CATEGORY_ID,
+  MAX_CUSTOM_CATEGORIES,
+  DEFAULT_CUSTOM_CATEGORY,
+  setCustomCategories,
+  getCustomCategories,
+  getCategories,
+  getCategory,
+  getCategoryIds,
+  getKeptCategoryIds,
+  isValidCategory,
+  isCustomCategory,
+  createCategoryBuckets,
+  getCategoryClassCount,
+  findCategoryByName,
+  createCustomCategory,
+  validateCategoryName
+};
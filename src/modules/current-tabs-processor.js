@@ -6,6 +6,7 @@
 import { TAB_CATEGORIES } from '../utils/constants.js';
 import { ChromeAPIService } from '../services/ChromeAPIService.js';
 import { extractDomain } from '../utils/helpers.js';
+import { createCategoryBuckets, getCategoryIds } from './category-registry.js';
 
 export class CurrentTabsProcessor {
   constructor(database) {
@@ -25,13 +26,13 @@ export class CurrentTabsProcessor {
       const windowIds = new Set(allTabs.map(tab => tab.windowId));
       
       // 2. Get all saved URLs from database for matching
-      const savedUrls = await this.database.getSavedUrls([1, 2, 3]); // All categories
+      const savedUrls = await this.database.getSavedUrls(getCategoryIds()); // All categories
       const urlToCategoryMap = new Map();
       
-      // Build lookup map with URL as key
+      // Build lookup map with the canonical URL as key, so variants of a saved URL match
       savedUrls.forEach(urlInfo => {
         // Use URL only for matching (one entry per URL)
-        urlToCategoryMap.set(urlInfo.url, {
+        urlToCategoryMap.set(canonicalizeUrl(urlInfo.url), {
           category: urlInfo.category,
           urlId: urlInfo.id,
           savedTitle: urlInfo.title // Keep saved title for reference
@@ -39,12 +40,7 @@ export class CurrentTabsProcessor {
       });
       
       // 3. Initialize categorized tabs structure
-      const categorizedTabs = {
-        [TAB_CATEGORIES.UNCATEGORIZED]: [],
-        [TAB_CATEGORIES.CAN_CLOSE]: [],
-        [TAB_CATEGORIES.SAVE_LATER]: [],
-        [TAB_CATEGORIES.IMPORTANT]: []
-      };
+      const categorizedTabs = createCategoryBuckets();
       
       const urlToDuplicateIds = {};
       const urlToTabsMap = new Map(); // For duplicate detection
@@ -65,8 +61,9 @@ export class CurrentTabsProcessor {
         }
         
         // Check if saved in database (by URL only)
-        const savedInfo = urlToCategoryMap.get(tab.url);
-        const category = savedInfo ? savedInfo.category : TAB_CATEGORIES.UNCATEGORIZED;
+        const canonicalUrl = canonicalizeUrl(tab.url);
+        const savedInfo = urlToCategoryMap.get(canonicalUrl);
+        const category = savedInfo && categorizedTabs[savedInfo.category] ? savedInfo.category : TAB_CATEGORIES.UNCATEGORIZED;
         
         // Create tab entry
         const tabEntry = {
@@ -89,13 +86,13 @@ export class CurrentTabsProcessor {
         }
         
         // Track duplicates
-        if (!urlToTabsMap.has(tab.url)) {
-          urlToTabsMap.set(tab.url, []);
+        if (!urlToTabsMap.has(canonicalUrl)) {
+          urlToTabsMap.set(canonicalUrl, { url: tab.url, tabIds: [] });
         }
-        urlToTabsMap.get(tab.url).push(tab.id);
+        urlToTabsMap.get(canonicalUrl).tabIds.push(tab.id);
         
         // Check if this URL already exists in the category
-        const existingIndex = categorizedTabs[category].findIndex(t => t.url === tab.url);
+        const existingIndex = categorizedTabs[category].findIndex(t => canonicalizeUrl(t.url) === canonicalUrl);
         
         if (existingIndex !== -1) {
           // URL already exists - add to duplicates
@@ -111,8 +108,8 @@ export class CurrentTabsProcessor {
         }
       }
       
-      // 5. Build duplicate mapping
-      urlToTabsMap.forEach((tabIds, url) => {
+      // 5. Build duplicate mapping, keyed by the URL of the first tab (the one shown)
+      urlToTabsMap.forEach(({ url, tabIds }) => {
         if (tabIds.length > 1) {
           urlToDuplicateIds[url] = tabIds;
         }
@@ -125,12 +122,7 @@ export class CurrentTabsProcessor {
     } catch (error) {
       console.error('Error processing current tabs:', error);
       return { 
-        categorizedTabs: {
-          [TAB_CATEGORIES.UNCATEGORIZED]: [],
-          [TAB_CATEGORIES.CAN_CLOSE]: [],
-          [TAB_CATEGORIES.SAVE_LATER]: [],
-          [TAB_CATEGORIES.IMPORTANT]: []
-        }, 
+        categorizedTabs: createCategoryBuckets(), 
         urlToDuplicateIds: {} 
       };
     }
@@ -150,8 +142,10 @@ export class CurrentTabsProcessor {
   
   /**
    * Handle real-time tab updates
+   * @param {Function} onTabChange - Callback for tab changes
+   * @param {Function} onCategorizationProgress - Callback for background progress messages (optional)
    */
-  setupTabEventListeners(onTabChange) {
+  setupTabEventListeners(onTabChange, onCategorizationProgress = null) {
     // Listen for tab changes from background
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       if (message.action === 'tabChanged' && onTabChange) {
@@ -164,6 +158,8 @@ export class CurrentTabsProcessor {
     port.onMessage.addListener((message) => {
       if (message.action === 'tabChanged' && onTabChange) {
         onTabChange(message.data);
+      } else if (message.action === 'categorizationProgress' && onCategorizationProgress) {
+        onCategorizationProgress(message.data);
       }
     });
     
@@ -32,8 +32,7 @@ export function setupEventListeners() {
   // Settings controls
   on($id(DOM_IDS.PROVIDER_SELECT), EVENTS.CHANGE, onProviderChange);
   on($id(DOM_IDS.MODEL_SELECT), EVENTS.CHANGE, onModelChange);
-  on($id(DOM_IDS.PROMPT_TEXTAREA), EVENTS.INPUT, onPromptChange);
-  on($id(DOM_IDS.RESET_PROMPT_BTN), EVENTS.CLICK, resetPrompt);
+  // Prompt editing (with template validation) is wired up by settings-manager.js
   on($id(DOM_IDS.MAX_TABS_INPUT), EVENTS.CHANGE, onMaxTabsChange);
   
   // LLM checkbox
@@ -194,49 +193,6 @@ async function saveApiKey() {
   await updateModelDropdown();
 }
 
-/**
- * Prompt change handler
- */
-function onPromptChange() {
-  const promptText = $id(DOM_IDS.PROMPT_TEXTAREA).value;
-  const isCustomized = promptText && promptText !== CONFIG.DEFAULT_PROMPT;
-  
-  state.settings.customPrompt = promptText;
-  state.settings.isPromptCustomized = isCustomized;
-  
-  // Update prompt status
-  const promptStatus = $id(DOM_IDS.PROMPT_STATUS);
-  if (promptStatus) {
-    if (isCustomized) {
-      promptStatus.textContent = '(Customized)';
-      promptStatus.style.color = 'var(--md-sys-color-primary)';
-    } else {
-      promptStatus.textContent = '(Using default)';
-      promptStatus.style.color = '';
-    }
-  }
-  
-  debouncedSaveState();
-}
-
-/**
- * Reset prompt to default
- */
-async function resetPrompt() {
-  $id(DOM_IDS.PROMPT_TEXTAREA).value = CONFIG.DEFAULT_PROMPT;
-  state.settings.customPrompt = CONFIG.DEFAULT_PROMPT;
-  state.settings.isPromptCustomized = false;
-  
-  const promptStatus = $id(DOM_IDS.PROMPT_STATUS);
-  if (promptStatus) {
-    promptStatus.textContent = '(Using default)';
-    promptStatus.style.color = '';
-  }
-  
-  await StorageService.saveSettings(state.settings);
-  showStatus('Prompt reset to default', 'success');
-}
-
 /**
  * Max tabs change handler
  */
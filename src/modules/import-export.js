@@ -10,6 +10,7 @@ import { showStatus, switchToTab } from './ui-manager.js';
 import { state } from './state-manager.js';
 import { getUnifiedDatabase } from '../services/UnifiedDatabaseService.js';
 import { showSavedTabsContent } from './saved-tabs-manager.js';
+import { getCustomCategories } from './category-registry.js';
 // Database is available as window.window.tabDatabase
 
 /**
@@ -19,7 +20,7 @@ export async function exportToCSV() {
   try {
     showStatus('Exporting tabs to CSV...', 'loading');
     
-    const csvContent = await window.tabDatabase.exportAsCSV();
+    const csvContent = await window.tabDatabase.exportAsCSV(null, { customCategories: getCustomCategories() });
     
     // Create blob and download
     const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
@@ -65,7 +66,8 @@ export async function handleCSVImport(event) {
         model: state.settings.model,
         customPrompt: state.settings.customPrompt,
         rules: state.settings.rules || [],
-        useLLM: state.settings.useLLM !== false
+        useLLM: state.settings.useLLM !== false,
+        customCategories: getCustomCategories()
       };
       
       const unifiedDB = await getUnifiedDatabase();
@@ -232,6 +232,7 @@ async function updateMLStatus() {
                 <div style="font-size: 11px; color: var(--md-sys-color-on-surface-variant);">
                   ${data.correct}/${data.total} correct predictions
                 </div>
+                ${method === 'llm' ? renderProviderBreakdown(metrics.llmProviders) : ''}
               </div>
             `;
           }
@@ -279,6 +280,23 @@ async function updateMLStatus() {
   }
 }
 
+/**
+ * Render LLM accuracy per provider (only meaningful once fallbacks have answered)
+ * @param {Object} providerMetrics - Map of provider -> { total, correct, accuracy }
+ * @returns {string} HTML
+ */
+function renderProviderBreakdown(providerMetrics = {}) {
+  const entries = Object.entries(providerMetrics).filter(([_, data]) => data.total > 0);
+  if (entries.length === 0) return '';
+  
+  return entries.map(([provider, data]) => `
+    <div style="display: flex; justify-content: space-between; font-size: 11px; padding-left: 12px; color: var(--md-sys-color-on-surface-variant);">
+      <span>${provider}</span>
+      <span>${(data.accuracy * 100).toFixed(1)}% (${data.correct}/${data.total})</span>
+    </div>
+  `).join('');
+}
+
 /**
  * Handle TensorFlow.js download
  */
@@ -0,0 +1,508 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * Rule Actions - what matching rules do to tabs besides categorizing them.
+ * Every action is logged with what is needed to undo it.
+ */
+
+import { RULE_ACTIONS, CATEGORY_NAMES } from '../utils/constants.js';
+import ChromeAPIService from '../services/ChromeAPIService.js';
+import StorageService from '../services/StorageService.js';
+import MessageService from '../services/MessageService.js';
+import { findMatchingRule, getRuleActions, ruleHasAction } from './rule-engine.js';
+// Database is available as window.tabDatabase
+
+// Entries kept in the action log; older ones can no longer be undone
+const RULE_ACTION_LOG_LIMIT = 200;
+
+// Order actions run in on categorize: the tab is filed and arranged before it is closed
+const CATEGORIZE_ACTION_ORDER = [
+  RULE_ACTIONS.SAVE,
+  RULE_ACTIONS.PIN,
+  RULE_ACTIONS.GROUP,
+  RULE_ACTIONS.SNOOZE,
+  RULE_ACTIONS.CLOSE
+];
+
+// Actions that take the tab out of the window - pinning or grouping it first would be pointless
+const CLOSING_ACTIONS = [RULE_ACTIONS.SNOOZE, RULE_ACTIONS.CLOSE];
+
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * When a snoozed tab should come back
+ * @param {string} value - Duration ("30m", "2h", "3d") or time of day ("09:00", next occurrence)
+ * @param {Date} now - Current time
+ * @returns {number|null} Timestamp in ms, or null if the value cannot be read
+ */
+export function getSnoozeWakeTime(value, now = new Date()) {
+  const text = String(value || '').trim().toLowerCase();
+  
+  const duration = text.match(/^(\d+)\s*([mhd])$/);
+  if (duration) {
+    const amount = parseInt(duration[1], 10);
+    return amount > 0 ? now.getTime() + amount * DURATION_UNITS[duration[2]] : null;
+  }
+  
+  const time = text.match(/^(\d{1,2}):(\d{2})$/);
+  if (time && parseInt(time[1], 10) < 24 && parseInt(time[2], 10) < 60) {
+    const wake = new Date(now);
+    wake.setHours(parseInt(time[1], 10), parseInt(time[2], 10), 0, 0);
+    if (wake <= now) {
+      wake.setDate(wake.getDate() + 1);
+    }
+    return wake.getTime();
+  }
+  
+  return null;
+}
+
+/**
+ * Why an action cannot run as configured
+ * @param {Object} action - { type, value }
+ * @returns {string|null} Error message, or null if the action is valid
+ */
+export function getRuleActionError(action) {
+  if (action.type === RULE_ACTIONS.GROUP && !String(action.value || '').trim()) {
+    return 'Enter a tab group name';
+  }
+  if (action.type === RULE_ACTIONS.SNOOZE && getSnoozeWakeTime(action.value) === null) {
+    return 'Use a duration like 30m, 2h or 3d, or a time like 09:00';
+  }
+  return null;
+}
+
+/**
+ * Human-readable form of an action, e.g. 'Move to group "Work"'
+ * @param {Object} action - { type, value }
+ * @returns {string} Description
+ */
+export function describeRuleAction(action) {
+  switch (action.type) {
+    case RULE_ACTIONS.CLOSE:
+      return 'Close';
+    case RULE_ACTIONS.SAVE:
+      return 'Save';
+    case RULE_ACTIONS.PIN:
+      return 'Pin';
+    case RULE_ACTIONS.GROUP:
+      return `Move to group "${action.value}"`;
+    case RULE_ACTIONS.SNOOZE:
+      return /:/.test(action.value) ? `Snooze until ${action.value}` : `Snooze for ${action.value}`;
+    case RULE_ACTIONS.NO_LLM:
+      return 'Never send to AI';
+    default:
+      return action.type;
+  }
+}
+
+/**
+ * Split tabs by whether the rule that decides them forbids sending them to the LLM
+ * @param {Array} tabs - Tabs about to be categorized
+ * @param {Array} rules - Rules from settings
+ * @returns {Object} { allowed, withheld }
+ */
+export function partitionTabsForLLM(tabs, rules = []) {
+  const allowed = [];
+  const withheld = [];
+  tabs.forEach(tab => {
+    (ruleHasAction(findMatchingRule(tab, rules), RULE_ACTIONS.NO_LLM) ? withheld : allowed).push(tab);
+  });
+  return { allowed, withheld };
+}
+
+/**
+ * Run the actions of the rules that decided freshly categorized tabs. A rule
+ * overridden by the model or the LLM runs no actions on the tab.
+ * @param {Array} tabs - Tabs that were just categorized, with the category they ended up in
+ * @param {Array} rules - Rules from settings
+ * @returns {Promise<Object>} { runId, count, failed, closedTabIds } - closedTabIds are no longer open
+ */
+export async function runRuleActionsOnCategorize(tabs, rules = []) {
+  const runId = createRuleActionId();
+  const entries = [];
+  const closedTabIds = new Set();
+  let failed = 0;
+  
+  for (const tab of tabs) {
+    const rule = findMatchingRule(tab, rules);
+    if (!rule || rule.category !== tab.category) continue;
+    const actions = getRuleActions(rule);
+    const closing = actions.some(action => CLOSING_ACTIONS.includes(action.type));
+    
+    for (const type of CATEGORIZE_ACTION_ORDER) {
+      const action = actions.find(candidate => candidate.type === type);
+      if (!action) continue;
+      if (closing && (type === RULE_ACTIONS.PIN || type === RULE_ACTIONS.GROUP)) continue;
+      // Snoozing already closes the tab
+      if (type === RULE_ACTIONS.CLOSE && ruleHasAction(rule, RULE_ACTIONS.SNOOZE)) continue;
+      
+      try {
+        const undo = await executeRuleAction(action, tab, rule);
+        entries.push(createLogEntry(runId, 'categorize', action, rule, tab, undo));
+        if (CLOSING_ACTIONS.includes(type)) {
+          getTabIds(tab).forEach(id => closedTabIds.add(id));
+        }
+      } catch (error) {
+        console.error(`Rule action "${type}" failed for ${tab.url}:`, error);
+        failed++;
+      }
+    }
+  }
+  
+  await closeTabsForRuleActions([...closedTabIds]);
+  await appendToRuleActionLog(entries);
+  return { runId, count: entries.length, failed, closedTabIds };
+}
+
+/**
+ * Apply rule actions to a category that is being saved and closed: tabs pinned
+ * by a rule stay open, and tabs a rule snoozes are scheduled to come back. As on
+ * categorize, only a rule that puts tabs in this category runs its actions.
+ * @param {Array} tabs - Tabs of the category
+ * @param {number} category - The category being saved and closed
+ * @param {Array} rules - Rules from settings
+ * @returns {Promise<Object>} { runId, count, keepOpenTabIds }
+ */
+export async function runRuleActionsOnSaveAndClose(tabs, category, rules = []) {
+  const runId = createRuleActionId();
+  const entries = [];
+  const keepOpenTabIds = new Set();
+  
+  for (const tab of tabs) {
+    const rule = findMatchingRule(tab, rules);
+    if (!rule || rule.category !== category) continue;
+    const actions = getRuleActions(rule);
+    const pin = actions.find(action => action.type === RULE_ACTIONS.PIN);
+    const snooze = actions.find(action => action.type === RULE_ACTIONS.SNOOZE);
+    
+    if (pin) {
+      getTabIds(tab).forEach(id => keepOpenTabIds.add(id));
+    } else if (snooze) {
+      try {
+        const undo = await executeRuleAction(snooze, tab, rule);
+        entries.push(createLogEntry(runId, 'saveAndClose', snooze, rule, tab, undo));
+      } catch (error) {
+        console.error(`Rule action "snooze" failed for ${tab.url}:`, error);
+      }
+    }
+  }
+  
+  await appendToRuleActionLog(entries);
+  return { runId, count: entries.length, keepOpenTabIds };
+}
+
+/**
+ * Load the action log
+ * @returns {Promise<Array>} Entries, newest first
+ */
+export async function getRuleActionLog() {
+  return StorageService.loadRuleActionLog();
+}
+
+/**
+ * Undo one logged action
+ * @param {string} entryId - Log entry ID
+ * @returns {Promise<boolean>} False if the entry is gone or was already undone
+ */
+export async function undoRuleAction(entryId) {
+  const log = await StorageService.loadRuleActionLog();
+  const entry = log.find(candidate => candidate.id === entryId);
+  if (!entry || entry.undone) return false;
+  
+  await undoLogEntry(entry);
+  entry.undone = true;
+  await StorageService.saveRuleActionLog(log);
+  return true;
+}
+
+/**
+ * Undo every action of one run, last action first
+ * @param {string} runId - Run ID shared by the run's entries
+ * @returns {Promise<Object>} { undone, failed }
+ */
+export async function undoRuleActionRun(runId) {
+  const log = await StorageService.loadRuleActionLog();
+  const entries = log.filter(entry => entry.runId === runId && !entry.undone);
+  let undone = 0;
+  let failed = 0;
+  
+  for (const entry of entries) {
+    try {
+      await undoLogEntry(entry);
+      entry.undone = true;
+      undone++;
+    } catch (error) {
+      console.error('Error undoing rule action:', error, entry);
+      failed++;
+    }
+  }
+  
+  await StorageService.saveRuleActionLog(log);
+  return { undone, failed };
+}
+
+/**
+ * Run one action on a tab
+ * @param {Object} action - { type, value }
+ * @param {Object} tab - Tab from getCurrentTabs
+ * @param {Object} rule - Rule the action belongs to
+ * @returns {Promise<Object>} What undoLogEntry needs to revert the action
+ */
+async function executeRuleAction(action, tab, rule) {
+  const tabIds = getTabIds(tab);
+  
+  switch (action.type) {
+    case RULE_ACTIONS.SAVE: {
+      const existing = await window.tabDatabase.getUrlInfo(tab.url);
+      await window.tabDatabase.saveCategorizedTabs({ [rule.category]: [tab] });
+      return { previousCategory: existing ? existing.category : null };
+    }
+    
+    case RULE_ACTIONS.PIN:
+      for (const id of tabIds) {
+        await ChromeAPIService.updateTab(id, { pinned: true });
+      }
+      return { wasPinned: !!tab.pinned };
+    
+    case RULE_ACTIONS.GROUP: {
+      const previousGroups = {};
+      for (const id of tabIds) {
+        previousGroups[id] = (await ChromeAPIService.getTab(id)).groupId;
+      }
+      await moveTabsToGroup(tabIds, String(action.value).trim(), tab.windowId);
+      return { previousGroups };
+    }
+    
+    case RULE_ACTIONS.SNOOZE: {
+      const wakeAt = getSnoozeWakeTime(action.value);
+      if (wakeAt === null) {
+        throw new Error(`Invalid snooze time "${action.value}"`);
+      }
+      // Duplicates are closed too; waking brings back one tab
+      const closedDuplicates = await snapshotTabs(tabIds.filter(id => id !== tab.id));
+      const snoozeId = await MessageService.snoozeTab({ url: tab.url, title: tab.title, pinned: tab.pinned, wakeAt });
+      return { snoozeId, wakeAt, closedDuplicates };
+    }
+    
+    case RULE_ACTIONS.CLOSE:
+      return { closedTabs: await snapshotTabs(tabIds) };
+    
+    default:
+      throw new Error(`Unknown rule action "${action.type}"`);
+  }
+}
+
+/**
+ * Revert a logged action
+ * @param {Object} entry - Log entry
+ * @returns {Promise<void>}
+ */
+async function undoLogEntry(entry) {
+  const { action, tab, undo } = entry;
+  
+  switch (action.type) {
+    case RULE_ACTIONS.SAVE:
+      if (undo.previousCategory === null) {
+        const record = await window.tabDatabase.getUrlInfo(tab.url);
+        if (record) {
+          await window.tabDatabase.deleteUrl(record.id);
+        }
+      } else {
+        await window.tabDatabase.updateUrlCategory(tab.url, undo.previousCategory);
+      }
+      break;
+    
+    case RULE_ACTIONS.PIN:
+      await forEachOpenTab(tab.tabIds, id => ChromeAPIService.updateTab(id, { pinned: undo.wasPinned }));
+      break;
+    
+    case RULE_ACTIONS.GROUP:
+      await forEachOpenTab(tab.tabIds, id => {
+        const groupId = undo.previousGroups[id];
+        return groupId === undefined || groupId === -1
+          ? ChromeAPIService.ungroupTabs(id)
+          : ChromeAPIService.groupTabs({ tabIds: [id], groupId });
+      });
+      break;
+    
+    case RULE_ACTIONS.SNOOZE:
+      if (!(await MessageService.wakeSnoozedTab(undo.snoozeId))) {
+        throw new Error('The snoozed tab has already been reopened');
+      }
+      await reopenTabs(undo.closedDuplicates || []);
+      break;
+    
+    case RULE_ACTIONS.CLOSE:
+      // Entries logged before closed tabs were recorded one by one only know the tab itself
+      await reopenTabs(undo.closedTabs || [tab]);
+      break;
+    
+    default:
+      throw new Error(`Unknown rule action "${action.type}"`);
+  }
+}
+
+/**
+ * Add tabs to the window's group with this title, creating the group if needed
+ * @param {Array<number>} tabIds - Tab IDs
+ * @param {string} title - Group title
+ * @param {number} windowId - Window the tabs are in
+ * @returns {Promise<number>} Group ID
+ */
+async function moveTabsToGroup(tabIds, title, windowId) {
+  const [existing] = await ChromeAPIService.queryTabGroups({ title, windowId });
+  if (existing) {
+    return ChromeAPIService.groupTabs({ tabIds, groupId: existing.id });
+  }
+  
+  const groupId = await ChromeAPIService.groupTabs({ tabIds, createProperties: { windowId } });
+  await ChromeAPIService.updateTabGroup(groupId, { title });
+  return groupId;
+}
+
+/**
+ * Close tabs taken out by close and snooze actions, keeping the current window open
+ * @param {Array<number>} tabIds - Tab IDs
+ * @returns {Promise<void>}
+ */
+async function closeTabsForRuleActions(tabIds) {
+  if (tabIds.length === 0) return;
+  
+  const closing = new Set(tabIds);
+  const currentWindow = await ChromeAPIService.getCurrentWindow();
+  const windowTabs = await ChromeAPIService.queryTabs({ windowId: currentWindow.id });
+  if (windowTabs.length > 0 && windowTabs.every(tab => closing.has(tab.id))) {
+    await ChromeAPIService.createTab({ windowId: currentWindow.id });
+  }
+  
+  await ChromeAPIService.removeTabs(tabIds);
+}
+
+/**
+ * Record where tabs are, so they can be reopened there after being closed
+ * @param {Array<number>} tabIds - Tab IDs
+ * @returns {Promise<Array>} [{ url, windowId, index, pinned }] for the tabs still open
+ */
+async function snapshotTabs(tabIds) {
+  const snapshots = [];
+  for (const id of tabIds) {
+    try {
+      const { url, windowId, index, pinned } = await ChromeAPIService.getTab(id);
+      snapshots.push({ url, windowId, index, pinned: !!pinned });
+    } catch (error) {
+      console.warn(`Tab ${id} is already closed:`, error);
+    }
+  }
+  return snapshots;
+}
+
+/**
+ * Reopen closed tabs, leftmost first so each lands back at its index
+ * @param {Array} snapshots - From snapshotTabs
+ * @returns {Promise<void>}
+ */
+async function reopenTabs(snapshots) {
+  const ordered = [...snapshots].sort((a, b) => (a.index ?? 0) - (b.index ?? 0));
+  for (const snapshot of ordered) {
+    await reopenTab(snapshot);
+  }
+}
+
+/**
+ * Reopen a closed tab where it was, or in the current window if that window is gone
+ * @param {Object} tab - Tab snapshot from a log entry or snapshotTabs
+ * @returns {Promise<void>}
+ */
+async function reopenTab(tab) {
+  const properties = { url: tab.url, pinned: !!tab.pinned, active: false };
+  try {
+    await ChromeAPIService.createTab({ ...properties, windowId: tab.windowId, index: tab.index });
+  } catch {
+    await ChromeAPIService.createTab(properties);
+  }
+}
+
+/**
+ * Run an update on tabs that are still open; closed ones are skipped
+ * @param {Array<number>} tabIds - Tab IDs
+ * @param {Function} update - Called with each open tab ID
+ * @returns {Promise<void>}
+ */
+async function forEachOpenTab(tabIds, update) {
+  const openIds = new Set((await ChromeAPIService.getAllTabs()).map(tab => tab.id));
+  for (const id of tabIds.filter(id => openIds.has(id))) {
+    await update(id);
+  }
+}
+
+/**
+ * IDs of a tab and its duplicates
+ * @param {Object} tab - Tab from getCurrentTabs
+ * @returns {Array<number>} Tab IDs
+ */
+function getTabIds(tab) {
+  return tab.duplicateIds && tab.duplicateIds.length > 0 ? tab.duplicateIds : [tab.id];
+}
+
+/**
+ * Unique ID for log entries and runs
+ * @returns {string} ID
+ */
+function createRuleActionId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Build a log entry
+ * @param {string} runId - Run the action belongs to
+ * @param {string} trigger - 'categorize' or 'saveAndClose'
+ * @param {Object} action - { type, value }
+ * @param {Object} rule - Rule that ran the action
+ * @param {Object} tab - Tab the action ran on
+ * @param {Object} undo - From executeRuleAction
+ * @returns {Object} Log entry
+ */
+function createLogEntry(runId, trigger, action, rule, tab, undo) {
+  return {
+    id: createRuleActionId(),
+    runId,
+    trigger,
+    time: new Date().toISOString(),
+    action: { type: action.type, value: action.value },
+    ruleId: rule.id,
+    category: CATEGORY_NAMES[rule.category],
+    tab: {
+      url: tab.url,
+      title: tab.title,
+      tabIds: getTabIds(tab),
+      windowId: tab.windowId,
+      index: tab.index,
+      pinned: !!tab.pinned
+    },
+    undo,
+    undone: false
+  };
+}
+
+/**
+ * Add entries to the front of the log, dropping the oldest beyond the limit
+ * @param {Array} entries - New entries in the order they ran
+ * @returns {Promise<void>}
+ */
+async function appendToRuleActionLog(entries) {
+  if (entries.length === 0) return;
+  const log = await StorageService.loadRuleActionLog();
+  await StorageService.saveRuleActionLog([...entries].reverse().concat(log).slice(0, RULE_ACTION_LOG_LIMIT));
+}
+
+export default {
+  getSnoozeWakeTime,
+  getRuleActionError,
+  describeRuleAction,
+  partitionTabsForLLM,
+  runRuleActionsOnCategorize,
+  runRuleActionsOnSaveAndClose,
+  getRuleActionLog,
+  undoRuleAction,
+  undoRuleActionRun
+};
@@ -0,0 +1,465 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * Rule Engine - matches tabs against categorization rules with compound conditions
+ */
+
+import { RULE_TYPES, RULE_FIELDS, RULE_OPERATORS, RULE_ACTIONS } from '../utils/constants.js';
+import { extractDomain } from '../utils/helpers.js';
+import { parseURL } from '../ml/features/url-parser.js';
+
+// Rule types written by older versions of the rules editor and the default rules
+const LEGACY_RULE_TYPES = {
+  urlContains: RULE_TYPES.URL_CONTAINS,
+  titleContains: RULE_TYPES.TITLE_CONTAINS
+};
+
+// Compiled rule regexes by pattern; null for patterns that do not compile
+const regexCache = new Map();
+
+// Compiled domain and path globs by pattern
+const globCache = new Map();
+
+// Parsed URL parts per tab, so each tab is parsed once however many rules check it
+const parsedUrlCache = new WeakMap();
+
+/**
+ * Create an ID for a new rule
+ * @returns {string} Unique rule ID
+ */
+export function createRuleId() {
+  return `rule-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Check whether a condition combines other conditions
+ * @param {Object} condition - Rule condition
+ * @returns {boolean} True for { operator, conditions } groups
+ */
+export function isConditionGroup(condition) {
+  return !!condition && Array.isArray(condition.conditions);
+}
+
+/**
+ * Normalize a condition tree: legacy type names, lowercase operators, regex field
+ * @param {Object} condition - Leaf { type, value, field } or group { operator, conditions }
+ * @returns {Object} Normalized condition
+ */
+export function normalizeCondition(condition) {
+  if (isConditionGroup(condition)) {
+    const operator = String(condition.operator || RULE_OPERATORS.AND).toLowerCase();
+    return {
+      operator: Object.values(RULE_OPERATORS).includes(operator) ? operator : RULE_OPERATORS.AND,
+      conditions: condition.conditions.map(normalizeCondition)
+    };
+  }
+  
+  const type = LEGACY_RULE_TYPES[condition.type] || condition.type;
+  const leaf = { type, value: condition.value || '' };
+  if (type === RULE_TYPES.REGEX) {
+    leaf.field = condition.field === RULE_FIELDS.TITLE ? RULE_FIELDS.TITLE : RULE_FIELDS.URL;
+  }
+  return leaf;
+}
+
+/**
+ * Bring a rule to the current format. Single-condition rules
+ * ({ type, value, field, category }) become { condition: { type, value, field }, category },
+ * and rules saved without an ID get one.
+ * @param {Object} rule - Stored rule in any format
+ * @returns {Object} Rule with an ID and a normalized condition
+ */
+export function migrateRule(rule) {
+  const id = rule.id || createRuleId();
+  if (rule.condition) {
+    return { ...rule, id, condition: normalizeCondition(rule.condition) };
+  }
+  
+  const { type, value, field, ...rest } = rule;
+  return { ...rest, id, condition: normalizeCondition({ type, value, field }) };
+}
+
+/**
+ * Check whether stored rules predate compound conditions or priorities
+ * @param {Array} rules - Stored rules
+ * @returns {boolean} True if any rule needs migrateRules
+ */
+export function needsRuleMigration(rules = []) {
+  return rules.some(rule => !rule.id || !rule.condition || rule.priority === undefined ||
+    JSON.stringify(migrateRule(rule)) !== JSON.stringify(rule));
+}
+
+/**
+ * Count enabled rules that use a legacy type name. Older versions stored URL and
+ * title rules as urlContains/titleContains but only matched url_contains, so those
+ * rules never fired; migrateRules switches them on.
+ * @param {Array} rules - Stored rules
+ * @returns {number} Rules the migration activates
+ */
+export function countLegacyTypeRules(rules = []) {
+  const usesLegacyType = condition => (isConditionGroup(condition)
+    ? condition.conditions.some(usesLegacyType)
+    : !!LEGACY_RULE_TYPES[condition?.type]);
+  return rules.filter(rule => rule.enabled !== false && usesLegacyType(rule.condition || rule)).length;
+}
+
+/**
+ * Bring all rules to the current format. Rules without a priority
+ * get one from their position, so the order they were applied in is kept.
+ * @param {Array} rules - Stored rules
+ * @returns {Array} Migrated rules, in the same order
+ */
+export function migrateRules(rules = []) {
+  return rules.map((rule, index) => migrateRule(rule.priority === undefined ? { ...rule, priority: index + 1 } : rule));
+}
+
+/**
+ * Priority used for ordering; rules without one go last
+ * @param {Object} rule - Rule
+ * @returns {number} Priority
+ */
+function getRulePriority(rule) {
+  return Number.isFinite(rule.priority) ? rule.priority : Infinity;
+}
+
+/**
+ * Order rules for matching: lower priority numbers are checked first,
+ * equal priorities keep their stored order
+ * @param {Array} rules - Rules
+ * @returns {Array} New array in matching order
+ */
+export function sortRulesByPriority(rules = []) {
+  return rules
+    .map((rule, index) => ({ rule, index }))
+    .sort((a, b) => (getRulePriority(a.rule) - getRulePriority(b.rule)) || (a.index - b.index))
+    .map(({ rule }) => rule);
+}
+
+/**
+ * Sort rules by priority and renumber them 1..N, closing gaps left by
+ * deleted rules and fractional priorities from reordering
+ * @param {Array} rules - Rules
+ * @returns {Array} New rules with consecutive priorities
+ */
+export function renumberRulePriorities(rules = []) {
+  return sortRulesByPriority(rules).map((rule, index) => ({ ...rule, priority: index + 1 }));
+}
+
+/**
+ * Compile a rule regex once. Invalid patterns never match; the rules editor
+ * shows their error next to the condition (see getRegexError).
+ * @param {string} pattern - Regular expression source
+ * @returns {RegExp|null} Compiled regex, or null if invalid
+ */
+function getRuleRegex(pattern) {
+  if (!regexCache.has(pattern)) {
+    regexCache.set(pattern, getRegexError(pattern) ? null : new RegExp(pattern));
+  }
+  return regexCache.get(pattern);
+}
+
+/**
+ * Check whether a rule regex compiles
+ * @param {string} pattern - Regular expression source
+ * @returns {string|null} Error message, or null if the pattern is valid
+ */
+export function getRegexError(pattern) {
+  try {
+    new RegExp(pattern);
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+}
+
+/**
+ * Compile a glob to an anchored, case-insensitive regex
+ * @param {string} glob - Pattern with * (and ** / ? for paths)
+ * @param {string} kind - 'domain' or 'path'
+ * @returns {RegExp} Compiled glob
+ */
+function getGlobRegex(glob, kind) {
+  const key = `${kind}:${glob}`;
+  if (!globCache.has(key)) {
+    const escape = text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    let source;
+    if (kind === 'domain') {
+      // "*.example.com" also matches example.com itself, like Chrome match patterns
+      const wildcardPrefix = glob.startsWith('*.');
+      const rest = wildcardPrefix ? glob.slice(2) : glob;
+      source = (wildcardPrefix ? '(?:.*\\.)?' : '') + rest.split('*').map(escape).join('.*');
+    } else {
+      source = glob
+        .split('**')
+        .map(part => part.split('*').map(piece => piece.split('?').map(escape).join('[^/]')).join('[^/]*'))
+        .join('.*');
+    }
+    globCache.set(key, new RegExp(`^${source}$`, 'i'));
+  }
+  return globCache.get(key);
+}
+
+/**
+ * URL parts of a tab from parseURL, computed once per tab
+ * @param {Object} tab - Tab with url
+ * @returns {Object} Parsed URL ({ protocol, hostname, port, pathname, queryParams, ... })
+ */
+function getParsedUrl(tab) {
+  const cached = parsedUrlCache.get(tab);
+  if (cached && cached.url === tab.url) return cached.parsed;
+  
+  const parsed = parseURL(tab.url || '');
+  parsedUrlCache.set(tab, { url: tab.url, parsed });
+  return parsed;
+}
+
+/**
+ * Check whether a hostname is the local machine
+ * @param {string} hostname - Hostname from parseURL
+ * @returns {boolean}
+ */
+function isLocalhost(hostname) {
+  return hostname === 'localhost' || hostname.endsWith('.localhost') ||
+    hostname === '[::1]' || /^127\./.test(hostname);
+}
+
+/**
+ * Test a single (leaf) condition against a tab
+ * @param {Object} condition - { type, value, field }
+ * @param {Object} tab - Tab with url and title
+ * @returns {boolean} True if the condition matches
+ */
+function matchesLeafCondition(condition, tab) {
+  const { type, value, field } = condition;
+  // An empty pattern would match every tab
+  if (!value) return false;
+  
+  switch (type) {
+    case RULE_TYPES.DOMAIN:
+      return extractDomain(tab.url) === value;
+    
+    case RULE_TYPES.DOMAIN_WILDCARD: {
+      const { hostname } = getParsedUrl(tab);
+      return !!hostname && getGlobRegex(value.toLowerCase(), 'domain').test(hostname);
+    }
+    
+    case RULE_TYPES.URL_CONTAINS:
+      return (tab.url || '').includes(value);
+    
+    case RULE_TYPES.PATH_GLOB: {
+      const { protocol, pathname } = getParsedUrl(tab);
+      return !!protocol && getGlobRegex(value, 'path').test(pathname);
+    }
+    
+    case RULE_TYPES.QUERY_PARAM: {
+      const { queryParams } = getParsedUrl(tab);
+      const separator = value.indexOf('=');
+      if (separator === -1) return Object.prototype.hasOwnProperty.call(queryParams, value);
+      const key = value.slice(0, separator);
+      return Object.prototype.hasOwnProperty.call(queryParams, key) && queryParams[key] === value.slice(separator + 1);
+    }
+    
+    case RULE_TYPES.SCHEME:
+      // Accept "file", "file:" and "file://"
+      return getParsedUrl(tab).protocol === value.toLowerCase().replace(/:(\/\/)?$/, '');
+    
+    case RULE_TYPES.PORT:
+      return getParsedUrl(tab).port === value;
+    
+    case RULE_TYPES.LOCALHOST: {
+      const { hostname, port } = getParsedUrl(tab);
+      return isLocalhost(hostname) && (value === '*' || port === value);
+    }
+    
+    case RULE_TYPES.TITLE_CONTAINS:
+      return !!tab.title && tab.title.includes(value);
+    
+    case RULE_TYPES.REGEX: {
+      const regex = getRuleRegex(value);
+      return !!regex && regex.test(field === RULE_FIELDS.TITLE ? (tab.title || '') : (tab.url || ''));
+    }
+    
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluate a condition tree against a tab. Empty groups never match.
+ * @param {Object} condition - Leaf or { operator: 'and'|'or'|'not', conditions }
+ * @param {Object} tab - Tab with url and title
+ * @returns {boolean} True if the condition matches
+ */
+export function evaluateCondition(condition, tab) {
+  if (!condition) return false;
+  if (!isConditionGroup(condition)) return matchesLeafCondition(condition, tab);
+  if (condition.conditions.length === 0) return false;
+  
+  switch (condition.operator) {
+    case RULE_OPERATORS.OR:
+      return condition.conditions.some(child => evaluateCondition(child, tab));
+    case RULE_OPERATORS.NOT:
+      return !condition.conditions.some(child => evaluateCondition(child, tab));
+    case RULE_OPERATORS.AND:
+    default:
+      return condition.conditions.every(child => evaluateCondition(child, tab));
+  }
+}
+
+/**
+ * Check whether an enabled rule matches a tab
+ * @param {Object} rule - Rule with condition (legacy rules are migrated on the fly)
+ * @param {Object} tab - Tab with url and title
+ * @returns {boolean} True if the rule applies
+ */
+export function ruleMatches(rule, tab) {
+  if (!rule.enabled) return false;
+  const { condition } = rule.condition ? rule : migrateRule(rule);
+  return evaluateCondition(condition, tab);
+}
+
+/**
+ * Find the rule that decides a tab's category - the matching rule with the
+ * highest priority (lowest number) wins
+ * @param {Object} tab - Tab with url and title
+ * @param {Array} rules - Rules
+ * @returns {Object|null} Matching rule, or null
+ */
+export function findMatchingRule(tab, rules = []) {
+  return sortRulesByPriority(rules).find(rule => ruleMatches(rule, tab)) || null;
+}
+
+/**
+ * Actions a rule runs on the tabs it matches; unknown action types are ignored
+ * @param {Object|null} rule - Rule, e.g. from findMatchingRule
+ * @returns {Array} [{ type, value }]
+ */
+export function getRuleActions(rule) {
+  const types = Object.values(RULE_ACTIONS);
+  return Array.isArray(rule?.actions) ? rule.actions.filter(action => types.includes(action?.type)) : [];
+}
+
+/**
+ * Check whether a rule runs an action
+ * @param {Object|null} rule - Rule
+ * @param {string} type - RULE_ACTIONS value
+ * @returns {boolean}
+ */
+export function ruleHasAction(rule, type) {
+  return getRuleActions(rule).some(action => action.type === type);
+}
+
+/**
+ * Human-readable form of a condition, e.g. 'domain is "github.com" AND NOT title contains "Merged"'
+ * @param {Object} condition - Leaf or group
+ * @returns {string} Description
+ */
+export function describeCondition(condition) {
+  if (!condition) return '(no condition)';
+  
+  if (isConditionGroup(condition)) {
+    const parts = condition.conditions.map(child =>
+      isConditionGroup(child) && child.conditions.length > 1 ? `(${describeCondition(child)})` : describeCondition(child));
+    if (condition.operator === RULE_OPERATORS.NOT) {
+      return parts.length > 1 ? `NOT (${parts.join(' OR ')})` : `NOT ${parts[0] || ''}`;
+    }
+    return parts.join(condition.operator === RULE_OPERATORS.OR ? ' OR ' : ' AND ');
+  }
+  
+  const { type, value, field } = condition;
+  switch (type) {
+    case RULE_TYPES.DOMAIN:
+      return `domain is "${value}"`;
+    case RULE_TYPES.DOMAIN_WILDCARD:
+      return `domain matches "${value}"`;
+    case RULE_TYPES.URL_CONTAINS:
+      return `URL contains "${value}"`;
+    case RULE_TYPES.PATH_GLOB:
+      return `path matches "${value}"`;
+    case RULE_TYPES.QUERY_PARAM:
+      return value.includes('=') ? `query has ${value}` : `query has "${value}"`;
+    case RULE_TYPES.SCHEME:
+      return `scheme is ${value.replace(/:(\/\/)?$/, '')}://`;
+    case RULE_TYPES.PORT:
+      return `port is ${value}`;
+    case RULE_TYPES.LOCALHOST:
+      return value === '*' ? 'localhost (any port)' : `localhost on port ${value}`;
+    case RULE_TYPES.TITLE_CONTAINS:
+      return `title contains "${value}"`;
+    case RULE_TYPES.REGEX:
+      return `${field === RULE_FIELDS.TITLE ? 'title' : 'URL'} matches /${value}/`;
+    default:
+      return `${type} "${value}"`;
+  }
+}
+
+/**
+ * Run every enabled rule against a set of tabs and report overlaps:
+ * contradictions (a higher-priority rule takes tabs another rule would put in a
+ * different category) and shadowed rules (rules that match tabs but never win)
+ * @param {Array} rules - Rules
+ * @param {Array} tabs - Tabs with url and title, e.g. saved tabs
+ * @returns {Object} { tabsChecked, conflicts: [{ winner, loser, count, examples }], shadowed: [{ rule, matched, shadowedBy }] }
+ */
+export function analyzeRuleConflicts(rules, tabs) {
+  const ordered = sortRulesByPriority(rules.filter(rule => rule.enabled));
+  const stats = new Map(ordered.map(rule => [rule, { matched: 0, won: 0, shadowedBy: new Map() }]));
+  const conflicts = new Map();
+  
+  tabs.forEach(tab => {
+    const matching = ordered.filter(rule => ruleMatches(rule, tab));
+    if (matching.length === 0) return;
+    
+    const [winner, ...losers] = matching;
+    matching.forEach(rule => stats.get(rule).matched++);
+    stats.get(winner).won++;
+    
+    losers.forEach(rule => {
+      const shadowedBy = stats.get(rule).shadowedBy;
+      shadowedBy.set(winner, (shadowedBy.get(winner) || 0) + 1);
+      if (rule.category === winner.category) return;
+      
+      const key = `${winner.id}|${rule.id}`;
+      if (!conflicts.has(key)) {
+        conflicts.set(key, { winner, loser: rule, count: 0, examples: [] });
+      }
+      const conflict = conflicts.get(key);
+      conflict.count++;
+      if (conflict.examples.length < 3) conflict.examples.push(tab.url);
+    });
+  });
+  
+  const shadowed = ordered
+    .filter(rule => stats.get(rule).matched > 0 && stats.get(rule).won === 0)
+    .map(rule => ({
+      rule,
+      matched: stats.get(rule).matched,
+      shadowedBy: Array.from(stats.get(rule).shadowedBy.entries())
+        .sort((a, b) => b[1] - a[1])
+        .map(([winner]) => winner)
+    }));
+  
+  return {
+    tabsChecked: tabs.length,
+    conflicts: Array.from(conflicts.values()).sort((a, b) => b.count - a.count),
+    shadowed
+  };
+}
+
+export default {
+  createRuleId,
+  isConditionGroup,
+  normalizeCondition,
+  migrateRule,
+  needsRuleMigration,
+  migrateRules,
+  sortRulesByPriority,
+  renumberRulePriorities,
+  getRegexError,
+  evaluateCondition,
+  ruleMatches,
+  findMatchingRule,
+  getRuleActions,
+  ruleHasAction,
+  describeCondition,
+  analyzeRuleConflicts
+};
@@ -0,0 +1,194 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * Rule Packs - rules exported as versioned JSON so a team can share one rule set.
+ * Importing a pack is previewed as a diff against the current rules before it is merged.
+ */
+
+import { RULE_TYPES } from '../utils/constants.js';
+import { getDefaultRules } from './state-manager.js';
+import { isValidCategory } from './category-registry.js';
+import { isConditionGroup, migrateRules, normalizeCondition, renumberRulePriorities, sortRulesByPriority, getRuleActions } from './rule-engine.js';
+
+// Marks a JSON file as a rule pack
+export const RULE_PACK_FORMAT = 'ai-tab-manager-rule-pack';
+
+// Bump when the pack layout changes; older packs are still read
+export const RULE_PACK_VERSION = 1;
+
+/**
+ * Build a rule pack from rules
+ * @param {Array} rules - Rules to share
+ * @param {Object} info - { name, description }
+ * @returns {Object} Pack, ready for JSON.stringify
+ */
+export function createRulePack(rules, { name = '', description = '' } = {}) {
+  return {
+    format: RULE_PACK_FORMAT,
+    version: RULE_PACK_VERSION,
+    name: name || 'Rules',
+    description,
+    exportedAt: new Date().toISOString(),
+    rules: renumberRulePriorities(migrateRules(rules)).map(toPackRule)
+  };
+}
+
+/**
+ * The built-in default rules, as a pack
+ * @returns {Object} Pack
+ */
+export function getDefaultRulePack() {
+  return createRulePack(getDefaultRules(), {
+    name: 'Default rules',
+    description: 'Rules that ship with AI Tab Manager'
+  });
+}
+
+/**
+ * Read a rule pack file. Rules with an unknown condition type or category are left out.
+ * @param {string} text - File contents
+ * @returns {Object} { name, description, rules, skipped } - rules in the current rule format
+ * @throws {Error} If the text is not a rule pack this version can read
+ */
+export function parseRulePack(text) {
+  let pack;
+  try {
+    pack = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+  
+  if (pack?.format !== RULE_PACK_FORMAT || !Array.isArray(pack.rules)) {
+    throw new Error('The file is not a rule pack');
+  }
+  if (!Number.isInteger(pack.version) || pack.version > RULE_PACK_VERSION) {
+    throw new Error(`The rule pack is version ${pack.version}; update the extension to import it`);
+  }
+  
+  const rules = migrateRules(pack.rules.filter(isValidPackRule)).map(toPackRule);
+  return {
+    name: String(pack.name || 'Rules'),
+    description: String(pack.description || ''),
+    rules,
+    skipped: pack.rules.length - rules.length
+  };
+}
+
+/**
+ * Dry run of importing a pack: how the current rules would change
+ * @param {Array} currentRules - state.settings.rules
+ * @param {Object} pack - From parseRulePack or getDefaultRulePack
+ * @returns {Object} { added, changed: [{ current, incoming }], unchanged, localOnly } -
+ *   localOnly rules are kept by a merge and removed by a replace
+ */
+export function diffRulePack(currentRules, pack) {
+  const added = [];
+  const changed = [];
+  const unchanged = [];
+  const matched = new Set();
+  
+  pack.rules.forEach(incoming => {
+    const current = findSameRule(currentRules, incoming, matched);
+    if (!current) {
+      added.push(incoming);
+      return;
+    }
+    matched.add(current.id);
+    if (getRuleContentKey(current) === getRuleContentKey(incoming)) {
+      unchanged.push(incoming);
+    } else {
+      changed.push({ current, incoming });
+    }
+  });
+  
+  const localOnly = currentRules.filter(rule => !matched.has(rule.id));
+  return { added, changed, unchanged, localOnly };
+}
+
+/**
+ * Apply a pack to the current rules
+ * @param {Array} currentRules - state.settings.rules
+ * @param {Object} pack - From parseRulePack or getDefaultRulePack
+ * @param {Object} options - { replace: true } drops rules that are not in the pack
+ * @returns {Array} New rules. A merge updates matching rules in place (keeping their
+ *   priority) and adds new rules after the existing ones, in pack order.
+ */
+export function mergeRulePack(currentRules, pack, { replace = false } = {}) {
+  const { added, changed, localOnly } = diffRulePack(currentRules, pack);
+  const updates = new Map(changed.map(({ current, incoming }) => [current.id, incoming]));
+  const removed = new Set(replace ? localOnly.map(rule => rule.id) : []);
+  
+  const kept = sortRulesByPriority(currentRules)
+    .filter(rule => !removed.has(rule.id))
+    .map(rule => {
+      const incoming = updates.get(rule.id);
+      return incoming ? { ...incoming, id: rule.id, priority: rule.priority } : rule;
+    });
+  
+  const lastPriority = kept.reduce((max, rule) => Math.max(max, rule.priority), 0);
+  const additions = sortRulesByPriority(added).map((rule, index) => ({ ...rule, priority: lastPriority + index + 1 }));
+  return renumberRulePriorities([...kept, ...additions]);
+}
+
+/**
+ * The rule as stored in a pack - rule fields only, no stats or UI state
+ */
+function toPackRule({ id, condition, category, enabled, priority, actions }) {
+  const rule = { id, condition, category, enabled: enabled !== false, priority };
+  const ruleActions = getRuleActions({ actions });
+  if (ruleActions.length > 0) {
+    rule.actions = ruleActions;
+  }
+  return rule;
+}
+
+/**
+ * Check that a rule from a pack can be applied
+ */
+function isValidPackRule(rule) {
+  if (!rule || typeof rule !== 'object' || !isValidCategory(rule.category)) return false;
+  
+  try {
+    return isValidCondition(normalizeCondition(rule.condition || rule));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check a normalized condition tree for known types and non-empty values and groups
+ */
+function isValidCondition(condition) {
+  if (isConditionGroup(condition)) {
+    return condition.conditions.length > 0 && condition.conditions.every(isValidCondition);
+  }
+  return Object.values(RULE_TYPES).includes(condition.type) && String(condition.value).trim() !== '';
+}
+
+/**
+ * Find the current rule a pack rule stands for: the same ID, or else the same condition
+ */
+function findSameRule(currentRules, incoming, matched) {
+  const available = currentRules.filter(rule => !matched.has(rule.id));
+  const conditionKey = JSON.stringify(incoming.condition);
+  return available.find(rule => rule.id === incoming.id) ||
+    available.find(rule => JSON.stringify(normalizeCondition(rule.condition)) === conditionKey) ||
+    null;
+}
+
+/**
+ * What a merge would update on a matched rule; IDs and priorities are kept
+ */
+function getRuleContentKey(rule) {
+  const { condition, category, enabled, actions } = toPackRule(rule);
+  return JSON.stringify({ condition: normalizeCondition(condition), category, enabled, actions: actions || [] });
+}
+
+export default {
+  RULE_PACK_FORMAT,
+  RULE_PACK_VERSION,
+  createRulePack,
+  getDefaultRulePack,
+  parseRulePack,
+  diffRulePack,
+  mergeRulePack
+};
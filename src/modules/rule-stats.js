@@ -0,0 +1,151 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * Rule Statistics - how often each rule matches tabs and how often the user
+ * moves those tabs to another category, to find rules worth cleaning up.
+ */
+
+import StorageService from '../services/StorageService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Default for "not matched in N days" in the cleanup panel
+export const DEFAULT_STALE_RULE_DAYS = 30;
+
+// A rule is suggested for disabling once the user has overridden it this often...
+const MIN_OVERRIDES_FOR_CLEANUP = 3;
+// ...on at least this share of the tabs it matched
+const OVERRIDE_RATIO_FOR_CLEANUP = 0.5;
+
+// Updates read and rewrite the whole stats object, so they run one at a time
+let pendingUpdate = Promise.resolve();
+
+/**
+ * Apply a change to the stored stats
+ * @param {Function} update - (stats, now) => void, changes stats in place
+ * @returns {Promise<void>}
+ */
+function updateRuleStats(update) {
+  pendingUpdate = pendingUpdate
+    .then(async () => {
+      const stats = await StorageService.loadRuleStats();
+      update(stats, Date.now());
+      await StorageService.saveRuleStats(stats);
+    })
+    .catch(error => console.error('Error saving rule stats:', error));
+  return pendingUpdate;
+}
+
+/**
+ * Get a rule's stats entry, starting one if the rule has none
+ */
+function getEntry(stats, ruleId, now) {
+  if (!stats[ruleId]) {
+    stats[ruleId] = { hits: 0, lastHit: null, overrides: 0, lastOverride: null, firstSeen: now };
+  }
+  return stats[ruleId];
+}
+
+/**
+ * Count a match for each rule - once per tab the rule categorized
+ * @param {Array} matchedRules - Matching rule per tab, e.g. from findMatchingRule; nulls are skipped
+ * @returns {Promise<void>}
+ */
+export function recordRuleHits(matchedRules) {
+  const ruleIds = matchedRules.filter(Boolean).map(rule => rule.id);
+  if (ruleIds.length === 0) return Promise.resolve();
+  
+  return updateRuleStats((stats, now) => {
+    ruleIds.forEach(ruleId => {
+      const entry = getEntry(stats, ruleId, now);
+      entry.hits++;
+      entry.lastHit = now;
+    });
+  });
+}
+
+/**
+ * Count the user moving a tab out of the category a rule gave it
+ * @param {Object} rule - The rule that matches the tab
+ * @returns {Promise<void>}
+ */
+export function recordRuleOverride(rule) {
+  return updateRuleStats((stats, now) => {
+    const entry = getEntry(stats, rule.id, now);
+    entry.overrides++;
+    entry.lastOverride = now;
+  });
+}
+
+/**
+ * Load the stats of the current rules. Rules seen for the first time start
+ * their "not matched in N days" clock now, and stats of deleted rules are dropped.
+ * @param {Array} rules - All rules, including disabled ones
+ * @returns {Promise<Object>} { [ruleId]: { hits, lastHit, overrides, lastOverride, firstSeen } }
+ */
+export async function getRuleStats(rules) {
+  let current = {};
+  await updateRuleStats((stats, now) => {
+    const ruleIds = new Set(rules.map(rule => rule.id));
+    Object.keys(stats).forEach(ruleId => {
+      if (!ruleIds.has(ruleId)) delete stats[ruleId];
+    });
+    rules.forEach(rule => getEntry(stats, rule.id, now));
+    current = stats;
+  });
+  return current;
+}
+
+/**
+ * Short summary of a rule's stats for the rules table
+ * @param {Object} entry - Stats entry from getRuleStats
+ * @param {number} now - Current time in ms
+ * @returns {string} e.g. "12 hits · last 3d ago"
+ */
+export function describeRuleStats(entry, now = Date.now()) {
+  if (!entry || entry.hits === 0) return 'No hits yet';
+  
+  const days = Math.floor((now - entry.lastHit) / DAY_MS);
+  const last = days === 0 ? 'today' : `${days}d ago`;
+  return `${entry.hits} hit${entry.hits === 1 ? '' : 's'} · last ${last}`;
+}
+
+/**
+ * Find enabled rules worth disabling
+ * @param {Array} rules - All rules
+ * @param {Object} stats - From getRuleStats
+ * @param {Object} options - { staleDays, now }
+ * @returns {Object} { stale: [{ rule, days }], overridden: [{ rule, hits, overrides }] } -
+ *   days is how long the rule has gone without a match
+ */
+export function findRulesToCleanUp(rules, stats, { staleDays = DEFAULT_STALE_RULE_DAYS, now = Date.now() } = {}) {
+  const stale = [];
+  const overridden = [];
+  
+  rules.filter(rule => rule.enabled !== false).forEach(rule => {
+    const entry = stats[rule.id];
+    if (!entry) return;
+    
+    const days = Math.floor((now - (entry.lastHit ?? entry.firstSeen)) / DAY_MS);
+    if (days >= staleDays) {
+      stale.push({ rule, days });
+    }
+    
+    const { hits, overrides } = entry;
+    if (overrides >= MIN_OVERRIDES_FOR_CLEANUP && overrides >= hits * OVERRIDE_RATIO_FOR_CLEANUP) {
+      overridden.push({ rule, hits, overrides });
+    }
+  });
+  
+  stale.sort((a, b) => b.days - a.days);
+  overridden.sort((a, b) => b.overrides - a.overrides);
+  return { stale, overridden };
+}
+
+export default {
+  DEFAULT_STALE_RULE_DAYS,
+  recordRuleHits,
+  recordRuleOverride,
+  getRuleStats,
+  describeRuleStats,
+  findRulesToCleanUp
+};
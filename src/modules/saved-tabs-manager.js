@@ -13,6 +13,7 @@ import { createCategorySection as createUnifiedCategorySection, createGroupSecti
 import { openSavedTabs, deleteTabsInGroup, deleteTabsInCategory } from './tab-operations.js';
 import { preloadFavicons } from '../utils/favicon-loader.js';
 import { unifiedSearchService } from '../services/UnifiedSearchService.js';
+import { getCategoryIds, getKeptCategoryIds } from './category-registry.js';
 // Database is available as window.window.tabDatabase
 
 /**
@@ -34,8 +35,8 @@ export async function showSavedTabsContent(groupingType, includeCanClose = false
       groupingType = savedGroupingSelect ? savedGroupingSelect.value : 'category';
     }
     
-    // Load saved URLs from database (by default only categories 2 and 3)
-    const categories = includeCanClose ? [1, 2, 3] : [2, 3];
+    // Load saved URLs from database (by default every category but Ignore)
+    const categories = includeCanClose ? getCategoryIds() : getKeptCategoryIds();
     // Include events when grouping by close time
     const includeEvents = groupingType === 'closeTime';
     const savedUrls = await window.tabDatabase.getSavedUrls(categories, includeEvents);
@@ -52,6 +53,8 @@ export async function showSavedTabsContent(groupingType, includeCanClose = false
       lastAccessedDate: urlInfo.lastCategorized || urlInfo.firstSeen,
       lastCloseTime: urlInfo.lastCloseTime,
       closeEvents: urlInfo.closeEvents,
+      tags: urlInfo.tags || [],
+      notes: urlInfo.notes || '',
       favicon: urlInfo.favicon,
       favIconUrl: urlInfo.favicon // Also set favIconUrl for favicon loader compatibility
     }));
@@ -62,11 +65,7 @@ export async function showSavedTabsContent(groupingType, includeCanClose = false
     }
     
     // Store the saved tabs in a temporary object for display (don't overwrite categorizedTabs)
-    const savedTabsByCategory = { 
-      [TAB_CATEGORIES.CAN_CLOSE]: [], 
-      [TAB_CATEGORIES.SAVE_LATER]: [], 
-      [TAB_CATEGORIES.IMPORTANT]: [] 
-    };
+    const savedTabsByCategory = Object.fromEntries(getCategoryIds().map(category => [category, []]));
     
     allSavedTabs.forEach(tab => {
       if (savedTabsByCategory[tab.category]) {
@@ -85,7 +84,7 @@ export async function showSavedTabsContent(groupingType, includeCanClose = false
     
     if (groupingType === 'category') {
       // Create category sections directly in saved content using unified renderer
-      for (const category of [TAB_CATEGORIES.IMPORTANT, TAB_CATEGORIES.SAVE_LATER, TAB_CATEGORIES.CAN_CLOSE]) {
+      for (const category of getCategoryIds()) {
         const tabs = savedTabsByCategory[category] || [];
         if (tabs.length > 0) {
           const section = await createUnifiedCategorySection(category, tabs, true);
@@ -103,11 +102,7 @@ export async function showSavedTabsContent(groupingType, includeCanClose = false
     } else {
       // For non-category groupings, we need to pass the tabs in the expected format
       // displayGroupedView expects an object with category keys
-      const tabsForDisplay = {
-        [TAB_CATEGORIES.CAN_CLOSE]: savedTabsByCategory[TAB_CATEGORIES.CAN_CLOSE] || [],
-        [TAB_CATEGORIES.SAVE_LATER]: savedTabsByCategory[TAB_CATEGORIES.SAVE_LATER] || [],
-        [TAB_CATEGORIES.IMPORTANT]: savedTabsByCategory[TAB_CATEGORIES.IMPORTANT] || []
-      };
+      const tabsForDisplay = savedTabsByCategory;
       
       const groupedView = await displayGroupedView(groupingType, true, tabsForDisplay);
       if (groupedView) {
@@ -210,7 +205,7 @@ export async function showSavedTabs() {
  */
 export async function loadSavedTabsCount() {
   try {
-    const savedUrls = await window.tabDatabase.getSavedUrls([2, 3]); // Only count important and save for later
+    const savedUrls = await window.tabDatabase.getSavedUrls(getKeptCategoryIds()); // Don't count Ignore
     updateSavedBadge(savedUrls.length);
     return savedUrls.length;
   } catch (error) {
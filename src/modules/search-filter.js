@@ -9,6 +9,7 @@ import { state, updateState, savePopupState } from './state-manager.js';
 import { showStatus, updateCategorizeBadge } from './ui-manager.js';
 import { extractDomain, getRootDomain, getSubdomain, formatDate, getWeekNumber, getWeekStartDate } from '../utils/helpers.js';
 import { unifiedSearchService } from '../services/UnifiedSearchService.js';
+import { getCategoryIds } from './category-registry.js';
 
 /**
  * Handle search input for categorized tabs
@@ -98,7 +99,7 @@ export async function applySearchFilter() {
  * Update category counts to show filtered results
  */
 function updateCategoryCountsWithSearch(visibleByCategory, categorizedTabs) {
-  [TAB_CATEGORIES.CAN_CLOSE, TAB_CATEGORIES.SAVE_LATER, TAB_CATEGORIES.IMPORTANT].forEach(category => {
+  getCategoryIds().forEach(category => {
     const countElement = document.querySelector(`#category${category} .count`);
     if (countElement) {
       if (state.searchQuery) {
@@ -118,7 +119,7 @@ async function resetCategoryCounts() {
   const { getCurrentTabs } = await import('./tab-data-source.js');
   const { categorizedTabs } = await getCurrentTabs();
   
-  [TAB_CATEGORIES.CAN_CLOSE, TAB_CATEGORIES.SAVE_LATER, TAB_CATEGORIES.IMPORTANT].forEach(category => {
+  getCategoryIds().forEach(category => {
     const countElement = document.querySelector(`#category${category} .count`);
     if (countElement && categorizedTabs[category]) {
       countElement.textContent = categorizedTabs[category].length;
@@ -134,12 +135,7 @@ function resetGroupHeaderCounts() {
   
   groupSections.forEach(groupSection => {
     const tabs = groupSection.querySelectorAll('.tab-item');
-    const visibleByCategory = { 
-      [TAB_CATEGORIES.UNCATEGORIZED]: 0,
-      [TAB_CATEGORIES.CAN_CLOSE]: 0, 
-      [TAB_CATEGORIES.SAVE_LATER]: 0, 
-      [TAB_CATEGORIES.IMPORTANT]: 0 
-    };
+    const visibleByCategory = unifiedSearchService.initializeCategoryCounters();
     
     // Count all tabs in the group by category
     tabs.forEach(tabElement => {
@@ -185,12 +181,7 @@ export function filterGroupTabs(groupSection, searchQuery) {
 function filterGroupTabsDOM(groupSection, searchQuery) {
   const tabs = groupSection.querySelectorAll('.tab-item');
   let visibleCount = 0;
-  const visibleByCategory = { 
-    [TAB_CATEGORIES.UNCATEGORIZED]: 0,
-    [TAB_CATEGORIES.CAN_CLOSE]: 0, 
-    [TAB_CATEGORIES.SAVE_LATER]: 0, 
-    [TAB_CATEGORIES.IMPORTANT]: 0 
-  };
+  const visibleByCategory = unifiedSearchService.initializeCategoryCounters();
   
   tabs.forEach(tabElement => {
     const title = tabElement.querySelector('.tab-title')?.textContent || '';
@@ -298,23 +289,13 @@ function updateGroupHeaderCounts(groupSection, visibleCount, visibleByCategory,
     // Update category-specific counts
     Object.keys(visibleByCategory).forEach(category => {
       const categoryNum = parseInt(category);
-      let selector = '';
-      
       // Map categories to their CSS classes for stats
-      if (categoryNum === TAB_CATEGORIES.UNCATEGORIZED) {
-        selector = '.stat-item.uncategorized';
-      } else if (categoryNum === TAB_CATEGORIES.IMPORTANT) {
-        selector = '.stat-item.important';
-      } else if (categoryNum === TAB_CATEGORIES.SAVE_LATER) {
-        selector = '.stat-item.somewhat';
-      } else if (categoryNum === TAB_CATEGORIES.CAN_CLOSE) {
-        selector = '.stat-item.not-important';
-      }
+      const selector = unifiedSearchService.getCategoryStatSelectors()[categoryNum] || '';
       
       if (selector) {
         const statElement = statsContainer.querySelector(selector);
         if (statElement) {
-          const icon = statElement.querySelector('svg')?.outerHTML || '';
+          const icon = statElement.querySelector('svg, .stat-icon')?.outerHTML || '';
           const count = visibleByCategory[categoryNum];
           
           if (searchQuery && count === 0) {
@@ -3,13 +3,67 @@
  * Settings Manager - handles all settings UI and persistence
  */
 
-import { DOM_IDS, LIMITS, RULE_TYPES, RULE_FIELDS, TAB_CATEGORIES, CATEGORY_NAMES } from '../utils/constants.js';
+import { DOM_IDS, LIMITS, RULE_TYPES, RULE_FIELDS, RULE_OPERATORS, RULE_ACTIONS, TAB_CATEGORIES, CATEGORY_NAMES } from '../utils/constants.js';
 import { $id, show, hide } from '../utils/dom-helpers.js';
 import { smartConfirm } from '../utils/helpers.js';
 import { showStatus, hideApiKeyPrompt } from './ui-manager.js';
 import { state, updateState } from './state-manager.js';
 import StorageService from '../services/StorageService.js';
 import MessageService from '../services/MessageService.js';
+import ChromeAPIService from '../services/ChromeAPIService.js';
+import { getLLMSettings, isLLMConfigured } from './categorization-service.js';
+import { getCurrentTabs, getSavedTabs } from './tab-data-source.js';
+import { createRuleId, isConditionGroup, migrateRule, sortRulesByPriority, renumberRulePriorities, describeCondition, analyzeRuleConflicts, getRegexError, evaluateCondition, getRuleActions, findMatchingRule } from './rule-engine.js';
+import { getRuleActionError, describeRuleAction, getRuleActionLog, undoRuleAction, undoRuleActionRun } from './rule-actions.js';
+import { DEFAULT_STALE_RULE_DAYS, getRuleStats, describeRuleStats, findRulesToCleanUp } from './rule-stats.js';
+import { createRulePack, getDefaultRulePack, parseRulePack, diffRulePack, mergeRulePack } from './rule-packs.js';
+import { MAX_CUSTOM_CATEGORIES, DEFAULT_CUSTOM_CATEGORY, setCustomCategories, getCustomCategories, getCategories, getCategory, createCustomCategory, validateCategoryName } from './category-registry.js';
+
+// Value of the built-in default prompt in the preset dropdown
+const DEFAULT_PRESET_ID = 'default';
+
+// Condition types offered in the rules editor; regex conditions carry their field
+const RULE_CONDITION_OPTIONS = [
+  { value: RULE_TYPES.DOMAIN, label: 'Domain is', placeholder: 'e.g., github.com' },
+  { value: RULE_TYPES.DOMAIN_WILDCARD, label: 'Domain matches', placeholder: 'e.g., *.atlassian.net' },
+  { value: RULE_TYPES.URL_CONTAINS, label: 'URL contains', placeholder: 'e.g., youtube.com/watch' },
+  { value: RULE_TYPES.PATH_GLOB, label: 'Path matches', placeholder: 'e.g., /*/*/pull/* or /docs/**' },
+  { value: RULE_TYPES.QUERY_PARAM, label: 'Query has', placeholder: 'e.g., q or tab=settings' },
+  { value: RULE_TYPES.SCHEME, label: 'Scheme is', placeholder: 'e.g., file or chrome' },
+  { value: RULE_TYPES.PORT, label: 'Port is', placeholder: 'e.g., 8080' },
+  { value: RULE_TYPES.LOCALHOST, label: 'Localhost on port', placeholder: 'e.g., 3000, or * for any port' },
+  { value: RULE_TYPES.TITLE_CONTAINS, label: 'Title contains', placeholder: 'e.g., YouTube' },
+  { value: `${RULE_TYPES.REGEX}:${RULE_FIELDS.URL}`, label: 'URL matches regex', placeholder: 'e.g., ^https://.*\\.pdf$' },
+  { value: `${RULE_TYPES.REGEX}:${RULE_FIELDS.TITLE}`, label: 'Title matches regex', placeholder: 'e.g., ^Re: ' }
+];
+
+// Actions offered in the rules editor; actions with a placeholder take a value
+const RULE_ACTION_OPTIONS = [
+  { value: RULE_ACTIONS.CLOSE, label: 'Close tab' },
+  { value: RULE_ACTIONS.SAVE, label: 'Save tab' },
+  { value: RULE_ACTIONS.PIN, label: 'Pin tab' },
+  { value: RULE_ACTIONS.GROUP, label: 'Move to tab group', placeholder: 'Group name, e.g., Work' },
+  { value: RULE_ACTIONS.SNOOZE, label: 'Snooze', placeholder: 'e.g., 2h, 3d or 09:00' },
+  { value: RULE_ACTIONS.NO_LLM, label: 'Never send to AI' }
+];
+
+// Entries shown in the rule action log
+const RULE_ACTION_LOG_DISPLAY_LIMIT = 50;
+
+// Stored corrections the rule suggestions are computed from
+const RULE_SUGGESTION_CORRECTION_LIMIT = 500;
+
+// Suggestions currently shown in the "Suggested rules" panel
+let ruleSuggestions = [];
+
+// Rule pack being previewed before it is imported
+let pendingRulePack = null;
+
+// Matching tabs listed under a rule's "matches N open / M saved tabs" preview
+const RULE_PREVIEW_SAMPLE_SIZE = 5;
+
+// Open and saved tabs the rule previews run against, loaded when a rules section is first opened
+let ruleBenchTabsPromise = null;
 
 // Debounce utility
 function debounce(func, wait) {
@@ -65,14 +119,26 @@ export async function initializeSettingsUI() {
     apiKeyLink.title = `Get ${state.settings.provider} API key`;
   }
   
+  // Set custom endpoint URL
+  const customEndpointInput = $id(DOM_IDS.CUSTOM_ENDPOINT_INPUT);
+  if (customEndpointInput) {
+    customEndpointInput.value = state.settings.customEndpointUrl || '';
+    customEndpointInput.placeholder = CONFIG?.PROVIDERS?.Custom?.defaultBaseUrl || '';
+  }
+  updateProviderSpecificUI();
+  
   // Set custom prompt
   const promptTextarea = $id(DOM_IDS.PROMPT_TEXTAREA);
   if (promptTextarea) {
     const promptValue = state.settings.customPrompt || (CONFIG ? CONFIG.DEFAULT_PROMPT : '');
     promptTextarea.value = promptValue;
+    renderPromptValidation(promptValue);
   } else {
     console.error('Prompt textarea not found');
   }
+  renderPromptVariablesHelp();
+  renderPromptPresets();
+  renderProviderPrompts();
   
   // Set max tabs to open
   const maxTabsInput = $id(DOM_IDS.MAX_TABS_INPUT);
@@ -98,6 +164,28 @@ export async function initializeSettingsUI() {
     mlEpochsInput.value = state.settings.mlEpochs || 10;
   }
   
+  // Set explain mode checkbox
+  const llmExplainCheckbox = $id(DOM_IDS.LLM_EXPLAIN_CHECKBOX);
+  if (llmExplainCheckbox) {
+    llmExplainCheckbox.checked = !!state.settings.llmExplain;
+  }
+  
+  // Set monthly budget and show spending so far
+  const monthlyBudgetInput = $id(DOM_IDS.MONTHLY_BUDGET_INPUT);
+  if (monthlyBudgetInput) {
+    monthlyBudgetInput.value = state.settings.monthlyBudget || '';
+  }
+  renderUsageSummary();
+  
+  // Set privacy redaction options
+  renderPrivacySettings();
+  
+  // Sites' query parameters that matter for duplicate detection
+  renderUrlParamRules();
+  
+  // List built-in and custom categories
+  renderCategoryEditor();
+  
   // Update prompt status
   updatePromptStatus();
   
@@ -146,15 +234,19 @@ export async function updateModelDropdown() {
   
   try {
     // Try to fetch models dynamically
+    const providerConfig = CONFIG.PROVIDERS[state.settings.provider] || {};
     const apiKey = state.settings.apiKeys[state.settings.provider];
-    const response = await MessageService.fetchModels(state.settings.provider, apiKey);
+    const baseUrl = providerConfig.requiresBaseUrl ? state.settings.customEndpointUrl : '';
+    const response = await MessageService.fetchModels(state.settings.provider, apiKey, baseUrl);
     
     let models = [];
     let needsApiKey = false;
+    let needsBaseUrl = false;
     
     if (response && response.success) {
       models = response.models || [];
       needsApiKey = response.needsApiKey || false;
+      needsBaseUrl = response.needsBaseUrl || false;
     } else if (response && response.models) {
       // Handle case where success flag might be missing
       models = response.models;
@@ -163,7 +255,16 @@ export async function updateModelDropdown() {
     // Clear and populate models
     modelSelect.innerHTML = '';
     
-    if (needsApiKey || (!apiKey && models.length === 0)) {
+    if (needsBaseUrl) {
+      const option = document.createElement('option');
+      option.value = '';
+      option.textContent = 'Please add endpoint URL to see available models';
+      modelSelect.appendChild(option);
+      modelSelect.disabled = true;
+      return;
+    }
+    
+    if (needsApiKey || (!apiKey && !providerConfig.apiKeyOptional && models.length === 0)) {
       const option = document.createElement('option');
       option.value = '';
       option.textContent = 'Please add API key to see available models';
@@ -267,7 +368,298 @@ export async function onProviderChange(e) {
     apiKeyLink.title = `Get ${state.settings.provider} API key`;
   }
   
+  updateProviderSpecificUI();
+  
+  await StorageService.saveSettings(state.settings);
+}
+
+/**
+ * Show or hide controls that only apply to some providers
+ */
+export function updateProviderSpecificUI() {
+  const providerConfig = CONFIG?.PROVIDERS?.[state.settings.provider] || {};
+  
+  const endpointContainer = $id(DOM_IDS.CUSTOM_ENDPOINT_CONTAINER);
+  if (endpointContainer) {
+    endpointContainer.style.display = providerConfig.requiresBaseUrl ? 'block' : 'none';
+  }
+  
+  // Self-hosted providers have no key signup page
+  const apiKeyLink = $id('apiKeyLink');
+  if (apiKeyLink) {
+    apiKeyLink.style.display = providerConfig.apiKeyUrl ? '' : 'none';
+  }
+  
+  // The selected provider can't be its own fallback
+  renderFallbackChain();
+}
+
+/**
+ * Render the ordered fallback provider list: enabled fallbacks first (in order), then the rest
+ */
+export function renderFallbackChain() {
+  const list = $id(DOM_IDS.FALLBACK_CHAIN_LIST);
+  if (!list || !CONFIG?.PROVIDERS) return;
+  
+  const candidates = Object.keys(CONFIG.PROVIDERS).filter(provider => provider !== state.settings.provider);
+  const chain = (state.settings.llmFallbackChain || []).filter(provider => candidates.includes(provider));
+  const ordered = [...chain, ...candidates.filter(provider => !chain.includes(provider))];
+  
+  list.innerHTML = '';
+  
+  ordered.forEach(provider => {
+    const enabled = chain.includes(provider);
+    const position = chain.indexOf(provider);
+    const configured = isLLMConfigured(getLLMSettings(provider));
+    
+    const row = document.createElement('div');
+    row.className = 'fallback-chain-item';
+    row.dataset.provider = provider;
+    row.innerHTML = `
+      <label class="fallback-chain-label">
+        <input type="checkbox" class="fallback-chain-checkbox" ${enabled ? 'checked' : ''}>
+        <span>${enabled ? `${position + 1}. ` : ''}${CONFIG.PROVIDERS[provider].name}</span>
+        ${configured ? '' : '<span class="text-muted" style="font-size: 11px;">(not configured - skipped)</span>'}
+      </label>
+      <span class="fallback-chain-actions">
+        <button class="fallback-move-btn" data-direction="-1" title="Try earlier" ${!enabled || position === 0 ? 'disabled' : ''}>&#9650;</button>
+        <button class="fallback-move-btn" data-direction="1" title="Try later" ${!enabled || position === chain.length - 1 ? 'disabled' : ''}>&#9660;</button>
+      </span>
+    `;
+    
+    row.querySelector('.fallback-chain-checkbox').addEventListener('change', (e) => {
+      const next = chain.filter(p => p !== provider);
+      if (e.target.checked) {
+        next.push(provider);
+      }
+      saveFallbackChain(next);
+    });
+    
+    row.querySelectorAll('.fallback-move-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const target = position + parseInt(btn.dataset.direction, 10);
+        const next = [...chain];
+        [next[position], next[target]] = [next[target], next[position]];
+        saveFallbackChain(next);
+      });
+    });
+    
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Persist the fallback provider order and re-render the list
+ * @param {Array<string>} chain - Provider names in fallback order
+ */
+async function saveFallbackChain(chain) {
+  state.settings.llmFallbackChain = chain;
+  updateState('settings', state.settings);
+  await StorageService.saveSettings(state.settings);
+  renderFallbackChain();
+}
+
+/**
+ * Format an estimated cost in USD, keeping sub-cent amounts visible
+ * @param {number} cost - Cost in USD
+ * @returns {string} Formatted cost
+ */
+function formatCost(cost) {
+  return cost > 0 && cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+}
+
+/**
+ * Render today's and this month's LLM token usage and estimated cost
+ */
+export async function renderUsageSummary() {
+  const container = $id(DOM_IDS.USAGE_SUMMARY);
+  if (!container) return;
+  
+  let summary;
+  try {
+    summary = await MessageService.getUsageSummary();
+  } catch (error) {
+    console.error('Error loading usage summary:', error);
+    container.innerHTML = '<div class="usage-summary-detail">Usage not available</div>';
+    return;
+  }
+  
+  const budget = state.settings.monthlyBudget || 0;
+  const rows = [
+    { label: 'Today', totals: summary.today },
+    { label: 'This month', totals: summary.month, budget }
+  ];
+  
+  container.innerHTML = '';
+  rows.forEach(({ label, totals, budget: cap }) => {
+    const tokens = totals.inputTokens + totals.outputTokens;
+    const row = document.createElement('div');
+    row.className = 'usage-summary-row';
+    if (cap > 0 && totals.cost >= cap) {
+      row.classList.add('over-budget');
+    }
+    row.innerHTML = `
+      <span>${label}</span>
+      <span>
+        <span class="usage-summary-cost">${formatCost(totals.cost)}${cap > 0 ? ` of ${formatCost(cap)}` : ''}</span>
+        <span class="usage-summary-detail">${totals.runs} runs, ${tokens.toLocaleString()} tokens</span>
+      </span>
+    `;
+    container.appendChild(row);
+  });
+  
+  // Models missing from the price table are counted in tokens but not in cost
+  if (summary.month.unpricedRequests > 0) {
+    const note = document.createElement('div');
+    note.className = 'usage-summary-detail';
+    note.textContent = `${summary.month.unpricedRequests} requests used models with unknown prices and are not included in the cost.`;
+    container.appendChild(note);
+  }
+}
+
+/**
+ * Handle monthly budget change
+ */
+export async function onMonthlyBudgetChange(e) {
+  const value = parseFloat(e.target.value);
+  if (e.target.value !== '' && (isNaN(value) || value < 0)) {
+    e.target.value = state.settings.monthlyBudget || '';
+    showStatus('Please enter a budget of 0 or more (leave empty for no limit)', 'error');
+    return;
+  }
+  
+  state.settings.monthlyBudget = isNaN(value) ? 0 : value;
+  updateState('settings', state.settings);
+  
+  await StorageService.saveSettings(state.settings);
+  renderUsageSummary();
+  showStatus(state.settings.monthlyBudget > 0
+    ? `Monthly budget set to ${formatCost(state.settings.monthlyBudget)}`
+    : 'Monthly budget removed', 'success');
+}
+
+/**
+ * Privacy settings in effect: user overrides on top of CONFIG.PRIVACY
+ * @returns {Object} Privacy settings
+ */
+function getEffectivePrivacySettings() {
+  return { ...(CONFIG?.PRIVACY || {}), ...(state.settings.privacy || {}) };
+}
+
+/**
+ * Split a one-domain-per-line textarea value into a list
+ * @param {string} value - Textarea value
+ * @returns {Array<string>} Non-empty, trimmed lines
+ */
+function parseDomainLines(value) {
+  return value.split(/[\n,]/).map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Fill the privacy section from settings
+ */
+export function renderPrivacySettings() {
+  const privacy = getEffectivePrivacySettings();
+  
+  const options = $id(DOM_IDS.PRIVACY_OPTIONS);
+  if (options) {
+    options.querySelectorAll('input[data-privacy-option]').forEach(checkbox => {
+      checkbox.checked = !!privacy[checkbox.dataset.privacyOption];
+    });
+  }
+  
+  const internalDomains = $id(DOM_IDS.PRIVACY_INTERNAL_DOMAINS);
+  if (internalDomains) {
+    internalDomains.value = (privacy.internalDomains || []).join('\n');
+  }
+  
+  const denylist = $id(DOM_IDS.PRIVACY_DENYLIST);
+  if (denylist) {
+    denylist.value = (privacy.denylist || []).join('\n');
+  }
+}
+
+/**
+ * Handle a change to any privacy option. The "what will be sent" preview is
+ * shown again on the next request, since what leaves the browser changed.
+ */
+export async function onPrivacySettingChange() {
+  const privacy = { ...(state.settings.privacy || {}) };
+  
+  const options = $id(DOM_IDS.PRIVACY_OPTIONS);
+  if (options) {
+    options.querySelectorAll('input[data-privacy-option]').forEach(checkbox => {
+      privacy[checkbox.dataset.privacyOption] = checkbox.checked;
+    });
+  }
+  
+  const internalDomains = $id(DOM_IDS.PRIVACY_INTERNAL_DOMAINS);
+  if (internalDomains) {
+    privacy.internalDomains = parseDomainLines(internalDomains.value);
+  }
+  
+  const denylist = $id(DOM_IDS.PRIVACY_DENYLIST);
+  if (denylist) {
+    privacy.denylist = parseDomainLines(denylist.value);
+  }
+  
+  state.settings.privacy = privacy;
+  state.settings.privacyPreviewedProviders = [];
+  updateState('settings', state.settings);
+  
+  await StorageService.saveSettings(state.settings);
+  showStatus('Privacy settings saved - you\'ll see a preview before the next AI request', 'success', 3000);
+}
+
+/**
+ * Save custom endpoint URL, requesting host access for non-localhost servers
+ */
+export async function saveCustomEndpoint() {
+  const input = $id(DOM_IDS.CUSTOM_ENDPOINT_INPUT);
+  if (!input) return;
+  
+  const value = input.value.trim().replace(/\/+$/, '');
+  
+  let parsed;
+  try {
+    parsed = new URL(value);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw new Error('Unsupported protocol');
+    }
+  } catch (error) {
+    showStatus('Please enter a valid http(s) endpoint URL, e.g. http://localhost:11434', 'error');
+    return;
+  }
+  
+  // localhost and 127.0.0.1 are granted in the manifest; other hosts are optional permissions
+  const isLocalhost = parsed.hostname === 'localhost' || parsed.hostname === '127.0.0.1';
+  if (!isLocalhost) {
+    const origins = [`${parsed.protocol}//${parsed.hostname}/*`];
+    try {
+      const granted = await ChromeAPIService.hasHostPermissions(origins) ||
+        await ChromeAPIService.requestHostPermissions(origins);
+      if (!granted) {
+        showStatus(`Permission to access ${parsed.hostname} was denied`, 'error');
+        return;
+      }
+    } catch (error) {
+      console.error('Error requesting host permission:', error);
+      showStatus(`Could not request access to ${parsed.hostname}: ${error.message}`, 'error');
+      return;
+    }
+  }
+  
+  state.settings.customEndpointUrl = value;
+  state.settings.hasConfiguredSettings = true;
+  updateState('settings', state.settings);
   await StorageService.saveSettings(state.settings);
+  
+  input.value = value;
+  showStatus('Endpoint saved!', 'success');
+  
+  // Refresh models from the new endpoint
+  await updateModelDropdown();
+  renderFallbackChain();
 }
 
 /**
@@ -280,6 +672,7 @@ export async function onModelChange(e) {
   updateState('settings', state.settings);
   
   await StorageService.saveSettings(state.settings);
+  renderFallbackChain();
 }
 
 /**
@@ -301,13 +694,108 @@ export async function saveApiKey() {
     
     // Refresh models with the new API key
     await updateModelDropdown();
+    renderFallbackChain();
+  }
+}
+
+/**
+ * Check a prompt template against CONFIG.PROMPT_VARIABLES
+ * @param {string} template - Prompt template (empty means the default prompt)
+ * @returns {Object} { errors, warnings } - errors block saving, warnings are informational
+ */
+export function validatePromptTemplate(template) {
+  const errors = [];
+  const warnings = [];
+  if (!template) return { errors, warnings };
+  
+  const variables = CONFIG.PROMPT_VARIABLES;
+  Object.entries(variables)
+    .filter(([, variable]) => variable.required)
+    .forEach(([name]) => {
+      if (!template.includes(`{${name}}`)) {
+        errors.push(`Missing required placeholder {${name}}`);
+      }
+    });
+  
+  // Every {#NAME} section needs its {/NAME}
+  const opened = [...template.matchAll(/\{#([A-Z_]+)\}/g)].map(match => match[1]);
+  const closed = [...template.matchAll(/\{\/([A-Z_]+)\}/g)].map(match => match[1]);
+  opened.filter(name => !closed.includes(name)).forEach(name => {
+    errors.push(`Section {#${name}} is not closed with {/${name}}`);
+  });
+  closed.filter(name => !opened.includes(name)).forEach(name => {
+    errors.push(`{/${name}} has no matching {#${name}}`);
+  });
+  
+  const unknown = new Set([...template.matchAll(/\{[#/]?([A-Z_]+)\}/g)]
+    .map(match => match[1])
+    .filter(name => !variables[name]));
+  unknown.forEach(name => {
+    warnings.push(`Unknown placeholder {${name}} will be sent as written`);
+  });
+  
+  return { errors, warnings };
+}
+
+/**
+ * Show template errors and warnings under the prompt editor
+ * @param {string} template - Prompt template
+ * @returns {Object} { errors, warnings } from validatePromptTemplate
+ */
+function renderPromptValidation(template) {
+  const result = validatePromptTemplate(template);
+  const container = $id(DOM_IDS.PROMPT_VALIDATION);
+  if (!container) return result;
+  
+  container.innerHTML = '';
+  [
+    ...result.errors.map(message => ({ message, type: 'error' })),
+    ...result.warnings.map(message => ({ message, type: 'warning' }))
+  ].forEach(({ message, type }) => {
+    const line = document.createElement('div');
+    line.className = `prompt-validation-${type}`;
+    line.textContent = message;
+    container.appendChild(line);
+  });
+  if (result.errors.length > 0) {
+    const note = document.createElement('div');
+    note.className = 'prompt-validation-error';
+    note.textContent = 'Not saved - the last valid prompt is still used.';
+    container.appendChild(note);
   }
+  
+  return result;
+}
+
+/**
+ * List the available template variables under the prompt editor
+ */
+function renderPromptVariablesHelp() {
+  const container = $id(DOM_IDS.PROMPT_VARIABLES_HELP);
+  if (!container || !CONFIG?.PROMPT_VARIABLES) return;
+  
+  container.innerHTML = '';
+  Object.entries(CONFIG.PROMPT_VARIABLES).forEach(([name, variable]) => {
+    const line = document.createElement('div');
+    const code = document.createElement('code');
+    code.textContent = `{${name}}`;
+    line.appendChild(code);
+    line.appendChild(document.createTextNode(` - ${variable.description}${variable.required ? ' (required)' : ''}`));
+    container.appendChild(line);
+  });
+  
+  const sections = document.createElement('div');
+  sections.textContent = 'Wrap optional text in {#NAME}...{/NAME} to leave it out when NAME is empty.';
+  container.appendChild(sections);
 }
 
 /**
  * Handle prompt change
  */
 export function onPromptChange(e) {
+  // Keep the last valid prompt until the template is fixed
+  if (renderPromptValidation(e.target.value).errors.length > 0) return;
+  
   state.settings.customPrompt = e.target.value;
   // Mark as customized if different from default
   state.settings.isPromptCustomized = (e.target.value !== CONFIG.DEFAULT_PROMPT && e.target.value !== '');
@@ -330,12 +818,167 @@ export function resetPrompt() {
   if (promptTextarea) {
     promptTextarea.value = CONFIG.DEFAULT_PROMPT;
   }
+  renderPromptValidation(CONFIG.DEFAULT_PROMPT);
   
   StorageService.saveSettings(state.settings);
   updatePromptStatus();
   showStatus('Prompt reset to default', 'success');
 }
 
+/**
+ * Fill the preset dropdown: the built-in default first, then the user's presets
+ */
+export function renderPromptPresets() {
+  const select = $id(DOM_IDS.PROMPT_PRESET_SELECT);
+  if (!select) return;
+  
+  const selected = select.value;
+  select.innerHTML = '';
+  [{ id: DEFAULT_PRESET_ID, name: 'Default prompt' }, ...(state.settings.promptPresets || [])].forEach(preset => {
+    const option = document.createElement('option');
+    option.value = preset.id;
+    option.textContent = preset.name;
+    select.appendChild(option);
+  });
+  if ([...select.options].some(option => option.value === selected)) {
+    select.value = selected;
+  }
+  
+  const deleteBtn = $id(DOM_IDS.DELETE_PROMPT_PRESET_BTN);
+  if (deleteBtn) {
+    deleteBtn.disabled = select.value === DEFAULT_PRESET_ID;
+  }
+}
+
+/**
+ * Load the selected preset into the prompt editor and use it as the main prompt
+ */
+export function loadPromptPreset() {
+  const select = $id(DOM_IDS.PROMPT_PRESET_SELECT);
+  const promptTextarea = $id(DOM_IDS.PROMPT_TEXTAREA);
+  if (!select || !promptTextarea) return;
+  
+  if (select.value === DEFAULT_PRESET_ID) {
+    resetPrompt();
+    return;
+  }
+  
+  const preset = (state.settings.promptPresets || []).find(p => p.id === select.value);
+  if (!preset) return;
+  
+  promptTextarea.value = preset.prompt;
+  onPromptChange({ target: promptTextarea });
+  showStatus(`Loaded preset "${preset.name}"`, 'success');
+}
+
+/**
+ * Save the prompt in the editor as a named preset (replacing a preset with the same name)
+ */
+export async function savePromptPreset() {
+  const nameInput = $id(DOM_IDS.PROMPT_PRESET_NAME);
+  const promptTextarea = $id(DOM_IDS.PROMPT_TEXTAREA);
+  if (!nameInput || !promptTextarea) return;
+  
+  const name = nameInput.value.trim();
+  const prompt = promptTextarea.value || CONFIG.DEFAULT_PROMPT;
+  if (!name) {
+    showStatus('Please enter a name for the preset', 'error');
+    return;
+  }
+  if (renderPromptValidation(prompt).errors.length > 0) {
+    showStatus('Fix the prompt errors before saving it as a preset', 'error');
+    return;
+  }
+  
+  const presets = [...(state.settings.promptPresets || [])];
+  const existing = presets.find(p => p.name.toLowerCase() === name.toLowerCase());
+  if (existing) {
+    if (!smartConfirm(`Replace the preset "${existing.name}"?`, { defaultAnswer: true })) return;
+    existing.prompt = prompt;
+  } else {
+    presets.push({ id: `preset_${Date.now()}`, name, prompt });
+  }
+  
+  state.settings.promptPresets = presets;
+  updateState('settings', state.settings);
+  await StorageService.saveSettings(state.settings);
+  
+  nameInput.value = '';
+  renderPromptPresets();
+  renderProviderPrompts();
+  showStatus(`Preset "${name}" saved`, 'success');
+}
+
+/**
+ * Delete the selected preset; providers that used it go back to the main prompt
+ */
+export async function deletePromptPreset() {
+  const select = $id(DOM_IDS.PROMPT_PRESET_SELECT);
+  if (!select) return;
+  
+  const preset = (state.settings.promptPresets || []).find(p => p.id === select.value);
+  if (!preset) return;
+  if (!smartConfirm(`Delete the preset "${preset.name}"?`, { defaultAnswer: false })) return;
+  
+  state.settings.promptPresets = state.settings.promptPresets.filter(p => p.id !== preset.id);
+  state.settings.providerPrompts = Object.fromEntries(
+    Object.entries(state.settings.providerPrompts || {}).filter(([, presetId]) => presetId !== preset.id)
+  );
+  updateState('settings', state.settings);
+  await StorageService.saveSettings(state.settings);
+  
+  renderPromptPresets();
+  renderProviderPrompts();
+  showStatus(`Preset "${preset.name}" deleted`, 'success');
+}
+
+/**
+ * Render the per-provider prompt choices: the main prompt or one of the presets
+ */
+export function renderProviderPrompts() {
+  const list = $id(DOM_IDS.PROVIDER_PROMPT_LIST);
+  if (!list || !CONFIG?.PROVIDERS) return;
+  
+  const presets = state.settings.promptPresets || [];
+  const providerPrompts = state.settings.providerPrompts || {};
+  list.innerHTML = '';
+  
+  Object.keys(CONFIG.PROVIDERS).forEach(provider => {
+    const row = document.createElement('div');
+    row.className = 'fallback-chain-item';
+    
+    const label = document.createElement('span');
+    label.textContent = CONFIG.PROVIDERS[provider].name;
+    
+    const select = document.createElement('select');
+    select.className = 'setting-select provider-prompt-select';
+    [{ id: '', name: 'Main prompt' }, ...presets].forEach(preset => {
+      const option = document.createElement('option');
+      option.value = preset.id;
+      option.textContent = preset.name;
+      select.appendChild(option);
+    });
+    select.value = presets.some(p => p.id === providerPrompts[provider]) ? providerPrompts[provider] : '';
+    select.disabled = presets.length === 0;
+    
+    select.addEventListener('change', async () => {
+      const next = { ...(state.settings.providerPrompts || {}) };
+      if (select.value) {
+        next[provider] = select.value;
+      } else {
+        delete next[provider];
+      }
+      state.settings.providerPrompts = next;
+      updateState('settings', state.settings);
+      await StorageService.saveSettings(state.settings);
+    });
+    
+    row.appendChild(label);
+    row.appendChild(select);
+    list.appendChild(row);
+  });
+}
+
 /**
  * Update prompt status indicator
  */
@@ -378,21 +1021,297 @@ export function onMaxTabsChange(e) {
 }
 
 /**
- * Initialize rules UI
+ * Fill the duplicate URL rules textarea from settings, one "domain: param, param" per line
  */
-export function initializeRulesUI() {
-  console.log('🔄 RULES UI: Initializing rules UI...');
-  const rulesContainer = $id(DOM_IDS.RULES_CONTAINER);
-  if (!rulesContainer) {
-    console.error('❌ RULES UI: Rules container not found!');
-    console.error('❌ RULES UI: Available elements with "rules" in ID:', 
-      Array.from(document.querySelectorAll('[id*="rules"]')).map(el => el.id));
+export function renderUrlParamRules() {
+  const textarea = $id(DOM_IDS.URL_PARAM_RULES);
+  if (!textarea) return;
+  
+  const domainRules = state.settings.urlCanonicalization?.domainRules || [];
+  textarea.value = domainRules.map(rule => `${rule.domain}: ${rule.keepParams.join(', ')}`).join('\n');
+}
+
+/**
+ * Read one "domain: param, param" line of the duplicate URL rules. The domain may
+ * be typed as a URL, with scheme, port or path.
+ * @param {string} line - Trimmed, non-empty line
+ * @returns {Object|null} { domain, keepParams }, or null if the domain does not parse
+ */
+function parseUrlParamRuleLine(line) {
+  // The parameter list starts at the first colon that is not a port
+  const [site, params = ''] = line.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '').split(/:(?!\d+(?:[/?#:\s]|$))(.*)/s);
+  const rule = normalizeUrlDomainRule({ domain: site, keepParams: params.split(',') });
+  
+  try {
+    const isHostname = new URL(`http://${rule.domain}`).hostname === rule.domain;
+    return isHostname && (rule.domain.includes('.') || rule.domain === 'localhost') ? rule : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save the duplicate URL rules. A line without parameters makes every query
+ * parameter on that site irrelevant. Nothing is saved while a line is invalid.
+ */
+export async function onUrlParamRulesChange(e) {
+  const lines = e.target.value.split('\n').map(line => line.trim()).filter(Boolean);
+  const domainRules = lines.map(parseUrlParamRuleLine);
+  
+  const invalidLine = lines.find((line, index) => !domainRules[index]);
+  if (invalidLine) {
+    showStatus(`"${invalidLine}" is not a site - use "example.com: param, param"`, 'error', 5000);
     return;
   }
   
-  console.log('🔄 RULES UI: Rules container found, clearing existing rules...');
+  state.settings.urlCanonicalization = { domainRules };
+  updateState('settings', state.settings);
+  setUrlCanonicalizationSettings(state.settings.urlCanonicalization);
+  
+  await StorageService.saveSettings(state.settings);
+  renderUrlParamRules();
+  showStatus('Duplicate URL rules saved - merge duplicate saved tabs to apply them to tabs saved before', 'success', 4000);
+}
+
+/**
+ * Merge saved tabs that are the same page under the current duplicate URL rules
+ */
+export async function onMergeDuplicateUrls() {
+  if (!window.tabDatabase) return;
+  
+  try {
+    const { merged } = await window.tabDatabase.mergeDuplicateUrls({ dryRun: true });
+    if (merged === 0) {
+      showStatus('No duplicate saved tabs found', 'info', 3000);
+      return;
+    }
+    
+    const message = `Merge ${merged} duplicate saved tab${merged === 1 ? '' : 's'} into the entries they repeat? ` +
+      'Tags, notes and history are kept on the merged entry.';
+    if (!smartConfirm(message, { defaultAnswer: true })) return;
+    
+    const result = await window.tabDatabase.mergeDuplicateUrls();
+    showStatus(`Merged ${result.merged} duplicate saved tab${result.merged === 1 ? '' : 's'}`, 'success', 3000);
+    window.dispatchEvent(new CustomEvent('savedTabsChanged'));
+  } catch (error) {
+    console.error('Error merging duplicate URLs:', error);
+    showStatus('Failed to merge duplicate saved tabs: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Render the category list: the built-in categories, which are fixed, and the
+ * user's own, which can be edited or deleted, plus a row to add one
+ */
+export function renderCategoryEditor() {
+  const editor = $id(DOM_IDS.CATEGORY_EDITOR);
+  if (!editor) return;
+  
+  editor.innerHTML = '';
+  
+  getCategories().forEach(category => {
+    const row = document.createElement('div');
+    row.className = 'category-editor-item' + (category.builtIn ? ' built-in' : '');
+    row.dataset.categoryId = category.id;
+    row.style.setProperty('--category-color', category.color);
+    
+    if (category.builtIn) {
+      row.innerHTML = `
+        <span class="category-editor-swatch"></span>
+        <span class="category-editor-label"></span>
+        <span class="category-editor-hint text-muted"></span>
+      `;
+      row.querySelector('.category-editor-label').textContent = category.name;
+      row.querySelector('.category-editor-hint').textContent = category.description;
+    } else {
+      row.innerHTML = getCategoryFieldsHTML() +
+        '<button class="secondary-btn" data-category-action="delete" title="Delete this category">Delete</button>';
+      row.querySelectorAll('[data-field]').forEach(input => {
+        input.value = category[input.dataset.field];
+      });
+    }
+    editor.appendChild(row);
+  });
+  
+  if (getCustomCategories().length < MAX_CUSTOM_CATEGORIES) {
+    const addRow = document.createElement('div');
+    addRow.className = 'category-editor-item category-editor-add';
+    addRow.innerHTML = getCategoryFieldsHTML() +
+      '<button class="secondary-btn" data-category-action="add" title="Add this category">Add</button>';
+    addRow.querySelector('[data-field="icon"]').value = DEFAULT_CUSTOM_CATEGORY.icon;
+    addRow.querySelector('[data-field="color"]').value = DEFAULT_CUSTOM_CATEGORY.color;
+    addRow.querySelector('[data-field="name"]').placeholder = 'New category, e.g. Research';
+    editor.appendChild(addRow);
+  }
+}
+
+/**
+ * Inputs of an editable category row; values are set by the caller
+ */
+function getCategoryFieldsHTML() {
+  return `
+    <input type="text" class="setting-input category-editor-icon" data-field="icon" maxlength="4" title="Icon - an emoji">
+    <input type="text" class="setting-input category-editor-name" data-field="name" maxlength="30" placeholder="Name">
+    <input type="color" class="category-editor-color" data-field="color" title="Color">
+    <input type="text" class="setting-input category-editor-description" data-field="description" maxlength="200"
+           placeholder="What belongs here - the AI reads this">
+  `;
+}
+
+/**
+ * Save an edit to a custom category's name, icon, color or description
+ * @param {Event} e - Change in the category editor
+ */
+async function onCategoryEditorChange(e) {
+  const field = e.target.dataset.field;
+  const row = e.target.closest('.category-editor-item');
+  if (!field || !row || row.classList.contains('category-editor-add')) return;
+  
+  const id = parseInt(row.dataset.categoryId);
+  const current = getCategory(id);
+  const value = e.target.value.trim();
+  try {
+    if (field === 'name') {
+      validateCategoryName(value, id);
+    } else if (field === 'icon' && !value) {
+      throw new Error('Enter an icon, e.g. an emoji');
+    }
+  } catch (error) {
+    e.target.value = current[field];
+    showStatus(error.message, 'error');
+    return;
+  }
+  
+  state.settings.customCategories = (state.settings.customCategories || []).map(category =>
+    category.id === id ? { ...category, [field]: value } : category);
+  await applyCustomCategories();
+  showStatus(`Category "${getCategory(id).name}" updated`, 'success', 2000);
+}
+
+/**
+ * Add a category from the add row, or delete one
+ * @param {Event} e - Click in the category editor
+ */
+async function onCategoryEditorClick(e) {
+  const button = e.target.closest('[data-category-action]');
+  if (!button) return;
+  
+  const row = button.closest('.category-editor-item');
+  if (button.dataset.categoryAction === 'delete') {
+    await deleteCustomCategory(parseInt(row.dataset.categoryId));
+    return;
+  }
+  
+  const fields = {};
+  row.querySelectorAll('[data-field]').forEach(input => {
+    fields[input.dataset.field] = input.value;
+  });
+  
+  let category;
+  try {
+    category = createCustomCategory(state.settings.customCategories || [], state.settings.lastCustomCategoryId, fields);
+  } catch (error) {
+    showStatus(error.message, 'error');
+    return;
+  }
+  
+  state.settings.customCategories = [...(state.settings.customCategories || []), category];
+  state.settings.lastCustomCategoryId = category.id;
+  await applyCustomCategories({ retrain: true });
+  showStatus(`Category "${category.name}" added`, 'success');
+}
+
+/**
+ * Delete a custom category. Its saved tabs move to Useful and its rules are removed.
+ * @param {number} id - Category ID
+ */
+async function deleteCustomCategory(id) {
+  const category = getCategory(id);
+  const savedUrls = await window.tabDatabase.getSavedUrls([id]);
+  const rules = (state.settings.rules || []).filter(rule => rule.category === id);
+  const fallbackName = CATEGORY_NAMES[TAB_CATEGORIES.SAVE_LATER];
+  
+  const message = `Delete the category "${category.name}"? ` +
+    `${savedUrls.length} saved tab${savedUrls.length === 1 ? '' : 's'} will move to ${fallbackName}` +
+    (rules.length > 0 ? ` and ${rules.length} rule${rules.length === 1 ? '' : 's'} will be removed.` : '.');
+  if (!smartConfirm(message, { defaultAnswer: false })) return;
+  
+  for (const url of savedUrls) {
+    await window.tabDatabase.updateUrlCategoryById(url.id, TAB_CATEGORIES.SAVE_LATER);
+  }
+  
+  // Open tabs shown under the category move along with the saved ones
+  const categorizedTabs = state.categorizedTabs;
+  if (categorizedTabs[id]) {
+    categorizedTabs[TAB_CATEGORIES.SAVE_LATER] = [...(categorizedTabs[TAB_CATEGORIES.SAVE_LATER] || []), ...categorizedTabs[id]];
+    delete categorizedTabs[id];
+    updateState('categorizedTabs', categorizedTabs);
+  }
+  
+  state.settings.rules = (state.settings.rules || []).filter(rule => rule.category !== id);
+  state.settings.customCategories = (state.settings.customCategories || []).filter(custom => custom.id !== id);
+  await applyCustomCategories({ retrain: true });
+  window.dispatchEvent(new CustomEvent('savedTabsChanged'));
+  showStatus(`Category "${category.name}" deleted`, 'success');
+}
+
+/**
+ * Save state.settings.customCategories and refresh everything that lists categories.
+ * Adding or deleting a category changes the classifier's outputs, so the model is
+ * retrained from scratch.
+ * @param {Object} options - { retrain: true } when the set of categories changed
+ */
+async function applyCustomCategories({ retrain = false } = {}) {
+  setCustomCategories(state.settings.customCategories);
+  updateState('settings', state.settings);
+  await StorageService.saveSettings(state.settings);
+  renderCategoryEditor();
+  initializeRulesUI();
+  
+  if (!retrain || state.settings.useML === false) return;
+  
+  try {
+    const { retrainForCategoryChange } = await import('../ml/training/trainer.js');
+    showStatus('Retraining the model for the new categories...', 'loading');
+    await retrainForCategoryChange();
+    showStatus('Model retrained for the new categories', 'success');
+  } catch (error) {
+    console.error('Error retraining model after category change:', error);
+    showStatus('The model will be trained for the new categories once there is enough data', 'info', 5000);
+  }
+}
+
+/**
+ * Initialize rules UI
+ */
+export function initializeRulesUI() {
+  console.log('🔄 RULES UI: Initializing rules UI...');
+  const rulesContainer = $id(DOM_IDS.RULES_CONTAINER);
+  if (!rulesContainer) {
+    console.error('❌ RULES UI: Rules container not found!');
+    console.error('❌ RULES UI: Available elements with "rules" in ID:', 
+      Array.from(document.querySelectorAll('[id*="rules"]')).map(el => el.id));
+    return;
+  }
+  
+  // Tabs may have changed since the previews were last shown
+  ruleBenchTabsPromise = null;
+  
+  // Custom categories get their own sections, after Important
+  rulesContainer.querySelectorAll('.rule-category-section.custom-category').forEach(section => section.remove());
+  const importantSection = rulesContainer.querySelector(`.rule-category-section[data-category="${TAB_CATEGORIES.IMPORTANT}"]`);
+  getCustomCategories().reverse().forEach(category => {
+    importantSection.after(createRuleCategorySection(category));
+  });
+  
+  // Remove any existing click listeners to prevent duplicates. This runs before rules
+  // are added: a clone would drop the rows' listeners and their dropdown selections.
+  const newContainer = rulesContainer.cloneNode(true);
+  rulesContainer.parentNode.replaceChild(newContainer, rulesContainer);
+  
+  console.log('🔄 RULES UI: Rules container found, clearing existing rules...');
   // Clear existing rules
-  rulesContainer.querySelectorAll('.rules-list').forEach(list => {
+  newContainer.querySelectorAll('.rules-list').forEach(list => {
     list.innerHTML = '';
     updateEmptyState(list);
   });
@@ -404,7 +1323,8 @@ export function initializeRulesUI() {
   if (state.settings.rules && state.settings.rules.length > 0) {
     console.log('🔄 RULES UI: Adding existing rules to UI...');
     let addedCount = 0;
-    state.settings.rules.forEach((rule, index) => {
+    // Rows are listed in priority order within each category
+    sortRulesByPriority(state.settings.rules).forEach((rule, index) => {
       console.log(`🔄 RULES UI: Processing rule ${index + 1}:`, rule);
       if (rule.enabled !== false) {
         try {
@@ -423,20 +1343,18 @@ export function initializeRulesUI() {
     console.log('🔄 RULES UI: No rules found in settings');
   }
   
+  showRuleStats(newContainer);
+  
   // Set up collapsible headers
   console.log('🔄 RULES UI: Setting up collapsible headers...');
-  const headers = rulesContainer.querySelectorAll('.rule-category-header');
+  const headers = newContainer.querySelectorAll('.rule-category-header');
   console.log('🔄 RULES UI: Found headers:', headers.length);
   
   if (headers.length === 0) {
     console.error('❌ RULES UI: No headers found! Available elements:', 
-      Array.from(rulesContainer.children).map(el => el.className));
+      Array.from(newContainer.children).map(el => el.className));
   }
   
-  // Remove any existing click listeners to prevent duplicates
-  const newContainer = rulesContainer.cloneNode(true);
-  rulesContainer.parentNode.replaceChild(newContainer, rulesContainer);
-  
   // Simple click handler for collapsible headers
   newContainer.addEventListener('click', (e) => {
     const header = e.target.closest('.rule-category-header');
@@ -458,6 +1376,11 @@ export function initializeRulesUI() {
     const newState = currentState === 'true' ? 'false' : 'true';
     
     header.dataset.collapsed = newState;
+    
+    // Previews are computed only for sections the user opens
+    if (newState === 'false') {
+      header.closest('.rule-category-section').querySelectorAll('.rules-list tr').forEach(updateRulePreview);
+    }
   });
   
   // Set up add rule buttons on the new container
@@ -495,6 +1418,49 @@ export function initializeRulesUI() {
   console.log('✅ RULES UI: Initialization complete');
 }
 
+/**
+ * Build the rules section of a custom category, like the built-in ones in popup.html
+ * @param {Object} category - { id, name, color, icon } from the category registry
+ * @returns {HTMLElement}
+ */
+function createRuleCategorySection({ id, name, color, icon }) {
+  const section = document.createElement('div');
+  section.className = 'rule-category-section custom-category';
+  section.dataset.category = id;
+  section.style.setProperty('--category-color', color);
+  section.innerHTML = `
+    <div class="rule-category-header" data-collapsed="true">
+      <div class="rule-category-title">
+        <span class="collapse-arrow">▶</span>
+        <span class="category-icon custom-category-icon"></span>
+        <span class="rule-category-name"></span>
+      </div>
+      <button class="add-rule-btn" data-category="${id}" title="Add new rule">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <line x1="12" y1="5" x2="12" y2="19"></line>
+          <line x1="5" y1="12" x2="19" y2="12"></line>
+        </svg>
+      </button>
+    </div>
+    <div class="rules-table-wrapper">
+      <table class="rules-table">
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>Conditions</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody class="rules-list" data-category="${id}"></tbody>
+      </table>
+      <div class="rules-empty-state" style="display: none;">No rules defined. Click + to add a rule.</div>
+    </div>
+  `;
+  section.querySelector('.custom-category-icon').textContent = icon;
+  section.querySelector('.rule-category-name').textContent = name;
+  return section;
+}
+
 /**
  * Update empty state visibility
  */
@@ -514,7 +1480,8 @@ function updateEmptyState(tbody) {
 
 
 /**
- * Add a rule to the UI
+ * Add a rule to the UI. Each rule is a tree of conditions: the top-level group
+ * combines its conditions with AND/OR/NOT, and groups can be nested.
  */
 function addRuleToUI(category, rule = null) {
   console.log(`🔄 RULES UI: Adding rule to category ${category}:`, rule);
@@ -524,78 +1491,500 @@ function addRuleToUI(category, rule = null) {
     return;
   }
   
-  const ruleId = Date.now() + Math.random();
   const tr = document.createElement('tr');
-  tr.dataset.ruleId = ruleId;
-  
-  // Determine if this is a URL or title rule based on type or field
-  const isTitle = rule?.field === 'title' || rule?.type === 'titleContains';
-  const isRegex = rule?.type === 'regex';
-  
-  const urlValue = !isTitle ? (rule?.value || '') : '';
-  const titleValue = isTitle ? (rule?.value || '') : '';
-  const urlIsRegex = !isTitle && isRegex;
-  const titleIsRegex = isTitle && isRegex;
-  
-  // Escape HTML to prevent XSS
-  const escapeHtml = (str) => {
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
-  };
+  tr.dataset.ruleId = rule?.id || createRuleId();
+  tr.dataset.priority = rule?.priority ?? getNextRulePriority();
   
-  tr.innerHTML = `
-    <td>
-      <input type="text" class="rule-input rule-url-input" 
-             value="${escapeHtml(urlValue)}" 
-             placeholder="e.g., youtube.com/watch">
-    </td>
-    <td>
-      <input type="checkbox" class="rule-regex-checkbox rule-url-regex" 
-             ${urlIsRegex ? 'checked' : ''} 
-             title="Check to use regular expression matching">
-    </td>
-    <td>
-      <input type="text" class="rule-input rule-title-input" 
-             value="${escapeHtml(titleValue)}" 
-             placeholder="e.g., YouTube">
-    </td>
-    <td>
-      <input type="checkbox" class="rule-regex-checkbox rule-title-regex" 
-             ${titleIsRegex ? 'checked' : ''} 
-             title="Check to use regular expression matching">
-    </td>
-    <td>
-      <button class="delete-rule-btn" title="Delete rule">
-        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-          <path d="M3 6h18"></path>
-          <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
-        </svg>
-      </button>
-    </td>
+  // The top level is always a group, so conditions can be added to any rule
+  const condition = rule ? migrateRule(rule).condition : { type: RULE_TYPES.URL_CONTAINS, value: '' };
+  const root = isConditionGroup(condition)
+    ? condition
+    : { operator: RULE_OPERATORS.AND, conditions: [condition] };
+  
+  const priorityCell = document.createElement('td');
+  priorityCell.className = 'rule-priority-cell';
+  priorityCell.innerHTML = `
+    <span class="rule-drag-handle" title="Drag to reorder">⋮⋮</span>
+    <input type="number" class="rule-priority-input" min="1" step="1"
+           title="Priority - rules with lower numbers are checked first">
+  `;
+  priorityCell.querySelector('.rule-priority-input').value = Math.round(tr.dataset.priority);
+  
+  const conditionsCell = document.createElement('td');
+  conditionsCell.appendChild(createConditionGroupElement(root, true));
+  conditionsCell.appendChild(createRuleActionsElement(rule ? getRuleActions(rule) : []));
+  const stats = document.createElement('div');
+  stats.className = 'rule-stats';
+  conditionsCell.appendChild(stats);
+  const preview = document.createElement('details');
+  preview.className = 'rule-preview';
+  preview.appendChild(document.createElement('summary'));
+  conditionsCell.appendChild(preview);
+  
+  const actionsCell = document.createElement('td');
+  actionsCell.innerHTML = `
+    <button class="delete-rule-btn" title="Delete rule">
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M3 6h18"></path>
+        <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+      </svg>
+    </button>
   `;
   
+  tr.append(priorityCell, conditionsCell, actionsCell);
   tbody.appendChild(tr);
   updateEmptyState(tbody);
+  // Rows in collapsed sections get their preview when the section is opened
+  const header = tbody.closest('.rule-category-section').querySelector('.rule-category-header');
+  if (!rule || header?.dataset.collapsed === 'false') {
+    updateRulePreview(tr);
+  }
+  
+  // Add event listeners - one set per row, delegated to the condition tree
+  const saveDebounced = debounce(saveRulesFromUI, 500);
+  const previewDebounced = debounce(() => updateRulePreview(tr), 300);
+  tr.addEventListener('input', (e) => {
+    if (e.target.classList.contains('rule-condition-value')) {
+      saveDebounced();
+      previewDebounced();
+    } else if (e.target.classList.contains('rule-action-value')) {
+      showRuleActionErrors(tr);
+      saveDebounced();
+    }
+  });
+  tr.addEventListener('change', (e) => {
+    if (e.target.classList.contains('rule-priority-input')) {
+      onRulePriorityChange(tr, e.target);
+      return;
+    }
+    if (e.target.classList.contains('rule-condition-type')) {
+      e.target.nextElementSibling.placeholder = getConditionPlaceholder(e.target.value);
+    }
+    if (e.target.classList.contains('rule-action-type')) {
+      updateRuleActionValueInput(e.target.closest('.rule-action'));
+      showRuleActionErrors(tr);
+    }
+    if (e.target.tagName === 'SELECT') {
+      saveRulesFromUI();
+      updateRulePreview(tr);
+    }
+  });
+  tr.addEventListener('click', (e) => {
+    const button = e.target.closest('button');
+    if (!button) return;
+    
+    if (button.classList.contains('delete-rule-btn')) {
+      tr.remove();
+      updateEmptyState(tbody);
+      saveRulesFromUI();
+    } else if (button.classList.contains('rule-condition-add')) {
+      const children = button.closest('.rule-condition-group').querySelector(':scope > .rule-condition-children');
+      const leaf = { type: RULE_TYPES.URL_CONTAINS, value: '' };
+      children.appendChild(button.dataset.add === 'group'
+        ? createConditionGroupElement({ operator: RULE_OPERATORS.AND, conditions: [leaf] })
+        : createConditionElement(leaf));
+    } else if (button.classList.contains('rule-condition-remove')) {
+      button.closest('.rule-condition, .rule-condition-group').remove();
+      saveRulesFromUI();
+      updateRulePreview(tr);
+    } else if (button.classList.contains('rule-action-add')) {
+      tr.querySelector('.rule-action-list').appendChild(createRuleActionElement({ type: RULE_ACTIONS.NO_LLM }));
+      saveRulesFromUI();
+    } else if (button.classList.contains('rule-action-remove')) {
+      button.closest('.rule-action').remove();
+      saveRulesFromUI();
+    }
+  });
   
-  // Add event listeners
-  const urlInput = tr.querySelector('.rule-url-input');
-  const titleInput = tr.querySelector('.rule-title-input');
-  const urlRegex = tr.querySelector('.rule-url-regex');
-  const titleRegex = tr.querySelector('.rule-title-regex');
-  const deleteBtn = tr.querySelector('.delete-rule-btn');
-  
-  urlInput.addEventListener('input', debounce(saveRulesFromUI, 500));
-  titleInput.addEventListener('input', debounce(saveRulesFromUI, 500));
-  urlRegex.addEventListener('change', saveRulesFromUI);
-  titleRegex.addEventListener('change', saveRulesFromUI);
-  deleteBtn.addEventListener('click', () => {
-    tr.remove();
-    updateEmptyState(tbody);
+  // Drag-to-reorder within the category. Only the handle starts a drag,
+  // so text in the condition inputs stays selectable.
+  const handle = priorityCell.querySelector('.rule-drag-handle');
+  handle.addEventListener('mousedown', () => { tr.draggable = true; });
+  handle.addEventListener('mouseup', () => { tr.draggable = false; });
+  tr.addEventListener('dragstart', (e) => {
+    e.dataTransfer.effectAllowed = 'move';
+    tr.classList.add('dragging');
+  });
+  tr.addEventListener('dragover', (e) => {
+    const dragging = tbody.querySelector('tr.dragging');
+    if (!dragging || dragging === tr) return;
+    e.preventDefault();
+    const { top, height } = tr.getBoundingClientRect();
+    tbody.insertBefore(dragging, e.clientY < top + height / 2 ? tr : tr.nextSibling);
+  });
+  tr.addEventListener('dragend', () => {
+    tr.draggable = false;
+    tr.classList.remove('dragging');
+    applyRowOrderToPriorities(tbody);
     saveRulesFromUI();
   });
 }
 
+/**
+ * Load (once per rules UI render) the open and saved tabs rule previews run against
+ * @returns {Promise<Object>} { openTabs, savedTabs }
+ */
+function getRuleBenchTabs() {
+  if (!ruleBenchTabsPromise) {
+    ruleBenchTabsPromise = Promise.all([getCurrentTabs(), getSavedTabs()])
+      .then(([current, savedTabs]) => ({
+        openTabs: Object.values(current.categorizedTabs || {}).flat(),
+        savedTabs
+      }))
+      .catch(error => {
+        console.error('Error loading tabs for rule previews:', error);
+        ruleBenchTabsPromise = null;
+        return { openTabs: [], savedTabs: [] };
+      });
+  }
+  return ruleBenchTabsPromise;
+}
+
+/**
+ * Show regex errors next to the conditions they belong to
+ * @param {HTMLElement} tr - Rule row
+ * @returns {boolean} True if any regex in the rule is invalid
+ */
+function showRuleRegexErrors(tr) {
+  let hasErrors = false;
+  tr.querySelectorAll('.rule-condition').forEach(row => {
+    const input = row.querySelector('.rule-condition-value');
+    const isRegex = row.querySelector('.rule-condition-type').value.startsWith(RULE_TYPES.REGEX);
+    const error = isRegex && input.value.trim() ? getRegexError(input.value.trim()) : null;
+    
+    input.classList.toggle('rule-input-invalid', !!error);
+    let errorEl = row.querySelector('.rule-condition-error');
+    if (error && !errorEl) {
+      errorEl = document.createElement('div');
+      errorEl.className = 'rule-condition-error';
+      row.appendChild(errorEl);
+    }
+    if (errorEl) {
+      if (error) {
+        errorEl.textContent = `Invalid regex: ${error}`;
+      } else {
+        errorEl.remove();
+      }
+    }
+    hasErrors = hasErrors || !!error;
+  });
+  return hasErrors;
+}
+
+/**
+ * Run a rule's conditions against open and saved tabs and show
+ * "Matches N open tabs / M saved tabs" with a few of the matches.
+ * Other rules are not considered - this is what the rule catches on its own.
+ * @param {HTMLElement} tr - Rule row
+ */
+async function updateRulePreview(tr) {
+  const preview = tr.querySelector('.rule-preview');
+  const summary = preview.querySelector('summary');
+  const hasErrors = showRuleRegexErrors(tr);
+  const condition = readConditionElement(tr.querySelector('.rule-condition-root'));
+  
+  preview.querySelector('.rule-preview-samples')?.remove();
+  if (!condition) {
+    summary.textContent = 'Enter a condition to see which tabs it matches';
+    return;
+  }
+  
+  summary.textContent = 'Checking tabs...';
+  const { openTabs, savedTabs } = await getRuleBenchTabs();
+  // The row may have been edited or removed while tabs were loading
+  if (!tr.isConnected || JSON.stringify(readConditionElement(tr.querySelector('.rule-condition-root'))) !== JSON.stringify(condition)) {
+    return;
+  }
+  
+  const openMatches = openTabs.filter(tab => evaluateCondition(condition, tab));
+  const savedMatches = savedTabs.filter(tab => evaluateCondition(condition, tab));
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  summary.textContent = `Matches ${plural(openMatches.length, 'open tab')} / ${plural(savedMatches.length, 'saved tab')}` +
+    (hasErrors ? ' (invalid regex never matches)' : '');
+  
+  const samples = [
+    ...openMatches.map(tab => ({ tab, where: 'open' })),
+    ...savedMatches.map(tab => ({ tab, where: 'saved' }))
+  ].slice(0, RULE_PREVIEW_SAMPLE_SIZE);
+  if (samples.length === 0) return;
+  
+  const list = document.createElement('ul');
+  list.className = 'rule-preview-samples';
+  samples.forEach(({ tab, where }) => {
+    const li = document.createElement('li');
+    li.textContent = `[${where}] ${tab.title || tab.url}`;
+    li.title = tab.url;
+    list.appendChild(li);
+  });
+  preview.appendChild(list);
+}
+
+/**
+ * Priority for a new rule: after every existing rule
+ * @returns {number} Priority
+ */
+function getNextRulePriority() {
+  const priorities = [
+    ...(state.settings.rules || []).map(rule => rule.priority),
+    ...Array.from(document.querySelectorAll('.rules-list tr')).map(row => parseFloat(row.dataset.priority))
+  ].filter(Number.isFinite);
+  return priorities.length > 0 ? Math.floor(Math.max(...priorities)) + 1 : 1;
+}
+
+/**
+ * After a drag, hand the category's priority slots to its rows in their new order,
+ * so rules of other categories keep their place
+ * @param {HTMLElement} tbody - Rules list of one category
+ */
+function applyRowOrderToPriorities(tbody) {
+  const rows = Array.from(tbody.querySelectorAll('tr'));
+  const slots = rows.map(row => parseFloat(row.dataset.priority)).sort((a, b) => a - b);
+  rows.forEach((row, index) => {
+    row.dataset.priority = slots[index];
+  });
+}
+
+/**
+ * Move a rule to the priority typed into its priority box. Rules from all
+ * categories share one order, so this is how a rule moves past another category's.
+ * @param {HTMLElement} tr - Rule row
+ * @param {HTMLInputElement} input - Priority input
+ */
+function onRulePriorityChange(tr, input) {
+  const current = parseFloat(tr.dataset.priority);
+  const target = parseInt(input.value, 10);
+  if (!Number.isFinite(target) || target < 1) {
+    input.value = Math.round(current);
+    return;
+  }
+  
+  // Land just before the rule now at the target when moving up, just after it when moving down
+  tr.dataset.priority = target < current ? target - 0.5 : target + 0.5;
+  saveRulesFromUI();
+  initializeRulesUI();
+}
+
+/**
+ * Placeholder text for a condition value input
+ * @param {string} optionValue - Value of the condition type dropdown
+ * @returns {string} Example value
+ */
+function getConditionPlaceholder(optionValue) {
+  const option = RULE_CONDITION_OPTIONS.find(opt => opt.value === optionValue);
+  return option ? option.placeholder : '';
+}
+
+/**
+ * Create the editor for a single condition
+ * @param {Object} condition - { type, value, field }
+ * @returns {HTMLElement} Condition row
+ */
+function createConditionElement(condition) {
+  const optionValue = condition.type === RULE_TYPES.REGEX
+    ? `${RULE_TYPES.REGEX}:${condition.field || RULE_FIELDS.URL}`
+    : condition.type;
+  
+  const row = document.createElement('div');
+  row.className = 'rule-condition';
+  
+  const typeSelect = document.createElement('select');
+  typeSelect.className = 'rule-condition-type';
+  RULE_CONDITION_OPTIONS.forEach(({ value, label }) => typeSelect.add(new Option(label, value)));
+  typeSelect.value = optionValue;
+  
+  const valueInput = document.createElement('input');
+  valueInput.type = 'text';
+  valueInput.className = 'rule-input rule-condition-value';
+  valueInput.value = condition.value || '';
+  valueInput.placeholder = getConditionPlaceholder(optionValue);
+  
+  row.append(typeSelect, valueInput, createConditionRemoveButton('Remove condition'));
+  return row;
+}
+
+/**
+ * Create the editor for a condition group and, recursively, its conditions
+ * @param {Object} group - { operator, conditions }
+ * @param {boolean} isRoot - The rule's top-level group cannot be removed
+ * @returns {HTMLElement} Group element
+ */
+function createConditionGroupElement(group, isRoot = false) {
+  const element = document.createElement('div');
+  element.className = isRoot ? 'rule-condition-group rule-condition-root' : 'rule-condition-group';
+  
+  const header = document.createElement('div');
+  header.className = 'rule-condition-group-header';
+  
+  const operatorSelect = document.createElement('select');
+  operatorSelect.className = 'rule-condition-operator';
+  operatorSelect.add(new Option('All of (AND)', RULE_OPERATORS.AND));
+  operatorSelect.add(new Option('Any of (OR)', RULE_OPERATORS.OR));
+  operatorSelect.add(new Option('None of (NOT)', RULE_OPERATORS.NOT));
+  operatorSelect.value = group.operator;
+  header.appendChild(operatorSelect);
+  
+  [['condition', '+ Condition'], ['group', '+ Group']].forEach(([kind, label]) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'rule-condition-add';
+    button.dataset.add = kind;
+    button.textContent = label;
+    header.appendChild(button);
+  });
+  
+  if (!isRoot) {
+    header.appendChild(createConditionRemoveButton('Remove group'));
+  }
+  
+  const children = document.createElement('div');
+  children.className = 'rule-condition-children';
+  group.conditions.forEach(child => {
+    children.appendChild(isConditionGroup(child) ? createConditionGroupElement(child) : createConditionElement(child));
+  });
+  
+  element.append(header, children);
+  return element;
+}
+
+/**
+ * Create a small "×" button that removes a condition or group
+ * @param {string} title - Tooltip
+ * @returns {HTMLElement} Button
+ */
+function createConditionRemoveButton(title) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'rule-condition-remove';
+  button.title = title;
+  button.textContent = '×';
+  return button;
+}
+
+/**
+ * Read a condition tree back from the editor. Conditions without a value
+ * and groups left empty are dropped.
+ * @param {HTMLElement} element - .rule-condition or .rule-condition-group
+ * @returns {Object|null} Condition, or null if nothing was entered
+ */
+function readConditionElement(element) {
+  if (element.classList.contains('rule-condition-group')) {
+    const conditions = Array.from(element.querySelector(':scope > .rule-condition-children').children)
+      .map(readConditionElement)
+      .filter(Boolean);
+    if (conditions.length === 0) return null;
+    
+    const operator = element.querySelector(':scope > .rule-condition-group-header > .rule-condition-operator').value;
+    // A plain rule is stored as its single condition, like rules without groups
+    if (operator === RULE_OPERATORS.AND && conditions.length === 1 && !isConditionGroup(conditions[0])) {
+      return conditions[0];
+    }
+    return { operator, conditions };
+  }
+  
+  const value = element.querySelector('.rule-condition-value').value.trim();
+  if (!value) return null;
+  
+  const [type, field] = element.querySelector('.rule-condition-type').value.split(':');
+  return field ? { type, value, field } : { type, value };
+}
+
+/**
+ * Create the editor for the actions a rule runs besides setting the category
+ * @param {Array} actions - [{ type, value }]
+ * @returns {HTMLElement} Actions element
+ */
+function createRuleActionsElement(actions) {
+  const element = document.createElement('div');
+  element.className = 'rule-actions';
+  
+  const label = document.createElement('span');
+  label.className = 'rule-actions-label';
+  label.textContent = 'Then:';
+  
+  const list = document.createElement('div');
+  list.className = 'rule-action-list';
+  actions.forEach(action => list.appendChild(createRuleActionElement(action)));
+  
+  const addButton = document.createElement('button');
+  addButton.type = 'button';
+  addButton.className = 'rule-action-add';
+  addButton.textContent = '+ Action';
+  
+  element.append(label, list, addButton);
+  return element;
+}
+
+/**
+ * Create the editor for a single action
+ * @param {Object} action - { type, value }
+ * @returns {HTMLElement} Action row
+ */
+function createRuleActionElement(action) {
+  const row = document.createElement('div');
+  row.className = 'rule-action';
+  
+  const typeSelect = document.createElement('select');
+  typeSelect.className = 'rule-action-type';
+  RULE_ACTION_OPTIONS.forEach(({ value, label }) => typeSelect.add(new Option(label, value)));
+  typeSelect.value = action.type;
+  
+  const valueInput = document.createElement('input');
+  valueInput.type = 'text';
+  valueInput.className = 'rule-input rule-action-value';
+  valueInput.value = action.value || '';
+  
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.className = 'rule-action-remove';
+  removeButton.title = 'Remove action';
+  removeButton.textContent = '×';
+  
+  row.append(typeSelect, valueInput, removeButton);
+  updateRuleActionValueInput(row);
+  return row;
+}
+
+/**
+ * Show the value input only for actions that take a value
+ * @param {HTMLElement} row - Action row
+ */
+function updateRuleActionValueInput(row) {
+  const option = RULE_ACTION_OPTIONS.find(opt => opt.value === row.querySelector('.rule-action-type').value);
+  const input = row.querySelector('.rule-action-value');
+  input.placeholder = option?.placeholder || '';
+  input.style.display = option?.placeholder ? '' : 'none';
+}
+
+/**
+ * Read a rule's actions back from the editor. Actions that cannot run
+ * as entered (no group name, unreadable snooze time) are left out.
+ * @param {HTMLElement} tr - Rule row
+ * @returns {Array} [{ type, value }]
+ */
+function readRuleActions(tr) {
+  return Array.from(tr.querySelectorAll('.rule-action'))
+    .map(row => {
+      const type = row.querySelector('.rule-action-type').value;
+      const takesValue = RULE_ACTION_OPTIONS.some(opt => opt.value === type && opt.placeholder);
+      return takesValue ? { type, value: row.querySelector('.rule-action-value').value.trim() } : { type };
+    })
+    .filter(action => !getRuleActionError(action));
+}
+
+/**
+ * Mark action values that cannot run as entered
+ * @param {HTMLElement} tr - Rule row
+ */
+function showRuleActionErrors(tr) {
+  tr.querySelectorAll('.rule-action').forEach(row => {
+    const type = row.querySelector('.rule-action-type').value;
+    const input = row.querySelector('.rule-action-value');
+    const error = input.value.trim() ? getRuleActionError({ type, value: input.value }) : null;
+    input.classList.toggle('rule-input-invalid', !!error);
+    input.title = error || '';
+  });
+}
+
 /**
  * Save rules from UI
  */
@@ -607,77 +1996,629 @@ function saveRulesFromUI() {
   // Process each rule row
   rulesContainer.querySelectorAll('tbody tr').forEach(tr => {
     const category = parseInt(tr.closest('.rule-category-section').dataset.category);
-    const urlInput = tr.querySelector('.rule-url-input');
-    const titleInput = tr.querySelector('.rule-title-input');
-    const urlIsRegex = tr.querySelector('.rule-url-regex').checked;
-    const titleIsRegex = tr.querySelector('.rule-title-regex').checked;
-    
-    // Add URL rule if present
-    if (urlInput.value.trim()) {
-      rules.push({
-        type: urlIsRegex ? 'regex' : 'urlContains',
-        value: urlInput.value.trim(),
-        field: 'url',
-        category: category,
-        enabled: true
-      });
-    }
+    const condition = readConditionElement(tr.querySelector('.rule-condition-root'));
+    if (!condition) return;
     
-    // Add title rule if present
-    if (titleInput.value.trim()) {
-      rules.push({
-        type: titleIsRegex ? 'regex' : 'titleContains',
-        value: titleInput.value.trim(),
-        field: 'title',
-        category: category,
-        enabled: true
-      });
+    const rule = {
+      id: tr.dataset.ruleId,
+      condition,
+      category: category,
+      enabled: true,
+      priority: parseFloat(tr.dataset.priority)
+    };
+    const actions = readRuleActions(tr);
+    if (actions.length > 0) {
+      rule.actions = actions;
     }
+    rules.push(rule);
   });
   
-  state.settings.rules = rules;
+  // Disabled rules are not shown in the editor - keep them rather than dropping them
+  const disabledRules = (state.settings.rules || []).filter(rule => rule.enabled === false);
+  
+  state.settings.rules = renumberRulePriorities([...rules, ...disabledRules]);
   updateState('settings', state.settings);
   StorageService.saveSettings(state.settings);
+  
+  // Show the renumbered priorities
+  const rulesById = new Map(state.settings.rules.map(rule => [rule.id, rule]));
+  rulesContainer.querySelectorAll('tbody tr').forEach(tr => {
+    const rule = rulesById.get(tr.dataset.ruleId);
+    if (!rule) return;
+    tr.dataset.priority = rule.priority;
+    tr.querySelector('.rule-priority-input').value = rule.priority;
+  });
+}
+
+/**
+ * Run all rules against saved tabs and list contradicting and shadowed rules
+ */
+async function onAnalyzeRules() {
+  const results = $id(DOM_IDS.RULE_CONFLICT_RESULTS);
+  if (!results) return;
+  
+  results.textContent = 'Checking rules against saved tabs...';
+  show(results);
+  
+  try {
+    const savedTabs = await getSavedTabs();
+    const analysis = analyzeRuleConflicts(state.settings.rules || [], savedTabs);
+    renderRuleConflicts(results, analysis);
+  } catch (error) {
+    console.error('Error analyzing rules:', error);
+    results.textContent = `Error analyzing rules: ${error.message}`;
+  }
 }
 
+/**
+ * Render the conflict analyzer report
+ * @param {HTMLElement} container - Results element
+ * @param {Object} analysis - From analyzeRuleConflicts
+ */
+function renderRuleConflicts(container, { tabsChecked, conflicts, shadowed }) {
+  const label = rule => `#${rule.priority} ${describeCondition(rule.condition)} → ${CATEGORY_NAMES[rule.category]}`;
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  
+  container.innerHTML = '';
+  const summary = document.createElement('div');
+  summary.className = 'rule-conflict-summary';
+  summary.textContent = conflicts.length === 0 && shadowed.length === 0
+    ? `Checked ${plural(tabsChecked, 'saved tab')}: no overlapping rules found.`
+    : `Checked ${plural(tabsChecked, 'saved tab')}: ${plural(conflicts.length, 'contradiction')}, ${plural(shadowed.length, 'shadowed rule')}.`;
+  container.appendChild(summary);
+  
+  const addList = (title, items) => {
+    if (items.length === 0) return;
+    const heading = document.createElement('div');
+    heading.className = 'rule-conflict-heading';
+    heading.textContent = title;
+    const list = document.createElement('ul');
+    items.forEach(text => {
+      const li = document.createElement('li');
+      li.textContent = text;
+      list.appendChild(li);
+    });
+    container.append(heading, list);
+  };
+  
+  addList('Contradicting rules', conflicts.map(({ winner, loser, count, examples }) =>
+    `${label(winner)} overrides ${label(loser)} on ${plural(count, 'saved tab')}, e.g. ${examples[0]}`));
+  addList('Shadowed rules (never applied)', shadowed.map(({ rule, matched, shadowedBy }) =>
+    `${label(rule)}: all ${plural(matched, 'saved tab')} it matches are taken by ${shadowedBy.map(winner => `#${winner.priority}`).join(', ')}`));
+}
 
 /**
- * Restore default rules
+ * Show the actions rules ran on tabs, newest first, with undo buttons
  */
-async function onRestoreDefaultRules() {
+async function onShowRuleActionLog() {
+  const container = $id(DOM_IDS.RULE_ACTION_LOG);
+  if (!container) return;
+  
+  show(container);
   try {
-    console.log('🔄 RESTORE: onRestoreDefaultRules called');
-    const confirmed = smartConfirm('This will replace all your current rules with the default rules. Are you sure?', { defaultAnswer: false });
-    if (!confirmed) {
-      console.log('🔄 RESTORE: User cancelled restore');
-      return;
-    }
+    renderRuleActionLog(container, await getRuleActionLog());
+  } catch (error) {
+    console.error('Error loading rule action log:', error);
+    container.textContent = `Error loading the action log: ${error.message}`;
+  }
+}
+
+/**
+ * Render the rule action log
+ * @param {HTMLElement} container - Log element
+ * @param {Array} log - Entries from getRuleActionLog, newest first
+ */
+function renderRuleActionLog(container, log) {
+  container.innerHTML = '';
+  const summary = document.createElement('div');
+  summary.className = 'rule-action-log-summary';
+  container.appendChild(summary);
+  
+  if (log.length === 0) {
+    summary.textContent = 'No rule has run an action yet.';
+    return;
+  }
+  
+  summary.textContent = `Last ${Math.min(log.length, RULE_ACTION_LOG_DISPLAY_LIMIT)} automatic actions, newest first.`;
+  const lastRun = log.find(entry => !entry.undone);
+  if (lastRun) {
+    const undoRunButton = document.createElement('button');
+    undoRunButton.type = 'button';
+    undoRunButton.className = 'rule-action-undo';
+    undoRunButton.dataset.runId = lastRun.runId;
+    undoRunButton.textContent = 'Undo last run';
+    summary.appendChild(undoRunButton);
+  }
+  
+  const list = document.createElement('ul');
+  log.slice(0, RULE_ACTION_LOG_DISPLAY_LIMIT).forEach(entry => {
+    const li = document.createElement('li');
+    li.classList.toggle('undone', !!entry.undone);
+    const text = document.createElement('span');
+    text.textContent = `${new Date(entry.time).toLocaleString()} · ${describeRuleAction(entry.action)} · ${entry.tab.title || entry.tab.url}`;
+    text.title = entry.tab.url;
+    li.appendChild(text);
     
-    console.log('🔄 RESTORE: Importing getDefaultRules...');
-    // Import the getDefaultRules function from state-manager
-    const { getDefaultRules } = await import('./state-manager.js');
+    if (entry.undone) {
+      const undone = document.createElement('span');
+      undone.className = 'rule-action-undone';
+      undone.textContent = 'Undone';
+      li.appendChild(undone);
+    } else {
+      const undoButton = document.createElement('button');
+      undoButton.type = 'button';
+      undoButton.className = 'rule-action-undo';
+      undoButton.dataset.entryId = entry.id;
+      undoButton.textContent = 'Undo';
+      li.appendChild(undoButton);
+    }
+    list.appendChild(li);
+  });
+  container.appendChild(list);
+}
+
+/**
+ * Undo an action (or a whole run) from the action log
+ * @param {Event} e - Click on the log
+ */
+async function onRuleActionLogClick(e) {
+  const button = e.target.closest('.rule-action-undo');
+  if (!button) return;
+  
+  button.disabled = true;
+  try {
+    if (button.dataset.runId) {
+      const { undone, failed } = await undoRuleActionRun(button.dataset.runId);
+      showStatus(`Undid ${undone} rule actions${failed > 0 ? `, ${failed} could not be undone` : ''}`, failed > 0 ? 'warning' : 'success');
+    } else {
+      await undoRuleAction(button.dataset.entryId);
+      showStatus('Rule action undone', 'success');
+    }
+  } catch (error) {
+    console.error('Error undoing rule action:', error);
+    showStatus(`Could not undo: ${error.message}`, 'error');
+  }
+  await onShowRuleActionLog();
+}
+
+/**
+ * Fill in each rule row's hit count and last hit time
+ * @param {HTMLElement} rulesContainer - Rules container
+ */
+async function showRuleStats(rulesContainer) {
+  try {
+    const stats = await getRuleStats(state.settings.rules || []);
+    const now = Date.now();
+    rulesContainer.querySelectorAll('tbody tr').forEach(tr => {
+      const entry = stats[tr.dataset.ruleId];
+      const element = tr.querySelector('.rule-stats');
+      if (!entry || !element) return;
+      element.textContent = describeRuleStats(entry, now);
+      element.title = entry.overrides > 0
+        ? `You moved ${entry.overrides} of the tabs it matched to another category`
+        : '';
+    });
+  } catch (error) {
+    console.error('Error loading rule stats:', error);
+  }
+}
+
+/**
+ * List rules that no longer match or that the user keeps overriding, to disable them
+ */
+async function onShowRuleCleanup() {
+  const container = $id(DOM_IDS.RULE_CLEANUP);
+  if (!container) return;
+  
+  show(container);
+  try {
+    const rules = state.settings.rules || [];
+    const staleDays = state.settings.staleRuleDays || DEFAULT_STALE_RULE_DAYS;
+    const candidates = findRulesToCleanUp(rules, await getRuleStats(rules), { staleDays });
+    renderRuleCleanup(container, staleDays, candidates, rules.filter(rule => rule.enabled === false));
+  } catch (error) {
+    console.error('Error finding rules to clean up:', error);
+    container.textContent = `Error loading rule statistics: ${error.message}`;
+  }
+}
+
+/**
+ * Render the rule cleanup panel
+ * @param {HTMLElement} container - Panel element
+ * @param {number} staleDays - "Not matched in N days"
+ * @param {Object} candidates - From findRulesToCleanUp
+ * @param {Array} disabledRules - Rules disabled earlier, which can be enabled again
+ */
+function renderRuleCleanup(container, staleDays, { stale, overridden }, disabledRules) {
+  const label = rule => `${describeCondition(rule.condition)} → ${CATEGORY_NAMES[rule.category]}`;
+  
+  container.innerHTML = `
+    <div class="rule-cleanup-summary">
+      <label>Rules not matched in
+        <input type="number" class="rule-cleanup-days" min="1" step="1"> days</label>
+    </div>
+  `;
+  container.querySelector('.rule-cleanup-days').value = staleDays;
+  
+  const addList = (title, items, buttonLabel) => {
+    if (items.length === 0) return;
+    const heading = document.createElement('div');
+    heading.className = 'rule-cleanup-heading';
+    heading.textContent = title;
+    const list = document.createElement('ul');
+    items.forEach(({ rule, text }) => {
+      const li = document.createElement('li');
+      const name = document.createElement('span');
+      name.textContent = label(rule);
+      const detail = document.createElement('span');
+      detail.className = 'rule-cleanup-detail';
+      detail.textContent = text;
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'rule-cleanup-toggle';
+      button.dataset.ruleId = rule.id;
+      button.dataset.enable = String(rule.enabled === false);
+      button.textContent = buttonLabel;
+      li.append(name, detail, button);
+      list.appendChild(li);
+    });
+    container.append(heading, list);
+  };
+  
+  if (stale.length === 0 && overridden.length === 0) {
+    const none = document.createElement('div');
+    none.textContent = 'Every rule has matched recently and none is often overridden.';
+    container.appendChild(none);
+  }
+  
+  // A rule can be in both lists; it is offered once
+  const staleIds = new Set(stale.map(({ rule }) => rule.id));
+  addList(`Not matched in ${staleDays} days`, stale.map(({ rule, days }) =>
+    ({ rule, text: `${days} days without a match` })), 'Disable');
+  addList('Often moved to another category', overridden.filter(({ rule }) => !staleIds.has(rule.id)).map(({ rule, hits, overrides }) =>
+    ({ rule, text: `${overrides} of ${hits} tabs moved` })), 'Disable');
+  addList('Disabled rules', disabledRules.map(rule => ({ rule, text: '' })), 'Enable');
+  
+  const allCandidates = [...staleIds, ...overridden.map(({ rule }) => rule.id)];
+  if (new Set(allCandidates).size > 1) {
+    const disableAll = document.createElement('button');
+    disableAll.type = 'button';
+    disableAll.className = 'rule-cleanup-toggle';
+    disableAll.dataset.ruleId = [...new Set(allCandidates)].join(',');
+    disableAll.dataset.enable = 'false';
+    disableAll.textContent = 'Disable all listed';
+    container.querySelector('.rule-cleanup-summary').appendChild(disableAll);
+  }
+}
+
+/**
+ * Disable or re-enable rules from the cleanup panel
+ * @param {Event} e - Click on the panel
+ */
+async function onRuleCleanupClick(e) {
+  const button = e.target.closest('.rule-cleanup-toggle');
+  if (!button) return;
+  
+  const ruleIds = new Set(button.dataset.ruleId.split(','));
+  const enabled = button.dataset.enable === 'true';
+  state.settings.rules = (state.settings.rules || []).map(rule =>
+    ruleIds.has(rule.id) ? { ...rule, enabled } : rule);
+  updateState('settings', state.settings);
+  await StorageService.saveSettings(state.settings);
+  initializeRulesUI();
+  
+  const count = ruleIds.size;
+  showStatus(`${enabled ? 'Enabled' : 'Disabled'} ${count} rule${count === 1 ? '' : 's'}`, 'success');
+  await onShowRuleCleanup();
+}
+
+/**
+ * Remember the "not matched in N days" threshold and list rules again
+ * @param {Event} e - Change in the cleanup panel
+ */
+async function onRuleCleanupDaysChange(e) {
+  if (!e.target.classList.contains('rule-cleanup-days')) return;
+  
+  const days = parseInt(e.target.value);
+  if (!(days >= 1)) return;
+  state.settings.staleRuleDays = days;
+  updateState('settings', state.settings);
+  await StorageService.saveSettings(state.settings);
+  await onShowRuleCleanup();
+}
+
+/**
+ * Suggest rules from the user's category corrections, leaving out dismissed
+ * suggestions and ones the current rules already take care of
+ * @returns {Promise<Array>} From FeedbackProcessor.getRuleSuggestions
+ */
+async function getRuleSuggestions() {
+  const { getCorrections } = await import('../ml/storage/ml-database.js');
+  const { getFeedbackProcessor } = await import('../ml/learning/feedback-processor.js');
+  
+  const processor = getFeedbackProcessor();
+  processor.loadCorrectionHistory(await getCorrections(RULE_SUGGESTION_CORRECTION_LIMIT));
+  
+  const dismissed = new Set(state.settings.dismissedRuleSuggestions || []);
+  const rules = state.settings.rules || [];
+  return processor.getRuleSuggestions().filter(suggestion => !dismissed.has(suggestion.id) &&
+    !suggestion.examples.every(tab => findMatchingRule(tab, rules)?.category === suggestion.category));
+}
+
+/**
+ * Show the "Suggested rules" panel, or hide it when there is nothing to suggest
+ */
+async function refreshRuleSuggestions() {
+  const container = $id(DOM_IDS.RULE_SUGGESTIONS);
+  if (!container) return;
+  
+  try {
+    ruleSuggestions = await getRuleSuggestions();
+  } catch (error) {
+    console.error('Error building rule suggestions:', error);
+    ruleSuggestions = [];
+  }
+  
+  if (ruleSuggestions.length === 0) {
+    hide(container);
+    return;
+  }
+  
+  container.innerHTML = '';
+  const heading = document.createElement('div');
+  heading.className = 'rule-suggestions-heading';
+  heading.textContent = 'Suggested rules - from tabs you moved to another category';
+  
+  const list = document.createElement('ul');
+  ruleSuggestions.forEach(({ id, condition, category, support, confidence, examples }) => {
+    const li = document.createElement('li');
+    const text = document.createElement('span');
+    text.className = 'rule-suggestion-text';
+    text.textContent = `${describeCondition(condition)} → ${CATEGORY_NAMES[category]}`;
+    text.title = `e.g. ${examples.map(tab => tab.url).join('\n')}`;
     
-    console.log('🔄 RESTORE: Getting default rules...');
-    const defaultRules = getDefaultRules();
-    console.log(`🔄 RESTORE: Got ${defaultRules.length} default rules`);
+    const supportEl = document.createElement('span');
+    supportEl.className = 'rule-suggestion-support';
+    supportEl.textContent = `${support} correction${support === 1 ? '' : 's'}` +
+      (confidence < 1 ? ` (${Math.round(confidence * 100)}% agree)` : '');
     
-    // Replace current rules with default rules
-    state.settings.rules = defaultRules;
-    console.log('🔄 RESTORE: Saving settings...');
+    li.append(text, supportEl);
+    [['accept', 'Accept'], ['dismiss', 'Dismiss']].forEach(([kind, label]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `rule-suggestion-btn rule-suggestion-${kind}`;
+      button.dataset.suggestionId = id;
+      button.textContent = label;
+      li.appendChild(button);
+    });
+    list.appendChild(li);
+  });
+  
+  container.append(heading, list);
+  show(container);
+}
+
+/**
+ * Accept or dismiss a rule suggestion
+ * @param {Event} e - Click on the suggestions panel
+ */
+async function onRuleSuggestionClick(e) {
+  const button = e.target.closest('.rule-suggestion-btn');
+  if (!button) return;
+  
+  const suggestion = ruleSuggestions.find(candidate => candidate.id === button.dataset.suggestionId);
+  if (!suggestion) return;
+  
+  if (button.classList.contains('rule-suggestion-accept')) {
+    acceptRuleSuggestion(suggestion);
+    showStatus(`Rule added: ${describeCondition(suggestion.condition)} → ${CATEGORY_NAMES[suggestion.category]}`, 'success');
+  } else {
+    state.settings.dismissedRuleSuggestions = [...(state.settings.dismissedRuleSuggestions || []), suggestion.id];
+    updateState('settings', state.settings);
     await StorageService.saveSettings(state.settings);
+  }
+  
+  await refreshRuleSuggestions();
+}
+
+/**
+ * Turn a suggestion into a rule. The corrections behind it overrode whatever
+ * categorized those tabs before, so the rule goes ahead of any rule that
+ * disagrees with it on the corrected tabs; otherwise it goes last.
+ * @param {Object} suggestion - From getRuleSuggestions
+ */
+function acceptRuleSuggestion(suggestion) {
+  const rules = state.settings.rules || [];
+  const disagreeing = suggestion.examples
+    .map(tab => findMatchingRule(tab, rules))
+    .filter(rule => rule && rule.category !== suggestion.category);
+  const priority = disagreeing.length > 0
+    ? Math.min(...disagreeing.map(rule => rule.priority)) - 0.5
+    : getNextRulePriority();
+  
+  state.settings.rules = renumberRulePriorities([...rules, {
+    id: createRuleId(),
+    condition: suggestion.condition,
+    category: suggestion.category,
+    enabled: true,
+    priority
+  }]);
+  updateState('settings', state.settings);
+  StorageService.saveSettings(state.settings);
+  initializeRulesUI();
+}
+
+/**
+ * Show the rule packs panel: export the current rules, or import a pack
+ */
+function onShowRulePacks() {
+  const container = $id(DOM_IDS.RULE_PACKS);
+  if (!container) return;
+  
+  if (!container.querySelector('.rule-pack-export')) {
+    container.innerHTML = `
+      <div class="rule-pack-export">
+        <input type="text" class="rule-pack-name" placeholder="Pack name">
+        <input type="text" class="rule-pack-description" placeholder="Description (optional)">
+        <button type="button" class="rule-pack-btn" data-pack-action="export" title="Download your rules as a JSON rule pack">Export</button>
+        <button type="button" class="rule-pack-btn" data-pack-action="import" title="Preview and import a JSON rule pack">Import...</button>
+      </div>
+      <div class="rule-pack-preview" style="display: none;"></div>
+    `;
+  }
+  show(container);
+}
+
+/**
+ * Download the current rules as a rule pack
+ */
+function exportRulePack() {
+  const container = $id(DOM_IDS.RULE_PACKS);
+  const name = container.querySelector('.rule-pack-name').value.trim();
+  const description = container.querySelector('.rule-pack-description').value.trim();
+  const pack = createRulePack(state.settings.rules || [], { name, description });
+  
+  const blob = new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const slug = (name || 'rules').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'rules';
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `rule_pack_${slug}_${new Date().toISOString().split('T')[0]}.json`;
+  link.click();
+  
+  URL.revokeObjectURL(url);
+  showStatus(`Exported ${pack.rules.length} rules`, 'success');
+}
+
+/**
+ * Read the chosen rule pack file and preview it
+ * @param {Event} e - Change on the rule pack file input
+ */
+async function onRulePackFileChosen(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+  
+  try {
+    showRulePackPreview(parseRulePack(await file.text()));
+  } catch (error) {
+    console.error('Error reading rule pack:', error);
+    showStatus(`Could not import rule pack: ${error.message}`, 'error');
+  }
+    
+  // Reset file input so the same file can be chosen again
+  e.target.value = '';
+}
     
-    // Refresh the UI
-    console.log('🔄 RESTORE: Refreshing rules UI...');
+/**
+ * Show what importing a pack would change, with Merge / Replace / Cancel
+ * @param {Object} pack - From parseRulePack or getDefaultRulePack
+ */
+function showRulePackPreview(pack) {
+  onShowRulePacks();
+  const preview = $id(DOM_IDS.RULE_PACKS).querySelector('.rule-pack-preview');
+  const { added, changed, unchanged, localOnly } = diffRulePack(state.settings.rules || [], pack);
+  const label = rule => `${describeCondition(rule.condition)} → ${CATEGORY_NAMES[rule.category]}`;
+  pendingRulePack = pack;
+    
+  preview.innerHTML = '';
+  const heading = document.createElement('div');
+  heading.className = 'rule-pack-heading';
+  heading.textContent = `Import "${pack.name}"${pack.description ? ` - ${pack.description}` : ''}`;
+  
+  const summary = document.createElement('div');
+  summary.textContent = `${added.length} new, ${changed.length} changed, ${unchanged.length} already in your rules, ` +
+    `${localOnly.length} only in your rules` + (pack.skipped > 0 ? `, ${pack.skipped} not readable (skipped)` : '') + '.';
+  preview.append(heading, summary);
+  
+  const addList = (title, items) => {
+    if (items.length === 0) return;
+    const listHeading = document.createElement('div');
+    listHeading.className = 'rule-pack-list-heading';
+    listHeading.textContent = title;
+    const list = document.createElement('ul');
+    items.forEach(text => {
+      const li = document.createElement('li');
+      li.textContent = text;
+      li.title = text;
+      list.appendChild(li);
+    });
+    preview.append(listHeading, list);
+  };
+  addList('New rules', added.map(label));
+  addList('Changed rules', changed.map(({ current, incoming }) => `${label(current)}  ⇒  ${label(incoming)}` +
+    (incoming.enabled === false ? ' (disabled)' : '')));
+  addList('Only in your rules - kept on Merge, removed on Replace', localOnly.map(label));
+  
+  const buttons = document.createElement('div');
+  buttons.className = 'rule-pack-buttons';
+  [['merge', 'Merge'], ['replace', 'Replace all'], ['cancel', 'Cancel']].forEach(([action, text]) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'rule-pack-btn';
+    button.dataset.packAction = action;
+    button.textContent = text;
+    buttons.appendChild(button);
+  });
+  preview.appendChild(buttons);
+  show(preview);
+}
+
+/**
+ * Handle the rule pack panel buttons
+ * @param {Event} e - Click on the panel
+ */
+async function onRulePacksClick(e) {
+  const button = e.target.closest('.rule-pack-btn');
+  if (!button) return;
+  
+  const action = button.dataset.packAction;
+  if (action === 'export') {
+    exportRulePack();
+  } else if (action === 'import') {
+    $id(DOM_IDS.RULE_PACK_FILE_INPUT)?.click();
+  } else if (action === 'cancel') {
+    pendingRulePack = null;
+    hide($id(DOM_IDS.RULE_PACKS).querySelector('.rule-pack-preview'));
+  } else if (pendingRulePack) {
+    await applyRulePack(pendingRulePack, action === 'replace');
+  }
+}
+
+/**
+ * Merge the previewed pack into the rules, or replace the rules with it
+ * @param {Object} pack - Previewed pack
+ * @param {boolean} replace - Drop rules that are not in the pack
+ */
+async function applyRulePack(pack, replace) {
+  if (replace && !smartConfirm(`This will replace all your current rules with "${pack.name}". Are you sure?`, { defaultAnswer: false })) {
+    return;
+  }
+  
+  try {
+    const { added, changed, localOnly } = diffRulePack(state.settings.rules || [], pack);
+    state.settings.rules = mergeRulePack(state.settings.rules || [], pack, { replace });
+    updateState('settings', state.settings);
+    await StorageService.saveSettings(state.settings);
     initializeRulesUI();
     
-    console.log('🔄 RESTORE: Default rules restored successfully');
-    showStatus('Default rules restored successfully', 'success', 3000);
+    pendingRulePack = null;
+    hide($id(DOM_IDS.RULE_PACKS).querySelector('.rule-pack-preview'));
+    const removed = replace ? `, ${localOnly.length} removed` : '';
+    showStatus(`Imported "${pack.name}": ${added.length} added, ${changed.length} updated${removed}`, 'success', 3000);
   } catch (error) {
-    console.error('❌ RESTORE: Error restoring default rules:', error);
-    showStatus('Error restoring default rules', 'error', 3000);
+    console.error('Error importing rule pack:', error);
+    showStatus(`Error importing rule pack: ${error.message}`, 'error', 3000);
   }
 }
 
+/**
+ * Restore default rules - the built-in defaults are previewed like any other rule pack
+ */
+function onRestoreDefaultRules() {
+  showRulePackPreview(getDefaultRulePack());
+}
+
 /**
  * Initialize settings event handlers
  */
@@ -700,6 +2641,12 @@ export async function initializeSettings() {
     saveApiKeyBtn.addEventListener('click', saveApiKey);
   }
   
+  // Custom endpoint save
+  const saveEndpointBtn = $id(DOM_IDS.SAVE_ENDPOINT_BTN);
+  if (saveEndpointBtn) {
+    saveEndpointBtn.addEventListener('click', saveCustomEndpoint);
+  }
+  
   // Prompt changes
   const promptTextarea = $id(DOM_IDS.PROMPT_TEXTAREA);
   if (promptTextarea) {
@@ -711,12 +2658,68 @@ export async function initializeSettings() {
     resetPromptBtn.addEventListener('click', resetPrompt);
   }
   
+  // Prompt presets
+  const promptPresetSelect = $id(DOM_IDS.PROMPT_PRESET_SELECT);
+  if (promptPresetSelect) {
+    promptPresetSelect.addEventListener('change', renderPromptPresets);
+  }
+  
+  const loadPromptPresetBtn = $id(DOM_IDS.LOAD_PROMPT_PRESET_BTN);
+  if (loadPromptPresetBtn) {
+    loadPromptPresetBtn.addEventListener('click', loadPromptPreset);
+  }
+  
+  const savePromptPresetBtn = $id(DOM_IDS.SAVE_PROMPT_PRESET_BTN);
+  if (savePromptPresetBtn) {
+    savePromptPresetBtn.addEventListener('click', savePromptPreset);
+  }
+  
+  const deletePromptPresetBtn = $id(DOM_IDS.DELETE_PROMPT_PRESET_BTN);
+  if (deletePromptPresetBtn) {
+    deletePromptPresetBtn.addEventListener('click', deletePromptPreset);
+  }
+  
   // Max tabs change
   const maxTabsInput = $id(DOM_IDS.MAX_TABS_INPUT);
   if (maxTabsInput) {
     maxTabsInput.addEventListener('change', onMaxTabsChange);
   }
   
+  // Explain mode toggle
+  const llmExplainCheckbox = $id(DOM_IDS.LLM_EXPLAIN_CHECKBOX);
+  if (llmExplainCheckbox) {
+    llmExplainCheckbox.addEventListener('change', async () => {
+      state.settings.llmExplain = llmExplainCheckbox.checked;
+      updateState('settings', state.settings);
+      await StorageService.saveSettings(state.settings);
+      showStatus(llmExplainCheckbox.checked ? 'AI will explain each category' : 'AI explanations turned off', 'success', 2000);
+    });
+  }
+  
+  // Monthly budget change
+  const monthlyBudgetInput = $id(DOM_IDS.MONTHLY_BUDGET_INPUT);
+  if (monthlyBudgetInput) {
+    monthlyBudgetInput.addEventListener('change', onMonthlyBudgetChange);
+  }
+  
+  // Privacy redaction changes
+  [DOM_IDS.PRIVACY_OPTIONS, DOM_IDS.PRIVACY_INTERNAL_DOMAINS, DOM_IDS.PRIVACY_DENYLIST].forEach(id => {
+    const element = $id(id);
+    if (element) {
+      element.addEventListener('change', onPrivacySettingChange);
+    }
+  });
+  
+  // Duplicate URL rules and merging saved duplicates
+  const urlParamRules = $id(DOM_IDS.URL_PARAM_RULES);
+  if (urlParamRules) {
+    urlParamRules.addEventListener('change', onUrlParamRulesChange);
+  }
+  const mergeDuplicateUrlsBtn = $id(DOM_IDS.MERGE_DUPLICATE_URLS_BTN);
+  if (mergeDuplicateUrlsBtn) {
+    mergeDuplicateUrlsBtn.addEventListener('click', onMergeDuplicateUrls);
+  }
+  
   // ML epochs change
   const mlEpochsInput = $id('mlEpochsInput');
   if (mlEpochsInput) {
@@ -752,11 +2755,66 @@ export async function initializeSettings() {
     console.error('❌ SETTINGS INIT: Restore default rules button not found!');
   }
   
+  // Rule conflict analyzer
+  const analyzeRulesBtn = $id(DOM_IDS.ANALYZE_RULES_BTN);
+  if (analyzeRulesBtn) {
+    analyzeRulesBtn.addEventListener('click', onAnalyzeRules);
+  }
+  
+  // Log of actions rules ran, with undo
+  const ruleActionLogBtn = $id(DOM_IDS.RULE_ACTION_LOG_BTN);
+  if (ruleActionLogBtn) {
+    ruleActionLogBtn.addEventListener('click', onShowRuleActionLog);
+  }
+  const ruleActionLog = $id(DOM_IDS.RULE_ACTION_LOG);
+  if (ruleActionLog) {
+    ruleActionLog.addEventListener('click', onRuleActionLogClick);
+  }
+  
+  // Rules that stopped matching or keep being overridden
+  const ruleCleanupBtn = $id(DOM_IDS.RULE_CLEANUP_BTN);
+  if (ruleCleanupBtn) {
+    ruleCleanupBtn.addEventListener('click', onShowRuleCleanup);
+  }
+  const ruleCleanup = $id(DOM_IDS.RULE_CLEANUP);
+  if (ruleCleanup) {
+    ruleCleanup.addEventListener('click', onRuleCleanupClick);
+    ruleCleanup.addEventListener('change', onRuleCleanupDaysChange);
+  }
+  
+  // Rule packs: export the rules as JSON, or preview and import a pack
+  const rulePacksBtn = $id(DOM_IDS.RULE_PACKS_BTN);
+  if (rulePacksBtn) {
+    rulePacksBtn.addEventListener('click', onShowRulePacks);
+  }
+  const rulePacks = $id(DOM_IDS.RULE_PACKS);
+  if (rulePacks) {
+    rulePacks.addEventListener('click', onRulePacksClick);
+  }
+  const rulePackFileInput = $id(DOM_IDS.RULE_PACK_FILE_INPUT);
+  if (rulePackFileInput) {
+    rulePackFileInput.addEventListener('change', onRulePackFileChosen);
+  }
+  
+  // Custom categories: add, edit and delete
+  const categoryEditor = $id(DOM_IDS.CATEGORY_EDITOR);
+  if (categoryEditor) {
+    categoryEditor.addEventListener('change', onCategoryEditorChange);
+    categoryEditor.addEventListener('click', onCategoryEditorClick);
+  }
+  
+  // Rules suggested from the user's corrections
+  const ruleSuggestionsPanel = $id(DOM_IDS.RULE_SUGGESTIONS);
+  if (ruleSuggestionsPanel) {
+    ruleSuggestionsPanel.addEventListener('click', onRuleSuggestionClick);
+  }
+  
   // Initialize UI with current settings
   await initializeSettingsUI();
   
   // Initialize rules UI
   initializeRulesUI();
+  refreshRuleSuggestions();
 }
 
 // Export default object
@@ -766,10 +2824,27 @@ export default {
   onProviderChange,
   onModelChange,
   saveApiKey,
+  updateProviderSpecificUI,
+  renderFallbackChain,
+  renderUsageSummary,
+  onMonthlyBudgetChange,
+  renderPrivacySettings,
+  onPrivacySettingChange,
+  saveCustomEndpoint,
   onPromptChange,
   resetPrompt,
+  validatePromptTemplate,
+  renderPromptPresets,
+  loadPromptPreset,
+  savePromptPreset,
+  deletePromptPreset,
+  renderProviderPrompts,
   updatePromptStatus,
   onMaxTabsChange,
+  renderUrlParamRules,
+  onUrlParamRulesChange,
+  onMergeDuplicateUrls,
+  renderCategoryEditor,
   initializeSettings,
   initializeRulesUI
 };
\ No newline at end of file
@@ -5,6 +5,8 @@
 
 import { STORAGE_KEYS, TAB_CATEGORIES } from '../utils/constants.js';
 import StorageService from '../services/StorageService.js';
+import { migrateRules, needsRuleMigration, countLegacyTypeRules } from './rule-engine.js';
+import { setCustomCategories, createCategoryBuckets } from './category-registry.js';
 
 // Global state object
 export const state = {
@@ -27,11 +29,23 @@ export const state = {
     model: '',
     apiKeys: {},
     selectedModels: {},
+    customEndpointUrl: '',  // Server root for the self-hosted "Custom" provider
+    llmFallbackChain: [],  // Providers tried in order when the selected provider fails
+    monthlyBudget: 0,  // Estimated LLM spend cap in USD per calendar month, 0 = no cap
+    llmExplain: false,  // Ask the LLM for a short reason per tab (more output tokens)
+    privacy: {},  // Redaction overrides on top of CONFIG.PRIVACY (see Settings > Privacy)
+    privacyPreviewedProviders: [],  // Providers the user has seen the "what will be sent" preview for
+    urlCanonicalization: { domainRules: [] },  // Sites where only some query parameters tell pages apart: [{ domain, keepParams }]
     customPrompt: '',
+    promptPresets: [],  // Named prompt templates: [{ id, name, prompt }]
+    providerPrompts: {},  // Provider name -> preset ID used instead of customPrompt
     promptVersion: 1,
     isPromptCustomized: false,
     maxTabsToOpen: 50,
     rules: [],  // Array of rule objects
+    dismissedRuleSuggestions: [],  // IDs of rule suggestions the user dismissed
+    customCategories: [],  // User-defined categories: [{ id, name, color, icon, description }]
+    lastCustomCategoryId: 0,  // Highest custom category ID handed out - IDs are never reused
     useLLM: true,  // Whether to use LLM for categorization
     useML: true,  // Whether to use ML categorization
     mlEpochs: 10,  // Number of epochs for ML training
@@ -145,6 +159,7 @@ export async function loadSavedState() {
     if (savedSettings) {
       Object.assign(state.settings, savedSettings);
     }
+    setCustomCategories(state.settings.customCategories);
     
     // Apply defaults from CONFIG if available and not already set
     if (typeof CONFIG !== 'undefined') {
@@ -188,6 +203,19 @@ export async function loadSavedState() {
       console.log('Default rules initialization complete. Total rules:', state.settings.rules.length);
     }
     
+    // Rules saved before compound conditions were single { type, value, field } checks,
+    // and rules saved before priorities were applied in list order
+    if (state.settings.rules && needsRuleMigration(state.settings.rules)) {
+      // Rules of the old urlContains/titleContains types start matching - tell the user once
+      const activatedRules = countLegacyTypeRules(state.settings.rules);
+      if (activatedRules > 0) {
+        state.settings.activatedLegacyRules = activatedRules;
+      }
+      state.settings.rules = migrateRules(state.settings.rules);
+      await StorageService.saveSettings(state.settings);
+      console.log('Migrated', state.settings.rules.length, 'rules to the current rule format');
+    }
+    
     return true;
   } catch (error) {
     console.error('Error loading saved state:', error);
@@ -237,86 +265,74 @@ export function getDefaultRules() {
     // Category 3: Important - Specific content that's hard to find again
     {
       id: 'default-1',
-      type: 'urlContains',
-      value: '/checkout',
+      condition: { type: 'url_contains', value: '/checkout' },
       category: TAB_CATEGORIES.IMPORTANT,
       enabled: true
     },
     {
       id: 'default-2',
-      type: 'urlContains',
-      value: '/payment',
+      condition: { type: 'url_contains', value: '/payment' },
       category: TAB_CATEGORIES.IMPORTANT,
       enabled: true
     },
     {
       id: 'default-3',
-      type: 'titleContains',
-      value: 'Unsaved',
+      condition: { type: 'title_contains', value: 'Unsaved' },
       category: TAB_CATEGORIES.IMPORTANT,
       enabled: true
     },
     {
       id: 'default-4',
-      type: 'titleContains',
-      value: 'Draft',
+      condition: { type: 'title_contains', value: 'Draft' },
       category: TAB_CATEGORIES.IMPORTANT,
       enabled: true
     },
     // Specific articles and posts
     {
       id: 'default-5',
-      type: 'urlContains',
-      value: 'youtube.com/watch',
+      condition: { type: 'url_contains', value: 'youtube.com/watch' },
       category: TAB_CATEGORIES.IMPORTANT,
       enabled: true
     },
     {
       id: 'default-6',
-      type: 'urlContains',
-      value: 'x.com/status/',
+      condition: { type: 'url_contains', value: 'x.com/status/' },
       category: TAB_CATEGORIES.IMPORTANT,
       enabled: true
     },
     {
       id: 'default-7',
-      type: 'urlContains',
-      value: 'twitter.com/status/',
+      condition: { type: 'url_contains', value: 'twitter.com/status/' },
       category: TAB_CATEGORIES.IMPORTANT,
       enabled: true
     },
     {
       id: 'default-8',
-      type: 'urlContains',
-      value: 'reddit.com/r/',
+      condition: { type: 'url_contains', value: 'reddit.com/r/' },
       category: TAB_CATEGORIES.IMPORTANT,
       enabled: true
     },
     {
       id: 'default-9',
-      type: 'urlContains',
-      value: '/article',
+      condition: { type: 'url_contains', value: '/article' },
       category: TAB_CATEGORIES.IMPORTANT,
       enabled: true
     },
     {
       id: 'default-10',
-      type: 'urlContains',
-      value: '/news/',
+      condition: { type: 'url_contains', value: '/news/' },
       category: TAB_CATEGORIES.IMPORTANT,
       enabled: true
     },
     {
       id: 'default-11',
-      type: 'urlContains',
-      value: 'techcrunch.com/',
+      condition: { type: 'url_contains', value: 'techcrunch.com/' },
       category: TAB_CATEGORIES.IMPORTANT,
       enabled: true
     },
     {
       id: 'default-12',
-      type: 'urlContains',
-      value: 'arstechnica.com/',
+      condition: { type: 'url_contains', value: 'arstechnica.com/' },
       category: TAB_CATEGORIES.IMPORTANT,
       enabled: true
     },
@@ -324,29 +340,25 @@ export function getDefaultRules() {
     // Category 2: Useful - LLM conversations and useful content
     {
       id: 'default-13',
-      type: 'urlContains',
-      value: 'claude.ai/chat/',
+      condition: { type: 'url_contains', value: 'claude.ai/chat/' },
       category: TAB_CATEGORIES.SAVE_LATER,
       enabled: true
     },
     {
       id: 'default-14',
-      type: 'urlContains',
-      value: 'chatgpt.com/c/',
+      condition: { type: 'url_contains', value: 'chatgpt.com/c/' },
       category: TAB_CATEGORIES.SAVE_LATER,
       enabled: true
     },
     {
       id: 'default-15',
-      type: 'urlContains',
-      value: 'gemini.google.com/app/',
+      condition: { type: 'url_contains', value: 'gemini.google.com/app/' },
       category: TAB_CATEGORIES.SAVE_LATER,
       enabled: true
     },
     {
       id: 'default-16',
-      type: 'urlContains',
-      value: 'poe.com/chat/',
+      condition: { type: 'url_contains', value: 'poe.com/chat/' },
       category: TAB_CATEGORIES.SAVE_LATER,
       enabled: true
     },
@@ -354,179 +366,137 @@ export function getDefaultRules() {
     // Category 1: Ignore (Can Close) - Homepages that are easy to find again
     {
       id: 'default-17',
-      type: 'titleContains',
-      value: 'New Tab',
+      condition: { type: 'title_contains', value: 'New Tab' },
       category: TAB_CATEGORIES.CAN_CLOSE,
       enabled: true
     },
     {
       id: 'default-18',
-      type: 'titleContains',
-      value: 'Google Search',
+      condition: { type: 'title_contains', value: 'Google Search' },
       category: TAB_CATEGORIES.CAN_CLOSE,
       enabled: true
     },
     // Top 10 sites homepages
     {
       id: 'default-19',
-      type: 'regex',
-      value: '^https?://(www\\.)?google\\.com/?$',
-      field: 'url',
+      condition: { type: 'regex', value: '^https?://(www\\.)?google\\.com/?$', field: 'url' },
       category: TAB_CATEGORIES.CAN_CLOSE,
       enabled: true
     },
     {
       id: 'default-20',
-      type: 'regex',
-      value: '^https?://(www\\.)?youtube\\.com/?$',
-      field: 'url',
+      condition: { type: 'regex', value: '^https?://(www\\.)?youtube\\.com/?$', field: 'url' },
       category: TAB_CATEGORIES.CAN_CLOSE,
       enabled: true
     },
     {
       id: 'default-21',
-      type: 'regex',
-      value: '^https?://(www\\.)?facebook\\.com/?$',
-      field: 'url',
+      condition: { type: 'regex', value: '^https?://(www\\.)?facebook\\.com/?$', field: 'url' },
       category: TAB_CATEGORIES.CAN_CLOSE,
       enabled: true
     },
     {
       id: 'default-22',
-      type: 'regex',
-      value: '^https?://(www\\.)?amazon\\.com/?$',
-      field: 'url',
+      condition: { type: 'regex', value: '^https?://(www\\.)?amazon\\.com/?$', field: 'url' },
       category: TAB_CATEGORIES.CAN_CLOSE,
       enabled: true
     },
     {
       id: 'default-23',
-      type: 'regex',
-      value: '^https?://(www\\.)?wikipedia\\.org/?$',
-      field: 'url',
+      condition: { type: 'regex', value: '^https?://(www\\.)?wikipedia\\.org/?$', field: 'url' },
       category: TAB_CATEGORIES.CAN_CLOSE,
       enabled: true
     },
     {
       id: 'default-24',
-      type: 'regex',
-      value: '^https?://(www\\.)?twitter\\.com/?$',
-      field: 'url',
+      condition: { type: 'regex', value: '^https?://(www\\.)?twitter\\.com/?$', field: 'url' },
       category: TAB_CATEGORIES.CAN_CLOSE,
       enabled: true
     },
     {
       id: 'default-25',
-      type: 'regex',
-      value: '^https?://(www\\.)?x\\.com/?$',
-      field: 'url',
+      condition: { type: 'regex', value: '^https?://(www\\.)?x\\.com/?$', field: 'url' },
       category: TAB_CATEGORIES.CAN_CLOSE,
       enabled: true
     },
     {
       id: 'default-26',
-      type: 'regex',
-      value: '^https?://(www\\.)?instagram\\.com/?$',
-      field: 'url',
+      condition: { type: 'regex', value: '^https?://(www\\.)?instagram\\.com/?$', field: 'url' },
       category: TAB_CATEGORIES.CAN_CLOSE,
       enabled: true
     },
     {
       id: 'default-27',
-      type: 'regex',
-      value: '^https?://(www\\.)?linkedin\\.com/?$',
-      field: 'url',
+      condition: { type: 'regex', value: '^https?://(www\\.)?linkedin\\.com/?$', field: 'url' },
       category: TAB_CATEGORIES.CAN_CLOSE,
       enabled: true
     },
     {
       id: 'default-28',
-      type: 'regex',
-      value: '^https?://(www\\.)?reddit\\.com/?$',
-      field: 'url',
+      condition: { type: 'regex', value: '^https?://(www\\.)?reddit\\.com/?$', field: 'url' },
       category: TAB_CATEGORIES.CAN_CLOSE,
       enabled: true
     },
     // Email homepages
     {
       id: 'default-29',
-      type: 'regex',
-      value: '^https?://(mail\\.)?google\\.com/(mail/?)?$',
-      field: 'url',
+      condition: { type: 'regex', value: '^https?://(mail\\.)?google\\.com/(mail/?)?$', field: 'url' },
       category: TAB_CATEGORIES.CAN_CLOSE,
       enabled: true
     },
     {
       id: 'default-30',
-      type: 'regex',
-      value: '^https?://(www\\.)?outlook\\.com/?$',
-      field: 'url',
+      condition: { type: 'regex', value: '^https?://(www\\.)?outlook\\.com/?$', field: 'url' },
       category: TAB_CATEGORIES.CAN_CLOSE,
       enabled: true
     },
     {
       id: 'default-31',
-      type: 'regex',
-      value: '^https?://(www\\.)?yahoo\\.com/?$',
-      field: 'url',
+      condition: { type: 'regex', value: '^https?://(www\\.)?yahoo\\.com/?$', field: 'url' },
       category: TAB_CATEGORIES.CAN_CLOSE,
       enabled: true
     },
     // Bank homepages
     {
       id: 'default-32',
-      type: 'regex',
-      value: '^https?://(www\\.)?bankofamerica\\.com/?$',
-      field: 'url',
+      condition: { type: 'regex', value: '^https?://(www\\.)?bankofamerica\\.com/?$', field: 'url' },
       category: TAB_CATEGORIES.CAN_CLOSE,
       enabled: true
     },
     {
       id: 'default-33',
-      type: 'regex',
-      value: '^https?://(www\\.)?chase\\.com/?$',
-      field: 'url',
+      condition: { type: 'regex', value: '^https?://(www\\.)?chase\\.com/?$', field: 'url' },
       category: TAB_CATEGORIES.CAN_CLOSE,
       enabled: true
     },
     {
       id: 'default-34',
-      type: 'regex',
-      value: '^https?://(www\\.)?wellsfargo\\.com/?$',
-      field: 'url',
+      condition: { type: 'regex', value: '^https?://(www\\.)?wellsfargo\\.com/?$', field: 'url' },
       category: TAB_CATEGORIES.CAN_CLOSE,
       enabled: true
     },
     // News homepages
     {
       id: 'default-35',
-      type: 'regex',
-      value: '^https?://(www\\.)?cnn\\.com/?$',
-      field: 'url',
+      condition: { type: 'regex', value: '^https?://(www\\.)?cnn\\.com/?$', field: 'url' },
       category: TAB_CATEGORIES.CAN_CLOSE,
       enabled: true
     },
     {
       id: 'default-36',
-      type: 'regex',
-      value: '^https?://(www\\.)?bbc\\.com/?$',
-      field: 'url',
+      condition: { type: 'regex', value: '^https?://(www\\.)?bbc\\.com/?$', field: 'url' },
       category: TAB_CATEGORIES.CAN_CLOSE,
       enabled: true
     },
     {
       id: 'default-37',
-      type: 'regex',
-      value: '^https?://(www\\.)?nytimes\\.com/?$',
-      field: 'url',
+      condition: { type: 'regex', value: '^https?://(www\\.)?nytimes\\.com/?$', field: 'url' },
       category: TAB_CATEGORIES.CAN_CLOSE,
       enabled: true
     },
     {
       id: 'default-38',
-      type: 'regex',
-      value: '^https?://(www\\.)?washingtonpost\\.com/?$',
-      field: 'url',
+      condition: { type: 'regex', value: '^https?://(www\\.)?washingtonpost\\.com/?$', field: 'url' },
       category: TAB_CATEGORIES.CAN_CLOSE,
       enabled: true
     }
@@ -537,12 +507,7 @@ export function getDefaultRules() {
  * Clear categorized tabs state
  */
 export function clearCategorizedTabs() {
-  state.categorizedTabs = {
-    [TAB_CATEGORIES.UNCATEGORIZED]: [],
-    [TAB_CATEGORIES.CAN_CLOSE]: [],
-    [TAB_CATEGORIES.SAVE_LATER]: [],
-    [TAB_CATEGORIES.IMPORTANT]: []
-  };
+  state.categorizedTabs = createCategoryBuckets();
   state.urlToDuplicateIds = {};
   notifyStateListeners();
 }
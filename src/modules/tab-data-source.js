@@ -4,6 +4,7 @@
  */
 
 import { CurrentTabsProcessor } from './current-tabs-processor.js';
+import { createCategoryBuckets } from './category-registry.js';
 
 let tabsProcessor = null;
 
@@ -23,12 +24,7 @@ export async function getCurrentTabs() {
     console.error('Tab data source not initialized, returning empty state');
     // Return properly structured empty state
     return {
-      categorizedTabs: {
-        0: [], // uncategorized
-        1: [], // can close
-        2: [], // save later  
-        3: []  // important
-      },
+      categorizedTabs: createCategoryBuckets(),
       urlToDuplicateIds: {}
     };
   }
@@ -39,12 +35,7 @@ export async function getCurrentTabs() {
     console.error('Error fetching current tabs:', error);
     // Return properly structured empty state
     return {
-      categorizedTabs: {
-        0: [], // uncategorized
-        1: [], // can close
-        2: [], // save later
-        3: []  // important
-      },
+      categorizedTabs: createCategoryBuckets(),
       urlToDuplicateIds: {}
     };
   }
@@ -105,13 +96,14 @@ export async function getCurrentTabCounts() {
 /**
  * Setup listeners for real-time tab updates
  * @param {Function} onTabChange - Callback for tab changes
+ * @param {Function} onCategorizationProgress - Callback for categorization progress (optional)
  * @returns {Object} Port connection
  */
-export function setupTabEventListeners(onTabChange) {
+export function setupTabEventListeners(onTabChange, onCategorizationProgress = null) {
   if (!tabsProcessor) {
     console.error('Tab data source not initialized');
     return null;
   }
   
-  return tabsProcessor.setupTabEventListeners(onTabChange);
+  return tabsProcessor.setupTabEventListeners(onTabChange, onCategorizationProgress);
 }
\ No newline at end of file
@@ -13,6 +13,7 @@ import { getCurrentTabs } from './tab-data-source.js';
 import { moveTab } from './tab-operations.js';
 import { createTabElement as createUnifiedTabElement, unifiedTabRenderer } from './unified-tab-renderer.js';
 import { createCategorySection as createUnifiedCategorySection, createGroupSection as createUnifiedGroupSection } from './unified-group-renderer.js';
+import { getCategoryIds } from './category-registry.js';
 
 /**
  * Display tabs based on current state and grouping
@@ -96,7 +97,7 @@ export async function showCurrentTabsContent(groupingType) {
     
     if (groupingType === 'category') {
       // Create category sections directly in current content using unified renderer
-      for (const category of [TAB_CATEGORIES.UNCATEGORIZED, TAB_CATEGORIES.IMPORTANT, TAB_CATEGORIES.SAVE_LATER, TAB_CATEGORIES.CAN_CLOSE]) {
+      for (const category of [TAB_CATEGORIES.UNCATEGORIZED, ...getCategoryIds()]) {
         const tabs = categorizedTabs[category] || [];
         if (tabs.length > 0) {
           const section = await createUnifiedCategorySection(category, tabs, false);
@@ -179,7 +180,7 @@ export async function displayGroupedView(groupingType, isFromSaved = false, tabs
   
   // Flatten all tabs from all categories
   const allTabs = [];
-  [TAB_CATEGORIES.UNCATEGORIZED, TAB_CATEGORIES.CAN_CLOSE, TAB_CATEGORIES.SAVE_LATER, TAB_CATEGORIES.IMPORTANT].forEach(category => {
+  [TAB_CATEGORIES.UNCATEGORIZED, ...getCategoryIds()].forEach(category => {
     if (tabs[category]) {
       tabs[category].forEach(tab => {
         allTabs.push({ ...tab, category });
@@ -214,12 +215,17 @@ export async function displayGroupedView(groupingType, isFromSaved = false, tabs
     case GROUPING_OPTIONS.CLOSE_TIME:
       groups = groupByCloseTime(allTabs);
       break;
+    case GROUPING_OPTIONS.TAG:
+      groups = groupByTag(allTabs);
+      break;
     default:
       groups = { 'All Tabs': allTabs };
   }
   
   // Sort groups and create sections
   const sortedGroups = Object.entries(groups).sort((a, b) => {
+    // Tag groups are already in order, with untagged tabs last
+    if (groupingType === GROUPING_OPTIONS.TAG) return 0;
     // Sort by date for date-based groupings
     if (groupingType.includes('Date') || groupingType.includes('Week') || groupingType.includes('Month') || groupingType === 'closeTime') {
       // For close time, extract date from "Closed MM/DD/YYYY, HH:MM:SS AM/PM" format
@@ -434,6 +440,35 @@ function groupByCloseTime(tabs) {
   return groups;
 }
 
+/**
+ * Group tabs by tag - a tab with several tags is shown under each of them.
+ * Tags are in alphabetical order, followed by the untagged tabs.
+ */
+function groupByTag(tabs) {
+  const groups = {};
+  const untagged = [];
+  
+  tabs.forEach(tab => {
+    if (!tab.tags || tab.tags.length === 0) {
+      untagged.push(tab);
+      return;
+    }
+    tab.tags.forEach(tag => {
+      const groupName = `#${tag}`;
+      if (!groups[groupName]) {
+        groups[groupName] = [];
+      }
+      groups[groupName].push(tab);
+    });
+  });
+  
+  const sorted = Object.fromEntries(Object.entries(groups).sort((a, b) => a[0].localeCompare(b[0])));
+  if (untagged.length > 0) {
+    sorted['Untagged'] = untagged;
+  }
+  return sorted;
+}
+
 /**
  * Group tabs by the specified type
  * @param {Array} tabs - Array of tabs to group
@@ -458,6 +493,8 @@ export function groupTabsBy(tabs, groupingType) {
       return groupByLastAccessedMonth(tabs);
     case GROUPING_OPTIONS.CLOSE_TIME:
       return groupByCloseTime(tabs);
+    case GROUPING_OPTIONS.TAG:
+      return groupByTag(tabs);
     default:
       return { 'All Tabs': tabs };
   }
@@ -511,7 +548,7 @@ async function renderCategoryViewToContainer(container) {
   const categorizedTabs = state.categorizedTabs;
   
   // Create category sections
-  for (const category of [TAB_CATEGORIES.IMPORTANT, TAB_CATEGORIES.SAVE_LATER, TAB_CATEGORIES.CAN_CLOSE, TAB_CATEGORIES.UNCATEGORIZED]) {
+  for (const category of [...getCategoryIds(), TAB_CATEGORIES.UNCATEGORIZED]) {
     const tabs = categorizedTabs[category] || [];
     if (tabs.length > 0) {
       const categorySection = await createUnifiedCategorySection(category, tabs, false);
@@ -10,6 +10,8 @@ import { state, updateState, savePopupState } from './state-manager.js';
 import { showStatus, updateCategorizeBadge, updateSavedBadge } from './ui-manager.js';
 import { moveTabToCategory } from './categorization-service.js';
 import { markContentDirty, syncHiddenTabContent } from './content-manager.js';
+import { runRuleActionsOnSaveAndClose } from './rule-actions.js';
+import { getCategoryIds, getKeptCategoryIds } from './category-registry.js';
 // Import database - using window.window.tabDatabase since it's a global
 
 // ========== Helper Functions ==========
@@ -263,11 +265,14 @@ export async function saveAndCloseCategory(category) {
       savedCount = tabsToSave[category].length;
     }
     
+    // Tabs pinned by a rule stay open; tabs a rule snoozes are scheduled to reopen
+    const { count: snoozedCount, keepOpenTabIds } = await runRuleActionsOnSaveAndClose(tabs, category, state.settings.rules || []);
+    
     // Get current window info
     const windowInfo = await getCurrentWindowInfo();
     
     // Collect all tab IDs including duplicates
-    const allTabIds = collectAllTabIds(tabs, urlToDuplicateIds);
+    const allTabIds = collectAllTabIds(tabs, urlToDuplicateIds).filter(id => !keepOpenTabIds.has(id));
     
     // Separate tabs by window
     const { current: currentWindowTabsToClose, other: otherWindowTabsToClose } = 
@@ -292,7 +297,11 @@ export async function saveAndCloseCategory(category) {
     
     updateCategorizeBadge();
     
-    showStatus(`Saved ${savedCount} tabs, closed ${closedCount} tabs`, 'success');
+    const ruleNotes = [
+      keepOpenTabIds.size > 0 ? `kept ${keepOpenTabIds.size} pinned by rules open` : '',
+      snoozedCount > 0 ? `snoozed ${snoozedCount}` : ''
+    ].filter(Boolean);
+    showStatus(`Saved ${savedCount} tabs, closed ${closedCount} tabs${ruleNotes.map(note => `, ${note}`).join('')}`, 'success');
     
     // Trigger display update
     // Use flicker-free UI if available, otherwise fallback to legacy
@@ -342,7 +351,7 @@ export async function saveAndCloseAll() {
     // Collect all tab IDs we're about to close (including uncategorized)
     const allTabIds = [];
     console.log('Collecting tabs from all categories:');
-    for (const category of [TAB_CATEGORIES.UNCATEGORIZED, TAB_CATEGORIES.CAN_CLOSE, TAB_CATEGORIES.SAVE_LATER, TAB_CATEGORIES.IMPORTANT]) {
+    for (const category of [TAB_CATEGORIES.UNCATEGORIZED, ...getCategoryIds()]) {
       const tabs = categorizedTabs[category] || [];
       const categoryTabIds = collectAllTabIds(tabs, urlToDuplicateIds);
       console.log(`Category ${category}: ${tabs.length} tabs, ${categoryTabIds.length} total IDs (including duplicates)`);
@@ -743,7 +752,7 @@ export async function deleteSavedTab(urlId) {
     showStatus('Tab deleted', 'success');
     
     // Update saved tab count
-    const savedUrls = await window.tabDatabase.getSavedUrls([2, 3]);
+    const savedUrls = await window.tabDatabase.getSavedUrls(getKeptCategoryIds());
     updateSavedBadge(savedUrls.length);
     
     // Trigger display update
@@ -754,6 +763,25 @@ export async function deleteSavedTab(urlId) {
   }
 }
 
+/**
+ * Set the tags and notes of a saved tab
+ * @param {number} urlId - Saved tab (URL) ID
+ * @param {Object} annotations - { tags, notes }; tags as an array or a comma separated string
+ */
+export async function updateSavedTabAnnotations(urlId, annotations) {
+  try {
+    await window.tabDatabase.updateUrlAnnotations(urlId, annotations);
+    
+    showStatus('Tags and notes saved', 'success');
+    
+    // Trigger display update
+    window.dispatchEvent(new CustomEvent('savedTabsChanged'));
+  } catch (error) {
+    console.error('Error saving tags and notes:', error);
+    showStatus('Error saving tags and notes', 'error');
+  }
+}
+
 /**
  * Delete all tabs in a group (for saved tabs)
  */
@@ -883,7 +911,7 @@ export async function restoreSavedTab(tab, deleteAfterRestore = false) {
       await window.tabDatabase.deleteUrl(tab.id);
       
       // Update saved tab count
-      const savedUrls = await window.tabDatabase.getSavedUrls([2, 3]);
+      const savedUrls = await window.tabDatabase.getSavedUrls(getKeptCategoryIds());
       updateSavedBadge(savedUrls.length);
       
       showStatus('Tab restored and removed from saved', 'success');
@@ -902,17 +930,19 @@ export async function restoreSavedTab(tab, deleteAfterRestore = false) {
 }
 
 /**
- * Check for duplicate tabs and mark them
+ * Check for duplicate tabs and mark them. Tabs are duplicates when their
+ * canonical URLs match (see url-canonicalizer.js), e.g. with and without ?utm_source.
  */
 export function markDuplicateTabs(tabs) {
   const urlCounts = {};
   
   // Count occurrences of each URL
   tabs.forEach(tab => {
-    if (!urlCounts[tab.url]) {
-      urlCounts[tab.url] = [];
+    const url = canonicalizeUrl(tab.url);
+    if (!urlCounts[url]) {
+      urlCounts[url] = [];
     }
-    urlCounts[tab.url].push(tab);
+    urlCounts[url].push(tab);
   });
   
   // Mark duplicates
@@ -938,6 +968,7 @@ export default {
   openSavedTabs,
   moveTab,
   deleteSavedTab,
+  updateSavedTabAnnotations,
   deleteTabsInGroup,
   deleteTabsInCategory,
   closeTabsInGroup,
@@ -136,6 +136,10 @@ export async function switchToTab(tabName) {
     
     if (tabName === TAB_TYPES.SETTINGS) {
       hideApiKeyPrompt();
+      
+      // Spending changes after every categorization run
+      const { renderUsageSummary } = await import('./settings-manager.js');
+      renderUsageSummary();
     } else if (tabName === TAB_TYPES.CATEGORIZE) {
       // When switching back to Current tab, refresh content to ensure accuracy
       const { markContentDirty, updateCurrentTabContent } = await import('./content-manager.js');
@@ -9,6 +9,7 @@ import { sortTabsInGroup, extractDateFromGroupName, smartConfirm } from '../util
 import { createTabElement } from './unified-tab-renderer.js';
 import { state } from './state-manager.js';
 import { unifiedSearchService } from '../services/UnifiedSearchService.js';
+import { getCategory, getCategoryIds, getCustomCategories, isCustomCategory } from './category-registry.js';
 
 /**
  * Group Render Strategy Interface
@@ -309,21 +310,28 @@ export class UnifiedGroupRenderer {
     // Category title section (old style)
     const categoryTitle = createElement('div', { className: 'category-header-title' });
 
-    // Category icon (using old style SVG with proper attributes)
-    const categoryIcon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    categoryIcon.setAttribute('class', 'category-icon');
-    categoryIcon.setAttribute('width', '18');
-    categoryIcon.setAttribute('height', '18');
-    categoryIcon.setAttribute('viewBox', '0 0 24 24');
+    // Category icon: the user's emoji for custom categories, old style SVG otherwise
+    let categoryIcon;
+    if (isCustomCategory(category)) {
+      const { color, icon } = getCategory(category);
+      header.style.setProperty('--category-color', color);
+      categoryIcon = createElement('span', { className: 'category-icon custom-category-icon', textContent: icon });
+    } else {
+      categoryIcon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+      categoryIcon.setAttribute('class', 'category-icon');
+      categoryIcon.setAttribute('width', '18');
+      categoryIcon.setAttribute('height', '18');
+      categoryIcon.setAttribute('viewBox', '0 0 24 24');
     
-    // Set category-specific attributes
-    const iconAttribs = this.getOldCategoryIconAttributes(category);
-    Object.entries(iconAttribs).forEach(([key, value]) => {
-      categoryIcon.setAttribute(key, value);
-    });
+      // Set category-specific attributes
+      const iconAttribs = this.getOldCategoryIconAttributes(category);
+      Object.entries(iconAttribs).forEach(([key, value]) => {
+        categoryIcon.setAttribute(key, value);
+      });
     
-    // Set inner content
-    categoryIcon.innerHTML = this.getOldCategoryIcon(category);
+      // Set inner content
+      categoryIcon.innerHTML = this.getOldCategoryIcon(category);
+    }
 
     // Category name and count (inline format like "Important (9)")
     const categoryNameSpan = createElement('span', { 
@@ -383,12 +391,7 @@ export class UnifiedGroupRenderer {
     const headerRight = createElement('div', { className: 'header-right' });
 
     // Count tabs by category (use full tabs list, not search-filtered)
-    const categoryCounts = { 
-      [TAB_CATEGORIES.UNCATEGORIZED]: 0,
-      [TAB_CATEGORIES.CAN_CLOSE]: 0, 
-      [TAB_CATEGORIES.SAVE_LATER]: 0, 
-      [TAB_CATEGORIES.IMPORTANT]: 0 
-    };
+    const categoryCounts = Object.fromEntries([TAB_CATEGORIES.UNCATEGORIZED, ...getCategoryIds()].map(category => [category, 0]));
 
     tabs.forEach(tab => {
       if (categoryCounts[tab.category] !== undefined) {
@@ -415,6 +418,18 @@ export class UnifiedGroupRenderer {
       });
       stats.appendChild(importantStat);
     }
+    
+    getCustomCategories().forEach(({ id, name, color, icon }) => {
+      if (categoryCounts[id] > 0) {
+        const customStat = createElement('span', {
+          className: 'stat-item custom-category',
+          title: name,
+          dataset: { category: id }
+        }, [createElement('span', { className: 'stat-icon', textContent: icon }), ` ${categoryCounts[id]}`]);
+        customStat.style.setProperty('--category-color', color);
+        stats.appendChild(customStat);
+      }
+    });
 
     if (categoryCounts[TAB_CATEGORIES.SAVE_LATER] > 0) {
       const saveForLaterStat = createElement('span', {
@@ -733,7 +748,7 @@ export class UnifiedGroupRenderer {
       case TAB_CATEGORIES.CAN_CLOSE:
         return ' not-important';
       default:
-        return '';
+        return isCustomCategory(category) ? ' custom-category' : '';
     }
   }
 
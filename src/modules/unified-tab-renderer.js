@@ -4,9 +4,10 @@
  */
 
 import { TAB_CATEGORIES, CSS_CLASSES, DOM_IDS } from '../utils/constants.js';
-import { createElement, classes } from '../utils/dom-helpers.js';
+import { createElement, classes, $id } from '../utils/dom-helpers.js';
 import { createOptimizedFavicon } from '../utils/favicon-loader.js';
 import { state } from './state-manager.js';
+import { getCategory, getCustomCategories, isCustomCategory } from './category-registry.js';
 
 /**
  * Tab Renderer Strategy Interface
@@ -120,6 +121,20 @@ export class SavedTabRenderStrategy extends TabRenderStrategy {
   }
 
   createActionButtons(tab, category) {
+    const buttons = document.createDocumentFragment();
+    
+    // Tags and notes button for saved tabs
+    const annotateBtn = createElement('button', {
+      className: 'annotate-btn',
+      title: 'Edit tags and notes',
+      innerHTML: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M20.59 13.41l-7.17 7.17a2 2 0 0 1-2.83 0L2 12V2h10l8.59 8.59a2 2 0 0 1 0 2.82z"></path><line x1="7" y1="7" x2="7.01" y2="7"></line></svg>',
+      onclick: (e) => {
+        e.stopPropagation();
+        this.toggleAnnotationEditor(tab, e.currentTarget.closest('.tab-item'));
+      }
+    });
+    buttons.appendChild(annotateBtn);
+    
     // Delete button for saved tabs
     const deleteBtn = createElement('button', {
       className: 'delete-btn',
@@ -130,8 +145,66 @@ export class SavedTabRenderStrategy extends TabRenderStrategy {
         this.tabOperations.deleteSavedTab(tab.id);
       }
     });
+    buttons.appendChild(deleteBtn);
 
-    return deleteBtn;
+    return buttons;
+  }
+  
+  /**
+   * Open or close the tags and notes editor under a saved tab
+   * @param {Object} tab - Saved tab object
+   * @param {HTMLElement} tabElement - The tab's element
+   */
+  toggleAnnotationEditor(tab, tabElement) {
+    const tabInfo = tabElement?.querySelector('.tab-info');
+    if (!tabInfo) return;
+    
+    const openEditor = tabInfo.querySelector('.tab-annotation-editor');
+    if (openEditor) {
+      openEditor.remove();
+      return;
+    }
+    
+    const tagsInput = createElement('input', {
+      type: 'text',
+      className: 'tab-tags-input',
+      value: (tab.tags || []).join(', '),
+      placeholder: 'Tags, separated by commas'
+    });
+    const notesInput = createElement('textarea', {
+      className: 'tab-notes-input',
+      value: tab.notes || '',
+      placeholder: 'Notes',
+      rows: 3
+    });
+    
+    const save = () => this.tabOperations.updateSavedTabAnnotations(tab.id, {
+      tags: tagsInput.value,
+      notes: notesInput.value
+    });
+    const editor = createElement('div', {
+      className: 'tab-annotation-editor',
+      onclick: (e) => e.stopPropagation(),
+      onkeydown: (e) => {
+        if (e.key === 'Escape') {
+          e.stopPropagation();
+          editor.remove();
+        } else if (e.key === 'Enter' && (e.target === tagsInput || e.ctrlKey || e.metaKey)) {
+          e.preventDefault();
+          save();
+        }
+      }
+    }, [
+      tagsInput,
+      notesInput,
+      createElement('div', { className: 'tab-annotation-actions' }, [
+        createElement('button', { className: 'secondary-btn', textContent: 'Cancel', onclick: () => editor.remove() }),
+        createElement('button', { className: 'primary-btn', textContent: 'Save', onclick: save })
+      ])
+    ]);
+    
+    tabInfo.appendChild(editor);
+    tagsInput.focus();
   }
 
   async handleTabClick(tab) {
@@ -167,7 +240,7 @@ export class SavedTabRenderStrategy extends TabRenderStrategy {
   }
 
   getSupportedGroupingOptions() {
-    return ['category', 'domain', 'savedDate', 'savedWeek', 'savedMonth', 'closeTime'];
+    return ['category', 'domain', 'savedDate', 'savedWeek', 'savedMonth', 'closeTime', 'tag'];
   }
 
   getTabModifierClasses(tab, category) {
@@ -232,6 +305,12 @@ export class UnifiedTabRenderer {
         tabType: type
       }
     });
+    if (tab.tags?.length > 0) {
+      tabElement.dataset.tags = tab.tags.join(',');
+    }
+    if (isCustomCategory(category)) {
+      tabElement.style.setProperty('--category-color', getCategory(category).color);
+    }
 
     // Add favicon
     const favicon = createOptimizedFavicon(tab);
@@ -278,6 +357,8 @@ export class UnifiedTabRenderer {
       classes += ' category-save-later';
     } else if (category === TAB_CATEGORIES.CAN_CLOSE) {
       classes += ' category-can-close';
+    } else if (isCustomCategory(category)) {
+      classes += ' category-custom';
     }
 
     // Add modifier classes
@@ -299,9 +380,12 @@ export class UnifiedTabRenderer {
       const confidenceLevel = confidence >= 80 ? 'high' : confidence >= 60 ? 'medium' : 'low';
       const source = tab.mlMetadata.source || 'unknown';
       
+      // Voting explanation (includes the LLM's reason in explain mode)
+      const reasoning = tab.mlMetadata.reasoning ? `\n${tab.mlMetadata.reasoning}` : '';
+      
       const confidenceIndicator = createElement('div', {
         className: `ml-confidence ml-confidence-${confidenceLevel}`,
-        title: `${confidence}% confidence (${source})`,
+        title: `${confidence}% confidence (${source})${reasoning}`,
         innerHTML: `
           <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
             <circle cx="12" cy="12" r="${10 * tab.mlMetadata.confidence}" opacity="${0.3 + 0.7 * tab.mlMetadata.confidence}"/>
@@ -352,9 +436,64 @@ export class UnifiedTabRenderer {
     }
     
     tabInfo.appendChild(tabUrl);
+    
+    // Why the LLM chose this category (explain mode) - click to expand long reasons
+    if (tab.llmReason) {
+      const tabReason = createElement('div', {
+        className: 'tab-reason',
+        textContent: tab.llmReason,
+        title: tab.llmReason,
+        onclick: (e) => {
+          e.stopPropagation();
+          classes.toggle(tabReason, 'expanded');
+        }
+      });
+      tabInfo.appendChild(tabReason);
+    }
 
+    // Tags and notes of saved tabs - clicking a tag filters the view by it
+    if (tab.tags?.length > 0) {
+      const tabTags = createElement('div', { className: 'tab-tags' }, tab.tags.map(tag =>
+        createElement('span', {
+          className: 'tab-tag',
+          textContent: `#${tag}`,
+          title: `Show tabs tagged ${tag}`,
+          onclick: (e) => {
+            e.stopPropagation();
+            this.filterByTag(tag);
+          }
+        })
+      ));
+      tabInfo.appendChild(tabTags);
+    }
+    
+    if (tab.notes) {
+      const tabNotes = createElement('div', {
+        className: 'tab-notes',
+        textContent: tab.notes,
+        title: tab.notes,
+        onclick: (e) => {
+          e.stopPropagation();
+          classes.toggle(tabNotes, 'expanded');
+        }
+      });
+      tabInfo.appendChild(tabNotes);
+    }
+    
     return tabInfo;
   }
+  
+  /**
+   * Filter the view to tabs with a tag, through the toolbar search
+   * @param {string} tag - Tag
+   */
+  filterByTag(tag) {
+    const searchInput = $id('unifiedSearchInput');
+    if (!searchInput) return;
+    
+    searchInput.value = `tag:${tag}`;
+    searchInput.dispatchEvent(new Event('input'));
+  }
 
   /**
    * Create category selection buttons (common for both Current and Saved tabs)
@@ -380,6 +519,23 @@ export class UnifiedTabRenderer {
     });
     categoryButtons.appendChild(importantBtn);
     
+    // A button per custom category, showing its icon in its color
+    getCustomCategories().forEach(({ id, name, color, icon }) => {
+      const customBtn = createElement('button', {
+        className: 'category-btn category-custom' + (category === id ? ' hidden-category' : ''),
+        title: `Mark as ${name}`,
+        textContent: icon,
+        onclick: async (e) => {
+          e.stopPropagation();
+          if (category !== id) {
+            await this.changeCategoryForTab(tab, category, id, type);
+          }
+        }
+      });
+      customBtn.style.setProperty('--category-color', color);
+      categoryButtons.appendChild(customBtn);
+    });
+    
     // Save Later category button
     const saveLaterBtn = createElement('button', {
       className: 'category-btn category-save-later' + (category === TAB_CATEGORIES.SAVE_LATER ? ' hidden-category' : ''),
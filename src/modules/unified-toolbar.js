@@ -30,7 +30,8 @@ const SAVED_TAB_GROUPING_OPTIONS = [
   { value: 'lastAccessedDate', text: 'Open Date' },
   { value: 'lastAccessedWeek', text: 'Open Week' },
   { value: 'lastAccessedMonth', text: 'Open Month' },
-  { value: 'closeTime', text: 'Close Time' }
+  { value: 'closeTime', text: 'Close Time' },
+  { value: 'tag', text: 'Tag' }
 ];
 
 let currentActiveTab = 'categorize';
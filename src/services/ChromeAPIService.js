@@ -100,6 +100,92 @@ export class ChromeAPIService {
     });
   }
   
+  /**
+   * Get a tab by ID
+   * @param {number} tabId - Tab ID
+   * @returns {Promise<Object>} Tab object
+   */
+  static async getTab(tabId) {
+    return new Promise((resolve, reject) => {
+      chrome.tabs.get(tabId, (tab) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve(tab);
+        }
+      });
+    });
+  }
+  
+  /**
+   * Add tabs to a tab group, creating a new group unless options.groupId is given
+   * @param {Object} options - Chrome tabs.group options ({ tabIds, groupId, createProperties })
+   * @returns {Promise<number>} Group ID
+   */
+  static async groupTabs(options) {
+    return new Promise((resolve, reject) => {
+      chrome.tabs.group(options, (groupId) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve(groupId);
+        }
+      });
+    });
+  }
+  
+  /**
+   * Remove tabs from their groups
+   * @param {number|Array<number>} tabIds - Tab ID(s) to ungroup
+   * @returns {Promise<void>}
+   */
+  static async ungroupTabs(tabIds) {
+    return new Promise((resolve, reject) => {
+      chrome.tabs.ungroup(tabIds, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+  
+  /**
+   * Get tab groups matching query
+   * @param {Object} queryInfo - Chrome tabGroups query object
+   * @returns {Promise<Array>} Array of tab groups
+   */
+  static async queryTabGroups(queryInfo = {}) {
+    return new Promise((resolve, reject) => {
+      chrome.tabGroups.query(queryInfo, (groups) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve(groups);
+        }
+      });
+    });
+  }
+  
+  /**
+   * Update a tab group
+   * @param {number} groupId - Group ID
+   * @param {Object} updateProperties - Properties to update (title, color, collapsed)
+   * @returns {Promise<Object>} Updated group
+   */
+  static async updateTabGroup(groupId, updateProperties) {
+    return new Promise((resolve, reject) => {
+      chrome.tabGroups.update(groupId, updateProperties, (group) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve(group);
+        }
+      });
+    });
+  }
+  
   // === Storage Management ===
   
   /**
@@ -218,6 +304,38 @@ export class ChromeAPIService {
     });
   }
   
+  // === Permissions ===
+  
+  /**
+   * Request optional host permissions (must be called from a user gesture)
+   * @param {Array<string>} origins - Origin match patterns, e.g. 'http://192.168.1.5/*'
+   * @returns {Promise<boolean>} True if the permissions are granted
+   */
+  static async requestHostPermissions(origins) {
+    return new Promise((resolve, reject) => {
+      chrome.permissions.request({ origins }, (granted) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve(granted);
+        }
+      });
+    });
+  }
+  
+  /**
+   * Check whether host permissions are already granted
+   * @param {Array<string>} origins - Origin match patterns
+   * @returns {Promise<boolean>} True if all origins are granted
+   */
+  static async hasHostPermissions(origins) {
+    return new Promise((resolve) => {
+      chrome.permissions.contains({ origins }, (result) => {
+        resolve(!chrome.runtime.lastError && result);
+      });
+    });
+  }
+  
   // === Windows Management ===
   
   /**
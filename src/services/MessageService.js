@@ -27,9 +27,28 @@ export class MessageService {
    * @param {string} params.model - Model name
    * @param {string} params.customPrompt - Custom prompt (optional)
    * @param {Array} params.savedUrls - Already saved URLs to exclude
+   * @param {string} params.baseUrl - Server root for self-hosted providers (optional)
+   * @param {Array} params.fallbackProviders - Ordered { provider, apiKey, model, baseUrl } to try if the provider fails (optional)
+   * @param {number} params.monthlyBudget - Monthly spend cap in USD; 0 for no cap (optional)
+   * @param {boolean} params.explain - Ask the model for a short reason per tab, returned as tab.llmReason (optional)
+   * @param {Object} params.privacy - Redaction settings overriding CONFIG.PRIVACY (optional)
+   * @param {Object} params.promptContext - Values for prompt variables: { frequentDomains, categoryNames, customCategories, corrections } (optional)
    * @returns {Promise<Object>} Categorized tabs
    */
-  static async categorizeTabs({ tabs, apiKey, provider, model, customPrompt, savedUrls = [] }) {
+  static async categorizeTabs(params) {
+    const { data } = await this.categorizeTabsWithDetails(params);
+    return data;
+  }
+  
+  /**
+   * Categorize tabs using LLM, returning batch details alongside the result
+   * @param {Object} params - Same parameters as categorizeTabs
+   * @returns {Promise<Object>} { data, batches, providers, cache, withheld, budgetWarning } - batches reports failed batches on partial results,
+   *   providers lists each provider tried with how many tabs it categorized, cache counts verdicts reused
+   *   from the LLM cache (hits) and tabs sent to the model (misses), withheld counts denylisted tabs not sent,
+   *   budgetWarning is set when the monthly budget kept the misses from being sent (they come back uncategorized with overBudget)
+   */
+  static async categorizeTabsWithDetails({ tabs, apiKey, provider, model, customPrompt, savedUrls = [], baseUrl = '', fallbackProviders = [], monthlyBudget = 0, explain = false, privacy = {}, promptContext = {} }) {
     const response = await ChromeAPIService.sendMessage({
       action: 'categorizeTabs',
       data: {
@@ -38,33 +57,117 @@ export class MessageService {
         provider,
         model,
         customPrompt,
-        savedUrls
+        savedUrls,
+        baseUrl,
+        fallbackProviders,
+        monthlyBudget,
+        explain,
+        privacy,
+        promptContext
       }
     });
     
     if (!response.success) {
-      throw new Error(response.error || 'Categorization failed');
+      const error = new Error(response.error || 'Categorization failed');
+      error.budgetExceeded = !!response.budgetExceeded;
+      throw error;
     }
     
-    return response.data;
+    return {
+      data: response.data,
+      batches: response.batches || { total: 1, failed: 0, uncategorizedTabs: 0, errors: [] },
+      providers: response.providers || [{ provider, model, categorized: tabs.length, failed: 0, errors: [] }],
+      cache: response.cache || { hits: 0, misses: tabs.length },
+      withheld: response.withheld || 0,
+      budgetWarning: response.budgetWarning || null
+    };
+  }
+  
+  /**
+   * Preview the tab data a categorization run would send, after redaction
+   * @param {Object} params - { tabs, savedUrls, privacy } as for categorizeTabs
+   * @returns {Promise<Object>} { tabs: [{ title, url }], withheld } - withheld counts denylisted tabs
+   */
+  static async previewLLMPayload({ tabs, savedUrls = [], privacy = {} }) {
+    const response = await ChromeAPIService.sendMessage({
+      action: 'previewLLMPayload',
+      data: { tabs, savedUrls, privacy }
+    });
+    
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to build preview');
+    }
+    
+    return { tabs: response.tabs, withheld: response.withheld };
   }
   
   /**
    * Fetch available models for a provider
    * @param {string} provider - Provider name
    * @param {string} apiKey - API key
+   * @param {string} baseUrl - Server root for self-hosted providers (optional)
    * @returns {Promise<Array>} Available models
    */
-  static async fetchModels(provider, apiKey) {
+  static async fetchModels(provider, apiKey, baseUrl = '') {
     const response = await ChromeAPIService.sendMessage({
       action: 'fetchModels',
-      data: { provider, apiKey }
+      data: { provider, apiKey, baseUrl }
     });
     
     // Return the full response object so the caller can handle it
     return response;
   }
   
+  /**
+   * Get LLM token usage and estimated cost for today and this month
+   * @returns {Promise<Object>} { today, month, byProvider, recent }
+   */
+  static async getUsageSummary() {
+    const response = await ChromeAPIService.sendMessage({ action: 'getUsageSummary' });
+    
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to load usage');
+    }
+    
+    return response.summary;
+  }
+  
+  /**
+   * Close a tab until later: the background keeps the snoozed tab and reopens it at wakeAt
+   * @param {Object} tab - { url, title, pinned, wakeAt } - wakeAt is a timestamp in ms
+   * @returns {Promise<string>} Snooze ID, used to wake the tab early
+   */
+  static async snoozeTab({ url, title, pinned = false, wakeAt }) {
+    const response = await ChromeAPIService.sendMessage({
+      action: 'snoozeTab',
+      data: { url, title, pinned, wakeAt }
+    });
+    
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to snooze tab');
+    }
+    
+    return response.snoozeId;
+  }
+  
+  /**
+   * Reopen a snoozed tab now instead of at its wake time
+   * @param {string} snoozeId - From snoozeTab
+   * @returns {Promise<boolean>} False if the tab had already been reopened
+   */
+  static async wakeSnoozedTab(snoozeId) {
+    const response = await ChromeAPIService.sendMessage({
+      action: 'wakeSnoozedTab',
+      data: { snoozeId }
+    });
+    
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to reopen snoozed tab');
+    }
+    
+    return response.reopened;
+  }
+  
   /**
    * Open multiple tabs with rate limiting
    * @param {Array<string>} urls - URLs to open
@@ -89,6 +89,50 @@ export class StorageService {
     return data[STORAGE_KEYS.THEME] || 'system';
   }
   
+  // === Rule Action Log ===
+  
+  /**
+   * Save the log of actions rules ran on tabs
+   * @param {Array} log - Log entries, newest first
+   * @returns {Promise<void>}
+   */
+  static async saveRuleActionLog(log) {
+    return ChromeAPIService.setStorageData({
+      [STORAGE_KEYS.RULE_ACTION_LOG]: log
+    });
+  }
+  
+  /**
+   * Load the log of actions rules ran on tabs
+   * @returns {Promise<Array>} Log entries, newest first
+   */
+  static async loadRuleActionLog() {
+    const data = await ChromeAPIService.getStorageData(STORAGE_KEYS.RULE_ACTION_LOG);
+    return data[STORAGE_KEYS.RULE_ACTION_LOG] || [];
+  }
+  
+  // === Rule Statistics ===
+  
+  /**
+   * Save per-rule hit and override counts
+   * @param {Object} stats - Stats by rule ID
+   * @returns {Promise<void>}
+   */
+  static async saveRuleStats(stats) {
+    return ChromeAPIService.setStorageData({
+      [STORAGE_KEYS.RULE_STATS]: stats
+    });
+  }
+  
+  /**
+   * Load per-rule hit and override counts
+   * @returns {Promise<Object>} Stats by rule ID
+   */
+  static async loadRuleStats() {
+    const data = await ChromeAPIService.getStorageData(STORAGE_KEYS.RULE_STATS);
+    return data[STORAGE_KEYS.RULE_STATS] || {};
+  }
+  
   // === API Keys ===
   
   /**
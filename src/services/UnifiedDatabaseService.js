@@ -387,7 +387,7 @@ class UnifiedDatabaseService {
   async _recordPredictionAccuracy(categorizedTabs, predictions) {
     try {
       // Compare predictions with actual user choices
-      [1, 2, 3].forEach(category => {
+      Object.keys(categorizedTabs).map(Number).filter(category => category > 0).forEach(category => {
         if (categorizedTabs[category]) {
           categorizedTabs[category].forEach(tab => {
             const prediction = predictions[tab.url];
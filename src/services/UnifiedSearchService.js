@@ -7,11 +7,13 @@ import { TAB_CATEGORIES, CSS_CLASSES, LIMITS } from '../utils/constants.js';
 import { classes, $id } from '../utils/dom-helpers.js';
 import { extractDomain } from '../utils/helpers.js';
 import { showStatus } from '../modules/ui-manager.js';
+import { getCategoryIds, getCustomCategories } from '../modules/category-registry.js';
 
 // Search configuration
 const SEARCH_CONFIG = {
   INITIAL_TAB_COUNT: LIMITS.INITIAL_TAB_COUNT,
-  SEARCH_FIELDS: ['title', 'url', 'domain'],
+  SEARCH_FIELDS: ['title', 'url', 'domain', 'tags', 'notes'],
+  TAG_PREFIX: 'tag:',
   CASE_SENSITIVE: false
 };
 
@@ -21,15 +23,26 @@ const SEARCH_CONFIG = {
 export class UnifiedSearchService {
   constructor() {
     this.searchQuery = '';
+    this.searchText = ''; // The query without its tag: filters
+    this.tagFilters = [];
     this.activeContext = 'current'; // 'current' or 'saved'
   }
 
   /**
-   * Set the current search query
+   * Set the current search query. Words like "tag:work" only match saved tabs
+   * with that tag; the rest of the query is matched as text.
    * @param {string} query - Search query
    */
   setSearchQuery(query) {
     this.searchQuery = SEARCH_CONFIG.CASE_SENSITIVE ? query.trim() : query.toLowerCase().trim();
+    
+    const words = this.searchQuery.split(/\s+/);
+    const isTagFilter = word => word.toLowerCase().startsWith(SEARCH_CONFIG.TAG_PREFIX);
+    this.tagFilters = words
+      .filter(isTagFilter)
+      .map(word => word.slice(SEARCH_CONFIG.TAG_PREFIX.length).toLowerCase().replace(/^#+/, ''))
+      .filter(Boolean);
+    this.searchText = words.filter(word => !isTagFilter(word)).join(' ');
   }
 
   /**
@@ -50,25 +63,33 @@ export class UnifiedSearchService {
     if (!this.searchQuery) return true;
 
     let searchFields;
+    let tags;
     
     if (isDOMElement) {
       // Extract text from DOM element
       const title = tab.querySelector('.tab-title')?.textContent || '';
       const url = tab.querySelector('.tab-url')?.textContent || '';
       const domain = this.extractDomainFromUrl(url);
+      const notes = tab.querySelector('.tab-notes')?.textContent || '';
+      tags = tab.dataset.tags ? tab.dataset.tags.split(',') : [];
       
-      searchFields = [title, url, domain];
+      searchFields = [title, url, domain, tags.join(' '), notes];
     } else {
       // Use tab object properties
+      tags = tab.tags || [];
       searchFields = [
         tab.title || '',
         tab.url || '',
-        tab.domain || this.extractDomainFromUrl(tab.url || '')
+        tab.domain || this.extractDomainFromUrl(tab.url || ''),
+        tags.join(' '),
+        tab.notes || ''
       ];
     }
 
+    if (!this.tagFilters.every(tag => tags.includes(tag))) return false;
+    
     const searchableText = searchFields.join(' ').toLowerCase();
-    return searchableText.includes(this.searchQuery);
+    return searchableText.includes(this.searchText);
   }
 
   /**
@@ -167,12 +188,24 @@ export class UnifiedSearchService {
    * @returns {Object} - Category counters
    */
   initializeCategoryCounters() {
-    return {
-      [TAB_CATEGORIES.UNCATEGORIZED]: 0,
-      [TAB_CATEGORIES.CAN_CLOSE]: 0,
-      [TAB_CATEGORIES.SAVE_LATER]: 0,
-      [TAB_CATEGORIES.IMPORTANT]: 0
+    return Object.fromEntries([TAB_CATEGORIES.UNCATEGORIZED, ...getCategoryIds()].map(category => [category, 0]));
+  }
+  
+  /**
+   * Selectors of the per-category stat items in a group header
+   * @returns {Object} - { [category]: selector }
+   */
+  getCategoryStatSelectors() {
+    const selectors = {
+      [TAB_CATEGORIES.UNCATEGORIZED]: '.stat-item.uncategorized',
+      [TAB_CATEGORIES.IMPORTANT]: '.stat-item.important',
+      [TAB_CATEGORIES.SAVE_LATER]: '.stat-item.somewhat',
+      [TAB_CATEGORIES.CAN_CLOSE]: '.stat-item.not-important'
     };
+    getCustomCategories().forEach(({ id }) => {
+      selectors[id] = `.stat-item[data-category="${id}"]`;
+    });
+    return selectors;
   }
 
   /**
@@ -301,12 +334,9 @@ export class UnifiedSearchService {
    * @param {boolean} hasActiveSearch - Whether search is active
    */
   updateGroupCategoryStats(statsContainer, groupSection, hasActiveSearch) {
-    const categoryStats = {
-      [TAB_CATEGORIES.UNCATEGORIZED]: { selector: '.stat-item.uncategorized', count: 0 },
-      [TAB_CATEGORIES.IMPORTANT]: { selector: '.stat-item.important', count: 0 },
-      [TAB_CATEGORIES.SAVE_LATER]: { selector: '.stat-item.somewhat', count: 0 },
-      [TAB_CATEGORIES.CAN_CLOSE]: { selector: '.stat-item.not-important', count: 0 }
-    };
+    const categoryStats = Object.fromEntries(
+      Object.entries(this.getCategoryStatSelectors()).map(([category, selector]) => [category, { selector, count: 0 }])
+    );
 
     // Count visible tabs by category
     const visibleTabs = groupSection.querySelectorAll('.tab-item:not(.tab-item-hidden)');
@@ -321,7 +351,7 @@ export class UnifiedSearchService {
     Object.entries(categoryStats).forEach(([category, info]) => {
       const statElement = statsContainer.querySelector(info.selector);
       if (statElement) {
-        const icon = statElement.querySelector('svg')?.outerHTML || '';
+        const icon = statElement.querySelector('svg, .stat-icon')?.outerHTML || '';
         
         if (hasActiveSearch && info.count === 0) {
           statElement.style.display = 'none';
@@ -450,7 +480,7 @@ export class UnifiedSearchService {
    * @param {boolean} isDOMBased - Whether tabs are DOM elements
    */
   clearSearch(container, tabs, isDOMBased = false) {
-    this.searchQuery = '';
+    this.setSearchQuery('');
     
     // Show all tabs
     const tabArray = Array.from(tabs);
@@ -512,12 +542,7 @@ export class UnifiedSearchService {
       }
 
       // Reset category stats
-      const categoryStats = {
-        [TAB_CATEGORIES.UNCATEGORIZED]: '.stat-item.uncategorized',
-        [TAB_CATEGORIES.IMPORTANT]: '.stat-item.important',
-        [TAB_CATEGORIES.SAVE_LATER]: '.stat-item.somewhat',
-        [TAB_CATEGORIES.CAN_CLOSE]: '.stat-item.not-important'
-      };
+      const categoryStats = this.getCategoryStatSelectors();
 
       Object.entries(categoryStats).forEach(([category, selector]) => {
         const statElement = statsContainer.querySelector(selector);
@@ -527,7 +552,7 @@ export class UnifiedSearchService {
               parseInt(tab.dataset.category) === parseInt(category)
             ).length : 0;
           
-          const icon = statElement.querySelector('svg')?.outerHTML || '';
+          const icon = statElement.querySelector('svg, .stat-icon')?.outerHTML || '';
           statElement.style.display = tabsInCategory > 0 ? '' : 'none';
           statElement.innerHTML = `${icon} ${tabsInCategory}`;
         }
@@ -33,6 +33,7 @@ export const TEST_MODE = {
   }
 };
 
+// Names of custom categories are added at runtime by the category registry
 export const CATEGORY_NAMES = {
   [TAB_CATEGORIES.UNCATEGORIZED]: 'Uncategorized',
   [TAB_CATEGORIES.CAN_CLOSE]: 'Ignore',
@@ -62,6 +63,7 @@ export const DOM_IDS = {
   IMPORT_CSV_BTN: 'importCSVBtn',
   SAVE_API_KEY_BTN: 'saveApiKeyBtn',
   RESET_PROMPT_BTN: 'resetPromptBtn',
+  SAVE_ENDPOINT_BTN: 'saveEndpointBtn',
   OPEN_SETTINGS_BTN: 'openSettingsBtn',
   TOGGLE_ALL_GROUPS_BTN: 'toggleAllGroupsBtn',
   TOGGLE_CATEGORIZE_GROUPS_BTN: 'toggleCategorizeGroupsBtn',
@@ -72,8 +74,17 @@ export const DOM_IDS = {
   SEARCH_INPUT: 'searchInput',
   SAVED_SEARCH_INPUT: 'savedSearchInput',
   API_KEY_INPUT: 'apiKeyInput',
+  CUSTOM_ENDPOINT_INPUT: 'customEndpointInput',
   MAX_TABS_INPUT: 'maxTabsInput',
   PROMPT_TEXTAREA: 'promptTextarea',
+  PROMPT_VALIDATION: 'promptValidation',
+  PROMPT_VARIABLES_HELP: 'promptVariablesHelp',
+  PROMPT_PRESET_SELECT: 'promptPresetSelect',
+  PROMPT_PRESET_NAME: 'promptPresetName',
+  LOAD_PROMPT_PRESET_BTN: 'loadPromptPresetBtn',
+  SAVE_PROMPT_PRESET_BTN: 'savePromptPresetBtn',
+  DELETE_PROMPT_PRESET_BTN: 'deletePromptPresetBtn',
+  PROVIDER_PROMPT_LIST: 'providerPromptList',
   CSV_FILE_INPUT: 'csvFileInput',
   
   // Select elements
@@ -85,10 +96,33 @@ export const DOM_IDS = {
   // Rule management
   RULES_CONTAINER: 'rulesContainer',
   ADD_RULE_BTN: 'addRuleBtn',
+  ANALYZE_RULES_BTN: 'analyzeRulesBtn',
+  RULE_CONFLICT_RESULTS: 'ruleConflictResults',
+  RULE_ACTION_LOG_BTN: 'ruleActionLogBtn',
+  RULE_ACTION_LOG: 'ruleActionLog',
+  RULE_SUGGESTIONS: 'ruleSuggestions',
+  RULE_CLEANUP_BTN: 'ruleCleanupBtn',
+  RULE_CLEANUP: 'ruleCleanup',
+  RULE_PACKS_BTN: 'rulePacksBtn',
+  RULE_PACKS: 'rulePacks',
+  RULE_PACK_FILE_INPUT: 'rulePackFileInput',
+  
+  // Category management
+  CATEGORY_EDITOR: 'categoryEditor',
   
   // Other elements
   STATUS: 'status',
   API_KEY_PROMPT: 'apiKeyPrompt',
+  CUSTOM_ENDPOINT_CONTAINER: 'customEndpointContainer',
+  FALLBACK_CHAIN_LIST: 'fallbackChainList',
+  USAGE_SUMMARY: 'usageSummary',
+  MONTHLY_BUDGET_INPUT: 'monthlyBudgetInput',
+  LLM_EXPLAIN_CHECKBOX: 'llmExplainCheckbox',
+  PRIVACY_OPTIONS: 'privacyOptions',
+  PRIVACY_INTERNAL_DOMAINS: 'privacyInternalDomains',
+  PRIVACY_DENYLIST: 'privacyDenylist',
+  URL_PARAM_RULES: 'urlParamRules',
+  MERGE_DUPLICATE_URLS_BTN: 'mergeDuplicateUrlsBtn',
   SEARCH_CONTROLS: 'searchControls',
   SAVED_SEARCH_CONTROLS: 'savedSearchControls',
   CATEGORIZE_GROUPING_CONTROLS: 'categorizeGroupingControls',
@@ -179,7 +213,8 @@ export const GROUPING_OPTIONS = {
   LAST_ACCESSED_DATE: 'lastAccessedDate',
   LAST_ACCESSED_WEEK: 'lastAccessedWeek',
   LAST_ACCESSED_MONTH: 'lastAccessedMonth',
-  CLOSE_TIME: 'closeTime'
+  CLOSE_TIME: 'closeTime',
+  TAG: 'tag'
 };
 
 // Tab Types
@@ -212,7 +247,9 @@ export const URLS = {
 export const STORAGE_KEYS = {
   POPUP_STATE: 'popupState',
   SETTINGS: 'settings',
-  THEME: 'theme'
+  THEME: 'theme',
+  RULE_ACTION_LOG: 'ruleActionLog',
+  RULE_STATS: 'ruleStats'
 };
 
 // Status Messages
@@ -222,6 +259,7 @@ export const STATUS_MESSAGES = {
   SUCCESS_SAVED: 'tabs saved and closed successfully!',
   SUCCESS_CLOSED: 'tabs closed successfully!',
   ERROR_NO_API_KEY: 'Please configure your LLM provider and API key in Settings',
+  ERROR_NO_ENDPOINT: 'Please configure your custom endpoint URL and model in Settings',
   ERROR_CATEGORIZATION: 'Error categorizing tabs:',
   WARNING_NO_TABS: 'No tabs to save',
   WARNING_CLOSE_UNCATEGORIZED: 'Are you sure you want to close all uncategorized tabs? They have not been saved yet.'
@@ -230,7 +268,13 @@ export const STATUS_MESSAGES = {
 // Rule Types
 export const RULE_TYPES = {
   DOMAIN: 'domain',
+  DOMAIN_WILDCARD: 'domain_wildcard',  // *.atlassian.net - also matches atlassian.net
   URL_CONTAINS: 'url_contains',
+  PATH_GLOB: 'path_glob',              // /*/pull/* - * within a segment, ** across segments
+  QUERY_PARAM: 'query_param',          // "q" is present, or "q=value" equals
+  SCHEME: 'scheme',                    // file, chrome, https, ...
+  PORT: 'port',                        // 8080 - default ports count (443 for https)
+  LOCALHOST: 'localhost',              // Loopback host on a port, or * for any port
   TITLE_CONTAINS: 'title_contains',
   REGEX: 'regex'
 };
@@ -239,4 +283,21 @@ export const RULE_TYPES = {
 export const RULE_FIELDS = {
   URL: 'url',
   TITLE: 'title'
+};
+
+// Operators for compound rule conditions
+export const RULE_OPERATORS = {
+  AND: 'and',  // All conditions match
+  OR: 'or',    // Any condition matches
+  NOT: 'not'   // None of the conditions match
+};
+
+// Actions a rule runs on the tabs it matches, besides setting their category
+export const RULE_ACTIONS = {
+  CLOSE: 'close',    // Close the tab once it is categorized
+  SAVE: 'save',      // File the tab in Saved under the rule's category
+  PIN: 'pin',        // Pin the tab; pinned tabs stay open on Save & Close
+  GROUP: 'group',    // Move the tab into a Chrome tab group (value: group name)
+  SNOOZE: 'snooze',  // Close the tab and reopen it later (value: "2h", "3d" or "09:00")
+  NO_LLM: 'no_llm'   // Never send the tab to the LLM
 };
\ No newline at end of file
@@ -0,0 +1,164 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * Gemini provider tests - runs the background Gemini client against a local mock
+ * generateContent server. Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Canned generateContent responses, picked by the model in the request path
+const MOCK_RESPONSES = {
+  'gemini-ok': {
+    status: 200,
+    body: {
+      candidates: [{
+        content: { role: 'model', parts: [{ text: '{"1": 3, ' }, { text: '"2": 1}' }] },
+        finishReason: 'STOP'
+      }],
+      usageMetadata: { promptTokenCount: 120, candidatesTokenCount: 8 }
+    }
+  },
+  'gemini-blocked': {
+    status: 200,
+    body: { promptFeedback: { blockReason: 'SAFETY' } }
+  },
+  'gemini-quota': {
+    status: 429,
+    body: { error: { code: 429, status: 'RESOURCE_EXHAUSTED', message: 'Quota exceeded for requests per minute' } }
+  },
+  'gemini-empty': {
+    status: 200,
+    body: { candidates: [] }
+  }
+};
+
+/**
+ * Start the mock server on a free local port
+ * @returns {Promise<Object>} { server, baseUrl, requests } - requests records each call
+ */
+function startMockServer() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://127.0.0.1');
+      const model = decodeURIComponent(url.pathname.match(/\/models\/([^/:]+):generateContent$/)?.[1] || '');
+      requests.push({ model, key: url.searchParams.get('key'), body: JSON.parse(body || '{}') });
+
+      const mock = MOCK_RESPONSES[model] || { status: 404, body: { error: { status: 'NOT_FOUND', message: `models/${model} is not found` } } };
+      res.writeHead(mock.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(mock.body));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}`, requests });
+    });
+  });
+}
+
+/**
+ * Load the background service worker into a sandbox with just enough of the
+ * chrome.* API for its top-level listeners
+ * @returns {Object} Sandbox globals (CONFIG, requestGeminiCompletion, ...)
+ */
+function loadBackground() {
+  const noop = () => {};
+  const event = { addListener: noop };
+  const quiet = { log: noop, info: noop, warn: noop, error: noop };
+  const sandbox = {
+    console: process.env.DEBUG ? console : quiet,
+    fetch, Response, Headers, URL, URLSearchParams, AbortController, TextEncoder, setTimeout, clearTimeout,
+    crypto: globalThis.crypto,
+    indexedDB: { open: () => ({}) },
+    chrome: {
+      runtime: { onConnect: event, onMessage: event, lastError: null },
+      tabs: { onCreated: event, onRemoved: event, onUpdated: event },
+      alarms: { onAlarm: event, get: async () => null, create: async () => {}, clear: async () => true },
+      storage: { local: { get: async () => ({}), set: async () => {} }, onChanged: event }
+    }
+  };
+  sandbox.globalThis = sandbox;
+  sandbox.self = sandbox;
+  sandbox.importScripts = (...files) => {
+    files.forEach(file => {
+      // Top-level const is script-scoped; expose CONFIG so tests can point it at the mock server
+      const source = fs.readFileSync(path.join(ROOT, file), 'utf8').replace(/^const CONFIG\b/m, 'var CONFIG');
+      vm.runInContext(source, sandbox, { filename: file });
+    });
+  };
+
+  vm.createContext(sandbox);
+  vm.runInContext(fs.readFileSync(path.join(ROOT, 'background.js'), 'utf8'), sandbox, { filename: 'background.js' });
+  return sandbox;
+}
+
+test('Gemini provider against a mock generateContent server', async (t) => {
+  const { server, baseUrl, requests } = await startMockServer();
+  t.after(() => server.close());
+
+  const background = loadBackground();
+  background.CONFIG.PROVIDERS.Gemini.apiUrl = `${baseUrl}/v1beta/models/{model}:generateContent`;
+  // Fail fast on 429 instead of backing off
+  background.CONFIG.REQUESTS.maxRetries = 0;
+
+  await t.test('builds the request and joins the candidate text', async () => {
+    const usage = [];
+    const text = await background.requestGeminiCompletion('Categorize these tabs', 'test-key', 'models/gemini-ok', {
+      onUsage: report => usage.push(report)
+    });
+
+    assert.equal(text, '{"1": 3, "2": 1}');
+    // Objects from the sandbox have its Object prototype - compare plain copies
+    assert.deepEqual(JSON.parse(JSON.stringify(usage)), [{ inputTokens: 120, outputTokens: 8 }]);
+
+    const request = requests.at(-1);
+    assert.equal(request.model, 'gemini-ok');
+    assert.equal(request.key, 'test-key');
+    assert.deepEqual(request.body.contents, [{ role: 'user', parts: [{ text: 'Categorize these tabs' }] }]);
+    assert.ok(request.body.systemInstruction.parts[0].text);
+    assert.equal(request.body.generationConfig.responseMimeType, 'application/json');
+  });
+
+  await t.test('reports a prompt blocked by promptFeedback.blockReason', async () => {
+    await assert.rejects(
+      background.requestGeminiCompletion('prompt', 'test-key', 'gemini-blocked'),
+      /Gemini blocked the request \(SAFETY\)/
+    );
+  });
+
+  await t.test('maps 429 RESOURCE_EXHAUSTED to a quota error', async () => {
+    await assert.rejects(
+      background.requestGeminiCompletion('prompt', 'test-key', 'gemini-quota'),
+      error => {
+        assert.match(error.message, /^Gemini quota exceeded: Quota exceeded for requests per minute/);
+        assert.equal(error.status, 429);
+        assert.equal(error.apiStatus, 'RESOURCE_EXHAUSTED');
+        return true;
+      }
+    );
+  });
+
+  await t.test('rejects a response without candidates', async () => {
+    await assert.rejects(
+      background.requestGeminiCompletion('prompt', 'test-key', 'gemini-empty'),
+      /Invalid response format from Gemini/
+    );
+  });
+
+  await t.test('maps an unknown model to a not-found error', async () => {
+    await assert.rejects(
+      background.requestGeminiCompletion('prompt', 'test-key', 'gemini-missing'),
+      /Gemini model not found/
+    );
+  });
+});
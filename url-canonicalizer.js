@@ -0,0 +1,134 @@
+/*
+ * AI Tab Manager - Copyright (c) 2025 AI Tech Knowledge LLC
+ * URL Canonicalizer - reduces URLs to the form used to detect duplicate tabs.
+ * Loaded as a classic script by the background service worker and popup.html, before database.js
+ */
+
+// www.example.com is example.com. Other prefixes (m., amp.) are left alone: without the
+// public suffix list, m.co.uk cannot be told apart from m.example.com
+const CANONICAL_HOST_PREFIX = /^www\.(?=[^.]+\..+)/;
+
+// The user's domain rules from settings.urlCanonicalization, kept in step with storage below
+let urlCanonicalizationOverrides = { domainRules: [] };
+
+/**
+ * The canonicalization settings: CONFIG.URL_CANONICALIZATION, with the user's
+ * domain rules ahead of the built-in ones
+ * @returns {Object} { trackingParams, domainRules: [{ domain, keepParams }] }
+ */
+function getUrlCanonicalizationSettings() {
+  const defaults = (typeof CONFIG !== 'undefined' && CONFIG.URL_CANONICALIZATION) || {};
+  return {
+    trackingParams: defaults.trackingParams || [],
+    domainRules: [...urlCanonicalizationOverrides.domainRules, ...(defaults.domainRules || []).map(normalizeUrlDomainRule)]
+  };
+}
+
+/**
+ * Replace the user's canonicalization settings
+ * @param {Object} overrides - settings.urlCanonicalization: { domainRules: [{ domain, keepParams }] }
+ */
+function setUrlCanonicalizationSettings(overrides) {
+  urlCanonicalizationOverrides = {
+    domainRules: (overrides?.domainRules || []).map(normalizeUrlDomainRule).filter(rule => rule.domain)
+  };
+}
+
+/**
+ * Read the user's rules from settings. TabDatabase.init waits for this, so stored
+ * canonical URLs always reflect the user's rules.
+ * @returns {Promise<void>}
+ */
+async function loadUrlCanonicalizationSettings() {
+  if (typeof chrome === 'undefined' || !chrome.storage?.local) return;
+  
+  try {
+    const data = await chrome.storage.local.get('settings');
+    setUrlCanonicalizationSettings(data?.settings?.urlCanonicalization);
+  } catch (error) {
+    console.error('Failed to load URL canonicalization settings:', error);
+  }
+}
+
+/**
+ * Clean up a domain rule: bare lowercase domain (no scheme, *. or path), trimmed parameter names
+ */
+function normalizeUrlDomainRule({ domain, keepParams }) {
+  return {
+    domain: String(domain || '').trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/^\*\./, '').replace(CANONICAL_HOST_PREFIX, '').split(/[/:?#]/)[0],
+    keepParams: (keepParams || []).map(param => String(param).trim()).filter(Boolean)
+  };
+}
+
+/**
+ * Reduce a URL to its canonical form, so one page reached through different links
+ * counts as one tab: tracking parameters, trailing slashes and www. are dropped,
+ * Google AMP viewer and AMP cache links point back at the publisher, and the
+ * remaining parameters are sorted. #fragments are kept - apps route with them.
+ * @param {string} url - URL as opened
+ * @param {Object} settings - From getUrlCanonicalizationSettings (optional)
+ * @returns {string} Canonical URL; non-web URLs are returned as they are
+ */
+function canonicalizeUrl(url, settings = getUrlCanonicalizationSettings()) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return url;
+  
+  parsed = unwrapAmpViewerUrl(parsed);
+  parsed.hostname = parsed.hostname.replace(CANONICAL_HOST_PREFIX, '');
+  parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+  
+  const host = parsed.hostname;
+  const domainRule = settings.domainRules.find(rule => host === rule.domain || host.endsWith(`.${rule.domain}`));
+  const params = [...parsed.searchParams]
+    .filter(([name]) => !isTrackingParam(name, settings.trackingParams))
+    .filter(([name]) => !domainRule || domainRule.keepParams.includes(name))
+    .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+  parsed.search = new URLSearchParams(params).toString();
+  return parsed.toString();
+}
+
+/**
+ * Check a query parameter against the tracking list; "utm_*" matches any utm_ parameter
+ */
+function isTrackingParam(name, trackingParams) {
+  const lowerName = name.toLowerCase();
+  return trackingParams.some(pattern => (pattern.endsWith('*')
+    ? lowerName.startsWith(pattern.slice(0, -1))
+    : lowerName === pattern));
+}
+
+/**
+ * Turn a page shown through Google's AMP viewer or the AMP cache back into the
+ * publisher's URL, e.g. https://www.google.com/amp/s/example.com/story -> https://example.com/story
+ * @param {URL} parsed
+ * @returns {URL}
+ */
+function unwrapAmpViewerUrl(parsed) {
+  const isAmpCache = parsed.hostname.endsWith('.cdn.ampproject.org');
+  const isGoogleViewer = /(^|\.)google\.[a-z.]+$/.test(parsed.hostname);
+  const match = isAmpCache
+    ? parsed.pathname.match(/^\/[cv]\/(s\/)?(.+)$/)
+    : isGoogleViewer ? parsed.pathname.match(/^\/amp\/(s\/)?(.+)$/) : null;
+  if (!match) return parsed;
+  
+  try {
+    return new URL(`${match[1] ? 'https' : 'http'}://${match[2]}${parsed.search}`);
+  } catch {
+    return parsed;
+  }
+}
+
+// Follow the user's rules as settings change, in the popup and the service worker alike
+if (typeof chrome !== 'undefined' && chrome.storage?.local) {
+  loadUrlCanonicalizationSettings();
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.settings) {
+      setUrlCanonicalizationSettings(changes.settings.newValue?.urlCanonicalization);
+    }
+  });
+}